@@ -1,6 +1,9 @@
 import { useState, useEffect } from 'react';
 import { Trophy, Skull, TrendingUp, TrendingDown, Clock, Activity, DollarSign, Target, Zap } from 'lucide-react';
 import { LineChart, Line, XAxis, YAxis, Tooltip, ResponsiveContainer } from 'recharts';
+import TradeTicket from './TradeTicket';
+import StockDetail from './StockDetail';
+import { MAIN_ARENA, arenaApi } from './api';
 
 interface Agent {
   id: string;
@@ -15,9 +18,11 @@ interface Agent {
   totalReturnPercent?: number;
   tradesCount?: number;
   isElimination?: boolean;
+  isHuman?: boolean;
   portfolio?: {
     cash: number;
     positions: Record<string, { shares: number; avgCost: number }>;
+    shorts?: Record<string, { shares: number; avgPrice: number; lastPrice: number }>;
     history: { timestamp: string; value: number }[];
   };
 }
@@ -25,12 +30,17 @@ interface Agent {
 interface Trade {
   id: string;
   agentId: string;
-  type: 'BUY' | 'SELL';
+  type: 'BUY' | 'SELL' | 'SHORT' | 'COVER' | 'SPLIT' | 'DIVIDEND';
   symbol: string;
   shares: number;
   price: number;
   total: number;
   pnl?: number;
+  quotedPrice?: number;
+  spreadCost?: number;
+  slippage?: number;
+  fees?: number;
+  orderId?: string;
   timestamp: string;
 }
 
@@ -39,6 +49,13 @@ interface Competition {
   startDate: string;
   endDate: string;
   daysRemaining: number;
+  rules?: {
+    eliminationCount: number;
+    rankBy: string;
+    minTrades: number;
+    winnerImmunity: boolean;
+    roundDays: number;
+  };
 }
 
 interface MarketStatus {
@@ -47,6 +64,40 @@ interface MarketStatus {
   nextClose: string;
 }
 
+interface Arena {
+  id: string;
+  name: string;
+  description: string;
+  startingCash: number;
+  agents: number;
+  round: number;
+  replay?: ReplayProgress;
+}
+
+interface ReplayProgress {
+  date: string;
+  state: 'ready' | 'running' | 'finished' | 'stopped' | 'failed';
+  speed: number;
+  time: string;
+  percent: number;
+  error?: string;
+}
+
+interface Snapshot {
+  agentId: string;
+  timestamp: string;
+  value: number;
+  startingValue: number;
+}
+
+// Keep ranks in step with live values. The danger zone depends on the round's
+// rules, so it stays as the server last judged it.
+function rerank(agents: Agent[]): Agent[] {
+  return [...agents]
+    .sort((a, b) => (b.currentValue || 0) - (a.currentValue || 0))
+    .map((agent, index) => ({ ...agent, rank: index + 1 }));
+}
+
 export default function App() {
   const [leaderboard, setLeaderboard] = useState<Agent[]>([]);
   const [trades, setTrades] = useState<Trade[]>([]);
@@ -55,21 +106,90 @@ export default function App() {
   const [selectedAgent, setSelectedAgent] = useState<Agent | null>(null);
   const [graveyard, setGraveyard] = useState<any[]>([]);
   const [loading, setLoading] = useState(true);
+  const [live, setLive] = useState(false);
+  const [arenas, setArenas] = useState<Arena[]>([]);
+  const [arena, setArena] = useState(() => new URLSearchParams(window.location.search).get('arena') || MAIN_ARENA);
+  const [stock, setStock] = useState(() => new URLSearchParams(window.location.search).get('symbol'));
+  const api = arenaApi(arena);
 
   useEffect(() => {
-    fetchData();
-    const interval = setInterval(fetchData, 30000); // Refresh every 30s
-    return () => clearInterval(interval);
+    fetch('/api/arenas').then(r => r.json()).then(setArenas).catch(err => console.error('Failed to fetch arenas:', err));
   }, []);
 
+  useEffect(() => {
+    fetchData();
+
+    // Poll every 30s only while the live stream is down
+    let interval: ReturnType<typeof setInterval> | null = null;
+    const startPolling = () => { if (!interval) interval = setInterval(fetchData, 30000); };
+    const stopPolling = () => { if (interval) { clearInterval(interval); interval = null; } };
+
+    if (typeof EventSource === 'undefined') {
+      startPolling();
+      return stopPolling;
+    }
+
+    const source = new EventSource(`${api}/events`);
+    let dropped = false;
+
+    source.onopen = () => {
+      setLive(true);
+      stopPolling();
+      if (dropped) fetchData(); // Catch up on anything the buffer didn't cover
+      dropped = false;
+    };
+    source.onerror = () => {
+      setLive(false);
+      dropped = true;
+      startPolling(); // EventSource keeps retrying on its own
+    };
+
+    source.addEventListener('trade', (e) => {
+      const trade: Trade = JSON.parse((e as MessageEvent).data);
+      setTrades(prev => [trade, ...prev.filter(t => t.id !== trade.id)].slice(0, 20));
+      setLeaderboard(prev => prev.map(a => a.id === trade.agentId ? { ...a, tradesCount: (a.tradesCount || 0) + 1 } : a));
+    });
+
+    source.addEventListener('snapshot', (e) => {
+      const snap: Snapshot = JSON.parse((e as MessageEvent).data);
+      setLeaderboard(prev => rerank(prev.map(a => a.id === snap.agentId ? {
+        ...a,
+        currentValue: snap.value,
+        totalReturn: snap.value - snap.startingValue,
+        totalReturnPercent: ((snap.value - snap.startingValue) / snap.startingValue) * 100
+      } : a)));
+      setSelectedAgent(prev => prev && prev.id === snap.agentId && prev.portfolio ? {
+        ...prev,
+        portfolio: { ...prev.portfolio, history: [...prev.portfolio.history, { timestamp: snap.timestamp, value: snap.value }].slice(-100) }
+      } : prev);
+    });
+
+    source.addEventListener('elimination', () => fetchData());
+
+    source.addEventListener('market', (e) => {
+      const update = JSON.parse((e as MessageEvent).data);
+      setMarketStatus(prev => prev ? { ...prev, ...update } : update);
+    });
+
+    source.addEventListener('replay', (e) => {
+      const progress: ReplayProgress = JSON.parse((e as MessageEvent).data);
+      setArenas(prev => prev.map(a => a.id === arena ? { ...a, replay: progress } : a));
+    });
+
+    return () => {
+      source.close();
+      stopPolling();
+    };
+  }, [arena]);
+
   async function fetchData() {
     try {
       const [lb, tr, comp, market, grave] = await Promise.all([
-        fetch('/api/leaderboard').then(r => r.json()),
-        fetch('/api/trades?limit=20').then(r => r.json()),
-        fetch('/api/competition').then(r => r.json()),
+        fetch(`${api}/leaderboard`).then(r => r.json()),
+        fetch(`${api}/trades?limit=20`).then(r => r.json()),
+        fetch(`${api}/competition`).then(r => r.json()),
         fetch('/api/market/status').then(r => r.json()),
-        fetch('/api/graveyard').then(r => r.json())
+        fetch(`${api}/graveyard`).then(r => r.json())
       ]);
       setLeaderboard(lb);
       setTrades(tr);
@@ -83,10 +203,32 @@ export default function App() {
   }
 
   async function selectAgent(id: string) {
-    const agent = await fetch(`/api/agents/${id}`).then(r => r.json());
+    const agent = await fetch(`${api}/agents/${id}`).then(r => r.json());
     setSelectedAgent(agent);
   }
 
+  function switchArena(id: string) {
+    const url = new URL(window.location.href);
+    if (id === MAIN_ARENA) url.searchParams.delete('arena');
+    else url.searchParams.set('arena', id);
+    window.history.replaceState(null, '', url);
+    setSelectedAgent(null);
+    setArena(id);
+  }
+
+  function openStock(symbol: string | null) {
+    const url = new URL(window.location.href);
+    if (symbol) url.searchParams.set('symbol', symbol);
+    else url.searchParams.delete('symbol');
+    window.history.replaceState(null, '', url);
+    setStock(symbol);
+  }
+
+  const currentArena = arenas.find(a => a.id === arena);
+  const replay = currentArena?.replay;
+  // A replay's market is open while its day plays, whatever the live market is doing
+  const marketOpen = replay ? replay.state === 'running' : !!marketStatus?.isOpen;
+
   if (loading) {
     return (
       <div className="min-h-screen flex items-center justify-center">
@@ -105,14 +247,53 @@ export default function App() {
               🏎️ StockRacer
               <span className="text-lg font-normal text-slate-400">AI Trading Arena</span>
             </h1>
-            <p className="text-slate-500 mt-1">7 AI agents battle for trading supremacy. Bottom 2 get eliminated.</p>
+            <p className="text-slate-500 mt-1">
+              {currentArena && currentArena.id !== MAIN_ARENA ? `${currentArena.name}: ` : ''}
+              {leaderboard.length} competitors battle for trading supremacy. Bottom {competition?.rules?.eliminationCount ?? 2} get eliminated
+              {competition?.rules && competition.rules.rankBy !== 'value' ? ` (ranked by ${competition.rules.rankBy})` : ''}.
+            </p>
+            {arenas.length > 1 && (
+              <div className="flex gap-2 mt-3">
+                {arenas.map(a => (
+                  <button
+                    key={a.id}
+                    onClick={() => switchArena(a.id)}
+                    title={a.description || `${a.agents} agents, $${a.startingCash} each`}
+                    className={`px-3 py-1 rounded-lg text-sm ${a.id === arena ? 'bg-amber-500/20 text-amber-400' : 'bg-slate-800 text-slate-400 hover:bg-slate-700'}`}
+                  >
+                    {a.replay ? '⏪ ' : ''}{a.name} <span className="text-xs opacity-60">{a.replay ? `${a.replay.percent}%` : `R${a.round}`}</span>
+                  </button>
+                ))}
+              </div>
+            )}
+            {replay && (
+              <div className="mt-3 max-w-md">
+                <div className="flex justify-between text-xs text-slate-400 mb-1">
+                  <span>
+                    Replaying {replay.date} at {replay.speed}x
+                    {replay.state !== 'running' && ` - ${replay.error ? `failed: ${replay.error}` : replay.state}`}
+                  </span>
+                  <span className="font-mono">{new Date(replay.time).toLocaleTimeString('en-US', { timeZone: 'America/New_York' })} ET</span>
+                </div>
+                <div className="h-1.5 bg-slate-800 rounded-full overflow-hidden">
+                  <div className="h-full bg-amber-400 transition-all" style={{ width: `${replay.percent}%` }} />
+                </div>
+              </div>
+            )}
           </div>
           <div className="flex items-center gap-4">
-            <div className={`px-4 py-2 rounded-lg flex items-center gap-2 ${marketStatus?.isOpen ? 'bg-green-500/20 text-green-400' : 'bg-red-500/20 text-red-400'}`}>
+            <div
+              className={`px-3 py-2 rounded-lg text-sm flex items-center gap-2 ${live ? 'bg-blue-500/20 text-blue-400' : 'bg-slate-700/50 text-slate-400'}`}
+              title={live ? 'Streaming live updates' : 'Live stream unavailable - refreshing every 30s'}
+            >
+              <span className={`w-2 h-2 rounded-full ${live ? 'bg-blue-400 animate-pulse' : 'bg-slate-500'}`} />
+              {live ? 'Live' : 'Polling'}
+            </div>
+            <div className={`px-4 py-2 rounded-lg flex items-center gap-2 ${marketOpen ? 'bg-green-500/20 text-green-400' : 'bg-red-500/20 text-red-400'}`}>
               <Activity className="w-4 h-4" />
-              {marketStatus?.isOpen ? 'Market Open' : 'Market Closed'}
+              {marketOpen ? 'Market Open' : 'Market Closed'}
             </div>
-            {competition && (
+            {competition && !replay && (
               <div className="px-4 py-2 rounded-lg bg-amber-500/20 text-amber-400 flex items-center gap-2">
                 <Clock className="w-4 h-4" />
                 {competition.daysRemaining}d until elimination
@@ -122,6 +303,9 @@ export default function App() {
         </div>
       </header>
 
+      {stock ? (
+        <StockDetail arena={arena} symbol={stock} agents={leaderboard} refresh={trades[0]?.id} onClose={() => openStock(null)} />
+      ) : (
       <div className="grid grid-cols-12 gap-6">
         {/* Leaderboard */}
         <div className="col-span-8">
@@ -157,6 +341,9 @@ export default function App() {
                         <div className="font-semibold flex items-center gap-2">
                           {agent.name}
                           <span className="text-xs text-slate-500">Gen {agent.generation}</span>
+                          {agent.isHuman && (
+                            <span className="text-xs bg-blue-500/20 text-blue-400 px-2 py-0.5 rounded">👤 PLAYER</span>
+                          )}
                           {agent.isElimination && (
                             <span className="text-xs bg-red-500/30 text-red-400 px-2 py-0.5 rounded">⚠️ DANGER</span>
                           )}
@@ -212,15 +399,18 @@ export default function App() {
                         <span className="text-xl">{agent?.avatar || '🤖'}</span>
                         <span className="font-medium">{agent?.name || trade.agentId}</span>
                         <span className={`px-2 py-0.5 rounded text-xs font-medium ${
-                          trade.type === 'BUY' ? 'bg-green-500/20 text-green-400' : 'bg-red-500/20 text-red-400'
+                          trade.type === 'SPLIT' || trade.type === 'DIVIDEND' ? 'bg-blue-500/20 text-blue-400' :
+                          trade.type === 'BUY' || trade.type === 'COVER' ? 'bg-green-500/20 text-green-400' : 'bg-red-500/20 text-red-400'
                         }`}>
                           {trade.type}
                         </span>
-                        <span className="font-mono font-medium">{trade.symbol}</span>
+                        <button onClick={() => openStock(trade.symbol)} className="font-mono font-medium hover:text-amber-400">{trade.symbol}</button>
                       </div>
                       <div className="flex items-center gap-4 text-sm">
                         <span className="text-slate-400">{trade.shares} shares</span>
-                        <span className="font-mono">@ ${trade.price.toFixed(2)}</span>
+                        <span className="font-mono">
+                          {trade.type === 'DIVIDEND' ? `$${trade.total.toFixed(2)}` : `@ $${trade.price.toFixed(2)}`}
+                        </span>
                         {trade.pnl !== undefined && (
                           <span className={trade.pnl >= 0 ? 'pos-gain' : 'pos-loss'}>
                             {trade.pnl >= 0 ? '+' : ''}${trade.pnl.toFixed(2)}
@@ -240,6 +430,9 @@ export default function App() {
 
         {/* Sidebar */}
         <div className="col-span-4 space-y-6">
+          {/* Order entry for human players */}
+          <TradeTicket key={arena} arena={arena} marketOpen={marketOpen} onTrade={fetchData} />
+
           {/* Selected Agent Detail */}
           {selectedAgent ? (
             <div className="glass rounded-2xl p-6">
@@ -287,7 +480,7 @@ export default function App() {
                 {selectedAgent.portfolio?.positions && Object.keys(selectedAgent.portfolio.positions).length > 0 ? (
                   Object.entries(selectedAgent.portfolio.positions).map(([symbol, pos]) => (
                     <div key={symbol} className="flex justify-between items-center p-2 bg-slate-800/30 rounded">
-                      <span className="font-mono font-medium">{symbol}</span>
+                      <button onClick={() => openStock(symbol)} className="font-mono font-medium hover:text-amber-400">{symbol}</button>
                       <div className="text-right text-sm">
                         <div>{pos.shares} shares</div>
                         <div className="text-slate-500">avg ${pos.avgCost.toFixed(2)}</div>
@@ -297,6 +490,21 @@ export default function App() {
                 ) : (
                   <div className="text-center text-slate-500 py-4">No positions</div>
                 )}
+
+                {selectedAgent.portfolio?.shorts && Object.keys(selectedAgent.portfolio.shorts).length > 0 && (
+                  <>
+                    <div className="text-sm text-slate-400 mt-4 mb-2">Shorts</div>
+                    {Object.entries(selectedAgent.portfolio.shorts).map(([symbol, short]) => (
+                      <div key={symbol} className="flex justify-between items-center p-2 bg-red-500/10 rounded">
+                        <button onClick={() => openStock(symbol)} className="font-mono font-medium hover:text-amber-400">{symbol}</button>
+                        <div className="text-right text-sm">
+                          <div>-{short.shares} shares</div>
+                          <div className="text-slate-500">sold ${short.avgPrice.toFixed(2)}</div>
+                        </div>
+                      </div>
+                    ))}
+                  </>
+                )}
               </div>
 
               <button 
@@ -328,14 +536,21 @@ export default function App() {
             ) : (
               <div className="space-y-2 max-h-48 overflow-y-auto">
                 {graveyard.slice(0, 10).map((dead, idx) => (
-                  <div key={idx} className="flex items-center justify-between p-2 bg-slate-800/30 rounded">
-                    <div className="flex items-center gap-2">
-                      <span className="text-lg opacity-50">{dead.avatar}</span>
-                      <span className="text-sm">{dead.name} <span className="text-slate-500">G{dead.generation}</span></span>
+                  <div key={idx} className="p-2 bg-slate-800/30 rounded">
+                    <div className="flex items-center justify-between">
+                      <div className="flex items-center gap-2">
+                        <span className="text-lg opacity-50">{dead.avatar}</span>
+                        <span className="text-sm">{dead.name} <span className="text-slate-500">G{dead.generation}</span></span>
+                      </div>
+                      <span className={`text-sm ${dead.finalReturn >= 0 ? 'pos-gain' : 'pos-loss'}`}>
+                        {dead.finalReturn >= 0 ? '+' : ''}{dead.finalReturn?.toFixed(1)}%
+                      </span>
                     </div>
-                    <span className={`text-sm ${dead.finalReturn >= 0 ? 'pos-gain' : 'pos-loss'}`}>
-                      {dead.finalReturn >= 0 ? '+' : ''}{dead.finalReturn?.toFixed(1)}%
-                    </span>
+                    {dead.elimination && (
+                      <p className="text-xs text-slate-500 mt-1">
+                        Round {dead.eliminatedRound}: {dead.elimination.reason}
+                      </p>
+                    )}
                   </div>
                 ))}
               </div>
@@ -351,7 +566,7 @@ export default function App() {
             <div className="space-y-3 text-sm">
               <div className="flex justify-between">
                 <span className="text-slate-400">Total Agents</span>
-                <span>7 active</span>
+                <span>{leaderboard.length} active</span>
               </div>
               <div className="flex justify-between">
                 <span className="text-slate-400">Competition Round</span>
@@ -369,6 +584,7 @@ export default function App() {
           </div>
         </div>
       </div>
+      )}
 
       {/* Footer */}
       <footer className="mt-8 text-center text-slate-500 text-sm">
@@ -0,0 +1,322 @@
+import { useState, useEffect } from 'react';
+import { ArrowLeft, CandlestickChart, Users } from 'lucide-react';
+import { ComposedChart, Bar, Scatter, XAxis, YAxis, Tooltip, ResponsiveContainer } from 'recharts';
+import { arenaApi } from './api';
+
+// One symbol up close: candles over a chosen range with every agent's buys and
+// sells marked on them, the analysis agents are trading on, and who holds it.
+
+interface OHLC {
+  time: number;
+  open: number;
+  high: number;
+  low: number;
+  close: number;
+  volume: number;
+}
+
+interface SymbolTrade {
+  id: string;
+  agentId: string;
+  type: string;
+  shares: number;
+  price: number;
+  timestamp: string;
+}
+
+interface Holder {
+  agentId: string;
+  name: string;
+  avatar?: string;
+  color?: string;
+  side: 'long' | 'short';
+  shares: number;
+  avgPrice: number;
+  marketValue: number | null;
+  unrealizedPnl: number | null;
+  unrealizedPnlPercent: number | null;
+}
+
+interface AgentInfo {
+  id: string;
+  name: string;
+  avatar: string;
+  color: string;
+}
+
+interface Row extends OHLC {
+  label: string;
+  range: [number, number];
+  buys: SymbolTrade[];
+  sells: SymbolTrade[];
+  buy?: number; // Where the markers sit: under the low for buys, over the high for sells
+  sell?: number;
+}
+
+const RANGES = [
+  { id: '1D', interval: '5m', range: '1d' },
+  { id: '5D', interval: '5m', range: '5d' },
+  { id: '1M', interval: '1d', range: '1mo' },
+  { id: '3M', interval: '1d', range: '3mo' },
+  { id: '6M', interval: '1d', range: '6mo' },
+  { id: '1Y', interval: '1d', range: '1y' }
+];
+
+// Trades that open or add to a long, or close a short, count as buys
+const BUY_TYPES = ['BUY', 'COVER'];
+const SELL_TYPES = ['SELL', 'SHORT'];
+
+const nyDay = (time: number) => new Date(time).toLocaleDateString('en-CA', { timeZone: 'America/New_York' });
+
+// Each trade lands on the candle it happened in - by day for daily bars
+function buildRows(bars: OHLC[], trades: SymbolTrade[], daily: boolean): Row[] {
+  const rows: Row[] = bars.map(bar => ({
+    ...bar,
+    label: daily ? nyDay(bar.time) : new Date(bar.time).toLocaleString(),
+    range: [bar.low, bar.high],
+    buys: [],
+    sells: []
+  }));
+  for (const trade of trades) {
+    const side = BUY_TYPES.includes(trade.type) ? 'buys' : SELL_TYPES.includes(trade.type) ? 'sells' : null;
+    if (!side) continue;
+    const time = Date.parse(trade.timestamp);
+    const row = daily
+      ? rows.find(r => r.label === nyDay(time))
+      : [...rows].reverse().find(r => r.time <= time);
+    if (row) row[side].push(trade);
+  }
+  for (const row of rows) {
+    if (row.buys.length) row.buy = row.low;
+    if (row.sells.length) row.sell = row.high;
+  }
+  return rows;
+}
+
+function Candle({ x, y, width, height, payload }: any) {
+  const { open, high, low, close } = payload as Row;
+  const color = close >= open ? '#22c55e' : '#ef4444';
+  const scale = (v: number) => y + (high === low ? 0 : ((high - v) / (high - low)) * height);
+  const top = scale(Math.max(open, close));
+  const cx = x + width / 2;
+  return (
+    <g>
+      <line x1={cx} x2={cx} y1={y} y2={y + height} stroke={color} />
+      <rect x={x + width * 0.15} width={Math.max(1, width * 0.7)} y={top} height={Math.max(1, scale(Math.min(open, close)) - top)} fill={color} />
+    </g>
+  );
+}
+
+// One triangle per trade, in the trading agent's color, side by side
+function markers(side: 'buys' | 'sells', agents: AgentInfo[]) {
+  return ({ cx, cy, payload }: any) => {
+    const trades: SymbolTrade[] = payload[side];
+    const up = side === 'buys';
+    return (
+      <g>
+        {trades.map((trade, i) => {
+          const x = cx + (i - (trades.length - 1) / 2) * 9;
+          const y = up ? cy + 10 : cy - 10;
+          const color = agents.find(a => a.id === trade.agentId)?.color || '#94a3b8';
+          const points = up ? `${x},${y - 5} ${x - 4},${y + 3} ${x + 4},${y + 3}` : `${x},${y + 5} ${x - 4},${y - 3} ${x + 4},${y - 3}`;
+          return <polygon key={trade.id} points={points} fill={color} stroke="#0f0f17" strokeWidth={1} />;
+        })}
+      </g>
+    );
+  };
+}
+
+function CandleTooltip({ active, payload, agents }: any) {
+  if (!active || !payload?.length) return null;
+  const row: Row = payload[0].payload;
+  const name = (id: string) => {
+    const agent = (agents as AgentInfo[]).find(a => a.id === id);
+    return agent ? `${agent.avatar} ${agent.name}` : id;
+  };
+  return (
+    <div className="bg-[#1a1a24] rounded-lg p-3 text-xs space-y-1">
+      <div className="text-slate-400">{row.label}</div>
+      <div className="font-mono">O {row.open.toFixed(2)} H {row.high.toFixed(2)} L {row.low.toFixed(2)} C {row.close.toFixed(2)}</div>
+      {[...row.buys, ...row.sells].map(trade => (
+        <div key={trade.id} className={BUY_TYPES.includes(trade.type) ? 'text-green-400' : 'text-red-400'}>
+          {name(trade.agentId)} {trade.type} {trade.shares} @ ${trade.price.toFixed(2)}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default function StockDetail({ arena, symbol, agents, refresh, onClose }: {
+  arena: string;
+  symbol: string;
+  agents: AgentInfo[];
+  refresh: unknown; // Changes when a new trade comes in
+  onClose: () => void;
+}) {
+  const api = arenaApi(arena);
+  const [range, setRange] = useState(RANGES[3]);
+  const [bars, setBars] = useState<OHLC[]>([]);
+  const [barsError, setBarsError] = useState<string | null>(null);
+  const [record, setRecord] = useState<{ name: string; sector: string; industry?: string } | null>(null);
+  const [analysis, setAnalysis] = useState<any>(null);
+  const [trades, setTrades] = useState<SymbolTrade[]>([]);
+  const [holders, setHolders] = useState<Holder[]>([]);
+
+  useEffect(() => {
+    fetch(`${api}/symbols/${symbol}`).then(r => r.ok ? r.json() : null).then(setRecord).catch(() => setRecord(null));
+    fetch(`/api/analysis/${symbol}?cached=true`).then(r => r.ok ? r.json() : null).then(setAnalysis).catch(() => setAnalysis(null));
+  }, [api, symbol]);
+
+  useEffect(() => {
+    setBarsError(null);
+    fetch(`/api/bars/${symbol}?interval=${range.interval}&range=${range.range}`)
+      .then(async r => {
+        const body = await r.json();
+        if (!r.ok) throw new Error(body.error || r.statusText);
+        setBars(body);
+      })
+      .catch(err => { setBars([]); setBarsError(err.message); });
+  }, [symbol, range]);
+
+  useEffect(() => {
+    fetch(`${api}/symbols/${symbol}/trades?limit=1000`).then(r => r.json()).then(setTrades).catch(err => console.error('Failed to fetch trades:', err));
+    fetch(`${api}/symbols/${symbol}/holders`).then(r => r.ok ? r.json() : []).then(setHolders).catch(() => setHolders([]));
+  }, [api, symbol, refresh]);
+
+  const rows = buildRows(bars, trades, range.interval === '1d');
+  const last = bars[bars.length - 1];
+  const first = bars[0];
+  const change = last && first ? ((last.close - first.open) / first.open) * 100 : null;
+  const traders = agents.filter(a => trades.some(t => t.agentId === a.id));
+
+  return (
+    <div className="grid grid-cols-12 gap-6">
+      <div className="col-span-8 space-y-6">
+        <div className="glass rounded-2xl p-6">
+          <div className="flex items-start justify-between mb-4">
+            <div>
+              <button onClick={onClose} className="text-sm text-slate-400 hover:text-slate-200 flex items-center gap-1 mb-2">
+                <ArrowLeft className="w-4 h-4" /> Back to the race
+              </button>
+              <h2 className="text-3xl font-bold flex items-center gap-3">
+                <CandlestickChart className="w-6 h-6 text-amber-400" />
+                <span className="font-mono">{symbol}</span>
+                {record && <span className="text-lg font-normal text-slate-400">{record.name}</span>}
+              </h2>
+              {record && <p className="text-sm text-slate-500 mt-1">{record.sector}{record.industry ? ` • ${record.industry}` : ''}</p>}
+            </div>
+            {last && (
+              <div className="text-right">
+                <div className="text-3xl font-mono font-semibold">${last.close.toFixed(2)}</div>
+                {change != null && (
+                  <div className={`font-mono ${change >= 0 ? 'pos-gain' : 'pos-loss'}`}>
+                    {change >= 0 ? '+' : ''}{change.toFixed(2)}% over {range.id}
+                  </div>
+                )}
+              </div>
+            )}
+          </div>
+
+          <div className="flex gap-2 mb-4">
+            {RANGES.map(r => (
+              <button
+                key={r.id}
+                onClick={() => setRange(r)}
+                className={`px-3 py-1 rounded-lg text-sm ${r.id === range.id ? 'bg-amber-500/20 text-amber-400' : 'bg-slate-800 text-slate-400 hover:bg-slate-700'}`}
+              >
+                {r.id}
+              </button>
+            ))}
+          </div>
+
+          {barsError ? (
+            <div className="text-center text-slate-500 py-16">{barsError}</div>
+          ) : rows.length === 0 ? (
+            <div className="text-center text-slate-500 py-16">Loading...</div>
+          ) : (
+            <div className="h-96">
+              <ResponsiveContainer width="100%" height="100%">
+                <ComposedChart data={rows} margin={{ top: 20, bottom: 20 }}>
+                  <XAxis dataKey="label" hide />
+                  <YAxis domain={['auto', 'auto']} orientation="right" tick={{ fill: '#64748b', fontSize: 12 }} tickFormatter={(v: number) => v.toFixed(2)} />
+                  <Tooltip content={<CandleTooltip agents={agents} />} />
+                  <Bar dataKey="range" shape={<Candle />} isAnimationActive={false} />
+                  <Scatter dataKey="buy" shape={markers('buys', agents)} isAnimationActive={false} />
+                  <Scatter dataKey="sell" shape={markers('sells', agents)} isAnimationActive={false} />
+                </ComposedChart>
+              </ResponsiveContainer>
+            </div>
+          )}
+
+          {traders.length > 0 && (
+            <div className="flex flex-wrap gap-3 mt-2 text-xs text-slate-400">
+              {traders.map(a => (
+                <span key={a.id} className="flex items-center gap-1">
+                  <span className="w-2 h-2 rounded-full" style={{ background: a.color }} />
+                  {a.avatar} {a.name}
+                </span>
+              ))}
+              <span className="ml-auto">▲ buy / cover ▼ sell / short</span>
+            </div>
+          )}
+        </div>
+      </div>
+
+      <div className="col-span-4 space-y-6">
+        {/* Who's in it */}
+        <div className="glass rounded-2xl p-6">
+          <h3 className="text-lg font-semibold mb-4 flex items-center gap-2">
+            <Users className="w-5 h-5 text-blue-400" />
+            Holders
+          </h3>
+          {holders.length === 0 ? (
+            <div className="text-center text-slate-500 py-4">Nobody holds {symbol}</div>
+          ) : (
+            <div className="space-y-2">
+              {holders.map(h => (
+                <div key={`${h.agentId}-${h.side}`} className={`flex justify-between items-center p-2 rounded ${h.side === 'short' ? 'bg-red-500/10' : 'bg-slate-800/30'}`}>
+                  <span>{h.avatar} {h.name}</span>
+                  <div className="text-right text-sm">
+                    <div className="font-mono">{h.side === 'short' ? '-' : ''}{h.shares} @ ${h.avgPrice.toFixed(2)}</div>
+                    {h.unrealizedPnl != null && (
+                      <div className={`font-mono text-xs ${h.unrealizedPnl >= 0 ? 'pos-gain' : 'pos-loss'}`}>
+                        {h.unrealizedPnl >= 0 ? '+' : ''}${h.unrealizedPnl.toFixed(2)} ({h.unrealizedPnlPercent!.toFixed(1)}%)
+                      </div>
+                    )}
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+
+        {/* What the agents see */}
+        <div className="glass rounded-2xl p-6">
+          <h3 className="text-lg font-semibold mb-4">Agents' view</h3>
+          {!analysis ? (
+            <div className="text-center text-slate-500 py-4">Not analyzed yet</div>
+          ) : (
+            <div className="space-y-2 text-sm">
+              {[
+                ['Trend', analysis.trend],
+                ['Signal', analysis.signal?.toFixed(1)],
+                ['RSI', analysis.rsi?.toFixed(1)],
+                ['Volatility', analysis.volatility != null ? `${analysis.volatility.toFixed(2)}%` : null],
+                ['Day', analysis.dailyChange != null ? `${analysis.dailyChange.toFixed(2)}%` : null],
+                ['Week', analysis.weekChange != null ? `${analysis.weekChange.toFixed(2)}%` : null],
+                ['Support', analysis.support != null ? `$${analysis.support.toFixed(2)}` : null],
+                ['Resistance', analysis.resistance != null ? `$${analysis.resistance.toFixed(2)}` : null]
+              ].filter(([, value]) => value != null).map(([label, value]) => (
+                <div key={label} className="flex justify-between">
+                  <span className="text-slate-400">{label}</span>
+                  <span className="font-mono">{value}</span>
+                </div>
+              ))}
+              <p className="text-xs text-slate-500 pt-2">As of {new Date(analysis.cachedAt).toLocaleTimeString()}</p>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
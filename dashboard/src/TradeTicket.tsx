@@ -0,0 +1,282 @@
+import { useState, useEffect } from 'react';
+import { User, LogOut, X } from 'lucide-react';
+import { arenaApi } from './api';
+
+// Order entry for human players. The key an admin issued is kept in this
+// browser only (one per arena - players sign up arena by arena) and sent as a
+// Bearer token with every player request.
+
+const keyStorage = (arena: string) => `stockracer.playerKey.${arena}`;
+
+type Side = 'buy' | 'sell' | 'short' | 'cover';
+type OrderType = 'market' | 'limit' | 'stop';
+
+interface Order {
+  id: string;
+  symbol: string;
+  side: 'buy' | 'sell';
+  type: string;
+  shares: number;
+  limitPrice?: number;
+  stopPrice?: number;
+}
+
+interface Player {
+  id: string;
+  name: string;
+  avatar: string;
+  generation: number;
+  status: 'active' | 'eliminated';
+  eliminatedRound?: number;
+  buyingPower: number;
+  orders: Order[];
+  portfolio: {
+    cash: number;
+    positions: Record<string, { shares: number; avgCost: number }>;
+    shorts: Record<string, { shares: number; avgPrice: number }>;
+  } | null;
+}
+
+export default function TradeTicket({ arena, marketOpen, onTrade }: { arena: string; marketOpen: boolean; onTrade: () => void }) {
+  const [key, setKey] = useState(() => localStorage.getItem(keyStorage(arena)) || '');
+  const [keyInput, setKeyInput] = useState('');
+  const [player, setPlayer] = useState<Player | null>(null);
+  const [side, setSide] = useState<Side>('buy');
+  const [type, setType] = useState<OrderType>('market');
+  const [symbol, setSymbol] = useState('');
+  const [shares, setShares] = useState('');
+  const [price, setPrice] = useState('');
+  const [message, setMessage] = useState<{ ok: boolean; text: string } | null>(null);
+  const [busy, setBusy] = useState(false);
+
+  async function call(path: string, init: RequestInit = {}, withKey = key) {
+    const res = await fetch(`${arenaApi(arena)}/player/${path}`, {
+      ...init,
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${withKey}` }
+    });
+    const body = await res.json();
+    if (!res.ok) throw Object.assign(new Error(body.error || res.statusText), { status: res.status });
+    return body;
+  }
+
+  async function refresh(withKey = key) {
+    try {
+      setPlayer(await call('me', {}, withKey));
+    } catch (err: any) {
+      if (err.status === 401) signOut();
+      setMessage({ ok: false, text: err.message });
+    }
+  }
+
+  useEffect(() => {
+    if (key) refresh();
+  }, [key]);
+
+  function signIn() {
+    const trimmed = keyInput.trim();
+    if (!trimmed) return;
+    localStorage.setItem(keyStorage(arena), trimmed);
+    setKey(trimmed);
+    setKeyInput('');
+    setMessage(null);
+  }
+
+  function signOut() {
+    localStorage.removeItem(keyStorage(arena));
+    setKey('');
+    setPlayer(null);
+  }
+
+  async function submit() {
+    setBusy(true);
+    setMessage(null);
+    try {
+      const order: Record<string, unknown> = { side, symbol: symbol.trim().toUpperCase(), shares: Number(shares) };
+      if (type !== 'market') {
+        order.type = type;
+        order[type === 'limit' ? 'limitPrice' : 'stopPrice'] = Number(price);
+      }
+      const result = await call('orders', { method: 'POST', body: JSON.stringify(order) });
+      setMessage(result.trade
+        ? { ok: true, text: `${result.trade.type} ${result.trade.shares} ${result.trade.symbol} @ $${result.trade.price.toFixed(2)}${result.trade.risk ? ` (${result.trade.risk})` : ''}` }
+        : { ok: true, text: `${type} ${side} ${result.order.shares} ${result.order.symbol} placed` });
+      setShares('');
+      setPrice('');
+      await refresh();
+      onTrade();
+    } catch (err: any) {
+      setMessage({ ok: false, text: err.message });
+    }
+    setBusy(false);
+  }
+
+  async function cancel(orderId: string) {
+    try {
+      await call(`orders/${orderId}`, { method: 'DELETE' });
+      await refresh();
+    } catch (err: any) {
+      setMessage({ ok: false, text: err.message });
+    }
+  }
+
+  async function rejoin() {
+    try {
+      setPlayer(await call('rejoin', { method: 'POST' }));
+      setMessage({ ok: true, text: 'Back in the race with a fresh book' });
+      onTrade();
+    } catch (err: any) {
+      setMessage({ ok: false, text: err.message });
+    }
+  }
+
+  const canSubmit = !busy && symbol.trim() && Number(shares) > 0 && (type === 'market' ? marketOpen : Number(price) > 0);
+
+  return (
+    <div className="glass rounded-2xl p-6">
+      <h3 className="text-lg font-semibold mb-4 flex items-center gap-2">
+        <User className="w-5 h-5 text-blue-400" />
+        Trade Ticket
+        {player && (
+          <button onClick={signOut} className="ml-auto text-slate-500 hover:text-slate-300" title="Forget key">
+            <LogOut className="w-4 h-4" />
+          </button>
+        )}
+      </h3>
+
+      {!key ? (
+        <div className="space-y-2">
+          <p className="text-sm text-slate-400">Race the agents with the same starting cash. Enter the player key you were given.</p>
+          <input
+            type="password"
+            value={keyInput}
+            onChange={e => setKeyInput(e.target.value)}
+            onKeyDown={e => e.key === 'Enter' && signIn()}
+            placeholder="sr_..."
+            className="w-full px-3 py-2 bg-slate-800 rounded-lg text-sm font-mono"
+          />
+          <button onClick={signIn} className="w-full py-2 bg-blue-600 hover:bg-blue-500 rounded-lg text-sm">Sign in</button>
+        </div>
+      ) : !player ? (
+        <div className="text-center text-slate-500 py-4">Loading...</div>
+      ) : player.status !== 'active' ? (
+        <div className="space-y-3 text-center">
+          <p className="text-slate-400">💀 {player.name} was eliminated in round {player.eliminatedRound}.</p>
+          <button onClick={rejoin} className="w-full py-2 bg-blue-600 hover:bg-blue-500 rounded-lg text-sm">
+            Rejoin as Gen {player.generation + 1}
+          </button>
+        </div>
+      ) : (
+        <div className="space-y-3">
+          <div className="flex justify-between text-sm">
+            <span>{player.avatar} {player.name} <span className="text-slate-500">Gen {player.generation}</span></span>
+            <span className="font-mono">${player.portfolio?.cash.toFixed(2)} cash</span>
+          </div>
+          <div className="flex justify-between text-xs text-slate-500">
+            <span>Buying power</span>
+            <span className="font-mono">${player.buyingPower.toFixed(2)}</span>
+          </div>
+
+          {player.portfolio && [...Object.entries(player.portfolio.positions), ...Object.entries(player.portfolio.shorts)].length > 0 && (
+            <div className="space-y-1">
+              {Object.entries(player.portfolio.positions).map(([sym, pos]) => (
+                <div key={sym} className="flex justify-between text-xs p-1.5 bg-slate-800/30 rounded">
+                  <span className="font-mono">{sym}</span>
+                  <span>{pos.shares} @ ${pos.avgCost.toFixed(2)}</span>
+                </div>
+              ))}
+              {Object.entries(player.portfolio.shorts).map(([sym, short]) => (
+                <div key={sym} className="flex justify-between text-xs p-1.5 bg-red-500/10 rounded">
+                  <span className="font-mono">{sym}</span>
+                  <span>-{short.shares} @ ${short.avgPrice.toFixed(2)}</span>
+                </div>
+              ))}
+            </div>
+          )}
+
+          <div className="grid grid-cols-4 gap-1">
+            {(['buy', 'sell', 'short', 'cover'] as Side[]).map(s => (
+              <button
+                key={s}
+                onClick={() => { setSide(s); if (s === 'short' || s === 'cover') setType('market'); }}
+                className={`py-1.5 rounded text-xs font-medium uppercase ${
+                  side === s ? (s === 'buy' || s === 'cover' ? 'bg-green-500/30 text-green-400' : 'bg-red-500/30 text-red-400') : 'bg-slate-800'
+                }`}
+              >
+                {s}
+              </button>
+            ))}
+          </div>
+
+          <div className="grid grid-cols-2 gap-2">
+            <input
+              value={symbol}
+              onChange={e => setSymbol(e.target.value)}
+              placeholder="Symbol"
+              className="px-3 py-2 bg-slate-800 rounded-lg text-sm font-mono uppercase"
+            />
+            <input
+              type="number"
+              min="0"
+              step="0.0001"
+              value={shares}
+              onChange={e => setShares(e.target.value)}
+              placeholder="Shares"
+              className="px-3 py-2 bg-slate-800 rounded-lg text-sm font-mono"
+            />
+            {/* Resting orders are buys and sells only; shorts and covers fill at market */}
+            <select
+              value={type}
+              onChange={e => setType(e.target.value as OrderType)}
+              disabled={side === 'short' || side === 'cover'}
+              className="px-3 py-2 bg-slate-800 rounded-lg text-sm"
+            >
+              <option value="market">Market</option>
+              <option value="limit">Limit</option>
+              <option value="stop">Stop</option>
+            </select>
+            {type !== 'market' && (
+              <input
+                type="number"
+                min="0"
+                step="0.01"
+                value={price}
+                onChange={e => setPrice(e.target.value)}
+                placeholder={type === 'limit' ? 'Limit price' : 'Stop price'}
+                className="px-3 py-2 bg-slate-800 rounded-lg text-sm font-mono"
+              />
+            )}
+          </div>
+
+          <button
+            onClick={submit}
+            disabled={!canSubmit}
+            className="w-full py-2 bg-blue-600 hover:bg-blue-500 disabled:bg-slate-700 disabled:text-slate-500 rounded-lg text-sm"
+          >
+            {type === 'market' && !marketOpen ? 'Market closed' : `Send ${side} order`}
+          </button>
+
+          {player.orders.length > 0 && (
+            <div className="space-y-1">
+              <div className="text-xs text-slate-400">Open orders</div>
+              {player.orders.map(order => (
+                <div key={order.id} className="flex justify-between items-center text-xs p-1.5 bg-slate-800/30 rounded">
+                  <span className="font-mono">{order.side.toUpperCase()} {order.shares} {order.symbol}</span>
+                  <span className="flex items-center gap-2">
+                    {order.type} {order.limitPrice != null ? `$${order.limitPrice}` : order.stopPrice != null ? `$${order.stopPrice}` : ''}
+                    <button onClick={() => cancel(order.id)} className="text-slate-500 hover:text-red-400" title="Cancel">
+                      <X className="w-3 h-3" />
+                    </button>
+                  </span>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+
+      {message && (
+        <p className={`text-xs mt-3 ${message.ok ? 'text-green-400' : 'text-red-400'}`}>{message.text}</p>
+      )}
+    </div>
+  );
+}
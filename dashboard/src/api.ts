@@ -0,0 +1,6 @@
+export const MAIN_ARENA = 'main';
+
+// Arena-scoped API routes: the main arena's are unprefixed
+export function arenaApi(arena: string) {
+  return arena === MAIN_ARENA ? '/api' : `/api/arenas/${arena}`;
+}
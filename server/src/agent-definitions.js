@@ -0,0 +1,236 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import YAML from 'yaml';
+import { SymbolRegistry } from './symbols.js';
+import { validateScoring } from './scoring.js';
+import { getStrategy, hasStrategy, listStrategies } from './strategies/index.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// One file per agent: server/agents/<id>.yaml (or .yml / .json)
+export const DEFINITIONS_DIR = process.env.AGENT_DEFINITIONS_DIR || path.join(__dirname, '..', 'agents');
+
+const EXTENSIONS = ['.yaml', '.yml', '.json'];
+
+export const ENTRY_DEFAULTS = {
+  minScore: null // Best candidate must score above this; null = always take it
+};
+
+export const EXIT_DEFAULTS = {
+  takeProfit: null, // Sell above this % gain
+  stopLoss: null, // Sell below this % loss
+  stopLossChance: 1, // Probability the stop is actually honoured (panic is random)
+  overboughtRsi: null, // Sell when RSI goes above this
+  overboughtNeedsProfit: false, // ...but only if the position is green
+  sellSignal: null, // Sell when the analysis signal drops below this
+  exitOnBearishTrend: false, // Sell losers whose trend turns bearish
+  urgent: false, // Hitting takeProfit/stopLoss makes the agent act immediately
+  panicLoss: -10, // Any position this far down makes the agent act; null = never
+  profitReview: 15, // Any position this far up makes the agent act
+  reasons: {} // Flavour text per rule: takeProfit, stopLoss, bearishTrend, overbought, sellSignal
+};
+
+export const SIZING_DEFAULTS = {
+  cashFraction: 0.3, // Share of cash per new position
+  randomExtra: 0, // Plus up to this much more, at random
+  useBuyingPower: false // Size off buying power (cash net of short collateral) instead of cash
+};
+
+// Portfolio-level limits enforced on every order that adds exposure (see risk-manager.js). null = no limit
+export const RISK_DEFAULTS = {
+  maxPositionPct: 0.4, // One symbol can be at most this share of portfolio value
+  maxSectorPct: 0.6, // Gross exposure to one sector, longs and shorts together
+  maxPositions: 8, // Open longs plus shorts
+  riskPerTrade: 0.02, // Volatility sizing: a typical day's move (ATR) on one position costs at most this share of value
+  dailyLossLimit: 0.1, // Down this much since the last close trips the circuit breaker - no new positions until tomorrow
+  minOrderValue: 0.25 // Orders resized below this many dollars are dropped
+};
+const RISK_PERCENTS = ['maxPositionPct', 'maxSectorPct', 'riskPerTrade', 'dailyLossLimit'];
+
+const TOP_LEVEL_KEYS = [
+  'id', 'name', 'personality', 'avatar', 'color', 'strategy', 'riskTolerance', 'tradeFrequency',
+  'universe', 'scoring', 'entry', 'exit', 'sizing', 'risk', 'params'
+];
+const UNIVERSE_KEYS = ['sectors', 'symbols', 'avoidSectors', 'avoidSymbols'];
+
+const isObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+
+function checkKeys(obj, allowed, where) {
+  if (!isObject(obj)) throw new Error(`${where} must be an object`);
+  for (const key of Object.keys(obj)) {
+    if (!allowed.includes(key)) throw new Error(`${where}: unknown key '${key}' (expected one of: ${allowed.join(', ')})`);
+  }
+}
+
+function checkUnit(value, where) {
+  if (typeof value !== 'number' || value < 0 || value > 1) throw new Error(`${where} must be a number between 0 and 1`);
+}
+
+function checkNumberOrNull(value, where) {
+  if (value != null && (typeof value !== 'number' || !Number.isFinite(value))) throw new Error(`${where} must be a number`);
+}
+
+function checkSectors(list, where, symbols) {
+  if (!Array.isArray(list)) throw new Error(`${where} must be a list`);
+  const known = symbols.sectorNames();
+  for (const sector of list) {
+    if (!known.includes(sector)) throw new Error(`${where}: unknown sector '${sector}' (expected one of: ${known.join(', ')})`);
+  }
+}
+
+// Delisted symbols still pass - they just drop out of the resolved universe
+function checkSymbols(list, where, symbols) {
+  if (!Array.isArray(list)) throw new Error(`${where} must be a list`);
+  for (const symbol of list) {
+    if (!symbols.has(symbol)) throw new Error(`${where}: '${symbol}' is not in the symbol registry`);
+  }
+}
+
+// A universe spec: { sectors, symbols, avoidSectors, avoidSymbols }
+export function validateUniverse(universe, symbols = new SymbolRegistry(), where = 'universe') {
+  checkKeys(universe, UNIVERSE_KEYS, where);
+  if (universe.sectors) checkSectors(universe.sectors, `${where}.sectors`, symbols);
+  if (universe.avoidSectors) checkSectors(universe.avoidSectors, `${where}.avoidSectors`, symbols);
+  if (universe.symbols) checkSymbols(universe.symbols, `${where}.symbols`, symbols);
+  if (universe.avoidSymbols) checkSymbols(universe.avoidSymbols, `${where}.avoidSymbols`, symbols);
+}
+
+// Throws on the first problem. Callers prefix the file name.
+export function validateDefinition(def, symbols = new SymbolRegistry()) {
+  checkKeys(def, TOP_LEVEL_KEYS, 'definition');
+
+  if (typeof def.id !== 'string' || !/^[a-z0-9_-]+$/.test(def.id)) throw new Error('id must be lowercase letters, digits, - or _');
+  for (const key of ['name', 'personality', 'avatar', 'color']) {
+    if (typeof def[key] !== 'string' || !def[key]) throw new Error(`${key} is required`);
+  }
+  if (!hasStrategy(def.strategy)) {
+    throw new Error(`unknown strategy '${def.strategy}' (registered: ${listStrategies().map(s => s.name).join(', ')})`);
+  }
+  checkUnit(def.riskTolerance, 'riskTolerance');
+  checkUnit(def.tradeFrequency, 'tradeFrequency');
+
+  if (def.universe != null) validateUniverse(def.universe, symbols);
+
+  validateScoring(def.scoring ?? []);
+
+  if (def.entry != null) {
+    checkKeys(def.entry, Object.keys(ENTRY_DEFAULTS), 'entry');
+    checkNumberOrNull(def.entry.minScore, 'entry.minScore');
+  }
+
+  if (def.exit != null) {
+    checkKeys(def.exit, Object.keys(EXIT_DEFAULTS), 'exit');
+    for (const key of ['takeProfit', 'stopLoss', 'overboughtRsi', 'sellSignal', 'panicLoss', 'profitReview']) {
+      checkNumberOrNull(def.exit[key], `exit.${key}`);
+    }
+    if (def.exit.stopLossChance != null) checkUnit(def.exit.stopLossChance, 'exit.stopLossChance');
+    if (def.exit.reasons != null) {
+      checkKeys(def.exit.reasons, ['takeProfit', 'stopLoss', 'bearishTrend', 'overbought', 'sellSignal'], 'exit.reasons');
+    }
+  }
+
+  if (def.sizing != null) {
+    checkKeys(def.sizing, Object.keys(SIZING_DEFAULTS), 'sizing');
+    checkUnit(def.sizing.cashFraction ?? 0, 'sizing.cashFraction');
+    checkUnit(def.sizing.randomExtra ?? 0, 'sizing.randomExtra');
+  }
+
+  if (def.risk != null) {
+    checkKeys(def.risk, Object.keys(RISK_DEFAULTS), 'risk');
+    for (const key of RISK_PERCENTS) {
+      if (def.risk[key] != null && !(def.risk[key] > 0 && def.risk[key] <= 1)) throw new Error(`risk.${key} must be a number above 0 and at most 1, or null`);
+    }
+    if (def.risk.maxPositions != null && !(Number.isInteger(def.risk.maxPositions) && def.risk.maxPositions > 0)) {
+      throw new Error('risk.maxPositions must be a positive whole number, or null');
+    }
+    checkNumberOrNull(def.risk.minOrderValue, 'risk.minOrderValue');
+  }
+
+  const strategy = getStrategy(def.strategy);
+  if (def.params != null) {
+    checkKeys(def.params, Object.keys(strategy.params), `params (strategy '${strategy.name}')`);
+  }
+  strategy.validate?.(def);
+}
+
+// A universe spec ({ sectors, symbols, avoidSectors, avoidSymbols }) as symbol
+// lists, against the registry as it stands - re-run whenever the registry changes
+export function resolveUniverse(universe = {}, symbols = new SymbolRegistry()) {
+  const sectors = symbols.sectors();
+  const active = (list) => [...new Set(list)].filter(s => symbols.isActive(s));
+  return {
+    preferredStocks: active([...(universe.sectors || []).flatMap(s => sectors[s] || []), ...(universe.symbols || [])]), // Empty = the whole market
+    avoidStocks: active([...(universe.avoidSectors || []).flatMap(s => sectors[s] || []), ...(universe.avoidSymbols || [])])
+  };
+}
+
+// Turn a validated definition into the agent fields the manager trades with
+export function resolveDefinition(def, symbols = new SymbolRegistry()) {
+  const universe = def.universe || {};
+
+  return {
+    name: def.name,
+    personality: def.personality,
+    avatar: def.avatar,
+    color: def.color,
+    strategy: def.strategy,
+    riskTolerance: def.riskTolerance,
+    tradeFrequency: def.tradeFrequency,
+    universe,
+    ...resolveUniverse(universe, symbols),
+    scoring: def.scoring || [],
+    entry: { ...ENTRY_DEFAULTS, ...def.entry },
+    exit: { ...EXIT_DEFAULTS, ...def.exit, reasons: { ...def.exit?.reasons } },
+    sizing: { ...SIZING_DEFAULTS, ...def.sizing },
+    risk: { ...RISK_DEFAULTS, ...def.risk },
+    params: { ...getStrategy(def.strategy).params, ...def.params }
+  };
+}
+
+// What an admin can change on a template; identity and strategy come from the file
+export const TEMPLATE_KEYS = ['riskTolerance', 'tradeFrequency', 'universe', 'scoring', 'entry', 'exit', 'sizing', 'risk', 'params'];
+const MERGED_SECTIONS = ['entry', 'exit', 'sizing', 'risk', 'params'];
+
+// A resolved definition with `changes` applied. entry/exit/sizing/risk/params merge
+// key by key; everything else is replaced. Validated like a definition file.
+export function updateDefinition(id, definition, changes, symbols = new SymbolRegistry()) {
+  checkKeys(changes, TEMPLATE_KEYS, 'changes');
+
+  const raw = { id };
+  for (const key of TOP_LEVEL_KEYS.slice(1)) raw[key] = structuredClone(definition[key]);
+  for (const [key, value] of Object.entries(changes)) {
+    raw[key] = MERGED_SECTIONS.includes(key) && isObject(value) ? { ...raw[key], ...value } : value;
+  }
+
+  validateDefinition(raw, symbols);
+  return resolveDefinition(raw, symbols);
+}
+
+export function parseDefinitionFile(file) {
+  const text = fs.readFileSync(file, 'utf8');
+  const raw = path.extname(file) === '.json' ? JSON.parse(text) : YAML.parse(text);
+  return { id: path.basename(file, path.extname(file)), ...raw };
+}
+
+// id -> resolved definition. Any invalid file stops the load with "<file>: <problem>".
+export function loadAgentDefinitions(dir = DEFINITIONS_DIR, symbols = new SymbolRegistry()) {
+  if (!fs.existsSync(dir)) throw new Error(`Agent definitions directory not found: ${dir}`);
+
+  const definitions = {};
+  const files = fs.readdirSync(dir).filter(f => EXTENSIONS.includes(path.extname(f))).sort();
+  for (const file of files) {
+    let def;
+    try {
+      def = parseDefinitionFile(path.join(dir, file));
+      validateDefinition(def, symbols);
+    } catch (error) {
+      throw new Error(`${file}: ${error.message}`);
+    }
+    if (definitions[def.id]) throw new Error(`${file}: duplicate agent id '${def.id}'`);
+    definitions[def.id] = resolveDefinition(def, symbols);
+  }
+
+  if (Object.keys(definitions).length === 0) throw new Error(`No agent definitions in ${dir}`);
+  return definitions;
+}
@@ -1,88 +1,23 @@
-import Database from 'better-sqlite3';
-import path from 'path';
-import { fileURLToPath } from 'url';
+import { getDatabase, insertRows } from './database.js';
+import { systemClock } from './clock.js';
 
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const DB_PATH = path.join(__dirname, '..', 'data', 'agent-memory.db');
+const MEMORY_TABLES = ['trade_outcomes', 'market_observations', 'agent_beliefs', 'daily_reflections'];
 
+// Schema lives in migrations.js (version 1). Rows are stamped with the clock, not
+// SQLite's now, so simulated and replayed runs remember on their own time.
 export class AgentMemory {
-  constructor() {
-    this.db = new Database(DB_PATH);
-    this.db.pragma('journal_mode = WAL');
-    this.initialize();
-  }
-
-  initialize() {
-    this.db.exec(`
-      -- Trade outcomes: what worked, what didn't
-      CREATE TABLE IF NOT EXISTS trade_outcomes (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        agent_id TEXT NOT NULL,
-        symbol TEXT NOT NULL,
-        action TEXT NOT NULL,
-        entry_price REAL,
-        exit_price REAL,
-        pnl REAL,
-        pnl_percent REAL,
-        hold_duration_hours REAL,
-        market_condition TEXT,
-        reason TEXT,
-        lesson TEXT,
-        created_at TEXT DEFAULT (datetime('now'))
-      );
-
-      -- Market observations: patterns agents noticed
-      CREATE TABLE IF NOT EXISTS market_observations (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        agent_id TEXT NOT NULL,
-        symbol TEXT,
-        observation TEXT NOT NULL,
-        confidence REAL DEFAULT 0.5,
-        validated INTEGER DEFAULT 0,
-        created_at TEXT DEFAULT (datetime('now'))
-      );
-
-      -- Agent beliefs: learned preferences and biases
-      CREATE TABLE IF NOT EXISTS agent_beliefs (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        agent_id TEXT NOT NULL,
-        belief_type TEXT NOT NULL,
-        symbol TEXT,
-        value REAL,
-        note TEXT,
-        updated_at TEXT DEFAULT (datetime('now')),
-        UNIQUE(agent_id, belief_type, symbol)
-      );
-
-      -- Daily reflections: agent's end-of-day thoughts
-      CREATE TABLE IF NOT EXISTS daily_reflections (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        agent_id TEXT NOT NULL,
-        date TEXT NOT NULL,
-        portfolio_value REAL,
-        trades_made INTEGER,
-        reflection TEXT,
-        mood TEXT,
-        strategy_adjustment TEXT,
-        created_at TEXT DEFAULT (datetime('now')),
-        UNIQUE(agent_id, date)
-      );
-
-      -- Indexes
-      CREATE INDEX IF NOT EXISTS idx_trade_outcomes_agent ON trade_outcomes(agent_id);
-      CREATE INDEX IF NOT EXISTS idx_trade_outcomes_symbol ON trade_outcomes(symbol);
-      CREATE INDEX IF NOT EXISTS idx_observations_agent ON market_observations(agent_id);
-      CREATE INDEX IF NOT EXISTS idx_beliefs_agent ON agent_beliefs(agent_id);
-    `);
+  constructor(db = getDatabase(), clock = systemClock) {
+    this.db = db;
+    this.clock = clock;
   }
 
   // Record a trade outcome with learned lesson
   recordTradeOutcome(agentId, { symbol, action, entryPrice, exitPrice, pnl, pnlPercent, holdDurationHours, marketCondition, reason, lesson }) {
     const stmt = this.db.prepare(`
-      INSERT INTO trade_outcomes (agent_id, symbol, action, entry_price, exit_price, pnl, pnl_percent, hold_duration_hours, market_condition, reason, lesson)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      INSERT INTO trade_outcomes (agent_id, symbol, action, entry_price, exit_price, pnl, pnl_percent, hold_duration_hours, market_condition, reason, lesson, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `);
-    stmt.run(agentId, symbol, action, entryPrice, exitPrice, pnl, pnlPercent, holdDurationHours, marketCondition, reason, lesson);
+    stmt.run(agentId, symbol, action, entryPrice, exitPrice, pnl, pnlPercent, holdDurationHours, marketCondition, reason, lesson, this.clock.iso());
   }
 
   // Get agent's past trades for a symbol
@@ -122,10 +57,10 @@ export class AgentMemory {
   // Record a market observation
   addObservation(agentId, { symbol, observation, confidence }) {
     const stmt = this.db.prepare(`
-      INSERT INTO market_observations (agent_id, symbol, observation, confidence)
-      VALUES (?, ?, ?, ?)
+      INSERT INTO market_observations (agent_id, symbol, observation, confidence, created_at)
+      VALUES (?, ?, ?, ?, ?)
     `);
-    stmt.run(agentId, symbol, observation, confidence || 0.5);
+    stmt.run(agentId, symbol, observation, confidence || 0.5, this.clock.iso());
   }
 
   // Get recent observations
@@ -139,13 +74,13 @@ export class AgentMemory {
   updateBelief(agentId, { beliefType, symbol, value, note }) {
     const stmt = this.db.prepare(`
       INSERT INTO agent_beliefs (agent_id, belief_type, symbol, value, note, updated_at)
-      VALUES (?, ?, ?, ?, ?, datetime('now'))
+      VALUES (?, ?, ?, ?, ?, ?)
       ON CONFLICT(agent_id, belief_type, symbol) DO UPDATE SET
         value = excluded.value,
         note = excluded.note,
-        updated_at = datetime('now')
+        updated_at = excluded.updated_at
     `);
-    stmt.run(agentId, beliefType, symbol || '_general', value, note);
+    stmt.run(agentId, beliefType, symbol || '_general', value, note, this.clock.iso());
   }
 
   // Get agent's beliefs
@@ -170,10 +105,11 @@ export class AgentMemory {
 
   // Record daily reflection
   addDailyReflection(agentId, { portfolioValue, tradesMade, reflection, mood, strategyAdjustment }) {
-    const date = new Date().toISOString().split('T')[0];
+    const now = this.clock.iso();
+    const date = now.split('T')[0];
     const stmt = this.db.prepare(`
-      INSERT INTO daily_reflections (agent_id, date, portfolio_value, trades_made, reflection, mood, strategy_adjustment)
-      VALUES (?, ?, ?, ?, ?, ?, ?)
+      INSERT INTO daily_reflections (agent_id, date, portfolio_value, trades_made, reflection, mood, strategy_adjustment, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
       ON CONFLICT(agent_id, date) DO UPDATE SET
         portfolio_value = excluded.portfolio_value,
         trades_made = excluded.trades_made,
@@ -181,7 +117,7 @@ export class AgentMemory {
         mood = excluded.mood,
         strategy_adjustment = excluded.strategy_adjustment
     `);
-    stmt.run(agentId, date, portfolioValue, tradesMade, reflection, mood, strategyAdjustment);
+    stmt.run(agentId, date, portfolioValue, tradesMade, reflection, mood, strategyAdjustment, now);
   }
 
   // Get agent's recent reflections
@@ -233,6 +169,20 @@ export class AgentMemory {
     this.db.prepare('DELETE FROM daily_reflections WHERE agent_id = ?').run(agentId);
   }
 
+  // Every memory row, table by table - kept so an elimination can be undone
+  exportMemory(agentId) {
+    return Object.fromEntries(MEMORY_TABLES.map(table => [
+      table, this.db.prepare(`SELECT * FROM ${table} WHERE agent_id = ?`).all(agentId)
+    ]));
+  }
+
+  importMemory(agentId, tables) {
+    this.db.transaction(() => {
+      this.clearAgentMemory(agentId);
+      for (const table of MEMORY_TABLES) insertRows(this.db, table, tables[table] || []);
+    })();
+  }
+
   // Get full agent memory summary (for decision making context)
   getMemorySummary(agentId) {
     const winRate = this.getWinRate(agentId);
@@ -1,191 +1,374 @@
 import fs from 'fs';
 import path from 'path';
-import { fileURLToPath } from 'url';
-import { TRADEABLE_STOCKS, SECTORS } from './market-data.js';
 import { AgentMemory } from './agent-memory.js';
-
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const DATA_DIR = path.join(__dirname, '..', 'data');
-
-const AGENTS_FILE = path.join(DATA_DIR, 'agents.json');
-const GRAVEYARD_FILE = path.join(DATA_DIR, 'graveyard.json');
-const COMPETITION_FILE = path.join(DATA_DIR, 'competition.json');
-
-// Agent personality definitions
-const AGENT_TEMPLATES = {
-  warren: {
-    name: 'Warren',
-    personality: 'Patient value investor',
-    avatar: '🧓',
-    color: '#2563eb',
-    strategy: 'value',
-    riskTolerance: 0.3,
-    tradeFrequency: 0.3, // Less frequent trades
-    preferredStocks: [...SECTORS.finance, ...SECTORS.consumer, ...SECTORS.energy, ...SECTORS.healthcare, ...SECTORS.utilities],
-    avoidStocks: [...SECTORS.meme]
-  },
-  elon: {
-    name: 'Elon',
-    personality: 'Chaotic risk-taker, YOLO energy',
-    avatar: '🚀',
-    color: '#dc2626',
-    strategy: 'meme',
-    riskTolerance: 0.9,
-    tradeFrequency: 0.85,
-    preferredStocks: [...SECTORS.meme, ...SECTORS.growth, 'TSLA', 'NVDA', 'AMD', 'COIN', 'MSTR'],
-    avoidStocks: [...SECTORS.utilities, ...SECTORS.realestate]
-  },
-  cathy: {
-    name: 'Cathy',
-    personality: 'Innovation believer, disruption focused',
-    avatar: '🔮',
-    color: '#7c3aed',
-    strategy: 'growth',
-    riskTolerance: 0.7,
-    tradeFrequency: 0.6,
-    preferredStocks: [...SECTORS.tech, ...SECTORS.growth, 'TSLA', 'NVDA', 'AMD', 'CRWD', 'PANW'],
-    avoidStocks: [...SECTORS.energy, ...SECTORS.utilities]
-  },
-  gordon: {
-    name: 'Gordon',
-    personality: 'Greed is good, aggressive momentum',
-    avatar: '🦈',
-    color: '#059669',
-    strategy: 'momentum',
-    riskTolerance: 0.8,
-    tradeFrequency: 0.7,
-    preferredStocks: [], // Chases whatever is hot
-    avoidStocks: []
-  },
-  diamond: {
-    name: 'Diamond',
-    personality: '💎🙌 Never sells, buys every dip',
-    avatar: '💎',
-    color: '#0ea5e9',
-    strategy: 'hodl',
-    riskTolerance: 0.6,
-    tradeFrequency: 0.2, // Rarely trades, just holds
-    preferredStocks: [...SECTORS.etfs, 'AAPL', 'MSFT', 'GOOGL', 'AMZN', 'NVDA', 'JPM', 'V', 'UNH', 'JNJ'],
-    avoidStocks: [...SECTORS.meme]
-  },
-  paperhands: {
-    name: 'Paperhands',
-    personality: 'Quick profits, tight stop-losses',
-    avatar: '📄',
-    color: '#f59e0b',
-    strategy: 'scalp',
-    riskTolerance: 0.2,
-    tradeFrequency: 0.9,
-    preferredStocks: [], // Trades whatever
-    avoidStocks: ['GME', 'AMC'] // Too scary
-  },
-  quant: {
-    name: 'Quant',
-    personality: 'Pure data, no emotions',
-    avatar: '🤖',
-    color: '#6366f1',
-    strategy: 'technical',
-    riskTolerance: 0.5,
-    tradeFrequency: 0.6,
-    preferredStocks: [], // Data-driven
-    avoidStocks: []
-  }
+import { DecisionJournal } from './decision-journal.js';
+import { RiskManager } from './risk-manager.js';
+import { PlayerAccounts } from './players.js';
+import { DATA_DIR, getMeta, setMeta, deleteMeta } from './database.js';
+import { systemClock } from './clock.js';
+import { DEFINITIONS_DIR, loadAgentDefinitions, resolveUniverse, updateDefinition } from './agent-definitions.js';
+import { getStrategy } from './strategies/index.js';
+import { BENCHMARK_SYMBOL } from './metrics.js';
+import { resolveRules, judgeRound } from './competition-rules.js';
+import { DEFAULT_EVOLUTION, extractGenome, breed } from './evolution.js';
+import { DELISTING_MODES } from './symbols.js';
+import { AgentRandom, seededRandom, randomSeed, hashString } from './random.js';
+
+// Leaderboard sort keys -> [value getter, lower is better]
+export const LEADERBOARD_SORTS = {
+  value: [a => a.currentValue, false],
+  return: [a => a.totalReturnPercent, false],
+  sharpe: [a => a.metrics.sharpe, false],
+  sortino: [a => a.metrics.sortino, false],
+  calmar: [a => a.metrics.calmar, false],
+  alpha: [a => a.metrics.alphaPercent, false],
+  profitFactor: [a => a.metrics.profitFactor, false],
+  winRate: [a => a.metrics.winRate, false],
+  volatility: [a => a.metrics.volatilityPercent, true],
+  maxDrawdown: [a => a.metrics.maxDrawdownPercent, true]
 };
 
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_STARTING_CASH = 25;
+const LAST_ELIMINATION_KEY = 'last_elimination'; // meta key: what the last elimination replaced, for undo
+const IDENTITY_KEYS = ['name', 'personality', 'avatar', 'color'];
+const ROUND_KEYS = ['round', 'startDate', 'endDate', 'rules', 'nextRules', 'immune', 'eliminated', 'seed'];
+// Market order sides a player can send -> the engine call that fills it
+const PLAYER_SIDES = { buy: 'executeBuy', sell: 'executeSell', short: 'executeShort', cover: 'executeCover' };
+
 export class AgentManager {
-  constructor(tradingEngine, marketData) {
+  constructor(tradingEngine, marketData, options = {}) {
     this.tradingEngine = tradingEngine;
     this.marketData = marketData;
-    this.memory = new AgentMemory();
+    this.db = options.db || tradingEngine.db; // Agents, ledger and memory share one database
+    this.clock = options.clock || tradingEngine.clock || systemClock;
+    this.minScanQuotes = options.minScanQuotes ?? 10;
+    this.events = options.events || tradingEngine.events || null;
+    // What sets one arena apart from another (see arenas.js); the defaults are the main competition
+    this.startingCash = options.startingCash ?? DEFAULT_STARTING_CASH;
+    this.universe = options.universe || null; // Universe spec the whole competition trades within; null = the whole market
+    this.initialRules = options.rules || {}; // Elimination rules for the first round
+    this.baseSeed = options.seed ?? null; // First round's seed, later ones derive from it; null = a fresh one each round
+    this.summaryFile = options.summaryFile || path.join(DATA_DIR, 'daily-summaries.json');
+    this.tape = options.tape || null; // MarketTape recording what each scan saw, for replays
+    this.memory = new AgentMemory(this.db, this.clock);
+    this.journal = options.journal || new DecisionJournal({ db: this.db, clock: this.clock }); // Why each agent did what it did
+    this.risk = options.risk || new RiskManager({
+      engine: tradingEngine, marketData, db: this.db, clock: this.clock,
+      limits: (agentId) => this.agents[agentId]?.risk // Agents saved before risk limits existed get the defaults
+    });
+    this.tradingEngine.setRiskManager(this.risk);
+    this.players = options.players || new PlayerAccounts({ db: this.db, clock: this.clock }); // Humans competing alongside the agents
+    this.definitions = options.definitions || loadAgentDefinitions(DEFINITIONS_DIR, marketData.symbols); // server/agents/*.yaml
     this.agents = this.loadAgents();
     this.graveyard = this.loadGraveyard();
     this.competition = this.loadCompetition();
+    this.saveRound(); // Make sure the current round's rules are on record
+    this.applyTemplateEdits();
+    this.syncHalts();
+
+    // Fill simulation is a competition setting
+    try {
+      this.tradingEngine.setExecutionModel(this.competition.execution || {});
+    } catch (error) {
+      // Saved before settings were validated - fall back rather than refuse to start
+      console.warn(`[Execution] Ignoring saved settings: ${error.message}`);
+      this.tradingEngine.setExecutionModel({});
+    }
+
+    // Sector universes follow the registry as symbols are added, reclassified or delisted
+    this.onSymbolsChange = () => this.refreshUniverses();
+    marketData.symbols.on('change', this.onSymbolsChange);
+  }
+
+  // Stop following the registry (the arena this competition ran in is closing)
+  close() {
+    this.marketData.symbols.off('change', this.onSymbolsChange);
   }
 
   loadAgents() {
-    try {
-      return JSON.parse(fs.readFileSync(AGENTS_FILE, 'utf8'));
-    } catch {
-      return {};
+    const agents = {};
+    for (const row of this.db.prepare('SELECT id, data FROM agents').all()) {
+      agents[row.id] = JSON.parse(row.data);
     }
+    return agents;
   }
 
   saveAgents() {
-    fs.writeFileSync(AGENTS_FILE, JSON.stringify(this.agents, null, 2));
+    const now = this.clock.iso();
+    const upsert = this.db.prepare(`
+      INSERT INTO agents (id, data, updated_at) VALUES (?, ?, ?)
+      ON CONFLICT(id) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at
+    `);
+    this.db.transaction(() => {
+      for (const agent of Object.values(this.agents)) {
+        upsert.run(agent.id, JSON.stringify(agent), now);
+      }
+      const ids = Object.keys(this.agents);
+      this.db.prepare(`DELETE FROM agents WHERE id NOT IN (${ids.map(() => '?').join(', ') || "''"})`).run(...ids);
+    })();
   }
 
   loadGraveyard() {
-    try {
-      return JSON.parse(fs.readFileSync(GRAVEYARD_FILE, 'utf8'));
-    } catch {
-      return [];
-    }
+    return this.db.prepare('SELECT data FROM graveyard ORDER BY id').all().map(row => JSON.parse(row.data));
   }
 
-  saveGraveyard() {
-    fs.writeFileSync(GRAVEYARD_FILE, JSON.stringify(this.graveyard, null, 2));
+  // Returns the graveyard row id
+  addToGraveyard(entry) {
+    const { lastInsertRowid } = this.db.prepare('INSERT INTO graveyard (agent_id, eliminated_at, data) VALUES (?, ?, ?)')
+      .run(entry.id, entry.eliminatedAt, JSON.stringify(entry));
+    this.graveyard.push(entry);
+    return Number(lastInsertRowid);
   }
 
   loadCompetition() {
-    try {
-      return JSON.parse(fs.readFileSync(COMPETITION_FILE, 'utf8'));
-    } catch {
-      return {
-        startDate: new Date().toISOString(),
-        endDate: new Date(Date.now() + 14 * 24 * 60 * 60 * 1000).toISOString(),
-        round: 1,
-        eliminated: []
-      };
+    const row = this.db.prepare('SELECT data FROM competition WHERE id = 1').get();
+    if (row) {
+      const competition = JSON.parse(row.data);
+      competition.rules = resolveRules(competition.rules); // Older saves predate rules
+      competition.immune ??= [];
+      competition.evolution = { ...DEFAULT_EVOLUTION, ...competition.evolution };
+      competition.paused ??= null;
+      competition.templates ??= {};
+      if (competition.seed == null) {
+        // Saves from before seeding: keep whatever the round was recorded with, and
+        // write it back straight away so a restart doesn't roll a different one
+        const recorded = this.db.prepare('SELECT seed FROM rounds WHERE round = ?').get(competition.round);
+        competition.seed = recorded?.seed ?? this.roundSeed(competition.round);
+        this.saveCompetition(competition);
+      }
+      return competition;
     }
+
+    const rules = resolveRules(this.initialRules);
+    return {
+      startDate: this.clock.iso(),
+      endDate: new Date(this.clock.now() + rules.roundDays * DAY_MS).toISOString(),
+      round: 1,
+      eliminated: [],
+      execution: {}, // Overrides on top of DEFAULT_EXECUTION
+      rules, // Elimination rules in force this round
+      nextRules: null, // Takes over when the next round starts
+      immune: [], // Agent ids that can't be eliminated this round
+      evolution: { ...DEFAULT_EVOLUTION }, // How replacements are bred
+      paused: null, // { at, reason } while an admin has stopped all trading
+      templates: {}, // Admin edits to agent templates, replayed over the definition files at startup
+      seed: this.roundSeed(1) // Every roll of the dice this round derives from it (see random.js)
+    };
+  }
+
+  roundSeed(round) {
+    if (this.baseSeed == null) return randomSeed();
+    return round === 1 ? this.baseSeed : hashString(`${this.baseSeed}:${round}`);
   }
 
-  saveCompetition() {
-    fs.writeFileSync(COMPETITION_FILE, JSON.stringify(this.competition, null, 2));
+  // This agent's dice for today. Strategies get it as ctx.rng; nothing an agent
+  // decides should touch Math.random, or the round can't be replayed from its seed.
+  rng(agentId) {
+    if (this.random?.seed !== this.competition.seed) this.random = new AgentRandom(this.competition.seed, this.clock);
+    return this.random.for(agentId);
+  }
+
+  // Record the current round's rules (and its results, once judged)
+  saveRound(results = null) {
+    this.db.prepare(`
+      INSERT INTO rounds (round, started_at, ended_at, rules, results, seed) VALUES (?, ?, ?, ?, ?, ?)
+      ON CONFLICT(round) DO UPDATE SET
+        rules = excluded.rules,
+        seed = COALESCE(rounds.seed, excluded.seed),
+        ended_at = COALESCE(excluded.ended_at, rounds.ended_at),
+        results = COALESCE(excluded.results, rounds.results)
+    `).run(this.competition.round, this.competition.startDate, results ? this.clock.iso() : null,
+      JSON.stringify(this.competition.rules), results ? JSON.stringify(results) : null, this.competition.seed);
+  }
+
+  getRounds() {
+    return this.db.prepare('SELECT * FROM rounds ORDER BY round DESC').all().map(row => ({
+      round: row.round,
+      startedAt: row.started_at,
+      endedAt: row.ended_at,
+      rules: JSON.parse(row.rules),
+      results: row.results ? JSON.parse(row.results) : null,
+      seed: row.seed
+    }));
+  }
+
+  // The seed of the round that was running at `time`, or null before the first
+  seedAt(time) {
+    const row = this.db.prepare('SELECT seed FROM rounds WHERE started_at <= ? ORDER BY round DESC LIMIT 1')
+      .get(new Date(time).toISOString());
+    return row?.seed ?? null;
+  }
+
+  // Change the elimination rules - for this round (before it's judged) or from the next one
+  setRules(rules, { effective = 'next' } = {}) {
+    if (!['now', 'next'].includes(effective)) throw new Error(`effective must be 'now' or 'next'`);
+    const resolved = resolveRules(rules);
+
+    if (effective === 'now') {
+      this.competition.rules = resolved;
+      this.competition.endDate = new Date(Date.parse(this.competition.startDate) + resolved.roundDays * DAY_MS).toISOString();
+      this.saveRound();
+    } else {
+      this.competition.nextRules = resolved;
+    }
+    this.saveCompetition();
+    return { rules: this.competition.rules, nextRules: this.competition.nextRules || null };
+  }
+
+  // Tune how replacements are bred (mutation rate/scale, crossover, or off entirely)
+  setEvolutionConfig(config) {
+    for (const key of Object.keys(config)) {
+      if (!(key in DEFAULT_EVOLUTION)) throw new Error(`Unknown evolution setting: ${key}`);
+    }
+    const evolution = { ...this.competition.evolution, ...config };
+    if (typeof evolution.enabled !== 'boolean') throw new Error('enabled must be true or false');
+    for (const key of ['mutationRate', 'mutationScale', 'crossoverRate']) {
+      if (typeof evolution[key] !== 'number' || evolution[key] < 0 || evolution[key] > 1) {
+        throw new Error(`${key} must be a number between 0 and 1`);
+      }
+    }
+    this.competition.evolution = evolution;
+    this.saveCompetition();
+    return evolution;
+  }
+
+  // Change how fills are simulated for this competition (spread, slippage, fee schedule)
+  setExecutionConfig(config) {
+    this.tradingEngine.setExecutionModel(config); // Throws on unknown model or bad numbers
+    this.competition.execution = config;
+    this.saveCompetition();
+    return this.tradingEngine.getExecutionConfig();
+  }
+
+  saveCompetition(competition = this.competition) {
+    this.db.prepare(`
+      INSERT INTO competition (id, data, updated_at) VALUES (1, ?, ?)
+      ON CONFLICT(id) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at
+    `).run(JSON.stringify(competition), this.clock.iso());
   }
 
   initialize() {
-    // Create all 7 agents if they don't exist
-    const templateIds = Object.keys(AGENT_TEMPLATES);
-    
-    for (const templateId of templateIds) {
-      if (!this.agents[templateId]) {
-        this.createAgent(templateId);
+    // Create every defined agent that doesn't exist yet
+    for (const definitionId of Object.keys(this.definitions)) {
+      if (!this.agents[definitionId]) {
+        this.createAgent(definitionId);
       } else {
+        const agent = this.agents[definitionId];
+        // Edited definitions apply on restart to founders; bred agents keep their inherited traits
+        if (!agent.parents?.length) {
+          Object.assign(agent, structuredClone(this.definitions[definitionId]));
+          agent.genome = extractGenome(agent);
+          agent.parents = [];
+        }
+        this.recordLineage(agent);
         // Ensure portfolio exists for existing agents
-        this.tradingEngine.initializePortfolio(templateId, 25);
+        this.tradingEngine.initializePortfolio(definitionId, this.startingCash);
       }
     }
+    this.saveAgents();
     
     console.log(`[AgentManager] Initialized ${Object.keys(this.agents).length} agents`);
   }
 
-  createAgent(templateId, generation = 1) {
-    const template = AGENT_TEMPLATES[templateId];
-    if (!template) throw new Error(`Unknown agent template: ${templateId}`);
+  // Re-resolve every agent's universe spec against the registry. Agents saved
+  // before specs were kept (no `universe`) hold on to their symbol lists.
+  refreshUniverses() {
+    for (const agent of Object.values(this.agents)) {
+      if (agent.universe) Object.assign(agent, resolveUniverse(agent.universe, this.marketData.symbols));
+    }
+    this.saveAgents();
+  }
 
+  // inherited: traits bred from survivors (see evolution.js). Without it the
+  // agent starts fresh from its definition file. Agents added by an admin run
+  // off another id's template, under their own name, avatar and color.
+  createAgent(agentId, generation = 1, inherited = null, { template = agentId, identity = null, startingCash = this.startingCash } = {}) {
+    const definition = this.definitions[template];
+    if (!definition) throw new Error(`Unknown agent definition: ${template}`);
+
+    const { mutations = null, ...traits } = inherited || {};
     const agent = {
-      id: templateId,
-      ...template,
+      id: agentId,
+      ...structuredClone(definition),
+      ...traits,
+      ...identity, // Name, avatar and color stay with the slot
+      ...(template !== agentId && { template }),
       generation,
-      createdAt: new Date().toISOString(),
+      createdAt: this.clock.iso(),
       status: 'active',
       kills: 0 // How many agents this one has outlasted
     };
+    agent.genome ??= extractGenome(agent);
+    agent.parents ??= [];
 
-    this.agents[templateId] = agent;
-    this.tradingEngine.initializePortfolio(templateId, 25);
+    this.agents[agentId] = agent;
+    this.tradingEngine.initializePortfolio(agentId, startingCash);
+    this.risk.forget(agentId);
     this.saveAgents();
+    this.recordLineage(agent, mutations);
 
-    console.log(`[AgentManager] Created agent: ${agent.name} (Gen ${generation})`);
+    const bredFrom = agent.parents.length ? ` bred from ${agent.parents.map(p => `${p.name} G${p.generation}`).join(' × ')}` : '';
+    console.log(`[AgentManager] Created agent: ${agent.name} (Gen ${generation})${bredFrom}`);
     return agent;
   }
 
-  getAgent(agentId) {
+  recordLineage(agent, mutations = null) {
+    this.db.prepare(`
+      INSERT OR IGNORE INTO lineage (key, agent_id, generation, name, strategy, round, parents, genome, mutations, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(`${agent.id}:${agent.generation}`, agent.id, agent.generation, agent.name, agent.strategy,
+      this.competition.round, JSON.stringify(agent.parents), JSON.stringify(agent.genome),
+      mutations ? JSON.stringify(mutations) : null, agent.createdAt);
+  }
+
+  rowToLineage(row) {
+    return {
+      key: row.key,
+      id: row.agent_id,
+      generation: row.generation,
+      name: row.name,
+      strategy: row.strategy,
+      round: row.round,
+      parents: JSON.parse(row.parents),
+      genome: JSON.parse(row.genome),
+      mutations: row.mutations ? JSON.parse(row.mutations) : null,
+      createdAt: row.created_at
+    };
+  }
+
+  // Every agent that ever lived, oldest first
+  getLineage() {
+    return this.db.prepare('SELECT * FROM lineage ORDER BY created_at, key').all().map(row => this.rowToLineage(row));
+  }
+
+  // Family tree for one agent: the current generation with its ancestors nested under parents
+  getAncestry(agentId, generation = null) {
+    const nodes = Object.fromEntries(this.getLineage().map(n => [n.key, n]));
+    const build = (key, seen) => {
+      const node = nodes[key];
+      if (!node || seen.has(key)) return null;
+      seen.add(key);
+      return {
+        ...node,
+        parents: node.parents.map(p => build(`${p.id}:${p.generation}`, new Set(seen)) || { ...p, unknown: true })
+      };
+    };
+    const gen = generation ?? this.agents[agentId]?.generation;
+    return gen == null ? null : build(`${agentId}:${gen}`, new Set());
+  }
+
+  // SPY daily closes for beta/alpha; null if the provider can't supply them
+  async getBenchmark() {
+    return this.marketData.getDailyCloses(BENCHMARK_SYMBOL);
+  }
+
+  getAgent(agentId, { benchmark = null } = {}) {
     const agent = this.agents[agentId];
     if (!agent) return null;
 
     const portfolio = this.tradingEngine.getPortfolio(agentId);
-    const performance = this.tradingEngine.getPerformance(agentId);
+    const performance = this.tradingEngine.getPerformance(agentId, { benchmark });
 
     return { ...agent, portfolio, performance };
   }
@@ -198,11 +381,23 @@ export class AgentManager {
     return result;
   }
 
+  // The symbols this competition trades: the whole market, or the slice its universe spec picks out
+  getUniverse() {
+    const tradeable = this.marketData.getTradeableStocks();
+    if (!this.universe) return tradeable;
+    const { preferredStocks, avoidStocks } = resolveUniverse(this.universe, this.marketData.symbols);
+    return tradeable.filter(s => (!preferredStocks.length || preferredStocks.includes(s)) && !avoidStocks.includes(s));
+  }
+
   getActiveAgentCount() {
     return Object.values(this.agents).filter(a => a.status === 'active').length;
   }
 
-  async getLeaderboard() {
+  async getLeaderboard({ sort = 'value' } = {}) {
+    if (!LEADERBOARD_SORTS[sort]) {
+      throw new Error(`Unknown sort: ${sort} (expected one of: ${Object.keys(LEADERBOARD_SORTS).join(', ')})`);
+    }
+    const benchmark = await this.getBenchmark();
     const agents = [];
     
     for (const agentId of Object.keys(this.agents)) {
@@ -210,7 +405,8 @@ export class AgentManager {
       if (agent.status !== 'active') continue;
 
       const value = await this.tradingEngine.calculatePortfolioValue(agentId, this.marketData);
-      const performance = this.tradingEngine.getPerformance(agentId);
+      const performance = this.tradingEngine.getPerformance(agentId, { benchmark });
+      const startValue = performance?.startValue || this.startingCash;
 
       agents.push({
         id: agentId,
@@ -219,25 +415,60 @@ export class AgentManager {
         color: agent.color,
         personality: agent.personality,
         currentValue: value,
-        totalReturn: value - 25,
-        totalReturnPercent: ((value - 25) / 25) * 100,
+        totalReturn: value - startValue,
+        totalReturnPercent: ((value - startValue) / startValue) * 100,
         tradesCount: performance?.tradesCount || 0,
-        generation: agent.generation
+        roundTrades: this.tradingEngine.getTradeCount(agentId, this.competition.startDate),
+        generation: agent.generation,
+        createdAt: agent.createdAt,
+        metrics: performance?.metrics || {},
+        isHuman: !!agent.human
       });
     }
 
-    // Sort by value (highest first)
-    agents.sort((a, b) => b.currentValue - a.currentValue);
+    // Danger zone: whoever this round's rules would eliminate right now
+    const { eliminated } = judgeRound(agents, this.competition.rules, this.competition.immune);
+    for (const agent of agents) {
+      agent.isElimination = eliminated.some(e => e.id === agent.id);
+      agent.isImmune = this.competition.immune.includes(agent.id);
+      agent.isPaused = this.isPaused(this.agents[agent.id]);
+    }
 
-    // Add rank
+    // Then rank by the requested key; agents without enough history go last
+    const [get, ascending] = LEADERBOARD_SORTS[sort];
+    agents.sort((a, b) => {
+      const x = get(a);
+      const y = get(b);
+      if (x == null || y == null) return (x == null) - (y == null);
+      return ascending ? x - y : y - x;
+    });
     agents.forEach((agent, index) => {
       agent.rank = index + 1;
-      agent.isElimination = index >= agents.length - 2; // Bottom 2 in danger
     });
 
     return agents;
   }
 
+  // Who holds a symbol right now, long or short, and how it's going for them
+  getHolders(symbol) {
+    const price = this.marketData.getLastPrice(symbol);
+    return this.tradingEngine.getHolders(symbol).map(holder => {
+      const agent = this.agents[holder.agentId];
+      const direction = holder.side === 'long' ? 1 : -1;
+      return {
+        ...holder,
+        name: agent?.name ?? holder.agentId,
+        avatar: agent?.avatar,
+        color: agent?.color,
+        isHuman: !!agent?.human,
+        price,
+        marketValue: price != null ? holder.shares * price : null,
+        unrealizedPnl: price != null ? direction * (price - holder.avgPrice) * holder.shares : null,
+        unrealizedPnlPercent: price != null ? direction * (price / holder.avgPrice - 1) * 100 : null
+      };
+    }).sort((a, b) => (b.marketValue ?? 0) - (a.marketValue ?? 0));
+  }
+
   // Live market scan - uses only cached data, zero latency
   async runMarketScan() {
     // All data from cache - instant
@@ -246,7 +477,8 @@ export class AgentManager {
     const movers = await this.marketData.getTopMovers();
     
     // Need at least some data to work with
-    if (Object.keys(quotes).length < 10) return;
+    if (Object.keys(quotes).length < this.minScanQuotes) return;
+    this.tape?.record(quotes, analyses);
 
     let tradesThisRound = 0;
 
@@ -254,136 +486,100 @@ export class AgentManager {
       const agent = this.agents[agentId];
       if (agent.status !== 'active') continue;
 
+      const portfolio = this.tradingEngine.getPortfolio(agentId);
+      if (!portfolio) continue;
+
+      // Players make their own calls - they only get the margin desk and a snapshot
+      if (agent.human) {
+        try {
+          await this.tradingEngine.checkMargin(agentId, quotes);
+          const value = await this.tradingEngine.calculatePortfolioValue(agentId, this.marketData);
+          this.tradingEngine.recordPortfolioSnapshot(agentId, value);
+        } catch (error) {
+          console.error(`[Scan] Error for ${agent.name}:`, error.message);
+        }
+        continue;
+      }
+      const trace = this.startDecision(agent, 'scan', portfolio, quotes, analyses);
+
       try {
-        const portfolio = this.tradingEngine.getPortfolio(agentId);
-        if (!portfolio) continue;
+        // Margin desk runs first - underwater shorts get bought back
+        await this.tradingEngine.checkMargin(agentId, quotes);
 
-        // Agent decides: should I trade right now?
-        const decision = this.shouldTrade(agent, portfolio, quotes, analyses);
+        // Agent decides: should I trade right now? (not while an admin has it paused)
+        const paused = this.isPaused(agent);
+        const decision = paused ? { trade: false } : this.shouldTrade(agent, portfolio, quotes, analyses, trace);
         
+        if (paused) {
+          trace.finish('paused', (this.competition.paused || agent.paused).reason);
+        } else {
+          trace.trigger(decision);
+        }
         if (decision.trade) {
           console.log(`[${agent.name}] ${decision.reason}`);
-          await this.executeAgentStrategy(agent, quotes, movers, analyses);
-          tradesThisRound++;
+          await this.executeAgentStrategy(agent, quotes, movers, analyses, trace);
+          if (trace.filled().length) tradesThisRound++; // Refused orders don't count
         }
         
         // Always record portfolio snapshot
         const value = await this.tradingEngine.calculatePortfolioValue(agentId, this.marketData);
         this.tradingEngine.recordPortfolioSnapshot(agentId, value);
       } catch (error) {
+        trace.finish('error', error.message);
         console.error(`[Scan] Error for ${agent.name}:`, error.message);
       }
+      this.journal.record(trace);
     }
 
     console.log(`[Scan] Complete - ${tradesThisRound} agents traded`);
   }
 
   // Each agent independently reasons about whether NOW is a good time to trade
-  shouldTrade(agent, portfolio, quotes, analyses) {
-    const memorySummary = this.memory.getMemorySummary(agent.id);
+  shouldTrade(agent, portfolio, quotes, analyses, trace = null) {
     const positions = Object.entries(portfolio.positions);
+    const shorts = Object.entries(portfolio.shorts || {});
     const portfolioValue = portfolio.cash + positions.reduce((sum, [sym, pos]) => {
       return sum + (quotes[sym] ? pos.shares * quotes[sym].price : pos.shares * pos.avgCost);
+    }, 0) - shorts.reduce((sum, [sym, short]) => {
+      return sum + short.shares * (quotes[sym] ? quotes[sym].price : short.lastPrice);
     }, 0);
     const returnPct = ((portfolioValue - portfolio.startingValue) / portfolio.startingValue) * 100;
+    trace?.inputs({ portfolioValue: Math.round(portfolioValue * 100) / 100, returnPct: Math.round(returnPct * 100) / 100 });
+
+    // Shorts lose money as price rises
+    for (const [symbol, short] of shorts) {
+      if (!quotes[symbol]) continue;
+      const pnl = ((short.avgPrice - quotes[symbol].price) / short.avgPrice) * 100;
+      if (pnl < -5 || pnl > 8) {
+        return { trade: true, reason: `📉 Short ${symbol} at ${pnl.toFixed(1)}% - time to cover` };
+      }
+    }
 
     // Check if any current positions need urgent attention (stop-loss, take-profit)
+    const exit = agent.exit;
     for (const [symbol, pos] of positions) {
       if (!quotes[symbol]) continue;
       const pnl = ((quotes[symbol].price - pos.avgCost) / pos.avgCost) * 100;
       
       // Urgent sells based on personality
-      if (agent.strategy === 'scalp' && (pnl > 1.5 || pnl < -1.5)) {
-        return { trade: true, reason: `📄 Position ${symbol} at ${pnl.toFixed(1)}% - need to act!` };
+      if (exit.urgent && exit.takeProfit != null && pnl > exit.takeProfit) {
+        return { trade: true, reason: `${agent.avatar} Position ${symbol} at ${pnl.toFixed(1)}% - need to act!` };
       }
-      if (agent.strategy === 'momentum' && pnl < -3) {
-        return { trade: true, reason: `🦈 Cutting loss on ${symbol} (${pnl.toFixed(1)}%)` };
+      if (exit.urgent && exit.stopLoss != null && pnl < exit.stopLoss) {
+        return { trade: true, reason: `${agent.avatar} Cutting loss on ${symbol} (${pnl.toFixed(1)}%)` };
       }
-      if (pnl < -10 && agent.strategy !== 'hodl') {
+      if (exit.panicLoss != null && pnl < exit.panicLoss) {
         return { trade: true, reason: `⚠️ ${symbol} down ${pnl.toFixed(1)}% - must act!` };
       }
-      if (pnl > 15) {
+      if (exit.profitReview != null && pnl > exit.profitReview) {
         return { trade: true, reason: `🎯 ${symbol} up ${pnl.toFixed(1)}% - consider taking profits` };
       }
     }
 
     // Look for opportunities in the market
-    const opportunities = Object.values(analyses).filter(a => a);
-    
-    switch (agent.strategy) {
-      case 'value': {
-        // Warren trades when he sees oversold value stocks
-        const oversold = opportunities.filter(a => a.rsi < 35 && a.trend !== 'bullish');
-        if (oversold.length > 0 && portfolio.cash > 1) {
-          return { trade: true, reason: `🧓 Spotted oversold value: ${oversold[0].symbol} (RSI:${oversold[0].rsi.toFixed(0)})` };
-        }
-        // Also trade if sitting on too much cash with good options
-        if (portfolio.cash > portfolioValue * 0.7 && opportunities.some(a => a.signal > 15)) {
-          return { trade: true, reason: `🧓 Too much cash, deploying capital` };
-        }
-        break;
-      }
-      case 'meme': {
-        // Elon trades when he sees high volatility or big moves
-        const wild = opportunities.filter(a => a.volatility > 3 || Math.abs(a.dailyChange) > 2);
-        if (wild.length > 0 && Math.random() > 0.3) { // Impulsive
-          return { trade: true, reason: `🚀 Volatility detected: ${wild[0].symbol} (vol:${wild[0].volatility.toFixed(1)}%, move:${wild[0].dailyChange.toFixed(1)}%)` };
-        }
-        // Random YOLO urge
-        if (Math.random() > 0.7 && portfolio.cash > 1) {
-          return { trade: true, reason: `🚀 Feeling lucky...` };
-        }
-        break;
-      }
-      case 'growth': {
-        // Cathy trades when growth stocks are trending up
-        const growthPicks = opportunities.filter(a => 
-          agent.preferredStocks.includes(a.symbol) && a.trend === 'bullish' && a.rsi < 65
-        );
-        if (growthPicks.length > 0 && portfolio.cash > 1) {
-          return { trade: true, reason: `🔮 Growth signal: ${growthPicks[0].symbol} (trend:bullish, RSI:${growthPicks[0].rsi.toFixed(0)})` };
-        }
-        break;
-      }
-      case 'momentum': {
-        // Gordon chases hot stocks - trades when something is ripping
-        const hot = opportunities.filter(a => a.dailyChange > 1.5 && a.trend === 'bullish');
-        if (hot.length > 0 && portfolio.cash > 1) {
-          return { trade: true, reason: `🦈 Momentum opportunity: ${hot[0].symbol} (+${hot[0].dailyChange.toFixed(1)}% today)` };
-        }
-        break;
-      }
-      case 'hodl': {
-        // Diamond only buys dips, very selective
-        const bigDips = opportunities.filter(a => a.dailyChange < -1.5 || (a.rsi < 30 && a.weekChange < -3));
-        if (bigDips.length > 0 && portfolio.cash > 1) {
-          return { trade: true, reason: `💎 Dip detected: ${bigDips[0].symbol} (${bigDips[0].dailyChange.toFixed(1)}% today, RSI:${bigDips[0].rsi.toFixed(0)})` };
-        }
-        break;
-      }
-      case 'scalp': {
-        // Paperhands is always looking for quick entries
-        const quickPlays = opportunities.filter(a => 
-          a.dailyChange < 0 && a.dailyChange > -2 && a.rsi > 35 && a.rsi < 50 && a.trend !== 'bearish'
-        );
-        if (quickPlays.length > 0 && portfolio.cash > 1) {
-          return { trade: true, reason: `📄 Quick play: ${quickPlays[0].symbol} (small dip, bounce potential)` };
-        }
-        // Also check if any positions hit scalp targets
-        break;
-      }
-      case 'technical': {
-        // Quant trades on strong signals only
-        const strongSignals = opportunities.filter(a => Math.abs(a.signal) > 30);
-        if (strongSignals.length > 0) {
-          const best = strongSignals.sort((a, b) => Math.abs(b.signal) - Math.abs(a.signal))[0];
-          if (best.signal > 30 && portfolio.cash > 1) {
-            return { trade: true, reason: `🤖 Strong buy signal: ${best.symbol} (signal:${best.signal.toFixed(0)}, RSI:${best.rsi.toFixed(0)})` };
-          }
-        }
-        break;
-      }
-    }
+    const ctx = this.strategyContext(agent, portfolio, quotes, analyses, null, portfolioValue);
+    const reason = getStrategy(agent.strategy).opportunity(ctx);
+    if (reason) return { trade: true, reason };
 
     // Competition pressure - if in danger zone, trade more aggressively
     if (returnPct < -5 && portfolio.cash > 1) {
@@ -397,66 +593,92 @@ export class AgentManager {
   async runTradingRound() {
     console.log('[Trading] Starting trading round...');
     
-    const quotes = await this.marketData.getMultipleQuotes(TRADEABLE_STOCKS);
-    const analyses = await this.marketData.analyzeMultiple(TRADEABLE_STOCKS);
+    const universe = this.getUniverse();
+    const quotes = await this.marketData.getMultipleQuotes(universe);
+    const analyses = await this.marketData.analyzeMultiple(universe);
     const movers = await this.marketData.getTopMovers();
 
     for (const agentId of Object.keys(this.agents)) {
       const agent = this.agents[agentId];
-      if (agent.status !== 'active') continue;
+      if (agent.status !== 'active' || agent.human || this.isPaused(agent)) continue;
+
+      const portfolio = this.tradingEngine.getPortfolio(agentId);
+      if (!portfolio) continue;
+      const trace = this.startDecision(agent, 'round', portfolio, quotes, analyses);
 
       try {
-        await this.executeAgentStrategy(agent, quotes, movers, analyses);
+        await this.executeAgentStrategy(agent, quotes, movers, analyses, trace);
         
         const value = await this.tradingEngine.calculatePortfolioValue(agentId, this.marketData);
         this.tradingEngine.recordPortfolioSnapshot(agentId, value);
       } catch (error) {
+        trace.finish('error', error.message);
         console.error(`[Trading] Error for ${agent.name}:`, error.message);
       }
+      this.journal.record(trace);
     }
 
     console.log('[Trading] Trading round complete');
   }
 
-  async executeAgentStrategy(agent, quotes, movers, analyses) {
+  async executeAgentStrategy(agent, quotes, movers, analyses, trace = null) {
     const portfolio = this.tradingEngine.getPortfolio(agent.id);
     if (!portfolio) return;
 
     // Decide if agent will trade this round (personality-based)
-    if (Math.random() > agent.tradeFrequency) {
+    if (this.rng(agent.id)() > agent.tradeFrequency) {
+      trace?.finish('skipped', `Sat this one out (trades ${Math.round(agent.tradeFrequency * 100)}% of the time)`);
       return; // Skip this round
     }
 
     // Every agent first checks existing positions for sells
-    await this.checkPositions(agent, portfolio, quotes, analyses);
-
-    switch (agent.strategy) {
-      case 'value':
-        await this.strategyValue(agent, portfolio, quotes, analyses);
-        break;
-      case 'meme':
-        await this.strategyMeme(agent, portfolio, quotes, analyses);
-        break;
-      case 'growth':
-        await this.strategyGrowth(agent, portfolio, quotes, analyses);
-        break;
-      case 'momentum':
-        await this.strategyMomentum(agent, portfolio, quotes, movers, analyses);
-        break;
-      case 'hodl':
-        await this.strategyHodl(agent, portfolio, quotes, analyses);
-        break;
-      case 'scalp':
-        await this.strategyScalp(agent, portfolio, quotes, analyses);
-        break;
-      case 'technical':
-        await this.strategyTechnical(agent, portfolio, quotes, analyses);
-        break;
+    await this.checkPositions(agent, portfolio, quotes, analyses, trace);
+    await this.checkShorts(agent, portfolio, quotes, analyses, trace);
+
+    // A tripped circuit breaker still lets the agent get out, just not in
+    if (this.risk.isTripped(agent.id)) {
+      trace?.note('Circuit breaker tripped - no new positions today');
+      return;
     }
+
+    const ctx = this.strategyContext(agent, this.tradingEngine.getPortfolio(agent.id), quotes, analyses, movers);
+    await getStrategy(agent.strategy).enter({ ...ctx, trace });
+  }
+
+  // Journal entry for one agent's decision cycle, opened with what it can see
+  startDecision(agent, kind, portfolio, quotes, analyses) {
+    const trace = this.journal.start(agent, kind);
+    trace.inputs({
+      cash: Math.round(portfolio.cash * 100) / 100,
+      positions: Object.keys(portfolio.positions),
+      shorts: Object.keys(portfolio.shorts || {}),
+      quotes: Object.keys(quotes).length,
+      analyses: Object.keys(analyses).length
+    });
+    return trace;
+  }
+
+  // Everything a strategy module gets to look at (see strategies/index.js)
+  strategyContext(agent, portfolio, quotes, analyses, movers = null, portfolioValue = null) {
+    const universe = this.getUniverse();
+    return {
+      agent,
+      params: agent.params,
+      portfolio,
+      portfolioValue: portfolioValue ?? portfolio.startingValue,
+      quotes,
+      analyses,
+      opportunities: Object.values(analyses).filter(a => a && (!this.universe || universe.includes(a.symbol))),
+      movers,
+      universe,
+      engine: this.tradingEngine,
+      memory: this.memory,
+      rng: this.rng(agent.id)
+    };
   }
 
   // Universal position checker - all agents review their holdings
-  async checkPositions(agent, portfolio, quotes, analyses) {
+  async checkPositions(agent, portfolio, quotes, analyses, trace = null) {
     for (const [symbol, position] of Object.entries(portfolio.positions)) {
       if (!quotes[symbol]) continue;
       const currentPrice = quotes[symbol].price;
@@ -468,48 +690,40 @@ export class AgentManager {
       
       let shouldSell = false;
       let reason = '';
+      const fired = []; // Every exit rule that matched, for the decision journal
 
-      // Strategy-specific sell thresholds
-      switch (agent.strategy) {
-        case 'scalp':
-          if (pnlPercent > 1.5 || pnlPercent < -1.5) { shouldSell = true; reason = pnlPercent > 0 ? 'Quick profit' : 'Quick stop-loss'; }
-          break;
-        case 'momentum':
-          if (pnlPercent < -3) { shouldSell = true; reason = 'Momentum loss cut'; }
-          if (analysis && analysis.trend === 'bearish' && pnlPercent < 0) { shouldSell = true; reason = 'Trend reversal'; }
-          break;
-        case 'value':
-          if (pnlPercent > 8) { shouldSell = true; reason = 'Value target reached'; }
-          if (pnlPercent < -7) { shouldSell = true; reason = 'Value thesis broken'; }
-          break;
-        case 'hodl':
-          // Diamond almost never sells
-          if (pnlPercent < -15) { shouldSell = true; reason = 'Even diamond hands have limits'; }
-          break;
-        case 'meme':
-          // Chaotic - sometimes panic sells
-          if (pnlPercent < -5 && Math.random() > 0.5) { shouldSell = true; reason = 'Panic sell!'; }
-          if (pnlPercent > 10) { shouldSell = true; reason = 'Taking tendies 🍗'; }
-          break;
-        case 'growth':
-          if (pnlPercent < -8) { shouldSell = true; reason = 'Growth story broken'; }
-          if (analysis && analysis.rsi > 80) { shouldSell = true; reason = 'Overbought - take profits'; }
-          break;
-        case 'technical':
-          if (analysis && analysis.rsi > 70 && pnlPercent > 0) { shouldSell = true; reason = 'RSI overbought signal'; }
-          if (analysis && analysis.signal < -30) { shouldSell = true; reason = 'Strong sell signal'; }
-          if (pnlPercent < -5) { shouldSell = true; reason = 'Technical stop-loss'; }
-          break;
+      // Exit rules from the agent's definition - later rules win the reason
+      const exit = agent.exit;
+      const reasons = exit.reasons;
+      if (exit.takeProfit != null && pnlPercent > exit.takeProfit) {
+        shouldSell = true; reason = reasons.takeProfit || 'Take profit'; fired.push('takeProfit');
+      }
+      if (exit.stopLoss != null && pnlPercent < exit.stopLoss && this.rng(agent.id)() < exit.stopLossChance) {
+        shouldSell = true; reason = reasons.stopLoss || 'Stop-loss'; fired.push('stopLoss');
+      }
+      if (exit.exitOnBearishTrend && analysis && analysis.trend === 'bearish' && pnlPercent < 0) {
+        shouldSell = true; reason = reasons.bearishTrend || 'Trend turned bearish'; fired.push('bearishTrend');
+      }
+      if (exit.overboughtRsi != null && analysis && analysis.rsi > exit.overboughtRsi && (!exit.overboughtNeedsProfit || pnlPercent > 0)) {
+        shouldSell = true; reason = reasons.overbought || 'Overbought'; fired.push('overbought');
+      }
+      if (exit.sellSignal != null && analysis && analysis.signal < exit.sellSignal) {
+        shouldSell = true; reason = reasons.sellSignal || 'Sell signal'; fired.push('sellSignal');
       }
 
       // Memory check: if sentiment is very negative, more likely to sell
       if (sentiment < -0.5 && pnlPercent < 0) {
         shouldSell = true;
         reason = 'Bad history with this stock';
+        fired.push('badHistory');
       }
 
-      if (shouldSell && position.shares > 0) {
-        const result = await this.tradingEngine.executeSell(agent.id, symbol, position.shares, currentPrice);
+      const selling = shouldSell && position.shares > 0;
+      trace?.exit({ symbol, side: 'long', pnlPercent, sentiment, fired, reason: selling ? reason : null });
+
+      if (selling) {
+        const result = await this.tradingEngine.executeSell(agent.id, symbol, position.shares, currentPrice, { quote: quotes[symbol] });
+        trace?.action('SELL', symbol, position.shares, currentPrice, result, reason);
         if (result.success) {
           this.memory.recordTradeOutcome(agent.id, {
             symbol, action: 'SELL', entryPrice: position.avgCost, exitPrice: currentPrice,
@@ -527,336 +741,619 @@ export class AgentManager {
     }
   }
 
-  // Strategy: Value investing - buys stable stocks with good fundamentals on dips
-  async strategyValue(agent, portfolio, quotes, analyses) {
-    const worstStocks = this.memory.getWorstStocks(agent.id, 5).map(s => s.symbol);
-    
-    const candidates = agent.preferredStocks
-      .filter(s => quotes[s] && analyses[s])
-      .filter(s => !agent.avoidStocks.includes(s))
-      .filter(s => !worstStocks.includes(s))
-      .map(s => ({ symbol: s, ...analyses[s], sentiment: this.memory.getStockSentiment(agent.id, s) }));
-
-    // Warren looks for: low RSI (oversold), bearish/neutral trend (buy the dip), low volatility
-    const scored = candidates.map(c => ({
-      ...c,
-      score: (c.rsi < 40 ? 30 : c.rsi < 50 ? 15 : -10) +
-             (c.trend === 'bearish' ? 20 : c.trend === 'neutral' ? 10 : -5) + // Buy when others are fearful
-             (c.volatility < 2 ? 15 : c.volatility < 3 ? 5 : -10) +
-             (c.signal > 0 ? c.signal * 0.3 : 0) +
-             (c.sentiment > 0 ? c.sentiment * 15 : c.sentiment * 10) +
-             (c.dailyChange < -1 ? 20 : 0) // Buy on red days
-    })).sort((a, b) => b.score - a.score);
-
-    if (scored.length > 0 && scored[0].score > 10 && portfolio.cash > 1) {
-      const pick = scored[0];
-      const shares = Math.round((portfolio.cash * 0.3) / pick.price * 10000) / 10000;
-      if (shares > 0) {
-        const result = await this.tradingEngine.executeBuy(agent.id, pick.symbol, shares, pick.price);
-        if (result.success) {
-          this.memory.addObservation(agent.id, {
-            symbol: pick.symbol,
-            observation: `Bought at $${pick.price.toFixed(2)} | RSI:${pick.rsi.toFixed(0)} trend:${pick.trend} signal:${pick.signal.toFixed(0)} | Score:${pick.score.toFixed(0)}`,
-            confidence: Math.min(0.9, pick.score / 100)
-          });
-          console.log(`[${agent.name}] 🧓 Value buy: ${shares} ${pick.symbol} @ $${pick.price.toFixed(2)} (RSI:${pick.rsi.toFixed(0)}, score:${pick.score.toFixed(0)})`);
-        }
-      }
-    } else if (scored.length > 0) {
-      console.log(`[${agent.name}] 🧓 Waiting... best score: ${scored[0].symbol} (${scored[0].score.toFixed(0)}) - not compelling enough`);
-    }
-  }
-
-  // Strategy: Meme/YOLO - high risk, follows hype, buys volatile stocks
-  async strategyMeme(agent, portfolio, quotes, analyses) {
-    const memeStocks = agent.preferredStocks
-      .filter(s => quotes[s] && analyses[s])
-      .map(s => ({ symbol: s, ...analyses[s] }));
-
-    // Elon loves: high volatility, big moves, momentum
-    const scored = memeStocks.map(c => ({
-      ...c,
-      score: (c.volatility > 3 ? 30 : c.volatility > 2 ? 15 : 0) + // Love volatility
-             (Math.abs(c.dailyChange) > 3 ? 25 : Math.abs(c.dailyChange) > 1 ? 10 : 0) + // Big moves
-             (c.weekChange > 5 ? 20 : c.weekChange < -5 ? 15 : 0) + // Either direction = excitement
-             (Math.random() * 30) // Chaos factor 🎲
-    })).sort((a, b) => b.score - a.score);
-
-    if (scored.length > 0 && portfolio.cash > 1) {
-      const pick = scored[0];
-      // YOLO sizing: 30-80% of cash
-      const sizePct = 0.3 + Math.random() * 0.5;
-      const shares = Math.round((portfolio.cash * sizePct) / pick.price * 10000) / 10000;
-      
-      if (shares > 0) {
-        const result = await this.tradingEngine.executeBuy(agent.id, pick.symbol, shares, pick.price);
-        if (result.success) {
-          this.memory.addObservation(agent.id, {
-            symbol: pick.symbol,
-            observation: `🚀 YOLO @ $${pick.price.toFixed(2)} | vol:${pick.volatility.toFixed(1)}% daily:${pick.dailyChange.toFixed(1)}% | CHAOS SCORE: ${pick.score.toFixed(0)}`,
-            confidence: 0.4
-          });
-          console.log(`[${agent.name}] 🚀 YOLO ${shares} ${pick.symbol} @ $${pick.price.toFixed(2)} (vol:${pick.volatility.toFixed(1)}%, chaos:${pick.score.toFixed(0)})`);
-        }
-      }
-    }
-  }
+  // Short book review - take profits, stop out, or cover when the signal flips
+  async checkShorts(agent, portfolio, quotes, analyses, trace = null) {
+    for (const [symbol, short] of Object.entries(portfolio.shorts || {})) {
+      if (!quotes[symbol]) continue;
+      const currentPrice = quotes[symbol].price;
+      const pnlPercent = ((short.avgPrice - currentPrice) / short.avgPrice) * 100;
+      const analysis = analyses[symbol];
 
-  // Strategy: Growth - buys innovation stocks in uptrends
-  async strategyGrowth(agent, portfolio, quotes, analyses) {
-    const growthStocks = agent.preferredStocks
-      .filter(s => quotes[s] && analyses[s] && !agent.avoidStocks.includes(s))
-      .map(s => ({ symbol: s, ...analyses[s], sentiment: this.memory.getStockSentiment(agent.id, s) }));
-
-    // Cathy looks for: bullish trend, above moving averages, positive momentum
-    const scored = growthStocks.map(c => ({
-      ...c,
-      score: (c.trend === 'bullish' ? 30 : c.trend === 'neutral' ? 5 : -20) +
-             (c.aboveWeekAvg ? 15 : -10) +
-             (c.aboveMonthAvg ? 15 : -10) +
-             (c.weekChange > 0 ? c.weekChange * 2 : c.weekChange) +
-             (c.rsi > 40 && c.rsi < 65 ? 15 : -5) + // Not overbought, not dead
-             (c.sentiment > 0 ? c.sentiment * 20 : 0)
-    })).sort((a, b) => b.score - a.score);
-
-    if (scored.length > 0 && scored[0].score > 15 && portfolio.cash > 1) {
-      const pick = scored[0];
-      const shares = Math.round((portfolio.cash * 0.25) / pick.price * 10000) / 10000;
-      if (shares > 0) {
-        const result = await this.tradingEngine.executeBuy(agent.id, pick.symbol, shares, pick.price);
-        if (result.success) {
-          this.memory.addObservation(agent.id, {
-            symbol: pick.symbol,
-            observation: `Innovation buy @ $${pick.price.toFixed(2)} | trend:${pick.trend} week:${pick.weekChange.toFixed(1)}% RSI:${pick.rsi.toFixed(0)}`,
-            confidence: 0.7
-          });
-          console.log(`[${agent.name}] 🔮 Growth buy: ${shares} ${pick.symbol} (trend:${pick.trend}, week:${pick.weekChange.toFixed(1)}%)`);
-        }
-      }
-    }
-  }
+      let shouldCover = false;
+      let reason = '';
+      const fired = [];
 
-  // Strategy: Momentum - chase winners, dump losers fast
-  async strategyMomentum(agent, portfolio, quotes, movers, analyses) {
-    // Gordon chases the hottest stocks
-    const allAnalyzed = Object.values(analyses).filter(a => a)
-      .map(a => ({
-        ...a,
-        score: (a.dailyChange > 0 ? a.dailyChange * 10 : 0) + // Today's winners
-               (a.weekChange > 0 ? a.weekChange * 3 : 0) + // Weekly momentum
-               (a.trend === 'bullish' ? 20 : -10) +
-               (a.rsi > 50 && a.rsi < 75 ? 15 : -5)
-      }))
-      .sort((a, b) => b.score - a.score);
-
-    if (allAnalyzed.length > 0 && allAnalyzed[0].score > 20 && portfolio.cash > 1) {
-      const pick = allAnalyzed[0];
-      const shares = Math.round((portfolio.cash * 0.4) / pick.price * 10000) / 10000;
-      if (shares > 0) {
-        const result = await this.tradingEngine.executeBuy(agent.id, pick.symbol, shares, pick.price);
-        if (result.success) {
-          this.memory.addObservation(agent.id, {
-            symbol: pick.symbol,
-            observation: `🦈 Chasing momentum @ $${pick.price.toFixed(2)} | daily:+${pick.dailyChange.toFixed(1)}% week:+${pick.weekChange.toFixed(1)}%`,
-            confidence: 0.6
-          });
-          console.log(`[${agent.name}] 🦈 Momentum buy: ${shares} ${pick.symbol} (daily:${pick.dailyChange.toFixed(1)}%, score:${pick.score.toFixed(0)})`);
-        }
-      }
-    }
-  }
+      if (pnlPercent > 8) { shouldCover = true; reason = 'Short target reached'; fired.push('shortTarget'); }
+      if (pnlPercent < -5) { shouldCover = true; reason = 'Short squeeze stop-loss'; fired.push('shortStop'); }
+      if (analysis && analysis.signal > 0) { shouldCover = true; reason = 'Signal flipped bullish'; fired.push('signalFlip'); }
 
-  // Strategy: HODL - buy blue chips on dips, almost never sell
-  async strategyHodl(agent, portfolio, quotes, analyses) {
-    const hodlStocks = agent.preferredStocks
-      .filter(s => quotes[s] && analyses[s])
-      .map(s => ({ symbol: s, ...analyses[s] }));
-
-    // Diamond buys when stocks dip - the more they drop, the more excited
-    const dips = hodlStocks.filter(c => c.dailyChange < 0 || c.weekChange < 0)
-      .map(c => ({
-        ...c,
-        score: Math.abs(c.dailyChange) * 10 + // Bigger dip = more buying
-               (c.rsi < 35 ? 30 : c.rsi < 45 ? 15 : 0) + // Oversold = great
-               (c.trend === 'bearish' ? 15 : 0) // Buy when others panic
-      }))
-      .sort((a, b) => b.score - a.score);
-
-    if (dips.length > 0 && portfolio.cash > 1) {
-      const pick = dips[0];
-      const shares = Math.round((portfolio.cash * 0.4) / pick.price * 10000) / 10000;
-      if (shares > 0) {
-        const result = await this.tradingEngine.executeBuy(agent.id, pick.symbol, shares, pick.price);
-        if (result.success) {
-          console.log(`[${agent.name}] 💎🙌 Buying the dip: ${shares} ${pick.symbol} (daily:${pick.dailyChange.toFixed(1)}%, RSI:${pick.rsi.toFixed(0)})`);
-        }
-      }
-    } else if (portfolio.cash > portfolio.startingValue * 0.5) {
-      // If no dips and sitting on lots of cash, buy something blue-chip
-      const safePicks = hodlStocks.filter(c => c.volatility < 2.5).sort((a, b) => a.rsi - b.rsi);
-      if (safePicks.length > 0) {
-        const pick = safePicks[0];
-        const shares = Math.round((portfolio.cash * 0.3) / pick.price * 10000) / 10000;
-        if (shares > 0) {
-          await this.tradingEngine.executeBuy(agent.id, pick.symbol, shares, pick.price);
-          console.log(`[${agent.name}] 💎 Steady buy: ${shares} ${pick.symbol}`);
-        }
-      }
-    }
-  }
+      trace?.exit({ symbol, side: 'short', pnlPercent, fired, reason: shouldCover ? reason : null });
 
-  // Strategy: Scalping - quick in-and-out, uses analysis for timing
-  async strategyScalp(agent, portfolio, quotes, analyses) {
-    const winRate = this.memory.getWinRate(agent.id);
-    
-    // Paperhands looks for: low volatility, slight dips, quick bounce potential
-    if (portfolio.cash > 1) {
-      const candidates = TRADEABLE_STOCKS
-        .filter(s => quotes[s] && analyses[s] && !agent.avoidStocks.includes(s))
-        .map(s => ({ symbol: s, ...analyses[s], sentiment: this.memory.getStockSentiment(agent.id, s) }))
-        .map(c => ({
-          ...c,
-          score: (c.dailyChange < 0 && c.dailyChange > -2 ? 25 : 0) +
-                 (c.rsi > 35 && c.rsi < 50 ? 20 : 0) +
-                 (c.trend !== 'bearish' ? 15 : -15) +
-                 (c.volatility < 2 ? 15 : c.volatility > 4 ? -20 : 0) +
-                 (c.sentiment > 0 ? c.sentiment * 20 : c.sentiment * 10)
-        }))
-        .sort((a, b) => b.score - a.score);
-
-      if (candidates.length > 0 && candidates[0].score > 15) {
-        const pick = candidates[0];
-        const shares = Math.round((portfolio.cash * 0.3) / pick.price * 10000) / 10000;
-        if (shares > 0) {
-          const result = await this.tradingEngine.executeBuy(agent.id, pick.symbol, shares, pick.price);
-          if (result.success) {
-            this.memory.addObservation(agent.id, {
-              symbol: pick.symbol,
-              observation: `Scalp entry @ $${pick.price.toFixed(2)} | RSI:${pick.rsi.toFixed(0)} vol:${pick.volatility.toFixed(1)}% WinRate:${winRate.winRate.toFixed(0)}%`,
-              confidence: 0.5
-            });
-            console.log(`[${agent.name}] 📄 Scalp entry: ${shares} ${pick.symbol} (RSI:${pick.rsi.toFixed(0)}, score:${pick.score.toFixed(0)})`);
-          }
-        }
-      }
-    }
-  }
-
-  // Strategy: Technical analysis - pure data, RSI + trend + support/resistance
-  async strategyTechnical(agent, portfolio, quotes, analyses) {
-    const allAnalyzed = TRADEABLE_STOCKS
-      .filter(s => analyses[s])
-      .map(s => ({ symbol: s, ...analyses[s] }));
-
-    const buySignals = allAnalyzed
-      .map(c => ({
-        ...c,
-        score: c.signal +
-               (c.rsi < 30 ? 30 : c.rsi < 40 ? 15 : c.rsi > 70 ? -30 : 0) +
-               (c.price <= c.support * 1.02 ? 25 : 0) +
-               (c.price >= c.resistance * 0.98 ? -25 : 0) +
-               (c.trend === 'bullish' && c.rsi < 60 ? 15 : 0) +
-               (c.aboveWeekAvg && c.aboveMonthAvg ? 10 : -5)
-      }))
-      .sort((a, b) => b.score - a.score);
-
-    if (buySignals.length > 0 && buySignals[0].score > 25 && portfolio.cash > 1) {
-      const pick = buySignals[0];
-      const shares = Math.round((portfolio.cash * 0.25) / pick.price * 10000) / 10000;
-      if (shares > 0) {
-        const result = await this.tradingEngine.executeBuy(agent.id, pick.symbol, shares, pick.price);
+      if (shouldCover) {
+        const result = await this.tradingEngine.executeCover(agent.id, symbol, short.shares, currentPrice, { quote: quotes[symbol] });
+        trace?.action('COVER', symbol, short.shares, currentPrice, result, reason);
         if (result.success) {
-          this.memory.addObservation(agent.id, {
-            symbol: pick.symbol,
-            observation: `Signal:${pick.signal.toFixed(0)} RSI:${pick.rsi.toFixed(0)} Trend:${pick.trend} Support:$${pick.support.toFixed(2)} Resistance:$${pick.resistance.toFixed(2)} SCORE:${pick.score.toFixed(0)}`,
-            confidence: Math.min(0.9, pick.score / 80)
+          this.memory.recordTradeOutcome(agent.id, {
+            symbol, action: 'COVER', entryPrice: short.avgPrice, exitPrice: currentPrice,
+            pnl: result.pnl, pnlPercent, reason,
+            lesson: pnlPercent > 0 ? `Shorting ${symbol} paid off - ${reason}` : `Shorting ${symbol} backfired - ${reason}`
           });
-          console.log(`[${agent.name}] 🤖 Technical buy: ${shares} ${pick.symbol} (signal:${pick.score.toFixed(0)}, RSI:${pick.rsi.toFixed(0)}, trend:${pick.trend})`);
+          console.log(`[${agent.name}] COVER ${result.trade.shares} ${symbol} @ $${currentPrice.toFixed(2)} (${pnlPercent > 0 ? '+' : ''}${pnlPercent.toFixed(1)}%) - ${reason}`);
         }
       }
-    } else {
-      console.log(`[${agent.name}] 🤖 No strong signals. Top: ${buySignals[0]?.symbol} (score:${buySignals[0]?.score.toFixed(0) || 'N/A'})`);
     }
   }
 
   async runElimination() {
     console.log('[Elimination] Running elimination round...');
     
+    const rules = this.competition.rules;
+    const evolution = this.competition.evolution;
     const leaderboard = await this.getLeaderboard();
+    const { ranking, eliminated: losers } = judgeRound(leaderboard, rules, this.competition.immune);
     
-    if (leaderboard.length < 3) {
+    if (losers.length === 0) {
       console.log('[Elimination] Not enough agents to eliminate');
       return { eliminated: [] };
     }
 
-    // Get bottom 2
-    const bottom2 = leaderboard.slice(-2);
+    // Breeding stock, best first - snapshotted before anyone is replaced.
+    // Players survive and count kills like anyone else, but have no traits to pass on.
+    const survivors = ranking
+      .filter(r => !losers.some(l => l.id === r.id))
+      .map(r => structuredClone(this.agents[r.id]));
+    const breeders = survivors.filter(s => !s.human);
+
+    // Everything this elimination is about to replace, so an admin can undo it
+    const undo = {
+      round: this.competition.round,
+      at: this.clock.iso(),
+      competition: Object.fromEntries(ROUND_KEYS.map(key => [key, structuredClone(this.competition[key])])),
+      survivors: survivors.map(s => s.id),
+      losers: losers.map(l => ({
+        agent: structuredClone(this.agents[l.id]),
+        book: this.tradingEngine.exportBook(l.id),
+        memory: this.memory.exportMemory(l.id)
+      })),
+      graveyard: []
+    };
+
     const eliminated = [];
 
-    for (const loser of bottom2) {
+    for (const loser of losers) {
       const agent = this.agents[loser.id];
       
-      // Add to graveyard
-      this.graveyard.push({
+      // Add to graveyard, with the rules and standing that decided it
+      undo.graveyard.push(this.addToGraveyard({
         ...agent,
         finalValue: loser.currentValue,
         finalReturn: loser.totalReturnPercent,
-        eliminatedAt: new Date().toISOString(),
+        eliminatedAt: this.clock.iso(),
         eliminatedRound: this.competition.round,
+        elimination: {
+          reason: loser.reason,
+          standing: loser.standing,
+          of: ranking.length,
+          rankBy: rules.rankBy,
+          metricValue: loser.metricValue,
+          roundTrades: loser.roundTrades,
+          rules
+        },
         memorySummary: this.memory.getMemorySummary(loser.id) // Save their memories
-      });
+      }));
 
       // Clear memory for fresh start
       this.memory.clearAgentMemory(loser.id);
 
-      // Create replacement agent with new generation
+      // A player is out until they rejoin - nobody is bred into their slot
+      if (agent.human) {
+        this.tradingEngine.deletePortfolio(loser.id);
+        agent.status = 'eliminated';
+        agent.eliminatedRound = this.competition.round;
+        eliminated.push({
+          name: agent.name,
+          generation: agent.generation,
+          finalValue: loser.currentValue,
+          finalReturn: loser.totalReturnPercent,
+          reason: loser.reason,
+          human: true,
+          replacedBy: null
+        });
+        console.log(`[Elimination] 💀 ${agent.name} (player) eliminated! ${loser.reason}`);
+        continue;
+      }
+
+      // Create replacement agent with new generation, bred from the survivors
       const newGeneration = agent.generation + 1;
+      const child = evolution.enabled ? breed(breeders, evolution, seededRandom(this.competition.seed, 'breed', loser.id)) : null;
       this.tradingEngine.deletePortfolio(loser.id);
       delete this.agents[loser.id];
-      this.createAgent(loser.id, newGeneration);
+      this.createAgent(loser.id, newGeneration, child, {
+        template: agent.template ?? loser.id,
+        identity: Object.fromEntries(IDENTITY_KEYS.map(key => [key, agent[key]]))
+      });
 
       eliminated.push({
         name: agent.name,
         generation: agent.generation,
         finalValue: loser.currentValue,
-        finalReturn: loser.totalReturnPercent
+        finalReturn: loser.totalReturnPercent,
+        reason: loser.reason,
+        replacedBy: { generation: newGeneration, parents: child?.parents || [] }
       });
 
-      console.log(`[Elimination] 💀 ${agent.name} Gen ${agent.generation} eliminated! Return: ${loser.totalReturnPercent.toFixed(2)}%`);
+      console.log(`[Elimination] 💀 ${agent.name} Gen ${agent.generation} eliminated! ${loser.reason}`);
     }
 
     // Update survivors' kill counts
-    for (const survivor of leaderboard.slice(0, -2)) {
-      this.agents[survivor.id].kills += 2;
+    for (const survivor of survivors) {
+      this.agents[survivor.id].kills += losers.length;
     }
 
+    // Close the books on this round
+    this.saveRound({
+      standings: ranking.map(r => ({
+        id: r.id, name: r.name, generation: r.generation, standing: r.standing, metricValue: r.metricValue,
+        currentValue: r.currentValue, roundTrades: r.roundTrades, qualified: r.qualified, immune: r.immune
+      })),
+      eliminated
+    });
+
     // Start new competition round
+    const nextRules = this.competition.nextRules || rules;
     this.competition.round += 1;
-    this.competition.startDate = new Date().toISOString();
-    this.competition.endDate = new Date(Date.now() + 14 * 24 * 60 * 60 * 1000).toISOString();
+    this.competition.rules = nextRules;
+    this.competition.nextRules = null;
+    this.competition.immune = nextRules.winnerImmunity ? [ranking[0].id] : [];
+    this.competition.startDate = this.clock.iso();
+    this.competition.endDate = new Date(this.clock.now() + nextRules.roundDays * DAY_MS).toISOString();
+    this.competition.seed = this.roundSeed(this.competition.round);
     this.competition.eliminated.push(...eliminated);
+    this.saveRound();
 
     this.saveAgents();
-    this.saveGraveyard();
     this.saveCompetition();
+    setMeta(this.db, LAST_ELIMINATION_KEY, JSON.stringify(undo));
 
+    this.events?.publish('elimination', { eliminated, newRound: this.competition.round });
     return { eliminated, newRound: this.competition.round };
   }
 
   getCompetitionStatus() {
-    const now = new Date();
-    const end = new Date(this.competition.endDate);
-    const daysRemaining = Math.ceil((end - now) / (24 * 60 * 60 * 1000));
+    // Trading sessions left in the round, the end date's included - holidays and weekends don't count
+    const daysRemaining = this.marketData.calendar.tradingDaysThrough(
+      this.clock.now(), Date.parse(this.competition.endDate)
+    );
 
     return {
       round: this.competition.round,
       startDate: this.competition.startDate,
       endDate: this.competition.endDate,
       daysRemaining: Math.max(0, daysRemaining),
-      eliminated: this.competition.eliminated
+      eliminated: this.competition.eliminated,
+      rules: this.competition.rules,
+      nextRules: this.competition.nextRules || null,
+      immune: this.competition.immune,
+      seed: this.competition.seed,
+      paused: this.competition.paused,
+      evolution: this.competition.evolution,
+      execution: this.tradingEngine.getExecutionConfig()
     };
   }
 
+  // ============ ADMIN CONTROLS ============
+
+  requireAgent(agentId) {
+    const agent = this.agents[agentId];
+    if (!agent) throw new Error(`Unknown agent: ${agentId}`);
+    return agent;
+  }
+
+  isPaused(agent) {
+    return !!(this.competition.paused || agent?.paused);
+  }
+
+  // Mirror pause state into the engine so resting orders stop filling too
+  syncHalts() {
+    this.tradingEngine.halted = !!this.competition.paused;
+    this.tradingEngine.haltedAgents = new Set(Object.values(this.agents).filter(a => a.paused).map(a => a.id));
+  }
+
+  // Stop (or restart) trading for one agent, or everyone when agentId is null.
+  // Margin calls still run while paused; snapshots keep being recorded.
+  setPaused(paused, { agentId = null, reason = null } = {}) {
+    const state = paused ? { at: this.clock.iso(), reason: reason || 'Paused by admin' } : null;
+    if (agentId) {
+      const agent = this.requireAgent(agentId);
+      if (state) agent.paused = state;
+      else delete agent.paused;
+      this.saveAgents();
+    } else {
+      this.competition.paused = state;
+      this.saveCompetition();
+    }
+    this.syncHalts();
+    console.log(`[Admin] ${paused ? '⏸️ Paused' : '▶️ Resumed'} trading for ${agentId || 'all agents'}${reason ? ` - ${reason}` : ''}`);
+    return { agentId, paused: state };
+  }
+
+  resetBreaker(agentId) {
+    const agent = this.requireAgent(agentId);
+    const breaker = this.risk.resetBreaker(agentId);
+    console.log(`[Admin] 🔄 ${agent.name} circuit breaker ${breaker ? 'reset' : 'was not tripped'}`);
+    return { agentId, breaker };
+  }
+
+  adjustCash(agentId, amount, { reason = null, capital = true } = {}) {
+    this.requireAgent(agentId);
+    const portfolio = this.tradingEngine.adjustCash(agentId, amount, { reason: reason || 'Admin cash adjustment', capital });
+    console.log(`[Admin] 💵 ${agentId} cash ${amount >= 0 ? '+' : '-'}$${Math.abs(amount).toFixed(2)} (${capital ? 'capital' : 'P&L'})`);
+    return { cash: portfolio.cash, startingValue: portfolio.startingValue };
+  }
+
+  // Close an agent's positions (all of them, or one symbol) at the current
+  // quote through the execution model, and cancel its orders in those symbols
+  async liquidateAgent(agentId, { symbol = null, reason = 'Admin liquidation' } = {}) {
+    this.requireAgent(agentId);
+    const portfolio = this.tradingEngine.getPortfolio(agentId);
+    const symbols = symbol
+      ? [symbol.toUpperCase()]
+      : [...new Set([...Object.keys(portfolio.positions), ...Object.keys(portfolio.shorts)])];
+    if (symbol && !portfolio.positions[symbols[0]] && !portfolio.shorts[symbols[0]]) {
+      throw new Error(`${agentId} holds no ${symbols[0]}`);
+    }
+
+    const trades = [];
+    for (const sym of symbols) {
+      for (const order of this.tradingEngine.getOrders(agentId, 'open').filter(o => o.symbol === sym)) {
+        this.tradingEngine.cancelOrder(agentId, order.id);
+      }
+
+      let quote = null;
+      try {
+        quote = await this.marketData.getQuote(sym);
+      } catch (e) {
+        console.error(`[Admin] No quote for ${sym}: ${e.message}`);
+      }
+      const long = portfolio.positions[sym];
+      const short = portfolio.shorts[sym];
+      const price = quote?.price ?? this.marketData.getLastPrice(sym) ?? long?.avgCost ?? short.lastPrice ?? short.avgPrice;
+      const details = { forced: true, reason, quote };
+
+      const result = long
+        ? await this.tradingEngine.executeSell(agentId, sym, long.shares, price, details)
+        : await this.tradingEngine.executeCover(agentId, sym, short.shares, price, details);
+      if (!result.success) throw new Error(`Could not close ${sym}: ${result.error}`);
+      trades.push(result.trade);
+      console.log(`[Admin] 🧯 ${agentId}: ${result.trade.type} ${result.trade.shares} ${sym} @ $${result.trade.price.toFixed(2)}`);
+    }
+    return trades;
+  }
+
+  // Wipe an agent's book, orders and memory and start it over with fresh cash.
+  // It keeps its traits (and generation) unless fromTemplate is set.
+  resetAgent(agentId, { startingCash = this.startingCash, fromTemplate = false } = {}) {
+    const agent = this.requireAgent(agentId);
+    if (!(startingCash > 0)) throw new Error('startingCash must be a positive number');
+
+    if (fromTemplate) {
+      if (agent.human) throw new Error(`${agentId} is a player - players have no template`);
+      const identity = Object.fromEntries(IDENTITY_KEYS.map(key => [key, agent[key]]));
+      Object.assign(agent, structuredClone(this.definitions[agent.template ?? agentId]), identity);
+      agent.genome = extractGenome(agent);
+    }
+    agent.createdAt = this.clock.iso();
+    this.tradingEngine.resetPortfolio(agentId, startingCash);
+    this.risk.forget(agentId);
+    this.memory.clearAgentMemory(agentId);
+    this.saveAgents();
+
+    console.log(`[Admin] 🔄 Reset ${agent.name} with $${startingCash}${fromTemplate ? ' (template traits)' : ''}`);
+    return this.getAgent(agentId);
+  }
+
+  // Add an agent running an existing template, e.g. a second Warren
+  addAgent({ id, template, name, avatar, color, personality, startingCash = this.startingCash } = {}) {
+    if (typeof id !== 'string' || !/^[a-z0-9_-]+$/.test(id)) throw new Error('id must be lowercase letters, digits, - or _');
+    if (this.agents[id]) throw new Error(`Agent ${id} already exists`);
+    if (this.definitions[id] && template && template !== id) throw new Error(`${id} is a template id - it can only run its own template`);
+    template ||= id;
+    const definition = this.definitions[template];
+    if (!definition) throw new Error(`Unknown template: ${template} (expected one of: ${Object.keys(this.definitions).join(', ')})`);
+    if (!(startingCash > 0)) throw new Error('startingCash must be a positive number');
+
+    const identity = { name, avatar, color, personality };
+    for (const [key, value] of Object.entries(identity)) {
+      if (value == null) identity[key] = key === 'name' ? `${definition.name} (${id})` : definition[key];
+      else if (typeof value !== 'string' || !value) throw new Error(`${key} must be a non-empty string`);
+    }
+
+    return this.createAgent(id, 1, null, { template, identity, startingCash });
+  }
+
+  getTemplates() {
+    return Object.entries(this.definitions).map(([id, definition]) => ({
+      id,
+      ...definition,
+      edits: this.competition.templates[id] || null
+    }));
+  }
+
+  // Change a template's parameters. Agents still running the template's own
+  // traits (founders - not bred) pick the change up now; new agents are built from it.
+  updateTemplate(templateId, changes = {}) {
+    const definition = this.definitions[templateId];
+    if (!definition) throw new Error(`Unknown template: ${templateId}`);
+
+    const updated = updateDefinition(templateId, definition, changes, this.marketData.symbols);
+    this.definitions[templateId] = updated;
+
+    const edits = { ...this.competition.templates[templateId] };
+    for (const [key, value] of Object.entries(changes)) {
+      edits[key] = ['entry', 'exit', 'sizing', 'risk', 'params'].includes(key) ? { ...edits[key], ...value } : value;
+    }
+    this.competition.templates[templateId] = edits;
+    this.saveCompetition();
+
+    const keys = [...Object.keys(changes), ...(changes.universe ? ['preferredStocks', 'avoidStocks'] : [])];
+    const updatedAgents = [];
+    for (const agent of Object.values(this.agents)) {
+      if ((agent.template ?? agent.id) !== templateId || agent.parents?.length) continue;
+      for (const key of keys) agent[key] = structuredClone(updated[key]);
+      agent.genome = extractGenome(agent);
+      updatedAgents.push(agent.id);
+    }
+    this.saveAgents();
+
+    console.log(`[Admin] 🛠️ Template ${templateId} updated (${Object.keys(changes).join(', ')}) - applied to ${updatedAgents.join(', ') || 'no agents'}`);
+    return { template: { id: templateId, ...updated }, agents: updatedAgents };
+  }
+
+  // Replay saved template edits over the definitions just loaded from disk
+  applyTemplateEdits() {
+    for (const [templateId, edits] of Object.entries(this.competition.templates)) {
+      if (!this.definitions[templateId]) continue;
+      try {
+        this.definitions[templateId] = updateDefinition(templateId, this.definitions[templateId], edits, this.marketData.symbols);
+      } catch (error) {
+        console.error(`[AgentManager] Template edits for ${templateId} no longer apply: ${error.message}`);
+      }
+    }
+  }
+
+  // Move the current round's end by `days` (negative to shorten)
+  extendRound(days) {
+    if (typeof days !== 'number' || !Number.isFinite(days) || days === 0) throw new Error('days must be a non-zero number');
+    const endDate = Date.parse(this.competition.endDate) + days * DAY_MS;
+    if (endDate <= Date.parse(this.competition.startDate)) throw new Error('The round would end before it started');
+
+    this.competition.endDate = new Date(endDate).toISOString();
+    this.saveCompetition();
+    console.log(`[Admin] 📅 Round ${this.competition.round} now ends ${this.competition.endDate}`);
+    return this.getCompetitionStatus();
+  }
+
+  // End the round now: judge it, eliminate and start the next one
+  async endRound() {
+    this.competition.endDate = this.clock.iso();
+    this.saveCompetition();
+    return this.runElimination();
+  }
+
+  // Put the last elimination back: the eliminated agents return with their books,
+  // orders and memories, their replacements (and anything they traded) are
+  // dropped, and the round that was judged carries on.
+  undoLastElimination() {
+    const saved = getMeta(this.db, LAST_ELIMINATION_KEY);
+    if (!saved) throw new Error('No elimination to undo');
+    const undo = JSON.parse(saved);
+    if (this.competition.round !== undo.round + 1) {
+      throw new Error(`The last elimination ended round ${undo.round}, but round ${this.competition.round} is running`);
+    }
+
+    this.db.transaction(() => {
+      for (const { agent, book, memory } of undo.losers) {
+        const replacement = this.agents[agent.id];
+        if (replacement) {
+          this.db.prepare('DELETE FROM lineage WHERE key = ?').run(`${agent.id}:${replacement.generation}`);
+          this.db.prepare('DELETE FROM trades WHERE agent_id = ? AND timestamp >= ?').run(agent.id, undo.at);
+        }
+        this.tradingEngine.importBook(agent.id, book);
+        this.memory.importMemory(agent.id, memory);
+        this.agents[agent.id] = agent;
+      }
+      for (const id of undo.survivors) {
+        if (this.agents[id]) this.agents[id].kills = Math.max(0, this.agents[id].kills - undo.losers.length);
+      }
+
+      const placeholders = undo.graveyard.map(() => '?').join(', ');
+      if (placeholders) this.db.prepare(`DELETE FROM graveyard WHERE id IN (${placeholders})`).run(...undo.graveyard);
+      this.db.prepare('DELETE FROM rounds WHERE round = ?').run(this.competition.round);
+      this.db.prepare('UPDATE rounds SET ended_at = NULL, results = NULL WHERE round = ?').run(undo.round);
+
+      Object.assign(this.competition, undo.competition);
+      this.saveAgents();
+      this.saveCompetition();
+      deleteMeta(this.db, LAST_ELIMINATION_KEY);
+    })();
+
+    this.graveyard = this.loadGraveyard();
+    this.syncHalts();
+    const restored = undo.losers.map(l => l.agent.name);
+    console.log(`[Admin] ⏪ Undid round ${undo.round} elimination - ${restored.join(', ')} restored`);
+    this.events?.publish('elimination', { undone: true, restored, round: undo.round });
+    return { round: undo.round, restored: undo.losers.map(l => ({ id: l.agent.id, name: l.agent.name, generation: l.agent.generation })) };
+  }
+
+  // ============ PLAYERS ============
+
+  // Sign a human up: an account with their own key, and a competitor on the
+  // leaderboard with the same starting cash as the agents.
+  // Returns { player, key } - the key is shown this once.
+  addPlayer({ id, name, avatar = '🧑', color = '#94a3b8' } = {}) {
+    if (typeof id !== 'string' || !/^[a-z0-9_-]+$/.test(id)) throw new Error('id must be lowercase letters, digits, - or _');
+    if (this.agents[id] || this.definitions[id] || this.players.get(id)) throw new Error(`${id} is already taken`);
+    for (const [key, value] of Object.entries({ name, avatar, color })) {
+      if (typeof value !== 'string' || !value.trim()) throw new Error(`${key} must be a non-empty string`);
+    }
+
+    const { key } = this.players.create(id, name.trim());
+    this.agents[id] = {
+      id,
+      name: name.trim(),
+      avatar,
+      color,
+      personality: 'Human player',
+      human: true,
+      generation: 1,
+      createdAt: this.clock.iso(),
+      status: 'active',
+      kills: 0
+    };
+    this.tradingEngine.initializePortfolio(id, this.startingCash);
+    this.risk.forget(id);
+    this.saveAgents();
+
+    console.log(`[Players] 🧑 ${name.trim()} joined with $${this.startingCash}`);
+    return { player: this.getAgent(id), key };
+  }
+
+  requirePlayer(playerId) {
+    const agent = this.requireAgent(playerId);
+    if (!agent.human) throw new Error(`${playerId} is an agent, not a player`);
+    return agent;
+  }
+
+  // The player's competitor, with what they can spend and their open orders
+  getPlayer(playerId) {
+    this.requirePlayer(playerId);
+    const portfolio = this.tradingEngine.getPortfolio(playerId);
+    return {
+      ...this.getAgent(playerId),
+      account: this.players.get(playerId),
+      buyingPower: portfolio ? this.tradingEngine.getBuyingPower(playerId) : 0,
+      orders: portfolio ? this.tradingEngine.getOrders(playerId, 'open') : []
+    };
+  }
+
+  // Trade for a player. Market orders (buy, sell, short, cover) fill now at the
+  // live quote through the same execution model and risk checks as the agents';
+  // limit and stop orders rest on the book until they trigger. Either way nothing
+  // fills outside the session - the engine holds resting orders until the open.
+  async placePlayerOrder(playerId, { side, symbol, shares, type = 'market', ...order } = {}) {
+    const player = this.requirePlayer(playerId);
+    if (player.status !== 'active') throw new Error(`Eliminated in round ${player.eliminatedRound} - rejoin to trade again`);
+    if (this.isPaused(player)) throw new Error(`Trading is paused: ${(this.competition.paused || player.paused).reason}`);
+    if (typeof symbol !== 'string' || !symbol) throw new Error('symbol is required');
+    symbol = symbol.toUpperCase();
+    if (!this.getUniverse().includes(symbol)) throw new Error(`${symbol} is not in the trading universe`);
+
+    if (type !== 'market') {
+      const resting = this.tradingEngine.placeOrder(playerId, { ...order, symbol, side, type, shares });
+      console.log(`[Players] ${player.name}: ${type} ${side} ${shares} ${symbol} placed`);
+      return { order: resting };
+    }
+
+    const execute = PLAYER_SIDES[side];
+    if (!execute) throw new Error(`side must be one of: ${Object.keys(PLAYER_SIDES).join(', ')}`);
+    if (typeof shares !== 'number' || !(shares > 0)) throw new Error('shares must be a positive number');
+    if (!this.tradingEngine.isMarketOpen()) throw new Error('Market is closed');
+
+    const quote = await this.marketData.getQuote(symbol);
+    const result = await this.tradingEngine[execute](playerId, symbol, shares, quote.price, { quote });
+    if (!result.success) throw new Error(result.error);
+
+    const { trade } = result;
+    console.log(`[Players] ${player.name}: ${trade.type} ${trade.shares} ${symbol} @ $${trade.price.toFixed(2)}`);
+    return { trade };
+  }
+
+  // An eliminated player starts over as the next generation with a fresh book
+  rejoinPlayer(playerId) {
+    const player = this.requirePlayer(playerId);
+    if (player.status === 'active') throw new Error(`${player.name} is still in the game`);
+
+    player.generation += 1;
+    player.status = 'active';
+    player.createdAt = this.clock.iso();
+    player.kills = 0;
+    delete player.eliminatedRound;
+    this.tradingEngine.initializePortfolio(playerId, this.startingCash);
+    this.risk.forget(playerId);
+    this.saveAgents();
+
+    console.log(`[Players] 🧑 ${player.name} rejoined (Gen ${player.generation})`);
+    return this.getPlayer(playerId);
+  }
+
+  // New key for a player who lost theirs; the old one stops working at once
+  rotatePlayerKey(playerId) {
+    this.requirePlayer(playerId);
+    return this.players.rotateKey(playerId);
+  }
+
+  getPlayers() {
+    return this.players.list().map(account => ({ ...this.getAgent(account.id), account }));
+  }
+
+  // ============ DELISTINGS ============
+
+  // Close every position in a delisted symbol and cancel its open orders.
+  // price: the settlement price; defaults to the last price we saw.
+  async settleDelisting(symbol, { mode = 'liquidate', price = null } = {}) {
+    if (!DELISTING_MODES.includes(mode)) throw new Error(`mode must be one of: ${DELISTING_MODES.join(', ')}`);
+    const record = this.marketData.symbols.get(symbol);
+    const reason = `Delisted${record?.delistReason ? `: ${record.delistReason}` : ''}`;
+    const details = { forced: true, reason, settlement: mode === 'cashout' };
+    const trades = [];
+
+    for (const agentId of Object.keys(this.tradingEngine.portfolios)) {
+      for (const order of this.tradingEngine.getOrders(agentId, 'open').filter(o => o.symbol === symbol)) {
+        this.tradingEngine.cancelOrder(agentId, order.id);
+      }
+
+      const portfolio = this.tradingEngine.getPortfolio(agentId);
+      const long = portfolio.positions[symbol];
+      const short = portfolio.shorts[symbol];
+      if (!long && !short) continue;
+
+      // No price anywhere (never quoted, no bars) - settle at cost so the books still close
+      const settlePrice = price ?? this.marketData.getLastPrice(symbol) ?? long?.lastPrice ?? short?.lastPrice ?? long?.avgCost ?? short.avgPrice;
+      const results = [];
+      if (long) results.push(await this.tradingEngine.executeSell(agentId, symbol, long.shares, settlePrice, details));
+      if (short) results.push(await this.tradingEngine.executeCover(agentId, symbol, short.shares, settlePrice, details));
+
+      for (const result of results) {
+        if (!result.success) {
+          console.error(`[Delisting] Could not close ${agentId}'s ${symbol}: ${result.error}`);
+          continue;
+        }
+        trades.push(result.trade);
+        console.log(`[Delisting] 🪦 ${agentId}: ${result.trade.type} ${result.trade.shares} ${symbol} @ $${result.trade.price.toFixed(2)} (${mode})`);
+      }
+    }
+    return trades;
+  }
+
+  // Admin: mark a symbol delisted and settle everyone holding it
+  async delistSymbol(symbol, { mode = 'liquidate', price = null, reason = null } = {}) {
+    if (!DELISTING_MODES.includes(mode)) throw new Error(`mode must be one of: ${DELISTING_MODES.join(', ')}`);
+    if (price != null && !(Number(price) > 0)) throw new Error('price must be a positive number');
+
+    const record = this.marketData.symbols.delist(symbol, { reason, at: this.clock.iso() });
+    const trades = await this.settleDelisting(symbol, { mode, price: price != null ? Number(price) : null });
+    return { symbol: record, mode, trades };
+  }
+
+  // Positions in symbols delisted while the server was down (or seeded that way)
+  async settleDelistedHoldings() {
+    const trades = [];
+    for (const { symbol } of this.marketData.symbols.list({ status: 'delisted' })) {
+      if (this.tradingEngine.getHolders(symbol).length > 0) trades.push(...await this.settleDelisting(symbol));
+    }
+    return trades;
+  }
+
+  // Admin: drop a symbol from the registry. Held symbols must be delisted instead,
+  // so their positions get settled rather than orphaned.
+  removeSymbol(symbol) {
+    const holders = this.tradingEngine.getHolders(symbol);
+    if (holders.length > 0) {
+      throw new Error(`${symbol} is held by ${holders.map(h => h.agentId).join(', ')} - delist it instead`);
+    }
+    this.marketData.symbols.remove(symbol);
+  }
+
   getGraveyard() {
     return this.graveyard.sort((a, b) => 
       new Date(b.eliminatedAt) - new Date(a.eliminatedAt)
@@ -868,11 +1365,11 @@ export class AgentManager {
     const trades = this.tradingEngine.getAllTrades(50);
     const todayTrades = trades.filter(t => {
       const tradeDate = new Date(t.timestamp).toDateString();
-      return tradeDate === new Date().toDateString();
+      return tradeDate === this.clock.date().toDateString();
     });
 
     const summary = {
-      date: new Date().toISOString(),
+      date: this.clock.iso(),
       leaderboard: leaderboard.map(a => ({
         rank: a.rank,
         name: a.name,
@@ -886,13 +1383,12 @@ export class AgentManager {
     };
 
     // Save daily summary
-    const summariesFile = path.join(DATA_DIR, 'daily-summaries.json');
     let summaries = [];
     try {
-      summaries = JSON.parse(fs.readFileSync(summariesFile, 'utf8'));
+      summaries = JSON.parse(fs.readFileSync(this.summaryFile, 'utf8'));
     } catch {}
     summaries.push(summary);
-    fs.writeFileSync(summariesFile, JSON.stringify(summaries.slice(-30), null, 2));
+    fs.writeFileSync(this.summaryFile, JSON.stringify(summaries.slice(-30), null, 2));
 
     // Each agent records their daily reflection
     for (const agent of leaderboard) {
@@ -0,0 +1,318 @@
+import fs from 'fs';
+import path from 'path';
+import cron from 'node-cron';
+import { TradingEngine } from './trading-engine.js';
+import { AgentManager } from './agents.js';
+import { DecisionJournal } from './decision-journal.js';
+import { CorporateActionProcessor } from './corporate-actions.js';
+import { EventBus } from './event-bus.js';
+import { DATA_DIR, openDatabase } from './database.js';
+import { systemClock, VirtualClock } from './clock.js';
+import { DEFINITIONS_DIR, loadAgentDefinitions, validateUniverse, updateDefinition } from './agent-definitions.js';
+import { validateReplay, ReplayMarketData, Replay } from './replay.js';
+import { resolveRules } from './competition-rules.js';
+
+// Arenas: competitions running side by side in one server, e.g. a "meme
+// stocks only" league next to the main one, or a copy of it to try a rule
+// change on. Each has its own roster, books, universe, starting cash, rules and
+// schedule; they share market data and the symbol registry.
+//
+// The main arena is the original competition and lives in the main database.
+// Every other arena gets its own database file under data/arenas/, so nothing
+// it does can touch the main books. Replays (replay.js) are arenas too, kept in
+// memory only and gone on restart.
+
+export const MAIN_ARENA = 'main';
+export const ARENAS_DIR = path.join(DATA_DIR, 'arenas');
+
+export const SCHEDULE_DEFAULTS = {
+  scanSeconds: 5, // How often agents look at the cached market
+  eliminationCheck: '30 16 * * 5' // Cron (New York time) for judging a round that has run its course
+};
+
+const ARENA_KEYS = ['id', 'name', 'description', 'templates', 'startingCash', 'universe', 'rules', 'schedule', 'seed'];
+
+const MAIN_CONFIG = {
+  id: MAIN_ARENA,
+  name: 'Main',
+  description: 'The original competition',
+  templates: null,
+  startingCash: 25,
+  universe: null,
+  rules: null,
+  schedule: SCHEDULE_DEFAULTS,
+  seed: null
+};
+
+// Where an arena keeps its state
+export function arenaFiles(id) {
+  return {
+    db: path.join(ARENAS_DIR, `${id}.db`),
+    summaries: path.join(ARENAS_DIR, `${id}-summaries.json`)
+  };
+}
+
+// Check a new arena's config and fill in the defaults. Throws on the first problem.
+//   templates     agent definition ids to seat (default: all of them)
+//   universe      { sectors, symbols, avoidSectors, avoidSymbols } - what anyone in it may trade
+//   rules         elimination rules for the first round (see competition-rules.js)
+//   schedule      { scanSeconds, eliminationCheck }
+//   seed          first round's random seed, for a reproducible run (default: a fresh one every round)
+export function validateArena(config, { symbols, templates }) {
+  if (config === null || typeof config !== 'object' || Array.isArray(config)) throw new Error('arena must be an object');
+  for (const key of Object.keys(config)) {
+    if (!ARENA_KEYS.includes(key)) throw new Error(`Unknown arena setting: ${key} (expected one of: ${ARENA_KEYS.join(', ')})`);
+  }
+  const { id, name, description = '', startingCash = MAIN_CONFIG.startingCash, universe = null, rules = null, seed = null } = config;
+
+  if (typeof id !== 'string' || !/^[a-z0-9_-]+$/.test(id)) throw new Error('id must be lowercase letters, digits, - or _');
+  if (typeof name !== 'string' || !name.trim()) throw new Error('name must be a non-empty string');
+  if (typeof description !== 'string') throw new Error('description must be a string');
+  if (typeof startingCash !== 'number' || !(startingCash > 0)) throw new Error('startingCash must be a positive number');
+
+  if (config.templates != null) {
+    if (!Array.isArray(config.templates) || config.templates.length < 2) throw new Error('templates must list at least 2 agent templates');
+    for (const template of config.templates) {
+      if (!templates.includes(template)) throw new Error(`Unknown template: ${template} (expected one of: ${templates.join(', ')})`);
+    }
+  }
+  if (seed != null && !(Number.isInteger(seed) && seed >= 0 && seed < 2 ** 32)) throw new Error('seed must be an integer from 0 to 2^32 - 1');
+  if (universe != null) validateUniverse(universe, symbols);
+  if (rules != null) resolveRules(rules);
+
+  const schedule = { ...SCHEDULE_DEFAULTS, ...config.schedule };
+  for (const key of Object.keys(schedule)) {
+    if (!(key in SCHEDULE_DEFAULTS)) throw new Error(`Unknown schedule setting: ${key} (expected one of: ${Object.keys(SCHEDULE_DEFAULTS).join(', ')})`);
+  }
+  if (typeof schedule.scanSeconds !== 'number' || schedule.scanSeconds < 1) throw new Error('schedule.scanSeconds must be a number of at least 1');
+  if (typeof schedule.eliminationCheck !== 'string' || !cron.validate(schedule.eliminationCheck)) {
+    throw new Error('schedule.eliminationCheck must be a cron expression');
+  }
+
+  return {
+    id,
+    name: name.trim(),
+    description,
+    templates: config.templates ? [...new Set(config.templates)] : null,
+    startingCash,
+    universe,
+    rules,
+    schedule,
+    seed
+  };
+}
+
+// One competition: its engine, agents, corporate actions and live event stream
+export class Arena {
+  constructor(config, {
+    db, marketData, clock = systemClock, events = new EventBus(), margin = {}, journal = {}, actionSource,
+    definitions = null, summaryFile = null, tape = null
+  }) {
+    this.id = config.id;
+    this.config = config;
+    this.db = db;
+    this.clock = clock;
+    this.marketData = marketData;
+    this.events = events;
+    this.replay = null; // The Replay driving this arena, if it is one
+    this.engine = new TradingEngine({ db, clock, events, margin, session: marketData });
+    this.manager = new AgentManager(this.engine, marketData, {
+      db,
+      events,
+      tape,
+      journal: new DecisionJournal({ db, clock, ...journal }),
+      ...(definitions && { definitions }),
+      startingCash: config.startingCash,
+      universe: config.universe,
+      rules: config.rules,
+      seed: config.seed,
+      ...(summaryFile && { summaryFile })
+    });
+    this.corporateActions = new CorporateActionProcessor({ engine: this.engine, source: actionSource, marketData });
+  }
+
+  summary() {
+    const competition = this.manager.getCompetitionStatus();
+    return {
+      ...this.config,
+      agents: this.manager.getActiveAgentCount(),
+      universeSize: this.manager.getUniverse().length,
+      round: competition.round,
+      endDate: competition.endDate,
+      paused: competition.paused,
+      ...(this.replay && { replay: this.replay.progress() })
+    };
+  }
+
+  async close() {
+    await this.replay?.stop(); // A replay step still under way writes to the database
+    this.manager.close();
+    this.db.close();
+  }
+}
+
+// The arenas the server runs: the main one plus every arena in the arenas table
+export class ArenaRegistry {
+  constructor({ db, marketData, clock = systemClock, options = {} }) {
+    this.db = db; // The main database
+    this.marketData = marketData;
+    this.clock = clock;
+    this.options = options; // Shared by every arena: events, seed and tape (main only), margin, journal, actionSource
+    this.tape = options.tape || null; // What the main arena's scans saw - replays play it back
+    this.arenas = new Map();
+    this.replays = 0; // Replays opened since startup, for their ids
+
+    this.arenas.set(MAIN_ARENA, new Arena({ ...MAIN_CONFIG, seed: options.seed ?? null }, { ...options, db, marketData }));
+    for (const row of db.prepare('SELECT config FROM arenas ORDER BY created_at').all()) {
+      const config = JSON.parse(row.config);
+      try {
+        this.arenas.set(config.id, this.open(config));
+      } catch (error) {
+        console.error(`[Arenas] Could not open ${config.id}: ${error.message}`);
+      }
+    }
+  }
+
+  open(config) {
+    const files = arenaFiles(config.id);
+    const all = loadAgentDefinitions(DEFINITIONS_DIR, this.marketData.symbols);
+    const definitions = config.templates
+      ? Object.fromEntries(config.templates.filter(id => all[id]).map(id => [id, all[id]]))
+      : all;
+    return new Arena(config, {
+      ...this.options,
+      events: new EventBus(),
+      tape: null,
+      db: openDatabase(files.db),
+      marketData: this.marketData,
+      definitions,
+      summaryFile: files.summaries
+    });
+  }
+
+  get main() {
+    return this.arenas.get(MAIN_ARENA);
+  }
+
+  get(id) {
+    return this.arenas.get(id) || null;
+  }
+
+  // Main first, then oldest first
+  list() {
+    return [...this.arenas.values()];
+  }
+
+  // The arenas trading the live market - everything but replays
+  live() {
+    return this.list().filter(arena => !arena.replay);
+  }
+
+  // Returns the new arena, ready to initialize and schedule
+  create(input) {
+    const config = validateArena(input, {
+      symbols: this.marketData.symbols,
+      templates: Object.keys(this.main.manager.definitions)
+    });
+    if (this.arenas.has(config.id)) throw new Error(`Arena ${config.id} already exists`);
+
+    const arena = this.open(config);
+    this.db.prepare('INSERT INTO arenas (id, config, created_at) VALUES (?, ?, ?)')
+      .run(config.id, JSON.stringify(config), this.clock.iso());
+    this.arenas.set(config.id, arena);
+    console.log(`[Arenas] 🏟️ Opened ${config.name} (${config.id})`);
+    return arena;
+  }
+
+  // Replay a recorded day (see validateReplay) in a new in-memory arena.
+  // Returns it ready to initialize, schedule and begin.
+  createReplay(input) {
+    if (!this.tape) throw new Error('No market tape is being recorded');
+    const main = this.main;
+    const replay = validateReplay(input, {
+      days: this.tape.days(),
+      templates: Object.keys(main.manager.definitions),
+      startingCash: main.config.startingCash
+    });
+
+    const definitions = {};
+    for (const id of replay.templates) {
+      const changes = replay.overrides[id];
+      try {
+        definitions[id] = changes ? updateDefinition(id, main.manager.definitions[id], changes, this.marketData.symbols) : main.manager.definitions[id];
+      } catch (error) {
+        throw new Error(`overrides.${id}: ${error.message}`);
+      }
+    }
+
+    const { day } = replay;
+    const config = {
+      id: `replay-${day.day}-${++this.replays}`,
+      name: replay.name,
+      description: `${day.day} replayed at ${replay.speed}x`,
+      templates: replay.templates,
+      startingCash: replay.startingCash,
+      universe: null,
+      rules: null,
+      schedule: { ...main.config.schedule },
+      seed: replay.seed ?? main.manager.seedAt(day.start),
+      overrides: replay.overrides
+    };
+    const clock = new VirtualClock(day.start);
+    const marketData = new ReplayMarketData({ clock, live: this.marketData });
+    const arena = new Arena(config, {
+      ...this.options,
+      events: new EventBus(),
+      tape: null,
+      db: openDatabase(':memory:'),
+      marketData,
+      clock,
+      definitions
+    });
+    arena.replay = new Replay({
+      tape: this.tape, day, speed: replay.speed, clock, marketData, engine: arena.engine, events: arena.events
+    });
+    this.arenas.set(config.id, arena);
+    console.log(`[Arenas] ⏪ Opened ${config.name} (${config.id})`);
+    return arena;
+  }
+
+  // Close an arena and delete everything it had. The main arena stays.
+  async remove(id) {
+    if (id === MAIN_ARENA) throw new Error('The main arena cannot be removed');
+    const arena = this.get(id);
+    if (!arena) throw new Error(`Unknown arena: ${id}`);
+
+    this.arenas.delete(id);
+    await arena.close();
+    if (!arena.replay) {
+      this.db.prepare('DELETE FROM arenas WHERE id = ?').run(id);
+      const files = arenaFiles(id);
+      for (const file of [files.db, `${files.db}-wal`, `${files.db}-shm`, files.summaries]) fs.rmSync(file, { force: true });
+    }
+    console.log(`[Arenas] 🗑️ Removed ${arena.config.name} (${id})`);
+    return arena.config;
+  }
+
+  // Symbols are shared, so a delisting settles positions in every live arena (replays play their tape out)
+  async delistSymbol(symbol, options = {}) {
+    const [main, ...rest] = this.live();
+    const result = await main.manager.delistSymbol(symbol, options);
+    for (const arena of rest) {
+      const trades = await arena.manager.settleDelisting(symbol, { mode: result.mode, price: options.price != null ? Number(options.price) : null });
+      result.trades.push(...trades.map(trade => ({ ...trade, arena: arena.id })));
+    }
+    return result;
+  }
+
+  // ...and a symbol can only be dropped when nobody in a live arena holds it
+  removeSymbol(symbol) {
+    for (const arena of this.live()) {
+      const holders = arena.engine.getHolders(symbol);
+      if (holders.length > 0) {
+        throw new Error(`${symbol} is held by ${holders.map(h => h.agentId).join(', ')} in the ${arena.id} arena - delist it instead`);
+      }
+    }
+    this.marketData.symbols.remove(symbol);
+  }
+}
@@ -0,0 +1,191 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
+
+// API key auth for the admin surface. Keys are random tokens handed out once;
+// the server only ever sees their SHA-256 hashes (from env or a config file),
+// so the repo and the environment never hold a usable secret.
+
+// Lowest to highest - a role can do everything the ones before it can
+export const ROLES = ['viewer', 'admin'];
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+const KEY_PREFIX = 'sr_';
+
+export function hashApiKey(key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+export function generateApiKey() {
+  return KEY_PREFIX + crypto.randomBytes(32).toString('base64url');
+}
+
+function normalizeKey({ name, role, hash }, origin) {
+  if (!name) throw new Error(`${origin}: API key needs a name`);
+  if (!ROLES.includes(role)) throw new Error(`${origin}: role for "${name}" must be one of: ${ROLES.join(', ')}`);
+  if (!/^[0-9a-f]{64}$/i.test(hash || '')) throw new Error(`${origin}: hash for "${name}" must be a SHA-256 hex digest`);
+  return { name, role, hash: hash.toLowerCase() };
+}
+
+// API_KEYS=name:role:sha256,name:role:sha256
+// API_KEYS_FILE=path/to/keys.json   [{ "name", "role", "hash" }]
+export function loadApiKeys(env = process.env) {
+  const keys = [];
+  for (const entry of (env.API_KEYS || '').split(',').map(s => s.trim()).filter(Boolean)) {
+    const [name, role, hash] = entry.split(':');
+    keys.push(normalizeKey({ name, role, hash }, 'API_KEYS'));
+  }
+  if (env.API_KEYS_FILE) {
+    const list = JSON.parse(fs.readFileSync(env.API_KEYS_FILE, 'utf8'));
+    if (!Array.isArray(list)) throw new Error(`${env.API_KEYS_FILE}: expected an array of keys`);
+    keys.push(...list.map(k => normalizeKey(k, env.API_KEYS_FILE)));
+  }
+
+  const names = new Set();
+  for (const { name } of keys) {
+    if (names.has(name)) throw new Error(`Duplicate API key name: ${name}`);
+    names.add(name);
+  }
+  return keys;
+}
+
+// The presented key, from `Authorization: Bearer <key>` or `X-API-Key: <key>`
+export function presentedKey(req) {
+  const header = req.get('authorization') || '';
+  if (/^bearer\s+/i.test(header)) return header.replace(/^bearer\s+/i, '').trim();
+  return req.get('x-api-key')?.trim() || null;
+}
+
+const rowToAudit = (row) => ({
+  id: row.id,
+  timestamp: row.timestamp,
+  actor: row.actor,
+  role: row.role,
+  method: row.method,
+  path: row.path,
+  ...(row.params && { params: JSON.parse(row.params) }),
+  status: row.status,
+  ip: row.ip
+});
+
+export class ApiKeyAuth {
+  constructor({ keys = [], db = null } = {}) {
+    this.keys = keys.map(k => ({ ...k, digest: Buffer.from(k.hash, 'hex') }));
+    this.db = db; // Audit log goes to the audit_log table; without a db it's console only
+  }
+
+  get enabled() {
+    return this.keys.length > 0;
+  }
+
+  // { name, role } for a valid key, otherwise null. Every configured hash is
+  // compared in constant time, so response timing says nothing about which
+  // key (or how much of one) matched.
+  authenticate(key) {
+    if (!key) return null;
+    const digest = Buffer.from(hashApiKey(key), 'hex');
+    let match = null;
+    for (const k of this.keys) {
+      if (crypto.timingSafeEqual(digest, k.digest) && !match) match = k;
+    }
+    return match ? { name: match.name, role: match.role } : null;
+  }
+
+  static allows(role, required) {
+    return ROLES.indexOf(role) >= ROLES.indexOf(required);
+  }
+
+  // Middleware: reads need `read`, anything that changes state needs `write`.
+  // Writes are audited whatever happens; reads only when refused.
+  middleware({ read = 'viewer', write = 'admin' } = {}) {
+    return (req, res, next) => {
+      const isRead = READ_METHODS.includes(req.method);
+      const required = isRead ? read : write;
+
+      const refuse = (status, error, user = null) => {
+        this.audit(req, user, status);
+        res.status(status).json({ error });
+      };
+
+      if (!this.enabled) return refuse(503, 'Admin API disabled - no API keys configured (API_KEYS or API_KEYS_FILE)');
+      if (req.query.key !== undefined) return refuse(401, 'Keys in the query string are not accepted - send Authorization: Bearer <key>');
+
+      const user = this.authenticate(presentedKey(req));
+      if (!user) return refuse(401, 'Unauthorized');
+      if (!ApiKeyAuth.allows(user.role, required)) return refuse(403, `Requires the ${required} role`, user);
+
+      req.user = user;
+      if (!isRead) res.on('finish', () => this.audit(req, user, res.statusCode));
+      next();
+    };
+  }
+
+  // Shorthand for a single route: `auth.require('admin')`
+  require(role) {
+    return this.middleware({ read: role, write: role });
+  }
+
+  audit(req, user, status) {
+    const entry = {
+      timestamp: new Date().toISOString(),
+      actor: user?.name ?? null,
+      role: user?.role ?? null,
+      method: req.method,
+      path: req.originalUrl.split('?')[0],
+      params: {
+        ...(Object.keys(req.params || {}).length && { params: req.params }),
+        ...(Object.keys(req.query || {}).filter(k => k !== 'key').length && {
+          query: Object.fromEntries(Object.entries(req.query).filter(([k]) => k !== 'key'))
+        }),
+        ...(req.body && Object.keys(req.body).length && { body: req.body })
+      },
+      status,
+      ip: req.ip
+    };
+
+    const icon = status < 400 ? '🔑' : '⛔';
+    console.log(`[Audit] ${icon} ${entry.actor || 'anonymous'} ${entry.method} ${entry.path} -> ${status}`);
+
+    this.db?.prepare(`
+      INSERT INTO audit_log (timestamp, actor, role, method, path, params, status, ip) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(entry.timestamp, entry.actor, entry.role, entry.method, entry.path,
+      Object.keys(entry.params).length ? JSON.stringify(entry.params) : null, status, entry.ip ?? null);
+  }
+
+  // Newest first
+  getAuditLog({ actor = null, limit = 100 } = {}) {
+    if (!this.db) return [];
+    if (actor) {
+      return this.db.prepare('SELECT * FROM audit_log WHERE actor = ? ORDER BY id DESC LIMIT ?').all(actor, limit).map(rowToAudit);
+    }
+    return this.db.prepare('SELECT * FROM audit_log ORDER BY id DESC LIMIT ?').all(limit).map(rowToAudit);
+  }
+}
+
+// npm run api-key -- --name alice --role admin
+// Prints a new key (shown once - store it somewhere safe) and the line for the server's config
+function main() {
+  const { values } = parseArgs({
+    options: {
+      name: { type: 'string' },
+      role: { type: 'string', default: 'viewer' }
+    }
+  });
+
+  if (!values.name || values.name.includes(':') || values.name.includes(',') || !ROLES.includes(values.role)) {
+    console.error(`Usage: npm run api-key -- --name <name> [--role ${ROLES.join('|')}]`);
+    process.exit(1);
+  }
+
+  const key = generateApiKey();
+  const hash = hashApiKey(key);
+  console.log(`API key for ${values.name} (${values.role}) - shown once:\n\n  ${key}\n`);
+  console.log(`Add to the server environment (comma-separate multiple keys):\n\n  API_KEYS=${values.name}:${values.role}:${hash}\n`);
+  console.log(`or to API_KEYS_FILE:\n\n  ${JSON.stringify({ name: values.name, role: values.role, hash })}\n`);
+}
+
+if (process.argv[1] && fileURLToPath(import.meta.url) === path.resolve(process.argv[1])) {
+  main();
+}
@@ -0,0 +1,306 @@
+// Historical backtester. Replays a local bar file through the live agent pipeline
+// (runMarketScan -> shouldTrade -> executeAgentStrategy -> checkPositions) on a
+// simulated clock and an in-memory database, then writes equity curves, trade
+// logs and summary stats.
+//
+//   npm run backtest -- --bars data/bars.csv [--agents warren,gordon] [--from 2024-01-01] [--to 2024-06-30] [--seed 42] [--out backtests/run1]
+//
+// The seed the agents rolled their dice from is in summary.json; pass it back
+// with --seed to reproduce a run trade for trade.
+
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import { fileURLToPath } from 'url';
+import { MarketData, computeAnalysis, ANALYSIS_BARS } from './market-data.js';
+import { TradingEngine } from './trading-engine.js';
+import { AgentManager } from './agents.js';
+import { openDatabase } from './database.js';
+import { SimulatedClock, tradingDay } from './clock.js';
+import { loadBars, parseBarTime, isDateOnly } from './bar-file.js';
+import { loadStrategyPlugins } from './strategies/index.js';
+import { computeMetrics, BENCHMARK_SYMBOL } from './metrics.js';
+
+// MarketData fed from bars instead of Yahoo. Each step() publishes quotes and
+// daily analyses for every symbol with a bar at that instant.
+export class BacktestMarketData extends MarketData {
+  constructor({ clock, bars }) {
+    super({ clock });
+    this.bars = bars;
+    this.daily = {}; // symbol -> daily bars so far, intraday bars rolled up
+  }
+
+  // Every distinct bar time, with the bars stamped at it
+  timeline(from = -Infinity, to = Infinity) {
+    const byTime = new Map();
+    for (const [symbol, bars] of Object.entries(this.bars)) {
+      for (const bar of bars) {
+        if (bar.time < from || bar.time > to) continue;
+        if (!byTime.has(bar.time)) byTime.set(bar.time, []);
+        byTime.get(bar.time).push({ symbol, bar });
+      }
+    }
+    return [...byTime.entries()].sort((a, b) => a[0] - b[0]);
+  }
+
+  // Bars before the window only warm up analyses
+  warmUp(before) {
+    for (const [time, entries] of this.timeline(-Infinity, before - 1)) {
+      for (const { symbol, bar } of entries) this.applyBar(symbol, bar, time, false);
+    }
+  }
+
+  step(entries, time) {
+    return entries.map(({ symbol, bar }) => this.applyBar(symbol, bar, time, true));
+  }
+
+  applyBar(symbol, bar, time, publish) {
+    const day = tradingDay(time);
+    const daily = (this.daily[symbol] ||= []);
+    const today = daily[daily.length - 1];
+
+    if (today && today.day === day) {
+      today.high = Math.max(today.high, bar.high);
+      today.low = Math.min(today.low, bar.low);
+      today.close = bar.close;
+      today.volume += bar.volume;
+    } else {
+      daily.push({ day, time, open: bar.open, high: bar.high, low: bar.low, close: bar.close, volume: bar.volume });
+      if (daily.length > ANALYSIS_BARS) daily.shift(); // As much history as a live analysis gets
+    }
+
+    const current = daily[daily.length - 1];
+    const previousClose = daily.length > 1 ? daily[daily.length - 2].close : current.open;
+    const quote = {
+      symbol,
+      price: bar.close,
+      previousClose,
+      change: bar.close - previousClose,
+      changePercent: ((bar.close - previousClose) / previousClose) * 100,
+      volume: current.volume,
+      high: current.high,
+      low: current.low,
+      open: current.open,
+      name: symbol
+    };
+
+    const analysis = computeAnalysis(symbol, daily);
+    if (analysis) this.quoteCache.set('analysis_' + symbol, { data: analysis, timestamp: time });
+
+    if (publish) this.cacheQuote(symbol, quote);
+    else this.quoteCache.set(symbol, { data: quote, timestamp: time });
+    return quote;
+  }
+
+  // Only what the bars have shown so far - never reaches out to the network
+  async getQuote(symbol) {
+    const cached = this.quoteCache.get(symbol);
+    if (!cached) throw new Error(`No bars for ${symbol}`);
+    return cached.data;
+  }
+
+  async analyzeStock(symbol) {
+    return this.quoteCache.get('analysis_' + symbol)?.data || null;
+  }
+
+  async getDailyCloses(symbol) {
+    const bars = this.bars[symbol];
+    if (!bars) return null;
+    const now = this.clock.now();
+    return Object.fromEntries(bars.filter(b => b.time <= now).map(b => [tradingDay(b.time), b.close]));
+  }
+}
+
+function maxDrawdownPercent(curve) {
+  let peak = -Infinity;
+  let maxDrawdown = 0;
+  for (const { value } of curve) {
+    peak = Math.max(peak, value);
+    if (peak > 0) maxDrawdown = Math.max(maxDrawdown, ((peak - value) / peak) * 100);
+  }
+  return maxDrawdown;
+}
+
+export async function runBacktest({ bars, agents = null, from = null, to = null, execution = {}, seed = null }) {
+  const fromTime = from ? (isDateOnly(from) ? Date.parse(`${from}T00:00:00Z`) : parseBarTime(from)) : -Infinity;
+  const toTime = to ? (isDateOnly(to) ? Date.parse(`${to}T23:59:59.999Z`) : parseBarTime(to)) : Infinity;
+
+  const clock = new SimulatedClock(0);
+  const db = openDatabase(':memory:');
+  const market = new BacktestMarketData({ clock, bars });
+  const timeline = market.timeline(fromTime, toTime);
+  if (timeline.length === 0) throw new Error('No bars in the requested range');
+
+  clock.set(timeline[0][0]);
+  const engine = new TradingEngine({ db, clock, execution, session: market });
+  const manager = new AgentManager(engine, market, { db, clock, minScanQuotes: 1, seed });
+  manager.initialize();
+  engine.setExecutionModel(execution);
+
+  if (agents) {
+    for (const id of Object.keys(manager.agents)) {
+      if (agents.includes(id)) continue;
+      engine.deletePortfolio(id);
+      delete manager.agents[id];
+    }
+  }
+  const agentIds = Object.keys(manager.agents);
+  if (agentIds.length === 0) throw new Error('No matching agents');
+
+  market.warmUp(timeline[0][0]);
+
+  const curves = Object.fromEntries(agentIds.map(id => [id, []]));
+  let lastDay = null;
+  let steps = 0;
+
+  for (const [time, entries] of timeline) {
+    clock.set(time);
+
+    const day = tradingDay(time);
+    if (lastDay && day !== lastDay) engine.expireDayOrders();
+    lastDay = day;
+
+    const quotes = market.step(entries, time);
+
+    // Pre/post-market bars move prices, but nobody trades outside the session
+    if (!market.isMarketOpen()) continue;
+
+    for (const quote of quotes) await engine.processQuote(quote);
+    await manager.runMarketScan();
+    steps++;
+
+    for (const id of agentIds) {
+      curves[id].push({ timestamp: clock.iso(), value: await engine.calculatePortfolioValue(id, market) });
+    }
+  }
+
+  const benchmark = await market.getDailyCloses(BENCHMARK_SYMBOL);
+  const results = { from: new Date(timeline[0][0]).toISOString(), to: clock.iso(), steps, symbols: Object.keys(bars).length, seed: manager.competition.seed, agents: {} };
+
+  for (const id of agentIds) {
+    const curve = curves[id];
+    const trades = engine.getTradeHistory(id, Number.MAX_SAFE_INTEGER).reverse();
+    const closed = trades.filter(t => t.pnl != null);
+    const portfolio = engine.getPortfolio(id);
+    const endValue = curve.length ? curve[curve.length - 1].value : portfolio.startingValue;
+    const metrics = computeMetrics({ snapshots: curve, trades, startValue: portfolio.startingValue, benchmark });
+
+    results.agents[id] = {
+      name: manager.agents[id].name,
+      strategy: manager.agents[id].strategy,
+      summary: {
+        startValue: portfolio.startingValue,
+        endValue,
+        totalReturnPercent: ((endValue - portfolio.startingValue) / portfolio.startingValue) * 100,
+        maxDrawdownPercent: maxDrawdownPercent(curve),
+        trades: trades.length,
+        closedTrades: closed.length,
+        winRate: closed.length ? closed.filter(t => t.pnl > 0).length / closed.length : null,
+        realizedPnl: closed.reduce((sum, t) => sum + t.pnl, 0),
+        feesPaid: trades.reduce((sum, t) => sum + (t.fees || 0), 0) + portfolio.borrowFeesPaid,
+        sharpe: metrics.sharpe,
+        sortino: metrics.sortino,
+        calmar: metrics.calmar,
+        volatilityPercent: metrics.volatilityPercent,
+        profitFactor: metrics.profitFactor,
+        beta: metrics.beta,
+        alphaPercent: metrics.alphaPercent
+      },
+      equityCurve: curve,
+      trades
+    };
+  }
+
+  db.close();
+  return results;
+}
+
+export function writeResults(results, outDir) {
+  fs.mkdirSync(outDir, { recursive: true });
+
+  const summary = { ...results, agents: {} };
+  for (const [id, agent] of Object.entries(results.agents)) {
+    summary.agents[id] = { name: agent.name, strategy: agent.strategy, ...agent.summary };
+  }
+  fs.writeFileSync(path.join(outDir, 'summary.json'), JSON.stringify(summary, null, 2));
+
+  const ids = Object.keys(results.agents);
+  const timestamps = results.agents[ids[0]].equityCurve.map(p => p.timestamp);
+  const equity = [['timestamp', ...ids].join(',')];
+  timestamps.forEach((timestamp, i) => {
+    equity.push([timestamp, ...ids.map(id => results.agents[id].equityCurve[i].value.toFixed(4))].join(','));
+  });
+  fs.writeFileSync(path.join(outDir, 'equity.csv'), equity.join('\n') + '\n');
+
+  const trades = [];
+  for (const [id, agent] of Object.entries(results.agents)) {
+    for (const t of agent.trades) {
+      trades.push([t.timestamp, id, t.type, t.symbol, t.shares, t.price, t.total, t.pnl ?? '', t.fees ?? ''].join(','));
+    }
+  }
+  trades.sort((a, b) => a.localeCompare(b));
+  fs.writeFileSync(path.join(outDir, 'trades.csv'), ['timestamp,agent,type,symbol,shares,price,total,pnl,fees', ...trades].join('\n') + '\n');
+}
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      bars: { type: 'string' },
+      agents: { type: 'string' },
+      from: { type: 'string' },
+      to: { type: 'string' },
+      out: { type: 'string' },
+      seed: { type: 'string' },
+      execution: { type: 'string' }, // JSON, e.g. '{"fees":{"schedule":"per_trade","perTrade":1}}'
+      verbose: { type: 'boolean', default: false }
+    }
+  });
+
+  if (!values.bars) {
+    console.error('Usage: npm run backtest -- --bars <file.csv|file.json> [--agents warren,gordon] [--from YYYY-MM-DD] [--to YYYY-MM-DD] [--seed N] [--out dir] [--execution JSON] [--verbose]');
+    process.exit(1);
+  }
+  if (values.seed != null && !/^\d+$/.test(values.seed)) {
+    console.error('--seed must be a non-negative integer');
+    process.exit(1);
+  }
+
+  await loadStrategyPlugins();
+  const bars = loadBars(path.resolve(values.bars));
+  const outDir = path.resolve(values.out || path.join('backtests', new Date().toISOString().replace(/[:.]/g, '-')));
+
+  // Agents narrate every decision - keep the terminal for the results unless asked
+  const log = console.log;
+  if (!values.verbose) console.log = () => {};
+
+  let results;
+  try {
+    results = await runBacktest({
+      bars,
+      agents: values.agents ? values.agents.split(',').map(s => s.trim().toLowerCase()) : null,
+      from: values.from,
+      to: values.to,
+      execution: values.execution ? JSON.parse(values.execution) : {},
+      seed: values.seed != null ? Number(values.seed) : null
+    });
+  } finally {
+    console.log = log;
+  }
+
+  writeResults(results, outDir);
+
+  console.log(`[Backtest] ${results.from} → ${results.to} | ${results.symbols} symbols, ${results.steps} steps, seed ${results.seed}`);
+  const ranked = Object.values(results.agents).sort((a, b) => b.summary.endValue - a.summary.endValue);
+  for (const agent of ranked) {
+    const s = agent.summary;
+    console.log(`  ${agent.name.padEnd(12)} $${s.endValue.toFixed(2).padStart(8)}  ${(s.totalReturnPercent >= 0 ? '+' : '') + s.totalReturnPercent.toFixed(2)}%  maxDD ${s.maxDrawdownPercent.toFixed(2)}%  sharpe ${s.sharpe == null ? '-' : s.sharpe.toFixed(2)}  trades ${s.trades}  win ${s.winRate == null ? '-' : (s.winRate * 100).toFixed(0) + '%'}`);
+  }
+  console.log(`[Backtest] Results written to ${outDir}`);
+}
+
+if (process.argv[1] && fileURLToPath(import.meta.url) === path.resolve(process.argv[1])) {
+  main().catch(error => {
+    console.error('[Backtest] Failed:', error.message);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,88 @@
+// Recorded OHLCV bars from disk - shared by the backtester and the fixture market data provider
+
+import fs from 'fs';
+
+export const isDateOnly = (value) => /^\d{4}-\d{2}-\d{2}$/.test(String(value).trim());
+
+// Date-only bars are daily closes - stamp them mid-afternoon New York time so
+// they land inside the session in both EST and EDT
+export function parseBarTime(value) {
+  const str = String(value).trim();
+  if (isDateOnly(str)) return new Date(`${str}T19:30:00Z`).getTime();
+  if (/^\d+$/.test(str)) return Number(str) * (str.length <= 10 ? 1000 : 1); // unix seconds or ms
+  return new Date(str).getTime();
+}
+
+function normalizeBar(raw) {
+  const bar = {
+    time: parseBarTime(raw.time ?? raw.timestamp ?? raw.date),
+    open: Number(raw.open ?? raw.close),
+    high: Number(raw.high ?? raw.close),
+    low: Number(raw.low ?? raw.close),
+    close: Number(raw.close),
+    volume: Number(raw.volume ?? 0)
+  };
+  if (!Number.isFinite(bar.time) || !(bar.close > 0)) return null;
+  return bar;
+}
+
+// Load bars keyed by symbol, oldest first. Accepts:
+//   JSON  { "AAPL": [{ "time"|"date", open, high, low, close, volume }, ...], ... }
+//   JSON  [{ "symbol", "time"|"date", open, high, low, close, volume }, ...]
+//   CSV   header row with symbol,time|date,open,high,low,close,volume
+export function loadBars(file) {
+  const text = fs.readFileSync(file, 'utf8');
+  let rows = [];
+
+  if (file.endsWith('.csv')) {
+    const [header, ...lines] = text.split(/\r?\n/).filter(l => l.trim());
+    const cols = header.split(',').map(c => c.trim().toLowerCase());
+    rows = lines.map(line => {
+      const values = line.split(',');
+      return Object.fromEntries(cols.map((c, i) => [c, values[i]?.trim()]));
+    });
+  } else {
+    const data = JSON.parse(text);
+    rows = Array.isArray(data)
+      ? data
+      : Object.entries(data).flatMap(([symbol, bars]) => bars.map(bar => ({ symbol, ...bar })));
+  }
+
+  const bars = {};
+  for (const row of rows) {
+    if (!row.symbol) continue;
+    const bar = normalizeBar(row);
+    if (!bar) continue;
+    const symbol = row.symbol.toUpperCase();
+    (bars[symbol] ||= []).push(bar);
+  }
+  for (const list of Object.values(bars)) list.sort((a, b) => a.time - b.time);
+  return bars;
+}
+
+const nyDay = (time) => new Date(time).toLocaleDateString('en-CA', { timeZone: 'America/New_York' });
+
+// Roll intraday bars up into one bar per New York trading day
+export function rollUpDaily(bars) {
+  const daily = [];
+  for (const bar of bars) {
+    const day = nyDay(bar.time);
+    const today = daily[daily.length - 1];
+    if (today && today.day === day) {
+      today.high = Math.max(today.high, bar.high);
+      today.low = Math.min(today.low, bar.low);
+      today.close = bar.close;
+      today.volume += bar.volume;
+    } else {
+      daily.push({ day, time: bar.time, open: bar.open, high: bar.high, low: bar.low, close: bar.close, volume: bar.volume });
+    }
+  }
+  return daily;
+}
+
+// How many daily bars a Yahoo-style range string covers
+const RANGE_BARS = { '1d': 1, '5d': 5, '1mo': 22, '3mo': 66, '6mo': 126, '1y': 252, '2y': 504, '5y': 1260 };
+
+export function barsForRange(range = '1mo') {
+  return RANGE_BARS[range] || 22;
+}
@@ -0,0 +1,97 @@
+import { tradingDay } from './clock.js';
+
+// Local OHLCV store (the bars table). MarketData fills it incrementally from the
+// provider and reads analysis and chart history back from here.
+
+export const BAR_INTERVALS = ['1d', '5m'];
+export const INTRADAY_RETENTION_DAYS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Calendar days each provider range covers
+export const RANGE_DAYS = { '1d': 1, '5d': 5, '1mo': 31, '3mo': 92, '6mo': 183, '1y': 366, '2y': 731, '5y': 1827 };
+
+// Smallest provider range that reaches back `ms`
+export function rangeCovering(ms, maxRange = '5y') {
+  const days = ms / DAY_MS;
+  for (const [range, span] of Object.entries(RANGE_DAYS)) {
+    if (span >= days || range === maxRange) return range;
+  }
+  return maxRange;
+}
+
+const rowToBar = (row) => ({
+  time: row.time,
+  open: row.open,
+  high: row.high,
+  low: row.low,
+  close: row.close,
+  volume: row.volume
+});
+
+export class BarStore {
+  constructor(db) {
+    this.db = db;
+  }
+
+  // Insert or refresh bars; returns how many were written
+  upsert(symbol, interval, bars, fetchedAt = Date.now()) {
+    const insert = this.db.prepare(`
+      INSERT INTO bars (symbol, interval, slot, time, open, high, low, close, volume, fetched_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(symbol, interval, slot) DO UPDATE SET
+        time = excluded.time, open = excluded.open, high = excluded.high, low = excluded.low,
+        close = excluded.close, volume = excluded.volume, fetched_at = excluded.fetched_at
+    `);
+    const write = this.db.transaction((rows) => {
+      for (const b of rows) {
+        const slot = interval === '1d' ? tradingDay(b.time) : String(b.time);
+        insert.run(symbol, interval, slot, b.time, b.open ?? null, b.high ?? null, b.low ?? null, b.close, b.volume ?? null, fetchedAt);
+      }
+      return rows.length;
+    });
+    return write(bars.filter(b => b.close != null && Number.isFinite(b.time)));
+  }
+
+  // Bars oldest first: the last `limit`, or everything since `from`
+  getBars(symbol, interval, { from = null, limit = null } = {}) {
+    if (from != null) {
+      return this.db.prepare(`
+        SELECT * FROM bars WHERE symbol = ? AND interval = ? AND time >= ? ORDER BY time
+      `).all(symbol, interval, from).map(rowToBar);
+    }
+    return this.db.prepare(`
+      SELECT * FROM (SELECT * FROM bars WHERE symbol = ? AND interval = ? ORDER BY time DESC LIMIT ?) ORDER BY time
+    `).all(symbol, interval, limit ?? -1).map(rowToBar);
+  }
+
+  // { time, fetchedAt } of the newest bar, or null
+  latest(symbol, interval) {
+    const row = this.db.prepare(`
+      SELECT time, fetched_at FROM bars WHERE symbol = ? AND interval = ? ORDER BY time DESC LIMIT 1
+    `).get(symbol, interval);
+    return row ? { time: row.time, fetchedAt: row.fetched_at } : null;
+  }
+
+  // Restate bars before a split in post-split terms, the way providers serve adjusted history
+  applySplit(symbol, ratio, before) {
+    return this.db.prepare(`
+      UPDATE bars SET open = open / ?, high = high / ?, low = low / ?, close = close / ?, volume = volume * ?
+      WHERE symbol = ? AND time < ?
+    `).run(ratio, ratio, ratio, ratio, ratio, symbol, before).changes;
+  }
+
+  // Drop intraday bars older than the retention window
+  prune(now = Date.now()) {
+    return this.db.prepare("DELETE FROM bars WHERE interval != '1d' AND time < ?")
+      .run(now - INTRADAY_RETENTION_DAYS * DAY_MS).changes;
+  }
+
+  // Per interval: how many symbols are stored, total bars, oldest and newest bar
+  coverage() {
+    return this.db.prepare(`
+      SELECT interval, COUNT(DISTINCT symbol) AS symbols, COUNT(*) AS bars, MIN(time) AS oldest, MAX(time) AS newest
+      FROM bars GROUP BY interval
+    `).all();
+  }
+}
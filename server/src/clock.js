@@ -0,0 +1,99 @@
+// Time source for the engine. Live trading uses the wall clock; backtests
+// drive a SimulatedClock bar by bar so trades, snapshots and market-hours
+// checks all see historical time.
+
+export class SystemClock {
+  now() {
+    return Date.now();
+  }
+
+  date() {
+    return new Date(this.now());
+  }
+
+  iso() {
+    return this.date().toISOString();
+  }
+
+  // Timers in this clock's time. The scan loops go through these so a replay
+  // can run them on a VirtualClock.
+  setInterval(fn, ms) {
+    return globalThis.setInterval(fn, ms);
+  }
+
+  clearInterval(timer) {
+    globalThis.clearInterval(timer);
+  }
+}
+
+export class SimulatedClock extends SystemClock {
+  constructor(start = 0) {
+    super();
+    this.time = new Date(start).getTime();
+  }
+
+  now() {
+    return this.time;
+  }
+
+  set(time) {
+    this.time = new Date(time).getTime();
+  }
+
+  advance(ms) {
+    this.time += ms;
+  }
+}
+
+// Simulated time with its own timers: nothing fires until advanceTo() moves
+// time forward, and then every interval due on the way fires in time order
+// (awaited, so a scan finishes before the next one starts). How fast that
+// happens in real time is up to whoever drives it - see replay.js.
+export class VirtualClock extends SimulatedClock {
+  constructor(start = 0) {
+    super(start);
+    this.timers = new Set();
+    this.held = false;
+  }
+
+  // Intervals stop falling due on their own; only fire() runs them. A replay
+  // runs its scans at the times the tape recorded them instead of every `ms`.
+  hold() {
+    this.held = true;
+  }
+
+  async fire() {
+    for (const timer of [...this.timers]) await timer.fn();
+  }
+
+  setInterval(fn, ms) {
+    const timer = { fn, ms, due: this.time + ms };
+    this.timers.add(timer);
+    return timer;
+  }
+
+  clearInterval(timer) {
+    this.timers.delete(timer);
+  }
+
+  async advanceTo(time) {
+    while (!this.held) {
+      let next = null;
+      for (const timer of this.timers) {
+        if (timer.due <= time && (!next || timer.due < next.due)) next = timer;
+      }
+      if (!next) break;
+      this.time = Math.max(this.time, next.due);
+      next.due += next.ms;
+      await next.fn();
+    }
+    this.time = Math.max(this.time, new Date(time).getTime());
+  }
+}
+
+export const systemClock = new SystemClock();
+
+// Calendar day in New York (YYYY-MM-DD) - the unit for daily returns and day orders
+export function tradingDay(time) {
+  return new Date(time).toLocaleDateString('en-CA', { timeZone: 'America/New_York' });
+}
@@ -0,0 +1,113 @@
+// Elimination rules. A rule set is fixed for the length of a round and stored
+// with it, so every graveyard entry can say exactly which rules killed it.
+
+export const DEFAULT_RULES = {
+  eliminationCount: 2, // How many agents go each round
+  rankBy: 'value', // 'value' | 'return' | 'sharpe' | 'score'
+  drawdownPenalty: 0.5, // score = return % - drawdownPenalty * max drawdown %
+  minTrades: 0, // Fewer trades than this during the round = eliminated first
+  tieBreakers: ['maxDrawdown', 'trades'], // Applied in order when the ranking metric ties
+  winnerImmunity: false, // Last round's winner can't be eliminated
+  roundDays: 14,
+  minAgents: 3 // No elimination with fewer active agents than this
+};
+
+// Ranking metrics, higher is better
+export const RANKING_METRICS = {
+  value: (e) => e.currentValue,
+  return: (e) => e.totalReturnPercent,
+  sharpe: (e) => e.metrics.sharpe,
+  score: (e, rules) => e.totalReturnPercent - rules.drawdownPenalty * (e.metrics.maxDrawdownPercent || 0)
+};
+
+// Tie-breakers, higher is better
+export const TIE_BREAKERS = {
+  value: (e) => e.currentValue,
+  return: (e) => e.totalReturnPercent,
+  sharpe: (e) => e.metrics.sharpe,
+  maxDrawdown: (e) => -(e.metrics.maxDrawdownPercent || 0), // Shallower drawdown survives
+  trades: (e) => e.roundTrades, // The more active agent survives
+  seniority: (e) => -Date.parse(e.createdAt) // The older agent survives
+};
+
+const isNumber = (v) => typeof v === 'number' && Number.isFinite(v);
+
+// Merge over the defaults and check. Throws on anything unknown or out of range.
+export function resolveRules(rules = {}) {
+  for (const key of Object.keys(rules)) {
+    if (!(key in DEFAULT_RULES)) {
+      throw new Error(`Unknown rule: ${key} (expected one of: ${Object.keys(DEFAULT_RULES).join(', ')})`);
+    }
+  }
+  const resolved = { ...DEFAULT_RULES, ...rules };
+
+  if (!Number.isInteger(resolved.eliminationCount) || resolved.eliminationCount < 0) {
+    throw new Error('eliminationCount must be a non-negative integer');
+  }
+  if (!RANKING_METRICS[resolved.rankBy]) {
+    throw new Error(`Unknown rankBy: ${resolved.rankBy} (expected one of: ${Object.keys(RANKING_METRICS).join(', ')})`);
+  }
+  if (!isNumber(resolved.drawdownPenalty) || resolved.drawdownPenalty < 0) throw new Error('drawdownPenalty must be a non-negative number');
+  if (!Number.isInteger(resolved.minTrades) || resolved.minTrades < 0) throw new Error('minTrades must be a non-negative integer');
+  if (!Array.isArray(resolved.tieBreakers)) throw new Error('tieBreakers must be a list');
+  for (const tb of resolved.tieBreakers) {
+    if (!TIE_BREAKERS[tb]) throw new Error(`Unknown tie-breaker: ${tb} (expected one of: ${Object.keys(TIE_BREAKERS).join(', ')})`);
+  }
+  if (typeof resolved.winnerImmunity !== 'boolean') throw new Error('winnerImmunity must be true or false');
+  if (!isNumber(resolved.roundDays) || resolved.roundDays <= 0) throw new Error('roundDays must be a positive number');
+  if (!Number.isInteger(resolved.minAgents) || resolved.minAgents < 2) throw new Error('minAgents must be an integer of at least 2');
+
+  return resolved;
+}
+
+function compare(a, b, getter, rules) {
+  const x = getter(a, rules);
+  const y = getter(b, rules);
+  if (x == null || y == null) return (x == null) - (y == null); // Missing values lose
+  if (Math.abs(x - y) < 1e-9) return 0;
+  return y - x;
+}
+
+// Order leaderboard entries best to worst under the rules and pick who goes.
+// entries: [{ id, name, currentValue, totalReturnPercent, metrics, roundTrades, createdAt }]
+// immune:  agent ids that can't be eliminated this round
+// Returns { ranking: [{ ...entry, standing, metricValue, qualified, immune }], eliminated: [{ ...entry, reason }] }
+export function judgeRound(entries, rules, immune = []) {
+  const metric = RANKING_METRICS[rules.rankBy];
+  const qualified = (e) => e.roundTrades >= rules.minTrades;
+
+  const ranking = [...entries].sort((a, b) => {
+    // Agents short of the trade minimum rank below everyone who met it
+    if (qualified(a) !== qualified(b)) return qualified(a) ? -1 : 1;
+    const byMetric = compare(a, b, metric, rules);
+    if (byMetric !== 0) return byMetric;
+    for (const tb of rules.tieBreakers) {
+      const byTie = compare(a, b, TIE_BREAKERS[tb], rules);
+      if (byTie !== 0) return byTie;
+    }
+    return a.id.localeCompare(b.id);
+  }).map((e, i) => ({
+    ...e,
+    standing: i + 1,
+    metricValue: metric(e, rules) ?? null,
+    qualified: qualified(e),
+    immune: immune.includes(e.id)
+  }));
+
+  if (ranking.length < rules.minAgents) return { ranking, eliminated: [] };
+
+  const eliminated = [];
+  const count = Math.min(rules.eliminationCount, ranking.length - 1); // Someone always survives
+  for (const entry of [...ranking].reverse()) {
+    if (eliminated.length >= count) break;
+    if (entry.immune) continue;
+
+    const shown = entry.metricValue == null ? 'n/a' : entry.metricValue.toFixed(2);
+    const reason = entry.qualified
+      ? `Ranked ${entry.standing}/${ranking.length} by ${rules.rankBy} (${shown})`
+      : `Only ${entry.roundTrades} trades this round (minimum ${rules.minTrades}); ranked ${entry.standing}/${ranking.length}`;
+    eliminated.push({ ...entry, reason });
+  }
+
+  return { ranking, eliminated };
+}
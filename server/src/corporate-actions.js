@@ -0,0 +1,247 @@
+import fs from 'fs';
+import { addDays, nyDate, nyTimeToEpoch } from './market-calendar.js';
+import { isDateOnly } from './bar-file.js';
+import { fetchChart } from './providers/yahoo.js';
+
+// Splits and dividends. An action source has:
+//   name
+//   getActions(symbols, { from, to }) -> [{ symbol, type, exDate, ratio, amount }]
+// with exDate 'YYYY-MM-DD' (New York), and either
+//   type 'split'     ratio  new shares per old share - 4 for a 4-for-1, 0.1 for a 1-for-10 reverse split
+//   type 'dividend'  amount cash per share
+export const ACTION_TYPES = ['split', 'dividend'];
+
+// 4, '4', '4:1', '4/1', '4-for-1' -> 4; '1:10' -> 0.1
+export function parseRatio(value) {
+  if (typeof value === 'number') return value;
+  const match = String(value ?? '').trim().match(/^([\d.]+)\s*(?::|\/|-for-)\s*([\d.]+)$/i);
+  return match ? Number(match[1]) / Number(match[2]) : Number(value);
+}
+
+// Validate one action, returning it normalized. Throws with a readable message.
+export function normalizeAction(raw) {
+  const symbol = String(raw.symbol || '').trim().toUpperCase();
+  const type = String(raw.type || '').trim().toLowerCase();
+  const exDate = String(raw.exDate ?? raw.ex_date ?? raw.date ?? '').trim();
+
+  if (!symbol) throw new Error('symbol is required');
+  if (!ACTION_TYPES.includes(type)) throw new Error(`type must be one of: ${ACTION_TYPES.join(', ')}`);
+  if (!isDateOnly(exDate)) throw new Error(`${symbol}: exDate must be YYYY-MM-DD`);
+
+  if (type === 'split') {
+    const ratio = parseRatio(raw.ratio);
+    if (!(ratio > 0) || ratio === 1) throw new Error(`${symbol} ${exDate}: split ratio must be positive and not 1`);
+    return { symbol, type, exDate, ratio };
+  }
+  const amount = Number(raw.amount);
+  if (!(amount > 0)) throw new Error(`${symbol} ${exDate}: dividend amount must be positive`);
+  return { symbol, type, exDate, amount };
+}
+
+export const actionId = (action) => `${action.symbol}:${action.type}:${action.exDate}`;
+
+// Load actions from disk. Accepts:
+//   JSON  [{ "symbol", "type", "exDate", "ratio"|"amount" }, ...]
+//   CSV   header row with symbol,type,exDate,ratio,amount
+export function loadActions(file) {
+  const text = fs.readFileSync(file, 'utf8');
+  let rows;
+
+  if (file.endsWith('.csv')) {
+    const [header, ...lines] = text.split(/\r?\n/).filter(l => l.trim());
+    const cols = header.split(',').map(c => c.trim());
+    rows = lines.map(line => {
+      const values = line.split(',');
+      return Object.fromEntries(cols.map((c, i) => [c, values[i]?.trim()]));
+    });
+  } else {
+    rows = JSON.parse(text);
+    if (!Array.isArray(rows)) throw new Error(`${file}: expected an array of actions`);
+  }
+
+  return rows.map(normalizeAction);
+}
+
+// A local file of actions - for tests, backtests and manual corrections.
+// Re-read on every call, so edits show up without a restart.
+export class FileActionSource {
+  constructor({ file } = {}) {
+    if (!file) throw new Error('File action source needs a file (CORPORATE_ACTIONS_FILE)');
+    this.name = 'file';
+    this.file = file;
+  }
+
+  async getActions(symbols, { from, to }) {
+    const wanted = new Set(symbols);
+    return loadActions(this.file)
+      .filter(a => wanted.has(a.symbol) && a.exDate >= from && a.exDate <= to);
+  }
+}
+
+// Dividends and splits from the Yahoo chart endpoint, one symbol at a time
+export class YahooActionSource {
+  constructor() {
+    this.name = 'yahoo';
+    this.minRequestInterval = 200;
+  }
+
+  async getActions(symbols, { from, to }) {
+    const actions = [];
+    for (const symbol of symbols) {
+      try {
+        const { events = {} } = await fetchChart(symbol, '1d', '1mo', 'div,splits');
+        for (const div of Object.values(events.dividends || {})) {
+          actions.push({ symbol, type: 'dividend', exDate: nyDate(div.date * 1000), amount: div.amount });
+        }
+        for (const split of Object.values(events.splits || {})) {
+          actions.push({ symbol, type: 'split', exDate: nyDate(split.date * 1000), ratio: split.numerator / split.denominator });
+        }
+      } catch (e) {
+        console.error(`[Corporate] ${symbol} lookup failed:`, e.message);
+      }
+      await new Promise(resolve => setTimeout(resolve, this.minRequestInterval));
+    }
+    return actions.filter(a => a.exDate >= from && a.exDate <= to);
+  }
+}
+
+export class NoActionSource {
+  constructor() {
+    this.name = 'none';
+  }
+
+  async getActions() {
+    return [];
+  }
+}
+
+const ACTION_SOURCES = {
+  file: FileActionSource,
+  yahoo: YahooActionSource,
+  none: NoActionSource
+};
+
+export function registerActionSource(name, SourceClass) {
+  ACTION_SOURCES[name] = SourceClass;
+}
+
+export function createActionSource(config = {}) {
+  const name = config.source || 'none';
+  const SourceClass = ACTION_SOURCES[name];
+  if (!SourceClass) throw new Error(`Unknown corporate action source: ${name}`);
+  return new SourceClass(config);
+}
+
+// CORPORATE_ACTIONS_SOURCE=yahoo|file|none
+// CORPORATE_ACTIONS_FILE=path/to/actions.csv   (file)
+// Defaults to the file when one is given, Yahoo on live Yahoo data, otherwise none
+export function actionSourceConfigFromEnv(env = process.env) {
+  const live = (env.MARKET_DATA_PROVIDER || 'yahoo') === 'yahoo';
+  return {
+    source: env.CORPORATE_ACTIONS_SOURCE || (env.CORPORATE_ACTIONS_FILE ? 'file' : live ? 'yahoo' : 'none'),
+    ...(env.CORPORATE_ACTIONS_FILE && { file: env.CORPORATE_ACTIONS_FILE })
+  };
+}
+
+const rowToAction = (row) => ({
+  id: row.id,
+  symbol: row.symbol,
+  type: row.type,
+  exDate: row.ex_date,
+  ...(row.ratio != null && { ratio: row.ratio }),
+  ...(row.amount != null && { amount: row.amount }),
+  source: row.source,
+  holders: row.holders,
+  appliedAt: row.applied_at
+});
+
+// Applies every action that went ex in the last few days to the books holding
+// the symbol, exactly once. Runs before the open on trading days; the lookback
+// covers a server that was down over an ex-date.
+export class CorporateActionProcessor {
+  constructor({ engine, source, marketData = null, db = engine.db, clock = engine.clock, lookbackDays = 7 }) {
+    this.engine = engine;
+    this.source = source;
+    this.marketData = marketData;
+    this.db = db;
+    this.clock = clock;
+    this.lookbackDays = lookbackDays;
+  }
+
+  isApplied(id) {
+    return !!this.db.prepare('SELECT 1 FROM corporate_actions WHERE id = ?').get(id);
+  }
+
+  // Every symbol any book is long or short
+  heldSymbols() {
+    const symbols = new Set();
+    for (const portfolio of Object.values(this.engine.portfolios)) {
+      for (const symbol of Object.keys(portfolio.positions)) symbols.add(symbol);
+      for (const symbol of Object.keys(portfolio.shorts)) symbols.add(symbol);
+    }
+    return [...symbols];
+  }
+
+  // Fetch and apply anything outstanding. Returns the actions applied.
+  async process() {
+    const to = nyDate(this.clock.now());
+    const from = addDays(to, -this.lookbackDays);
+    const symbols = this.heldSymbols();
+    if (symbols.length === 0) return [];
+
+    const actions = (await this.source.getActions(symbols, { from, to }))
+      .map(normalizeAction)
+      .sort((a, b) => a.exDate.localeCompare(b.exDate));
+
+    const applied = [];
+    for (const action of actions) {
+      if (this.isApplied(actionId(action))) continue;
+      applied.push(this.apply(action));
+    }
+    if (applied.length) console.log(`[Corporate] Applied ${applied.length} action(s) from ${this.source.name}`);
+    return applied;
+  }
+
+  // Adjust every holder for one action. Only shares held going into the ex-date count.
+  apply(action, { source = this.source.name } = {}) {
+    action = normalizeAction(action);
+    const id = actionId(action);
+    if (this.isApplied(id)) throw new Error(`${id} was already applied`);
+
+    const since = new Date(nyTimeToEpoch(action.exDate, 0)).toISOString();
+    const trades = [];
+    for (const { agentId, side } of this.engine.getHolders(action.symbol)) {
+      const shares = this.engine.sharesHeldSince(agentId, action.symbol, side, since);
+      if (!(shares > 0)) continue;
+      const options = { shares, exDate: action.exDate };
+      trades.push(...(action.type === 'split'
+        ? this.engine.applySplit(agentId, action.symbol, action.ratio, options)
+        : this.engine.creditDividend(agentId, action.symbol, action.amount, options)));
+    }
+
+    if (action.type === 'split') {
+      const orders = this.engine.orderBook.applySplit(action.symbol, action.ratio, since);
+      this.marketData?.applySplit(action.symbol, action.ratio, action.exDate);
+      console.log(`[Corporate] ✂️ ${action.symbol} split ${action.ratio}x on ${action.exDate}: ${trades.length} book(s), ${orders} open order(s) adjusted`);
+    } else {
+      console.log(`[Corporate] 💵 ${action.symbol} dividend $${action.amount}/share on ${action.exDate}: ${trades.length} book(s) credited`);
+    }
+
+    this.db.prepare(`
+      INSERT INTO corporate_actions (id, symbol, type, ex_date, ratio, amount, source, holders, applied_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(id, action.symbol, action.type, action.exDate, action.ratio ?? null, action.amount ?? null,
+      source, trades.length, this.clock.iso());
+
+    return { id, ...action, trades };
+  }
+
+  // Applied actions, newest ex-date first
+  getActions({ symbol = null, limit = 100 } = {}) {
+    if (symbol) {
+      return this.db.prepare('SELECT * FROM corporate_actions WHERE symbol = ? ORDER BY ex_date DESC LIMIT ?')
+        .all(symbol.toUpperCase(), limit).map(rowToAction);
+    }
+    return this.db.prepare('SELECT * FROM corporate_actions ORDER BY ex_date DESC LIMIT ?').all(limit).map(rowToAction);
+  }
+}
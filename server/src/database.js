@@ -0,0 +1,58 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import Database from 'better-sqlite3';
+import { runMigrations } from './migrations.js';
+import { importLegacyJson } from './legacy-import.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+export const DATA_DIR = path.join(__dirname, '..', 'data');
+export const DB_PATH = path.join(DATA_DIR, 'agent-memory.db');
+
+// Open a database and bring its schema up to date. Pass ':memory:' for a throwaway store.
+export function openDatabase(file = DB_PATH) {
+  if (file !== ':memory:') fs.mkdirSync(path.dirname(file), { recursive: true });
+
+  const db = new Database(file);
+  if (file !== ':memory:') db.pragma('journal_mode = WAL');
+  db.pragma('foreign_keys = ON');
+  runMigrations(db);
+  return db;
+}
+
+let shared = null;
+
+// The live server's database - agent memory, ledger and competition state all share it
+export function getDatabase() {
+  if (!shared) {
+    shared = openDatabase(DB_PATH);
+    importLegacyJson(shared, DATA_DIR);
+  }
+  return shared;
+}
+
+// Small helpers for the key/value meta table
+export function getMeta(db, key) {
+  const row = db.prepare('SELECT value FROM meta WHERE key = ?').get(key);
+  return row ? row.value : null;
+}
+
+export function setMeta(db, key, value) {
+  db.prepare(`
+    INSERT INTO meta (key, value) VALUES (?, ?)
+    ON CONFLICT(key) DO UPDATE SET value = excluded.value
+  `).run(key, String(value));
+}
+
+export function deleteMeta(db, key) {
+  db.prepare('DELETE FROM meta WHERE key = ?').run(key);
+}
+
+// Put rows read with SELECT * back where they came from (ids included)
+export function insertRows(db, table, rows) {
+  for (const row of rows) {
+    const cols = Object.keys(row);
+    db.prepare(`INSERT INTO ${table} (${cols.join(', ')}) VALUES (${cols.map(() => '?').join(', ')})`)
+      .run(...cols.map(c => row[c]));
+  }
+}
@@ -0,0 +1,203 @@
+import { getDatabase } from './database.js';
+import { systemClock } from './clock.js';
+
+// Why an agent did - or didn't - trade. One entry per agent per decision cycle
+// (every market scan, every manual round), holding what the agent saw, why it
+// decided to look, the exits it weighed, its best-scored candidates with each
+// scoring rule's contribution, and what it ended up doing.
+//
+// Quiet cycles are kept too - "why didn't Gordon buy?" needs them - so old
+// entries are pruned after `retentionDays`.
+
+//   traded   at least one order went through
+//   held     looked and passed (or had nothing worth looking at)
+//   skipped  sat the round out on its trade frequency roll
+//   paused   halted by an admin
+//   error    the cycle threw
+export const DECISION_OUTCOMES = ['traded', 'held', 'skipped', 'paused', 'error'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const round = (n, places = 2) => (n == null || !Number.isFinite(n) ? n : Math.round(n * 10 ** places) / 10 ** places);
+
+// Collects one cycle as it happens. Strategies reach it as ctx.trace; every
+// method is safe to call in any order, and nothing is written until the
+// journal records it.
+export class DecisionTrace {
+  constructor(agent, { kind = 'scan', topN = 5, clock = systemClock } = {}) {
+    this.agentId = agent.id;
+    this.kind = kind;
+    this.topN = topN;
+    this.timestamp = clock.iso();
+    this.data = { inputs: {}, trigger: null, exits: [], rankings: [], excluded: [], actions: [], notes: [] };
+    this.outcome = null;
+    this.reason = null;
+  }
+
+  // What the agent was looking at - merged, so callers can add as they learn more
+  inputs(values) {
+    Object.assign(this.data.inputs, values);
+  }
+
+  // The shouldTrade verdict
+  trigger({ trade, reason }) {
+    this.data.trigger = { trade, reason };
+  }
+
+  // One held position (or short) reviewed for an exit.
+  // `fired` lists the exit rules that matched; memory's sentiment is one of them.
+  exit({ symbol, side, pnlPercent, sentiment = null, fired = [], reason = null }) {
+    this.data.exits.push({
+      symbol, side, pnlPercent: round(pnlPercent), ...(sentiment != null && { sentiment: round(sentiment) }),
+      fired, decision: reason ? (side === 'short' ? 'COVER' : 'SELL') : 'HOLD', ...(reason && { reason })
+    });
+  }
+
+  // A ranked candidate list - only the top N are kept, with their score breakdowns
+  ranked(scored, breakdowns = new Map()) {
+    this.data.rankings.push({
+      considered: scored.length,
+      top: scored.slice(0, this.topN).map(c => ({
+        symbol: c.symbol,
+        score: round(c.score),
+        price: round(c.price),
+        ...(c.trend && { trend: c.trend }),
+        ...(c.rsi != null && { rsi: round(c.rsi, 1) }),
+        ...(c.signal != null && { signal: round(c.signal, 1) }),
+        ...(c.sentiment != null && { sentiment: round(c.sentiment) }),
+        ...(breakdowns.has(c) && { breakdown: breakdowns.get(c).map(b => ({
+          ...b, ...(typeof b.value === 'number' && { value: round(b.value) }), points: round(b.points)
+        })) })
+      }))
+    });
+  }
+
+  // Symbols left out of consideration, and why (e.g. memory of past losses)
+  exclude(symbols, why) {
+    if (symbols.length) this.data.excluded.push({ symbols, why });
+  }
+
+  // An order the agent sent, and how it went (the risk manager may have resized it)
+  action(action, symbol, shares, price, result, reason = null) {
+    const filled = result?.trade?.shares;
+    this.data.actions.push({
+      action, symbol, shares: filled ?? shares, price,
+      ...(filled != null && filled !== shares && { requestedShares: shares }),
+      success: !!result?.success,
+      ...(result?.success ? {} : { error: result?.error || 'No result' }),
+      ...(result?.trade?.risk && { risk: result.trade.risk }),
+      ...(reason && { reason })
+    });
+  }
+
+  // Free-form reasoning, e.g. why the best candidate wasn't good enough
+  note(text) {
+    this.data.notes.push(text);
+  }
+
+  // Orders that actually went through - refused ones are kept in actions too
+  filled() {
+    return this.data.actions.filter(a => a.success);
+  }
+
+  // Close the cycle. Without an explicit outcome it is worked out from what happened.
+  finish(outcome = null, reason = null) {
+    const { notes, trigger } = this.data;
+    const traded = this.filled();
+    this.outcome = outcome || (traded.length ? 'traded' : 'held');
+    this.reason = reason
+      || (traded.length ? traded.map(a => `${a.action} ${a.symbol}`).join(', ') : null)
+      || notes[notes.length - 1]
+      || trigger?.reason
+      || 'No action taken';
+    return this;
+  }
+
+  // Every symbol the cycle touched, for filtering
+  symbols() {
+    const { exits, rankings, actions } = this.data;
+    return [...new Set([
+      ...actions.map(a => a.symbol),
+      ...exits.map(e => e.symbol),
+      ...rankings.flatMap(r => r.top.map(c => c.symbol))
+    ])];
+  }
+
+  // The symbol the cycle was about: the first order, else the first exit that fired, else the top pick
+  primarySymbol() {
+    const { exits, rankings, actions } = this.data;
+    return actions[0]?.symbol || exits.find(e => e.reason)?.symbol || rankings[0]?.top[0]?.symbol || null;
+  }
+}
+
+const rowToDecision = (row) => ({
+  id: row.id,
+  agentId: row.agent_id,
+  timestamp: row.timestamp,
+  kind: row.kind,
+  outcome: row.outcome,
+  symbol: row.symbol,
+  reason: row.reason,
+  ...JSON.parse(row.data)
+});
+
+// Schema lives in migrations.js (version 10)
+export class DecisionJournal {
+  constructor({ db = getDatabase(), clock = systemClock, topN = 5, retentionDays = 7 } = {}) {
+    this.db = db;
+    this.clock = clock;
+    this.topN = topN;
+    this.retentionDays = retentionDays;
+  }
+
+  start(agent, kind = 'scan') {
+    return new DecisionTrace(agent, { kind, topN: this.topN, clock: this.clock });
+  }
+
+  record(trace) {
+    if (!trace.outcome) trace.finish();
+    this.db.transaction(() => {
+      const { lastInsertRowid: id } = this.db.prepare(`
+        INSERT INTO decisions (agent_id, timestamp, kind, outcome, symbol, reason, data) VALUES (?, ?, ?, ?, ?, ?, ?)
+      `).run(trace.agentId, trace.timestamp, trace.kind, trace.outcome, trace.primarySymbol(), trace.reason,
+        JSON.stringify(trace.data));
+      const insert = this.db.prepare('INSERT INTO decision_symbols (decision_id, symbol) VALUES (?, ?)');
+      for (const symbol of trace.symbols()) insert.run(id, symbol);
+    })();
+  }
+
+  // Newest first. `symbol` matches any cycle that traded, reviewed or ranked it;
+  // `from`/`to` are ISO timestamps (or dates), inclusive.
+  getDecisions(agentId, { symbol = null, from = null, to = null, outcome = null, limit = 100 } = {}) {
+    const where = ['agent_id = ?'];
+    const params = [agentId];
+    if (symbol) {
+      where.push('id IN (SELECT decision_id FROM decision_symbols WHERE symbol = ?)');
+      params.push(symbol.toUpperCase());
+    }
+    if (from) { where.push('timestamp >= ?'); params.push(toTimestamp(from, 'from')); }
+    if (to) { where.push('timestamp <= ?'); params.push(toTimestamp(to, 'to', true)); }
+    if (outcome) {
+      if (!DECISION_OUTCOMES.includes(outcome)) throw new Error(`outcome must be one of: ${DECISION_OUTCOMES.join(', ')}`);
+      where.push('outcome = ?'); params.push(outcome);
+    }
+
+    return this.db.prepare(`SELECT * FROM decisions WHERE ${where.join(' AND ')} ORDER BY id DESC LIMIT ?`)
+      .all(...params, limit).map(rowToDecision);
+  }
+
+  // Drop entries past the retention window. Returns how many went.
+  prune() {
+    const cutoff = new Date(this.clock.now() - this.retentionDays * DAY_MS).toISOString();
+    const { changes } = this.db.prepare('DELETE FROM decisions WHERE timestamp < ?').run(cutoff);
+    if (changes) console.log(`[Decisions] Pruned ${changes} entries older than ${this.retentionDays} days`);
+    return changes;
+  }
+}
+
+// ISO timestamp for a query bound. A bare date as the upper bound means the whole of that day.
+function toTimestamp(value, name, endOfDay = false) {
+  const time = new Date(value).getTime();
+  if (Number.isNaN(time)) throw new Error(`${name} must be a date or ISO timestamp`);
+  const wholeDay = endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value);
+  return new Date(wholeDay ? time + DAY_MS - 1 : time).toISOString();
+}
@@ -0,0 +1,58 @@
+import { EventEmitter } from 'events';
+
+// Things viewers care about the moment they happen
+export const EVENT_TYPES = ['trade', 'snapshot', 'elimination', 'market'];
+
+// In-process pub/sub for live updates. Every event gets a sequence id and the
+// last few hundred are kept so reconnecting SSE clients can catch up via Last-Event-ID.
+export class EventBus extends EventEmitter {
+  constructor({ bufferSize = 500 } = {}) {
+    super();
+    this.setMaxListeners(0); // One listener per connected viewer
+    this.bufferSize = bufferSize;
+    this.buffer = [];
+    this.nextId = 1;
+  }
+
+  publish(type, data) {
+    const event = { id: this.nextId++, type, data, timestamp: new Date().toISOString() };
+    this.buffer.push(event);
+    if (this.buffer.length > this.bufferSize) this.buffer.shift();
+    this.emit('event', event);
+    return event;
+  }
+
+  // Events after the given id, oldest first
+  since(lastId) {
+    return this.buffer.filter(e => e.id > lastId);
+  }
+}
+
+// Stream the bus to one HTTP client as Server-Sent Events
+export function sseHandler(bus, { heartbeatMs = 25000 } = {}) {
+  return (req, res) => {
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no' // Stop nginx from buffering the stream
+    });
+    res.flushHeaders();
+
+    const send = (event) => {
+      res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+    };
+
+    res.write('retry: 5000\n\n');
+    const lastId = parseInt(req.get('Last-Event-ID'));
+    if (lastId) bus.since(lastId).forEach(send);
+
+    bus.on('event', send);
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), heartbeatMs);
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      bus.off('event', send);
+    });
+  };
+}
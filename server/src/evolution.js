@@ -0,0 +1,155 @@
+// Breeding replacements from the survivors. An agent's genome is every numeric
+// trait that shapes how it trades - risk, frequency, scoring weights, sizing,
+// sell thresholds, strategy params - flattened to { 'exit.stopLoss': -7, ... }.
+// Children copy a parent's strategy and universe, take genes from one or two
+// parents, then mutate.
+
+export const DEFAULT_EVOLUTION = {
+  enabled: true, // false = replacements start fresh from their definition file
+  mutationRate: 0.3, // Chance each gene mutates
+  mutationScale: 0.2, // Mutation size, as a fraction of the gene's value
+  crossoverRate: 0.5 // Chance of a second parent (same strategy only)
+};
+
+// Hard limits so mutation can't produce nonsense (a positive stop-loss, RSI 140...)
+const GENE_BOUNDS = {
+  riskTolerance: [0, 1],
+  tradeFrequency: [0.05, 1],
+  'entry.minScore': [-100, 200],
+  'exit.takeProfit': [0.5, 100],
+  'exit.stopLoss': [-50, -0.5],
+  'exit.stopLossChance': [0.05, 1],
+  'exit.overboughtRsi': [50, 95],
+  'exit.sellSignal': [-100, 0],
+  'exit.panicLoss': [-50, -1],
+  'exit.profitReview': [1, 100],
+  'sizing.cashFraction': [0.05, 1],
+  'sizing.randomExtra': [0, 1]
+};
+
+// Where numbers live in an agent, and which of them are genes
+const EVOLVING_KEYS = ['add', 'weight', 'else'];
+const isNumber = (v) => typeof v === 'number' && Number.isFinite(v);
+
+export function extractGenome(agent) {
+  const genome = {};
+  const put = (key, value) => { if (isNumber(value)) genome[key] = value; };
+
+  put('riskTolerance', agent.riskTolerance);
+  put('tradeFrequency', agent.tradeFrequency);
+  for (const section of ['entry', 'exit', 'sizing', 'params']) {
+    for (const [key, value] of Object.entries(agent[section] || {})) put(`${section}.${key}`, value);
+  }
+
+  // Scoring: contributions and weights, not the band edges
+  (agent.scoring || []).forEach((rule, i) => {
+    for (const key of EVOLVING_KEYS) put(`scoring.${i}.${key}`, rule[key]);
+    (rule.bands || []).forEach((band, j) => {
+      for (const key of EVOLVING_KEYS) put(`scoring.${i}.bands.${j}.${key}`, band[key]);
+    });
+    for (const [k, v] of Object.entries(rule.map || {})) put(`scoring.${i}.map.${k}`, v);
+  });
+
+  return genome;
+}
+
+// Write genes back into an agent, in place
+export function applyGenome(agent, genome) {
+  for (const [path, value] of Object.entries(genome)) {
+    const keys = path.split('.');
+    let target = agent;
+    for (const key of keys.slice(0, -1)) {
+      target = target?.[key];
+    }
+    if (target && keys[keys.length - 1] in target) target[keys[keys.length - 1]] = value;
+  }
+  return agent;
+}
+
+function gaussian(rng) {
+  const u = 1 - rng(); // (0, 1]
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * rng());
+}
+
+function clampGene(key, value, original) {
+  const bounds = GENE_BOUNDS[key];
+  if (bounds) return Math.min(bounds[1], Math.max(bounds[0], value));
+  // Unbounded genes keep their sign - a penalty stays a penalty
+  if (original > 0) return Math.max(value, original * 0.01);
+  if (original < 0) return Math.min(value, original * 0.01);
+  return value;
+}
+
+// Returns { genome, mutations: { gene: [from, to] } }
+export function mutate(genome, { mutationRate, mutationScale }, rng = Math.random) {
+  const result = { ...genome };
+  const mutations = {};
+
+  for (const [key, value] of Object.entries(genome)) {
+    if (rng() >= mutationRate) continue;
+    // Scale by the value itself; zero-valued genes get a nudge of the same order as a unit weight
+    let next = clampGene(key, value + gaussian(rng) * mutationScale * (Math.abs(value) || 1), value);
+    if (Number.isInteger(value) && key.startsWith('params.')) next = Math.round(next); // Counts stay counts
+    next = Math.round(next * 10000) / 10000;
+    if (next !== value) {
+      result[key] = next;
+      mutations[key] = [value, next];
+    }
+  }
+
+  return { genome: result, mutations };
+}
+
+// Uniform crossover: each gene from either parent with equal odds
+export function crossover(a, b, rng = Math.random) {
+  const child = {};
+  for (const key of Object.keys(a)) {
+    child[key] = key in b && rng() < 0.5 ? b[key] : a[key];
+  }
+  return child;
+}
+
+// Rank-weighted pick: the leader is n times as likely as the last survivor
+export function selectParent(ranked, rng = Math.random, exclude = null) {
+  const pool = ranked.filter(r => r !== exclude);
+  if (pool.length === 0) return null;
+  const weights = pool.map((_, i) => pool.length - i);
+  let roll = rng() * weights.reduce((sum, w) => sum + w, 0);
+  for (let i = 0; i < pool.length; i++) {
+    roll -= weights[i];
+    if (roll < 0) return pool[i];
+  }
+  return pool[pool.length - 1];
+}
+
+// survivors: agent objects, best first. Returns the traits a replacement inherits
+// plus { genome, parents, mutations }, or null if there's nobody to breed from.
+export function breed(survivors, config, rng = Math.random) {
+  const first = selectParent(survivors, rng);
+  if (!first) return null;
+
+  const sameStrategy = survivors.filter(s => s.strategy === first.strategy);
+  const second = rng() < config.crossoverRate ? selectParent(sameStrategy, rng, first) : null;
+
+  const inherited = structuredClone({
+    personality: first.personality,
+    strategy: first.strategy,
+    riskTolerance: first.riskTolerance,
+    tradeFrequency: first.tradeFrequency,
+    universe: first.universe,
+    preferredStocks: first.preferredStocks,
+    avoidStocks: first.avoidStocks,
+    scoring: first.scoring,
+    entry: first.entry,
+    exit: first.exit,
+    sizing: first.sizing,
+    params: first.params
+  });
+
+  const base = second ? crossover(extractGenome(first), extractGenome(second), rng) : extractGenome(first);
+  const { genome, mutations } = mutate(base, config, rng);
+  applyGenome(inherited, genome);
+
+  const parents = [first, second].filter(Boolean).map(p => ({ id: p.id, generation: p.generation, name: p.name }));
+  return { ...inherited, genome, parents, mutations };
+}
@@ -0,0 +1,157 @@
+// Execution simulation - turns a quoted price into what a trade actually costs
+
+// SEC Section 31 fee (per dollar of sell proceeds) and FINRA TAF (per share sold)
+export const REGULATORY_FEES = {
+  secFeeRate: 27.80 / 1_000_000,
+  tafPerShare: 0.000166,
+  tafMax: 8.30
+};
+
+export const DEFAULT_EXECUTION = {
+  model: 'simulated',
+  spread: {
+    defaultBps: 5,   // Used when the quote has no volume to estimate from
+    minBps: 1,
+    maxBps: 50
+  },
+  slippage: {
+    impactCoefficient: 0.1 // Square-root market impact scaled by the day's range
+  },
+  fees: {
+    schedule: 'none', // 'none' | 'per_trade' | 'per_share'
+    perTrade: 0,
+    perShare: 0,
+    min: 0,
+    max: null // No cap
+  },
+  regulatory: true
+};
+
+const FEE_SCHEDULES = ['none', 'per_trade', 'per_share'];
+
+const round = (n) => Math.round(n * 1e6) / 1e6;
+
+// Every rate and fee is a finite number >= 0 - a NaN would end up in cash and the
+// ledger, and a negative fee would pay the agent to trade
+function requireAmount(value, name) {
+  if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+    throw new Error(`${name} must be a non-negative number`);
+  }
+}
+
+export function validateExecution(config) {
+  const { spread, slippage, fees } = config;
+  for (const key of ['defaultBps', 'minBps', 'maxBps']) requireAmount(spread[key], `spread.${key}`);
+  if (spread.minBps > spread.maxBps) throw new Error('spread.minBps must not be above spread.maxBps');
+  requireAmount(slippage.impactCoefficient, 'slippage.impactCoefficient');
+  if (!FEE_SCHEDULES.includes(fees.schedule)) throw new Error(`fees.schedule must be one of: ${FEE_SCHEDULES.join(', ')}`);
+  for (const key of ['perTrade', 'perShare', 'min']) requireAmount(fees[key], `fees.${key}`);
+  if (fees.max != null) requireAmount(fees.max, 'fees.max');
+  if (typeof config.regulatory !== 'boolean') throw new Error('regulatory must be true or false');
+}
+
+// The original behavior: fill at exactly the quoted price, no costs
+export class InstantExecution {
+  constructor(config = {}) {
+    this.config = { ...config, model: 'instant' };
+  }
+
+  fill(side, shares, price) {
+    return {
+      price,
+      quotedPrice: price,
+      spreadCost: 0,
+      slippage: 0,
+      fees: 0,
+      feeBreakdown: { commission: 0, secFee: 0, taf: 0 }
+    };
+  }
+}
+
+export class SimulatedExecution {
+  constructor(config = {}) {
+    this.config = {
+      ...DEFAULT_EXECUTION,
+      ...config,
+      spread: { ...DEFAULT_EXECUTION.spread, ...config.spread },
+      slippage: { ...DEFAULT_EXECUTION.slippage, ...config.slippage },
+      fees: { ...DEFAULT_EXECUTION.fees, ...config.fees }
+    };
+    validateExecution(this.config);
+  }
+
+  // Liquid names trade at a penny on a big price, thin ones much wider.
+  // Estimate from daily dollar volume: ~10bps at $1M/day, shrinking with sqrt(volume).
+  estimateSpreadBps(price, quote = {}) {
+    const { defaultBps, minBps, maxBps } = this.config.spread;
+    if (!quote.volume) return defaultBps;
+    const dollarVolumeM = (quote.volume * price) / 1_000_000;
+    return Math.min(maxBps, Math.max(minBps, 10 / Math.sqrt(dollarVolumeM)));
+  }
+
+  // impact = k * dailyRange * sqrt(shares / volume)
+  estimateSlippageBps(shares, price, quote = {}) {
+    if (!quote.volume || !quote.high || !quote.low) return 0;
+    const range = (quote.high - quote.low) / price;
+    const participation = shares / quote.volume;
+    return this.config.slippage.impactCoefficient * range * Math.sqrt(participation) * 10000;
+  }
+
+  commission(shares) {
+    const { schedule, perTrade, perShare, min, max } = this.config.fees;
+    if (schedule === 'per_trade') return perTrade;
+    if (schedule === 'per_share') return Math.min(max ?? Infinity, Math.max(min, shares * perShare));
+    return 0;
+  }
+
+  // side: 'buy' | 'sell'. Limit orders never fill through their limit price.
+  fill(side, shares, price, quote = {}, { limitPrice } = {}) {
+    const halfSpreadBps = this.estimateSpreadBps(price, quote) / 2;
+    const slippageBps = this.estimateSlippageBps(shares, price, quote);
+    const direction = side === 'buy' ? 1 : -1;
+
+    let fillPrice = price * (1 + direction * (halfSpreadBps + slippageBps) / 10000);
+    if (limitPrice) {
+      fillPrice = side === 'buy' ? Math.min(fillPrice, limitPrice) : Math.max(fillPrice, limitPrice);
+    }
+    fillPrice = round(fillPrice);
+
+    // Crossing the spread comes first; whatever the fill paid beyond it is market impact
+    const cost = Math.max(0, direction * (fillPrice - price)) * shares;
+    const spreadCost = Math.min(cost, price * halfSpreadBps / 10000 * shares);
+
+    const commission = this.commission(shares);
+    let secFee = 0;
+    let taf = 0;
+    if (side === 'sell' && this.config.regulatory) {
+      secFee = shares * fillPrice * REGULATORY_FEES.secFeeRate;
+      taf = Math.min(REGULATORY_FEES.tafMax, shares * REGULATORY_FEES.tafPerShare);
+    }
+
+    return {
+      price: fillPrice,
+      quotedPrice: price,
+      spreadCost: round(spreadCost),
+      slippage: round(cost - spreadCost),
+      fees: round(commission + secFee + taf),
+      feeBreakdown: { commission: round(commission), secFee: round(secFee), taf: round(taf) }
+    };
+  }
+}
+
+const EXECUTION_MODELS = {
+  instant: InstantExecution,
+  simulated: SimulatedExecution
+};
+
+// Custom models only need a fill(side, shares, price, quote, { limitPrice }) method
+export function registerExecutionModel(name, ModelClass) {
+  EXECUTION_MODELS[name] = ModelClass;
+}
+
+export function createExecutionModel(config = {}) {
+  const name = config.model || DEFAULT_EXECUTION.model;
+  const ModelClass = EXECUTION_MODELS[name];
+  if (!ModelClass) throw new Error(`Unknown execution model: ${name}`);
+  return new ModelClass(config);
+}
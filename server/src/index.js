@@ -4,9 +4,18 @@ import cors from 'cors';
 import helmet from 'helmet';
 import rateLimit from 'express-rate-limit';
 import cron from 'node-cron';
-import { TradingEngine } from './trading-engine.js';
-import { AgentManager } from './agents.js';
 import { MarketData } from './market-data.js';
+import { BarStore, BAR_INTERVALS, RANGE_DAYS } from './bar-store.js';
+import { isDateOnly } from './bar-file.js';
+import { getDatabase } from './database.js';
+import { SymbolRegistry } from './symbols.js';
+import { ApiKeyAuth, loadApiKeys } from './auth.js';
+import { createActionSource, actionSourceConfigFromEnv } from './corporate-actions.js';
+import { ArenaRegistry, MAIN_ARENA } from './arenas.js';
+import { MarketTape } from './market-tape.js';
+import { createProvider, providerConfigFromEnv } from './providers/index.js';
+import { EventBus, sseHandler } from './event-bus.js';
+import { loadStrategyPlugins, listStrategies } from './strategies/index.js';
 import path from 'path';
 import { fileURLToPath } from 'url';
 
@@ -23,53 +32,209 @@ app.use(helmet({
   crossOriginOpenerPolicy: false
 }));
 app.use(cors());
-app.use(express.json({ limit: '1kb' })); // Small payloads only
-
-// Rate limiting
+// Small payloads only - admin edits (rules, templates, arena configs) get more room.
+// Whichever parser runs first wins; the others skip a body that's already parsed.
+const adminJson = express.json({ limit: '64kb' });
+app.use('/api/admin/', adminJson);
+app.use('/api/arenas/:arena/admin/', adminJson);
+app.use(express.json({ limit: '1kb' }));
+
+// Rate limiting - admin reads (whoami, audit, players...) only count against the API limit
 const apiLimiter = rateLimit({ windowMs: 15 * 60 * 1000, max: 200, message: { error: 'Too many requests' } });
-const adminLimiter = rateLimit({ windowMs: 15 * 60 * 1000, max: 10, message: { error: 'Too many admin requests' } });
+const adminLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  skip: (req) => req.method === 'GET' || req.method === 'HEAD',
+  message: { error: 'Too many admin requests' }
+});
 app.use('/api/', apiLimiter);
 app.use('/api/admin/', adminLimiter);
 
+// Admin routes take an API key (Authorization: Bearer <key>). Viewer keys can
+// read, admin keys can change things, and every change lands in the audit log.
+const auth = new ApiKeyAuth({ keys: loadApiKeys(), db: getDatabase() });
+if (!auth.enabled) console.warn('[Auth] No API keys configured - admin API disabled (npm run api-key)');
+app.use('/api/admin/', auth.middleware());
+app.use('/api/arenas/:arena/admin/', adminLimiter, auth.middleware());
+
 // Initialize systems
-const marketData = new MarketData();
-const tradingEngine = new TradingEngine();
-const agentManager = new AgentManager(tradingEngine, marketData);
+// MARKET_DATA_PROVIDER=fixture|synthetic + MARKET_HOURS=always runs the whole thing offline
+const marketData = new MarketData({
+  provider: createProvider(providerConfigFromEnv()),
+  alwaysOpen: process.env.MARKET_HOURS === 'always',
+  barStore: new BarStore(getDatabase()),
+  symbols: new SymbolRegistry(getDatabase())
+});
+console.log(`[MarketData] Provider: ${marketData.provider.name}`);
+// Start warm from yesterday's bars, then fetch whatever is missing in the background
+marketData.warmStart();
+marketData.backfill()
+  .then(() => marketData.backfill({ interval: '5m' }))
+  .catch(e => console.error('[Bars] Backfill error:', e.message));
+const events = new EventBus();
+// Drop-in strategies (server/strategies/*.js) must be registered before agent definitions load
+await loadStrategyPlugins();
+// The main competition plus any arenas an admin has opened next to it (see arenas.js)
+// The main arena's scans are recorded so a day can be replayed later
+const tape = new MarketTape({
+  db: getDatabase(),
+  ...(process.env.TAPE_RETENTION_DAYS && { retentionDays: parseFloat(process.env.TAPE_RETENTION_DAYS) })
+});
+
+const arenas = new ArenaRegistry({
+  db: getDatabase(),
+  marketData,
+  options: {
+    events, // The main arena's stream; every other arena gets its own
+    tape,
+    ...(process.env.SIM_SEED && { seed: Number(process.env.SIM_SEED) }), // The main arena's first round seed, for a reproducible run
+    margin: {
+      ...(process.env.MARGIN_INITIAL && { initialMargin: parseFloat(process.env.MARGIN_INITIAL) }),
+      ...(process.env.MARGIN_MAINTENANCE && { maintenanceMargin: parseFloat(process.env.MARGIN_MAINTENANCE) }),
+      ...(process.env.SHORT_BORROW_RATE && { borrowRate: parseFloat(process.env.SHORT_BORROW_RATE) })
+    },
+    journal: {
+      ...(process.env.DECISION_RETENTION_DAYS && { retentionDays: parseFloat(process.env.DECISION_RETENTION_DAYS) })
+    },
+    actionSource: createActionSource(actionSourceConfigFromEnv())
+  }
+});
+console.log(`[Corporate] Action source: ${arenas.main.corporateActions.source.name}`);
+console.log(`[Arenas] ${arenas.list().map(a => a.id).join(', ')}`);
+
+// Resting orders are checked against every quote the live rotation fetches, in every
+// live arena; the engine skips them outside market hours. The tape keeps them for replays.
+marketData.on('quote', (quote) => {
+  for (const arena of arenas.live()) {
+    arena.engine.processQuote(quote).catch(e => console.error(`[Orders] ${arena.id} error:`, e.message));
+  }
+  tape.recordQuote(quote);
+});
 
 // Serve dashboard
 app.use(express.static(path.join(__dirname, '..', '..', 'dashboard', 'dist')));
 
 // ============ API ROUTES ============
 
+// Everything about one competition lives on this router. /api/arenas/:arena/...
+// reaches any arena; the unprefixed /api/... routes are the main arena's.
+const arenaRoutes = express.Router();
+app.use('/api/arenas/:arena', (req, res, next) => {
+  req.arena = arenas.get(req.params.arena);
+  if (!req.arena) return res.status(404).json({ error: 'Arena not found' });
+  next();
+}, arenaRoutes);
+app.use('/api', (req, res, next) => {
+  req.arena = arenas.main;
+  next();
+}, arenaRoutes);
+
+// Every arena, with its settings, roster size and round
+app.get('/api/arenas', (req, res) => {
+  res.json(arenas.list().map(arena => arena.summary()));
+});
+
 // Get all agents with their portfolios
-app.get('/api/agents', (req, res) => {
-  const agents = agentManager.getAllAgents();
+arenaRoutes.get('/agents', (req, res) => {
+  const agents = req.arena.manager.getAllAgents();
   res.json(agents);
 });
 
-// Get leaderboard
-app.get('/api/leaderboard', async (req, res) => {
-  const leaderboard = await agentManager.getLeaderboard();
-  res.json(leaderboard);
+// Live event stream (Server-Sent Events): trade, snapshot, elimination, market (and replay, in a replay arena)
+arenaRoutes.get('/events', (req, res) => sseHandler(req.arena.events)(req, res));
+
+// Get leaderboard (?sort=value|return|sharpe|sortino|calmar|alpha|profitFactor|winRate|volatility|maxDrawdown)
+arenaRoutes.get('/leaderboard', async (req, res) => {
+  try {
+    const leaderboard = await req.arena.manager.getLeaderboard({ sort: req.query.sort || 'value' });
+    res.json(leaderboard);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
 });
 
-// Get specific agent details
-app.get('/api/agents/:id', (req, res) => {
-  const agent = agentManager.getAgent(req.params.id);
+// Get specific agent details, with risk metrics vs SPY
+arenaRoutes.get('/agents/:id', async (req, res) => {
+  const agent = req.arena.manager.getAgent(req.params.id, { benchmark: await req.arena.manager.getBenchmark() });
   if (!agent) return res.status(404).json({ error: 'Agent not found' });
   res.json(agent);
 });
 
+// Agent's family tree: the current generation with its ancestors (?generation= for an earlier one)
+arenaRoutes.get('/agents/:id/lineage', (req, res) => {
+  const generation = req.query.generation ? parseInt(req.query.generation) : null;
+  const tree = req.arena.manager.getAncestry(req.params.id, generation);
+  if (!tree) return res.status(404).json({ error: 'Agent not found' });
+  res.json(tree);
+});
+
 // Get agent's trade history
-app.get('/api/agents/:id/trades', (req, res) => {
-  const trades = tradingEngine.getTradeHistory(req.params.id);
+arenaRoutes.get('/agents/:id/trades', (req, res) => {
+  const trades = req.arena.engine.getTradeHistory(req.params.id);
   res.json(trades);
 });
 
+// Get agent's ledger journal and account balances
+arenaRoutes.get('/agents/:id/ledger', (req, res) => {
+  if (!req.arena.manager.getAgent(req.params.id)) return res.status(404).json({ error: 'Agent not found' });
+  const limit = parseInt(req.query.limit) || 100;
+  res.json({
+    balances: req.arena.engine.getAccountBalances(req.params.id),
+    entries: req.arena.engine.getLedger(req.params.id, limit)
+  });
+});
+
+// Get agent's decision journal, newest first: what it saw, what it ranked, what it did and why
+// (?symbol=&from=&to=&outcome=traded|held|skipped|paused|error&limit=)
+arenaRoutes.get('/agents/:id/decisions', (req, res) => {
+  if (!req.arena.manager.getAgent(req.params.id)) return res.status(404).json({ error: 'Agent not found' });
+  try {
+    res.json(req.arena.manager.journal.getDecisions(req.params.id, {
+      symbol: req.query.symbol || null,
+      from: req.query.from || null,
+      to: req.query.to || null,
+      outcome: req.query.outcome || null,
+      limit: Math.min(parseInt(req.query.limit) || 100, 1000)
+    }));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Get agent's risk limits, exposure against them, circuit breaker and recent refusals/resizes (?limit=)
+arenaRoutes.get('/agents/:id/risk', (req, res) => {
+  if (!req.arena.manager.getAgent(req.params.id)) return res.status(404).json({ error: 'Agent not found' });
+  res.json(req.arena.manager.risk.getStatus(req.params.id, { limit: parseInt(req.query.limit) || 50 }));
+});
+
+// Get agent's resting orders (?status=open|filled|cancelled|expired|rejected)
+arenaRoutes.get('/agents/:id/orders', (req, res) => {
+  if (!req.arena.manager.getAgent(req.params.id)) return res.status(404).json({ error: 'Agent not found' });
+  res.json(req.arena.engine.getOrders(req.params.id, req.query.status || null));
+});
+
+// Place a resting order for an agent (admin only)
+arenaRoutes.post('/agents/:id/orders', auth.require('admin'), (req, res) => {
+  if (!req.arena.manager.getAgent(req.params.id)) return res.status(404).json({ error: 'Agent not found' });
+  try {
+    const order = req.arena.engine.placeOrder(req.params.id, req.body || {});
+    res.status(201).json(order);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Cancel a resting order (admin only)
+arenaRoutes.delete('/agents/:id/orders/:orderId', auth.require('admin'), (req, res) => {
+  const order = req.arena.engine.cancelOrder(req.params.id, req.params.orderId);
+  if (!order) return res.status(404).json({ error: 'Order not found' });
+  res.json(order);
+});
+
 // Get all recent trades
-app.get('/api/trades', (req, res) => {
+arenaRoutes.get('/trades', (req, res) => {
   const limit = parseInt(req.query.limit) || 50;
-  const trades = tradingEngine.getAllTrades(limit);
+  const trades = req.arena.engine.getAllTrades(limit);
   res.json(trades);
 });
 
@@ -79,26 +244,54 @@ app.get('/api/market/status', (req, res) => {
     isOpen: marketData.isMarketOpen(),
     nextOpen: marketData.getNextMarketOpen(),
     nextClose: marketData.getNextMarketClose(),
+    today: marketData.getTodaySession(),
     totalStocks: marketData.getStockCount(),
     cachedStocks: marketData.getCachedCount(),
-    liveScanning: marketData.isRotating || false
+    liveScanning: marketData.isRotating || false,
+    provider: marketData.provider.name,
+    bars: marketData.barStore?.coverage() || []
   });
 });
 
+// Biggest gainers and losers among cached quotes
+app.get('/api/market/movers', async (req, res) => {
+  res.json(await marketData.getTopMovers());
+});
+
+// Cached quotes grouped by sector, for a heatmap
+app.get('/api/market/sectors', (req, res) => {
+  res.json(marketData.getSectorHeatmap());
+});
+
+// Registered strategy modules and their default params
+app.get('/api/strategies', (req, res) => {
+  res.json(listStrategies());
+});
+
 // Get competition status
-app.get('/api/competition', (req, res) => {
-  res.json(agentManager.getCompetitionStatus());
+arenaRoutes.get('/competition', (req, res) => {
+  res.json(req.arena.manager.getCompetitionStatus());
+});
+
+// Every round's elimination rules and, once judged, its final standings
+arenaRoutes.get('/rounds', (req, res) => {
+  res.json(req.arena.manager.getRounds());
+});
+
+// Every agent that ever lived, with genome, parents and the mutations it was born with
+arenaRoutes.get('/lineage', (req, res) => {
+  res.json(req.arena.manager.getLineage());
 });
 
 // Get graveyard (eliminated agents)
-app.get('/api/graveyard', (req, res) => {
-  res.json(agentManager.getGraveyard());
+arenaRoutes.get('/graveyard', (req, res) => {
+  res.json(req.arena.manager.getGraveyard());
 });
 
 // Get agent memory summary
-app.get('/api/agents/:id/memory', (req, res) => {
+arenaRoutes.get('/agents/:id/memory', (req, res) => {
   try {
-    const summary = agentManager.memory.getMemorySummary(req.params.id);
+    const summary = req.arena.manager.memory.getMemorySummary(req.params.id);
     res.json(summary);
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -106,9 +299,9 @@ app.get('/api/agents/:id/memory', (req, res) => {
 });
 
 // Get agent's daily reflections
-app.get('/api/agents/:id/reflections', (req, res) => {
+arenaRoutes.get('/agents/:id/reflections', (req, res) => {
   try {
-    const reflections = agentManager.memory.getReflections(req.params.id, 14);
+    const reflections = req.arena.manager.memory.getReflections(req.params.id, 14);
     res.json(reflections);
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -116,10 +309,9 @@ app.get('/api/agents/:id/reflections', (req, res) => {
 });
 
 // Get daily summary
-app.get('/api/summary', (req, res) => {
+arenaRoutes.get('/summary', (req, res) => {
   try {
-    const summariesFile = path.join(__dirname, '..', 'data', 'daily-summaries.json');
-    const summaries = JSON.parse(fs.readFileSync(summariesFile, 'utf8'));
+    const summaries = JSON.parse(fs.readFileSync(req.arena.manager.summaryFile, 'utf8'));
     res.json(summaries);
   } catch {
     res.json([]);
@@ -136,22 +328,435 @@ app.get('/api/quote/:symbol', async (req, res) => {
   }
 });
 
+// OHLCV history from the local bar store (?interval=1d|5m, ?range=5d|1mo|3mo|6mo|1y|2y,
+// or ?from=&to= as dates or timestamps for any window)
+app.get('/api/bars/:symbol', async (req, res) => {
+  const symbol = req.params.symbol.toUpperCase();
+  if (!marketData.symbols.get(symbol)) return res.status(404).json({ error: `Unknown symbol: ${symbol}` });
+  const interval = req.query.interval || '1d';
+  const range = req.query.range || '6mo';
+  if (!BAR_INTERVALS.includes(interval)) {
+    return res.status(400).json({ error: `Unknown interval: ${interval} (expected one of: ${BAR_INTERVALS.join(', ')})` });
+  }
+  if (!RANGE_DAYS[range]) {
+    return res.status(400).json({ error: `Unknown range: ${range} (expected one of: ${Object.keys(RANGE_DAYS).join(', ')})` });
+  }
+  // A bare date covers the whole day
+  const from = req.query.from ? Date.parse(isDateOnly(req.query.from) ? `${req.query.from}T00:00:00Z` : req.query.from) : null;
+  const to = req.query.to ? Date.parse(isDateOnly(req.query.to) ? `${req.query.to}T23:59:59.999Z` : req.query.to) : null;
+  if (Number.isNaN(from) || Number.isNaN(to)) return res.status(400).json({ error: 'from and to must be dates or timestamps' });
+  if (from != null && to != null && from > to) return res.status(400).json({ error: 'from must be before to' });
+  try {
+    const bars = await marketData.getBars(symbol, { interval, range, from, to });
+    res.json(bars);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Indicator snapshot for a symbol (?series=true for the full history, ?range=6mo|1y|2y).
+// ?cached=true returns the analysis agents are currently trading on instead.
+app.get('/api/analysis/:symbol', async (req, res) => {
+  const symbol = req.params.symbol.toUpperCase();
+  if (!marketData.symbols.get(symbol)) return res.status(404).json({ error: `Unknown symbol: ${symbol}` });
+  if (req.query.cached === 'true') {
+    const cached = marketData.getCachedAnalysis(symbol);
+    if (!cached) return res.status(404).json({ error: `No cached analysis for ${symbol} yet` });
+    return res.json(cached);
+  }
+  try {
+    const analysis = await marketData.getAnalysis(symbol, {
+      series: req.query.series === 'true',
+      range: req.query.range || '1y'
+    });
+    res.json(analysis);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// ============ ADMIN ============
+
+// Who the presented key belongs to (viewer or admin)
+app.get('/api/admin/whoami', (req, res) => {
+  res.json(req.user);
+});
+
+// Admin actions and refused requests, newest first (?actor=&limit=)
+app.get('/api/admin/audit', (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+  res.json(auth.getAuditLog({ actor: req.query.actor || null, limit }));
+});
+
+// Open an arena next to the main competition (admin only).
+// Body: { id, name, description, templates, startingCash, universe, rules, schedule, seed }
+app.post('/api/admin/arenas', (req, res) => {
+  try {
+    const arena = arenas.create(req.body || {});
+    startArena(arena);
+    res.status(201).json(arena.summary());
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Days the market tape has, newest first, to pick a replay from
+app.get('/api/replays/days', (req, res) => {
+  res.json(tape.days().map(d => ({ ...d, start: new Date(d.start).toISOString(), end: new Date(d.end).toISOString() })));
+});
+
+// Replay a recorded day in a new arena (admin only). Close it like any arena.
+// Body: { date, name, speed, templates, startingCash, overrides, seed }
+app.post('/api/admin/replays', (req, res) => {
+  try {
+    const arena = arenas.createReplay(req.body || {});
+    startReplay(arena);
+    res.status(201).json(arena.summary());
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Speed a running replay up or down (admin only). Body: { speed }
+app.post('/api/admin/replays/:id/speed', (req, res) => {
+  const arena = arenas.get(req.params.id);
+  if (!arena?.replay) return res.status(404).json({ error: 'Replay not found' });
+  try {
+    res.json(arena.replay.setSpeed(req.body?.speed));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Close an arena and delete its books (admin only)
+app.delete('/api/admin/arenas/:id', async (req, res) => {
+  const arena = arenas.get(req.params.id);
+  if (!arena) return res.status(404).json({ error: 'Arena not found' });
+  if (arena.id === MAIN_ARENA) return res.status(400).json({ error: 'The main arena cannot be removed' });
+  try {
+    unscheduleArena(arena); // Stop its scans before its database closes
+    res.json(await arenas.remove(arena.id));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
 // Manual trigger for testing (admin only)
-app.post('/api/admin/trigger-trading', async (req, res) => {
-  if (req.query.key !== 'stockracer2025') {
-    return res.status(401).json({ error: 'Unauthorized' });
+arenaRoutes.post('/admin/trigger-trading', async (req, res) => {
+  try {
+    await req.arena.manager.runTradingRound();
+    res.json({ ok: true, message: 'Trading round executed' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
   }
-  await agentManager.runTradingRound();
-  res.json({ ok: true, message: 'Trading round executed' });
 });
 
 // Manual elimination trigger (admin only)
-app.post('/api/admin/trigger-elimination', async (req, res) => {
-  if (req.query.key !== 'stockracer2025') {
-    return res.status(401).json({ error: 'Unauthorized' });
+arenaRoutes.post('/admin/trigger-elimination', async (req, res) => {
+  try {
+    res.json(await req.arena.manager.runElimination());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Pause or resume all trading (admin only). Body: { reason }
+arenaRoutes.post('/admin/trading/pause', (req, res) => {
+  res.json(req.arena.manager.setPaused(true, { reason: req.body?.reason }));
+});
+
+arenaRoutes.post('/admin/trading/resume', (req, res) => {
+  res.json(req.arena.manager.setPaused(false));
+});
+
+// Pause or resume one agent (admin only). Body: { reason }
+arenaRoutes.post('/admin/agents/:id/pause', (req, res) => {
+  if (!req.arena.manager.getAgent(req.params.id)) return res.status(404).json({ error: 'Agent not found' });
+  res.json(req.arena.manager.setPaused(true, { agentId: req.params.id, reason: req.body?.reason }));
+});
+
+arenaRoutes.post('/admin/agents/:id/resume', (req, res) => {
+  if (!req.arena.manager.getAgent(req.params.id)) return res.status(404).json({ error: 'Agent not found' });
+  res.json(req.arena.manager.setPaused(false, { agentId: req.params.id }));
+});
+
+// Add or remove cash (admin only). Body: { amount, reason, capital: true }
+arenaRoutes.post('/admin/agents/:id/cash', (req, res) => {
+  if (!req.arena.manager.getAgent(req.params.id)) return res.status(404).json({ error: 'Agent not found' });
+  try {
+    const { amount, reason = null, capital = true } = req.body || {};
+    res.json(req.arena.manager.adjustCash(req.params.id, amount, { reason, capital: capital !== false }));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Clear a tripped circuit breaker so the agent can open positions again today (admin only)
+arenaRoutes.post('/admin/agents/:id/risk/reset', (req, res) => {
+  if (!req.arena.manager.getAgent(req.params.id)) return res.status(404).json({ error: 'Agent not found' });
+  res.json(req.arena.manager.resetBreaker(req.params.id));
+});
+
+// Force-close positions (admin only). Body: { symbol } - omit to close everything
+arenaRoutes.post('/admin/agents/:id/liquidate', async (req, res) => {
+  if (!req.arena.manager.getAgent(req.params.id)) return res.status(404).json({ error: 'Agent not found' });
+  try {
+    res.json(await req.arena.manager.liquidateAgent(req.params.id, { symbol: req.body?.symbol || null }));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Start an agent over (admin only). Body: { startingCash, fromTemplate }
+arenaRoutes.post('/admin/agents/:id/reset', (req, res) => {
+  if (!req.arena.manager.getAgent(req.params.id)) return res.status(404).json({ error: 'Agent not found' });
+  try {
+    const { startingCash, fromTemplate = false } = req.body || {};
+    res.json(req.arena.manager.resetAgent(req.params.id, { startingCash, fromTemplate: fromTemplate === true }));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Create an agent from a template (admin only). Body: { id, template, name, avatar, color, personality, startingCash }
+arenaRoutes.post('/admin/agents', (req, res) => {
+  try {
+    res.status(201).json(req.arena.manager.addAgent(req.body || {}));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Agent templates as loaded, with any admin edits applied
+arenaRoutes.get('/admin/templates', (req, res) => {
+  res.json(req.arena.manager.getTemplates());
+});
+
+// Change a template (admin only). Body: any of { params, riskTolerance, tradeFrequency, universe, scoring, entry, exit, sizing, risk }
+arenaRoutes.patch('/admin/templates/:id', (req, res) => {
+  try {
+    res.json(req.arena.manager.updateTemplate(req.params.id, req.body || {}));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Move the round's end (admin only). Body: { days } - negative shortens it
+arenaRoutes.post('/admin/round/extend', (req, res) => {
+  try {
+    res.json(req.arena.manager.extendRound(req.body?.days));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// End the round now and run the elimination (admin only)
+arenaRoutes.post('/admin/round/end', async (req, res) => {
+  try {
+    res.json(await req.arena.manager.endRound());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Undo the last elimination (admin only)
+arenaRoutes.post('/admin/eliminations/undo', (req, res) => {
+  try {
+    res.json(req.arena.manager.undoLastElimination());
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Change the elimination rules (admin only). Body: { rules: {...}, effective: 'next' | 'now' }
+arenaRoutes.post('/admin/rules', (req, res) => {
+  try {
+    const { rules = {}, effective = 'next' } = req.body || {};
+    res.json(req.arena.manager.setRules(rules, { effective }));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Human players and their keys (admin only)
+arenaRoutes.get('/admin/players', (req, res) => {
+  res.json(req.arena.manager.getPlayers());
+});
+
+// Sign a player up (admin only). Body: { id, name, avatar, color }.
+// The response carries the player's key - it is never shown again.
+arenaRoutes.post('/admin/players', (req, res) => {
+  try {
+    res.status(201).json(req.arena.manager.addPlayer(req.body || {}));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Issue a player a new key; the old one stops working (admin only)
+arenaRoutes.post('/admin/players/:id/key', (req, res) => {
+  if (!req.arena.manager.players.get(req.params.id)) return res.status(404).json({ error: 'Player not found' });
+  res.json(req.arena.manager.rotatePlayerKey(req.params.id));
+});
+
+// ============ PLAYERS ============
+// Humans trade with their own key (Authorization: Bearer <key>), under the same
+// market hours, fills, risk limits and elimination rules as the agents.
+arenaRoutes.use('/player/', (req, res, next) => req.arena.manager.players.middleware()(req, res, next));
+
+// The signed-in player: book, performance, buying power and open orders
+arenaRoutes.get('/player/me', (req, res) => {
+  res.json(req.arena.manager.getPlayer(req.player.id));
+});
+
+// Trade. Body: { side: buy|sell|short|cover, symbol, shares } fills now at the
+// live quote; add type: limit|stop|stop_limit|trailing_stop (with limitPrice,
+// stopPrice, trailPercent/trailAmount, timeInForce) to rest a buy or sell instead
+arenaRoutes.post('/player/orders', async (req, res) => {
+  try {
+    res.status(201).json(await req.arena.manager.placePlayerOrder(req.player.id, req.body || {}));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// The player's resting orders (?status=open|filled|cancelled|expired|rejected)
+arenaRoutes.get('/player/orders', (req, res) => {
+  res.json(req.arena.engine.getOrders(req.player.id, req.query.status || null));
+});
+
+arenaRoutes.delete('/player/orders/:orderId', (req, res) => {
+  const order = req.arena.engine.cancelOrder(req.player.id, req.params.orderId);
+  if (!order) return res.status(404).json({ error: 'Order not found' });
+  res.json(order);
+});
+
+// Back in after an elimination, as the next generation with fresh starting cash
+arenaRoutes.post('/player/rejoin', (req, res) => {
+  try {
+    res.json(req.arena.manager.rejoinPlayer(req.player.id));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// ============ SYMBOL REGISTRY ============
+
+// The universe, with sector, industry, asset type and listing status (?status=active|delisted&sector=&assetType=)
+app.get('/api/symbols', (req, res) => {
+  const { status = null, sector = null, assetType = null } = req.query;
+  res.json(marketData.symbols.list({ status, sector, assetType }));
+});
+
+arenaRoutes.get('/symbols/:symbol', (req, res) => {
+  const symbol = req.params.symbol.toUpperCase();
+  const record = marketData.symbols.get(symbol);
+  if (!record) return res.status(404).json({ error: `Unknown symbol: ${symbol}` });
+  res.json({ ...record, holders: req.arena.engine.getHolders(symbol) });
+});
+
+// Everyone holding a symbol, with their position's value and unrealized P&L
+arenaRoutes.get('/symbols/:symbol/holders', (req, res) => {
+  const symbol = req.params.symbol.toUpperCase();
+  if (!marketData.symbols.get(symbol)) return res.status(404).json({ error: `Unknown symbol: ${symbol}` });
+  res.json(req.arena.manager.getHolders(symbol));
+});
+
+// Every agent's trades in a symbol, newest first (?limit=)
+arenaRoutes.get('/symbols/:symbol/trades', (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit) || 200, 1000);
+  res.json(req.arena.engine.getSymbolTrades(req.params.symbol.toUpperCase(), limit));
+});
+
+// Add a symbol (admin only). Body: { symbol, name, sector, industry, assetType }
+app.post('/api/admin/symbols', (req, res) => {
+  try {
+    res.json(marketData.symbols.add(req.body || {}));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Reclassify a symbol (admin only). Body: any of { name, sector, industry, assetType }
+app.patch('/api/admin/symbols/:symbol', (req, res) => {
+  try {
+    res.json(marketData.symbols.update(req.params.symbol.toUpperCase(), req.body || {}));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Remove a symbol nobody holds (admin only)
+app.delete('/api/admin/symbols/:symbol', (req, res) => {
+  try {
+    arenas.removeSymbol(req.params.symbol.toUpperCase());
+    res.json({ ok: true });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Delist a symbol and settle every position in it (admin only).
+// Body: { mode: 'liquidate' | 'cashout', price, reason }
+app.post('/api/admin/symbols/:symbol/delist', async (req, res) => {
+  try {
+    res.json(await arenas.delistSymbol(req.params.symbol.toUpperCase(), req.body || {}));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Put a delisted symbol back in the universe (admin only)
+app.post('/api/admin/symbols/:symbol/relist', (req, res) => {
+  try {
+    res.json(marketData.symbols.relist(req.params.symbol.toUpperCase()));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// ============ CORPORATE ACTIONS ============
+
+// Splits and dividends applied to the books (?symbol=&limit=)
+arenaRoutes.get('/corporate-actions', (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+  res.json(req.arena.corporateActions.getActions({ symbol: req.query.symbol || null, limit }));
+});
+
+// Fetch from the action source and apply anything outstanding (admin only)
+arenaRoutes.post('/admin/corporate-actions/process', async (req, res) => {
+  try {
+    res.json(await req.arena.corporateActions.process());
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Apply one action by hand (admin only). Body: { symbol, type: 'split'|'dividend', exDate, ratio | amount }
+arenaRoutes.post('/admin/corporate-actions', (req, res) => {
+  try {
+    res.json(req.arena.corporateActions.apply(req.body || {}, { source: 'admin' }));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Tune how replacements are bred (admin only). Body: { enabled, mutationRate, mutationScale, crossoverRate }
+arenaRoutes.post('/admin/evolution', (req, res) => {
+  try {
+    res.json(req.arena.manager.setEvolutionConfig(req.body || {}));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Change the competition's execution model (admin only)
+arenaRoutes.post('/admin/execution', (req, res) => {
+  try {
+    res.json(req.arena.manager.setExecutionConfig(req.body || {}));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
   }
-  const result = await agentManager.runElimination();
-  res.json(result);
 });
 
 // Health check
@@ -169,6 +774,67 @@ app.get('*', (req, res) => {
 
 // ============ SCHEDULED TASKS ============
 
+// ===== ARENAS =====
+
+// Each arena scans on its own interval and judges its rounds on its own schedule.
+// The scan runs on the arena's clock - wall time, or a replay's virtual time.
+const schedules = new Map(); // arena id -> { scan, elimination }
+
+function scheduleArena(arena) {
+  const { scanSeconds, eliminationCheck } = arena.config.schedule;
+  let scanRunning = false;
+
+  // Agent trading scan - continuous during market hours
+  // Agents check cached data and trade when they see opportunities
+  const scan = arena.clock.setInterval(async () => {
+    if (!arena.marketData.isMarketOpen() || scanRunning) return;
+    scanRunning = true;
+    try {
+      await arena.manager.runMarketScan();
+    } catch (e) {
+      console.error(`[SCAN] ${arena.id} error:`, e.message);
+    }
+    scanRunning = false;
+  }, scanSeconds * 1000);
+
+  // Elimination check - judges the round once it has run its course (a replay is one day, no round ends in it)
+  const elimination = arena.replay ? null : cron.schedule(eliminationCheck, async () => {
+    const status = arena.manager.getCompetitionStatus();
+    if (status.daysRemaining <= 0) {
+      console.log(`[CRON] Running elimination in ${arena.id}...`);
+      await arena.manager.runElimination().catch(e => console.error(`[CRON] ${arena.id} elimination error:`, e.message));
+    }
+  }, { timezone: 'America/New_York' });
+
+  schedules.set(arena.id, { scan, elimination });
+}
+
+function unscheduleArena(arena) {
+  const schedule = schedules.get(arena.id);
+  if (!schedule) return;
+  arena.clock.clearInterval(schedule.scan);
+  schedule.elimination?.stop();
+  schedules.delete(arena.id);
+}
+
+// Seat the agents, catch up on delistings and corporate actions, then start trading
+function startArena(arena) {
+  arena.manager.initialize();
+  arena.manager.journal.prune();
+  arena.manager.settleDelistedHoldings()
+    .catch(e => console.error(`[Delisting] ${arena.id} error:`, e.message));
+  arena.corporateActions.process()
+    .catch(e => console.error(`[Corporate] ${arena.id} error:`, e.message));
+  scheduleArena(arena);
+}
+
+// A replay starts with a fresh roster and plays its day straight away
+function startReplay(arena) {
+  arena.manager.initialize();
+  scheduleArena(arena);
+  arena.replay.begin();
+}
+
 // ===== LIVE TRADING SYSTEM =====
 
 // Start live quote scanning when market opens
@@ -177,28 +843,20 @@ setInterval(() => {
   if (marketData.isMarketOpen() && !liveStarted) {
     marketData.startLiveScanning();
     liveStarted = true;
+    for (const arena of arenas.live()) arena.events.publish('market', { isOpen: true, nextClose: marketData.getNextMarketClose() });
     console.log('🔴 LIVE MODE ACTIVATED');
   } else if (!marketData.isMarketOpen() && liveStarted) {
     marketData.stopLiveScanning();
     liveStarted = false;
-    console.log('⚪ Market closed - live scanning paused');
+    let expired = 0;
+    for (const arena of arenas.live()) {
+      expired += arena.engine.expireDayOrders();
+      arena.events.publish('market', { isOpen: false, nextOpen: marketData.getNextMarketOpen() });
+    }
+    console.log(`⚪ Market closed - live scanning paused (${expired} day orders expired)`);
   }
 }, 10000);
 
-// Agent trading scan - continuous during market hours
-// Agents check cached data and trade when they see opportunities
-let scanRunning = false;
-setInterval(async () => {
-  if (!marketData.isMarketOpen() || scanRunning) return;
-  scanRunning = true;
-  try {
-    await agentManager.runMarketScan();
-  } catch (e) {
-    console.error('[SCAN] Error:', e.message);
-  }
-  scanRunning = false;
-}, 5000); // Agents scan every 5 seconds using cached data
-
 // Deep analysis refresh every 2 minutes (rotating batches)
 setInterval(async () => {
   if (!marketData.isMarketOpen()) return;
@@ -211,25 +869,40 @@ setInterval(async () => {
 
 // Daily summary at 5 PM ET
 cron.schedule('0 17 * * 1-5', async () => {
+  const today = marketData.getTodaySession();
+  if (!today.tradingDay) {
+    console.log(`[CRON] Market closed for ${today.holiday}, no daily summary`);
+    return;
+  }
   console.log('[CRON] Generating daily summary...');
-  await agentManager.generateDailySummary();
+  for (const arena of arenas.live()) {
+    await arena.manager.generateDailySummary();
+    arena.manager.journal.prune();
+  }
+  tape.prune();
 }, { timezone: 'America/New_York' });
 
-// Bi-weekly elimination check (every other Friday at 4:30 PM ET)
-cron.schedule('30 16 * * 5', async () => {
-  const status = agentManager.getCompetitionStatus();
-  if (status.daysRemaining <= 0) {
-    console.log('[CRON] Running elimination...');
-    await agentManager.runElimination();
-  }
+// Splits and dividends going ex today, before the open (9:00 AM ET, trading days only)
+cron.schedule('0 9 * * 1-5', async () => {
+  if (!marketData.getTodaySession().tradingDay) return;
+  console.log('[CRON] Processing corporate actions...');
+  for (const arena of arenas.live()) await arena.corporateActions.process();
+}, { timezone: 'America/New_York' });
+
+// Top up the bar store after the close (4:15 PM ET, trading days only)
+cron.schedule('15 16 * * 1-5', async () => {
+  if (!marketData.getTodaySession().tradingDay) return;
+  console.log('[CRON] Backfilling bars...');
+  await marketData.backfill();
+  await marketData.backfill({ interval: '5m' });
 }, { timezone: 'America/New_York' });
 
 // ============ START SERVER ============
 
 app.listen(PORT, () => {
   console.log(`🏎️  StockRacer running at http://localhost:${PORT}`);
-  console.log(`📊 ${agentManager.getActiveAgentCount()} agents ready to trade`);
-  
+
   // Initialize agents if needed
-  agentManager.initialize();
+  for (const arena of arenas.live()) startArena(arena);
+  console.log(`📊 ${arenas.main.manager.getActiveAgentCount()} agents ready to trade`);
 });
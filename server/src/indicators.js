@@ -0,0 +1,236 @@
+// Technical indicators over daily bars. Every series function returns an array
+// aligned with its input, with null until the indicator has enough history.
+// bars: [{ time, open, high, low, close, volume }] oldest first.
+
+const isNumber = (v) => typeof v === 'number' && Number.isFinite(v);
+const last = (series) => series.length ? series[series.length - 1] : null;
+
+// Simple moving average
+export function sma(values, period) {
+  const out = new Array(values.length).fill(null);
+  let sum = 0;
+  let count = 0; // Consecutive numbers in the window
+  for (let i = 0; i < values.length; i++) {
+    if (!isNumber(values[i])) { sum = 0; count = 0; continue; }
+    sum += values[i];
+    count++;
+    if (count > period) sum -= values[i - period];
+    if (count >= period) out[i] = sum / period;
+  }
+  return out;
+}
+
+// Exponential smoothing seeded with the SMA of the first `period` values.
+// alpha = 2 / (period + 1) for an EMA, 1 / period for Wilder's smoothing.
+function smooth(values, period, alpha) {
+  const out = new Array(values.length).fill(null);
+  const start = values.findIndex(isNumber); // Skips the warm-up nulls of an upstream series
+  if (start < 0 || values.length - start < period) return out;
+
+  let prev = values.slice(start, start + period).reduce((a, b) => a + b, 0) / period;
+  out[start + period - 1] = prev;
+  for (let i = start + period; i < values.length; i++) {
+    prev = alpha * values[i] + (1 - alpha) * prev;
+    out[i] = prev;
+  }
+  return out;
+}
+
+export function ema(values, period) {
+  return smooth(values, period, 2 / (period + 1));
+}
+
+export function wilder(values, period) {
+  return smooth(values, period, 1 / period);
+}
+
+// Wilder's RSI: smoothed average gain over smoothed average loss
+export function rsi(closes, period = 14) {
+  const out = new Array(closes.length).fill(null);
+  const gains = [null];
+  const losses = [null];
+  for (let i = 1; i < closes.length; i++) {
+    const change = closes[i] - closes[i - 1];
+    gains.push(Math.max(change, 0));
+    losses.push(Math.max(-change, 0));
+  }
+  const avgGain = wilder(gains, period);
+  const avgLoss = wilder(losses, period);
+  for (let i = 0; i < closes.length; i++) {
+    if (avgGain[i] == null) continue;
+    if (avgLoss[i] === 0) out[i] = avgGain[i] === 0 ? 50 : 100;
+    else out[i] = 100 - 100 / (1 + avgGain[i] / avgLoss[i]);
+  }
+  return out;
+}
+
+// MACD line (fast EMA - slow EMA), its signal EMA, and the gap between them
+export function macd(closes, fast = 12, slow = 26, signalPeriod = 9) {
+  const fastEma = ema(closes, fast);
+  const slowEma = ema(closes, slow);
+  const line = closes.map((_, i) => fastEma[i] != null && slowEma[i] != null ? fastEma[i] - slowEma[i] : null);
+  const signal = ema(line, signalPeriod);
+  const histogram = line.map((v, i) => v != null && signal[i] != null ? v - signal[i] : null);
+  return { macd: line, signal, histogram };
+}
+
+// Bollinger Bands: SMA +/- k population standard deviations.
+// percentB is where the close sits in the band (0 = lower, 1 = upper); width is band / middle.
+export function bollinger(closes, period = 20, k = 2) {
+  const middle = sma(closes, period);
+  const upper = [];
+  const lower = [];
+  const percentB = [];
+  const width = [];
+  for (let i = 0; i < closes.length; i++) {
+    if (middle[i] == null) {
+      upper.push(null); lower.push(null); percentB.push(null); width.push(null);
+      continue;
+    }
+    const window = closes.slice(i - period + 1, i + 1);
+    const sd = Math.sqrt(window.reduce((sum, c) => sum + (c - middle[i]) ** 2, 0) / period);
+    upper.push(middle[i] + k * sd);
+    lower.push(middle[i] - k * sd);
+    percentB.push(sd > 0 ? (closes[i] - lower[i]) / (upper[i] - lower[i]) : 0.5);
+    width.push(middle[i] ? (upper[i] - lower[i]) / middle[i] : null);
+  }
+  return { upper, middle, lower, percentB, width };
+}
+
+export function trueRange(bars) {
+  return bars.map((b, i) => i === 0
+    ? b.high - b.low
+    : Math.max(b.high - b.low, Math.abs(b.high - bars[i - 1].close), Math.abs(b.low - bars[i - 1].close)));
+}
+
+// Average true range, Wilder-smoothed
+export function atr(bars, period = 14) {
+  return wilder(trueRange(bars), period);
+}
+
+// Stochastic oscillator: %K = close within the period's high-low range, %D = SMA of %K
+export function stochastic(bars, period = 14, smoothD = 3) {
+  const k = bars.map((b, i) => {
+    if (i < period - 1) return null;
+    const window = bars.slice(i - period + 1, i + 1);
+    const high = Math.max(...window.map(w => w.high));
+    const low = Math.min(...window.map(w => w.low));
+    return high > low ? ((b.close - low) / (high - low)) * 100 : 50;
+  });
+  return { k, d: sma(k, smoothD) };
+}
+
+// On-balance volume, starting from zero
+export function obv(bars) {
+  let total = 0;
+  return bars.map((b, i) => {
+    if (i > 0) {
+      if (b.close > bars[i - 1].close) total += b.volume || 0;
+      else if (b.close < bars[i - 1].close) total -= b.volume || 0;
+    }
+    return total;
+  });
+}
+
+// Rolling volume-weighted average of the typical price ((high + low + close) / 3)
+export function vwap(bars, period = 20) {
+  const pv = bars.map(b => ((b.high + b.low + b.close) / 3) * (b.volume || 0));
+  const volume = bars.map(b => b.volume || 0);
+  const pvSum = sma(pv, period);
+  const volumeSum = sma(volume, period);
+  return bars.map((_, i) => volumeSum[i] ? pvSum[i] / volumeSum[i] : null);
+}
+
+// Wilder's directional movement: +DI, -DI and ADX (trend strength, direction-free)
+export function adx(bars, period = 14) {
+  const n = bars.length;
+  const plusDM = [null];
+  const minusDM = [null];
+  const tr = [null];
+  for (let i = 1; i < n; i++) {
+    const up = bars[i].high - bars[i - 1].high;
+    const down = bars[i - 1].low - bars[i].low;
+    plusDM.push(up > down && up > 0 ? up : 0);
+    minusDM.push(down > up && down > 0 ? down : 0);
+    tr.push(Math.max(bars[i].high - bars[i].low, Math.abs(bars[i].high - bars[i - 1].close), Math.abs(bars[i].low - bars[i - 1].close)));
+  }
+
+  // Wilder's running sums (the ratios are the same as with averages)
+  const smoothTr = wilder(tr, period);
+  const smoothPlus = wilder(plusDM, period);
+  const smoothMinus = wilder(minusDM, period);
+
+  const plusDI = new Array(n).fill(null);
+  const minusDI = new Array(n).fill(null);
+  const dx = new Array(n).fill(null);
+  for (let i = 0; i < n; i++) {
+    if (smoothTr[i] == null) continue;
+    plusDI[i] = smoothTr[i] ? (smoothPlus[i] / smoothTr[i]) * 100 : 0;
+    minusDI[i] = smoothTr[i] ? (smoothMinus[i] / smoothTr[i]) * 100 : 0;
+    const sum = plusDI[i] + minusDI[i];
+    dx[i] = sum ? (Math.abs(plusDI[i] - minusDI[i]) / sum) * 100 : 0;
+  }
+  return { adx: wilder(dx, period), plusDI, minusDI };
+}
+
+// Every indicator's full series, for charts
+export function indicatorSeries(bars) {
+  const closes = bars.map(b => b.close);
+  const m = macd(closes);
+  const bb = bollinger(closes);
+  const stoch = stochastic(bars);
+  const dmi = adx(bars);
+  return {
+    time: bars.map(b => b.time),
+    close: closes,
+    sma20: sma(closes, 20),
+    sma50: sma(closes, 50),
+    sma200: sma(closes, 200),
+    ema12: ema(closes, 12),
+    ema26: ema(closes, 26),
+    rsi: rsi(closes),
+    macd: m.macd,
+    macdSignal: m.signal,
+    macdHistogram: m.histogram,
+    bollingerUpper: bb.upper,
+    bollingerMiddle: bb.middle,
+    bollingerLower: bb.lower,
+    bollingerPercentB: bb.percentB,
+    bollingerWidth: bb.width,
+    atr: atr(bars),
+    stochK: stoch.k,
+    stochD: stoch.d,
+    obv: obv(bars),
+    vwap: vwap(bars),
+    adx: dmi.adx,
+    plusDI: dmi.plusDI,
+    minusDI: dmi.minusDI
+  };
+}
+
+// Latest value of every indicator, plus a few scale-free versions for scoring
+export const INDICATOR_FIELDS = [
+  'sma20', 'sma50', 'sma200', 'ema12', 'ema26', 'rsi14',
+  'macd', 'macdSignal', 'macdHistogram',
+  'bollingerUpper', 'bollingerMiddle', 'bollingerLower', 'bollingerPercentB', 'bollingerWidth',
+  'atr', 'atrPercent', 'stochK', 'stochD', 'obv', 'obvChange', 'vwap', 'vwapGap', 'adx', 'plusDI', 'minusDI'
+];
+
+export function computeIndicators(bars) {
+  const series = indicatorSeries(bars);
+  const price = last(series.close);
+  const latest = Object.fromEntries(Object.entries(series)
+    .filter(([key]) => key !== 'time' && key !== 'close')
+    .map(([key, values]) => [key === 'rsi' ? 'rsi14' : key, last(values)]));
+
+  const obvSeries = series.obv;
+  const obvPast = obvSeries.length > 20 ? obvSeries[obvSeries.length - 21] : null;
+  const volume20 = sma(bars.map(b => b.volume || 0), 20);
+
+  return {
+    ...latest,
+    atrPercent: latest.atr != null && price ? (latest.atr / price) * 100 : null, // ATR as % of price
+    obvChange: obvPast != null && last(volume20) ? (latest.obv - obvPast) / last(volume20) : null, // 20-day OBV change, in days of average volume
+    vwapGap: latest.vwap ? (price / latest.vwap - 1) * 100 : null // % above the 20-day VWAP
+  };
+}
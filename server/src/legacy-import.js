@@ -0,0 +1,142 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { openDatabase, getMeta, setMeta, DATA_DIR, DB_PATH } from './database.js';
+
+// One-time import of the old data/*.json state into the SQLite ledger.
+// Runs automatically when the server opens its database; imported files are
+// renamed to *.json.imported so nothing is read twice.
+
+const LEGACY_FILES = ['trades', 'portfolios', 'orders', 'agents', 'graveyard', 'competition'];
+const IMPORTED_KEY = 'legacy_json_imported_at';
+
+function readJson(dataDir, name) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(dataDir, `${name}.json`), 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+// Opening balances for a portfolio that predates the ledger. Whatever the agent
+// made or lost before the import is booked as realized P&L so the journal balances.
+function openingEntries(portfolio) {
+  const entries = [{ account: 'assets:cash', amount: portfolio.cash }];
+  let net = portfolio.cash;
+
+  for (const [symbol, pos] of Object.entries(portfolio.positions || {})) {
+    entries.push({ account: 'assets:positions', symbol, amount: pos.shares * pos.avgCost });
+    net += pos.shares * pos.avgCost;
+  }
+  for (const [symbol, short] of Object.entries(portfolio.shorts || {})) {
+    entries.push({ account: 'liabilities:short', symbol, amount: -short.shares * short.avgPrice });
+    net -= short.shares * short.avgPrice;
+  }
+
+  entries.push({ account: 'equity:capital', amount: -portfolio.startingValue });
+  entries.push({ account: 'equity:realized_pnl', amount: -(net - portfolio.startingValue) });
+  return entries;
+}
+
+export function importLegacyJson(db, dataDir = DATA_DIR) {
+  if (getMeta(db, IMPORTED_KEY)) return null;
+
+  const legacy = {};
+  for (const name of LEGACY_FILES) legacy[name] = readJson(dataDir, name);
+
+  const counts = { trades: 0, portfolios: 0, orders: 0, agents: 0, graveyard: 0 };
+  const now = new Date().toISOString();
+
+  db.transaction(() => {
+    const insertTrade = db.prepare(`
+      INSERT OR IGNORE INTO trades (id, agent_id, type, symbol, shares, price, total, pnl, order_id, details, timestamp)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    for (const trade of legacy.trades || []) {
+      const { id, agentId, type, symbol, shares, price, total, pnl, orderId, timestamp, ...details } = trade;
+      insertTrade.run(id, agentId, type, symbol, shares, price, total, pnl ?? null, orderId ?? null,
+        Object.keys(details).length ? JSON.stringify(details) : null, timestamp);
+      counts.trades++;
+    }
+
+    const insertPortfolio = db.prepare(`
+      INSERT OR REPLACE INTO portfolios (agent_id, cash, starting_value, borrow_fees_paid, last_borrow_accrual, created_at)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `);
+    const insertPosition = db.prepare(`
+      INSERT OR REPLACE INTO positions (agent_id, symbol, side, shares, avg_price, last_price, borrow_fees, opened_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    const insertSnapshot = db.prepare('INSERT INTO snapshots (agent_id, timestamp, value) VALUES (?, ?, ?)');
+    const insertEntry = db.prepare(`
+      INSERT INTO ledger_entries (journal_id, agent_id, account, symbol, amount, memo, created_at)
+      VALUES (?, ?, ?, ?, ?, 'Imported opening balance', ?)
+    `);
+    for (const [agentId, portfolio] of Object.entries(legacy.portfolios || {})) {
+      insertPortfolio.run(agentId, portfolio.cash, portfolio.startingValue, portfolio.borrowFeesPaid || 0,
+        portfolio.lastBorrowAccrual || null, portfolio.history?.[0]?.timestamp || now);
+
+      for (const [symbol, pos] of Object.entries(portfolio.positions || {})) {
+        insertPosition.run(agentId, symbol, 'long', pos.shares, pos.avgCost, null, null, null);
+      }
+      for (const [symbol, short] of Object.entries(portfolio.shorts || {})) {
+        insertPosition.run(agentId, symbol, 'short', short.shares, short.avgPrice, short.lastPrice ?? null, short.borrowFees ?? null, short.openedAt ?? null);
+      }
+      for (const snapshot of portfolio.history || []) {
+        insertSnapshot.run(agentId, snapshot.timestamp, snapshot.value);
+      }
+      for (const entry of openingEntries(portfolio)) {
+        insertEntry.run(`import_${agentId}`, agentId, entry.account, entry.symbol ?? null, entry.amount, now);
+      }
+      counts.portfolios++;
+    }
+
+    const insertOrder = db.prepare(`
+      INSERT OR IGNORE INTO orders (id, agent_id, symbol, status, created_at, data) VALUES (?, ?, ?, ?, ?, ?)
+    `);
+    for (const order of legacy.orders || []) {
+      insertOrder.run(order.id, order.agentId, order.symbol, order.status, order.createdAt, JSON.stringify(order));
+      counts.orders++;
+    }
+
+    const insertAgent = db.prepare('INSERT OR REPLACE INTO agents (id, data, updated_at) VALUES (?, ?, ?)');
+    for (const agent of Object.values(legacy.agents || {})) {
+      insertAgent.run(agent.id, JSON.stringify(agent), now);
+      counts.agents++;
+    }
+
+    const insertGrave = db.prepare('INSERT INTO graveyard (agent_id, eliminated_at, data) VALUES (?, ?, ?)');
+    for (const entry of legacy.graveyard || []) {
+      insertGrave.run(entry.id, entry.eliminatedAt, JSON.stringify(entry));
+      counts.graveyard++;
+    }
+
+    if (legacy.competition) {
+      db.prepare('INSERT OR REPLACE INTO competition (id, data, updated_at) VALUES (1, ?, ?)')
+        .run(JSON.stringify(legacy.competition), now);
+    }
+
+    setMeta(db, IMPORTED_KEY, now);
+  })();
+
+  // Only move the files once the transaction has committed
+  for (const name of LEGACY_FILES) {
+    if (legacy[name] == null) continue;
+    const file = path.join(dataDir, `${name}.json`);
+    fs.renameSync(file, `${file}.imported`);
+  }
+
+  if (LEGACY_FILES.some(name => legacy[name] != null)) {
+    console.log(`[DB] Imported legacy JSON: ${counts.trades} trades, ${counts.portfolios} portfolios, ${counts.orders} orders, ${counts.agents} agents, ${counts.graveyard} graveyard entries`);
+  }
+  return counts;
+}
+
+// npm run import-json [dataDir] [dbFile]
+if (process.argv[1] && fileURLToPath(import.meta.url) === path.resolve(process.argv[1])) {
+  const dataDir = process.argv[2] ? path.resolve(process.argv[2]) : DATA_DIR;
+  const db = openDatabase(process.argv[3] ? path.resolve(process.argv[3]) : DB_PATH);
+  const counts = importLegacyJson(db, dataDir);
+  if (!counts) console.log('[DB] Legacy JSON already imported - nothing to do');
+  db.close();
+}
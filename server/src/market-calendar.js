@@ -0,0 +1,217 @@
+// NYSE trading calendar, computed by rule so it works for any year offline.
+// Days are New York calendar dates ('YYYY-MM-DD'); times are epoch ms.
+
+const TIME_ZONE = 'America/New_York';
+const OPEN_MINUTES = 9 * 60 + 30; // 9:30 AM
+const CLOSE_MINUTES = 16 * 60; // 4:00 PM
+const EARLY_CLOSE_MINUTES = 13 * 60; // 1:00 PM
+
+const nyParts = new Intl.DateTimeFormat('en-US', {
+  timeZone: TIME_ZONE,
+  hourCycle: 'h23',
+  year: 'numeric', month: '2-digit', day: '2-digit',
+  hour: '2-digit', minute: '2-digit', second: '2-digit'
+});
+
+function partsOf(time) {
+  const parts = {};
+  for (const { type, value } of nyParts.formatToParts(new Date(time))) parts[type] = Number(value);
+  return parts;
+}
+
+const pad = (n) => String(n).padStart(2, '0');
+const ymd = (y, m, d) => `${y}-${pad(m)}-${pad(d)}`;
+
+// Day arithmetic on plain dates, done in UTC so DST never shifts anything
+function toUtcDate(day) {
+  return new Date(`${day}T12:00:00Z`);
+}
+
+export function addDays(day, n) {
+  const date = toUtcDate(day);
+  date.setUTCDate(date.getUTCDate() + n);
+  return date.toISOString().slice(0, 10);
+}
+
+export function weekday(day) {
+  return toUtcDate(day).getUTCDay(); // 0 = Sunday
+}
+
+// New York calendar date of an instant
+export function nyDate(time) {
+  const p = partsOf(time);
+  return ymd(p.year, p.month, p.day);
+}
+
+// Minutes since midnight, New York time
+export function nyMinutes(time) {
+  const p = partsOf(time);
+  return p.hour * 60 + p.minute;
+}
+
+// The instant a New York wall-clock time happens
+export function nyTimeToEpoch(day, minutes) {
+  const [y, m, d] = day.split('-').map(Number);
+  const wall = Date.UTC(y, m - 1, d, Math.floor(minutes / 60), minutes % 60);
+  const offsetAt = (time) => {
+    const p = partsOf(time);
+    return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - Math.floor(time / 1000) * 1000;
+  };
+  const first = wall - offsetAt(wall);
+  return wall - offsetAt(first); // Second pass settles the DST boundary
+}
+
+// nth (1-based) weekday of a month; n = -1 for the last
+function nthWeekday(year, month, dow, n) {
+  if (n > 0) {
+    const first = weekday(ymd(year, month, 1));
+    return ymd(year, month, 1 + ((dow - first + 7) % 7) + (n - 1) * 7);
+  }
+  const lastDate = new Date(Date.UTC(year, month, 0)).getUTCDate();
+  const last = weekday(ymd(year, month, lastDate));
+  return ymd(year, month, lastDate - ((last - dow + 7) % 7));
+}
+
+// Anonymous Gregorian algorithm
+function easter(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return ymd(year, month, day);
+}
+
+// Saturday holidays close the Friday before, Sunday ones the Monday after
+function observed(day) {
+  const dow = weekday(day);
+  if (dow === 6) return addDays(day, -1);
+  if (dow === 0) return addDays(day, 1);
+  return day;
+}
+
+export class MarketCalendar {
+  // extraClosures: one-off closures no rule can predict (national days of mourning, storms)
+  constructor({ extraClosures = [] } = {}) {
+    this.extraClosures = new Set(extraClosures);
+    this.cache = new Map();
+  }
+
+  // { holidays: { day: name }, earlyCloses: { day: name } } for a year
+  year(year) {
+    if (this.cache.has(year)) return this.cache.get(year);
+
+    const holidays = {};
+    // New Year's Day on a Saturday isn't made up - NYSE won't close on the last day of the year
+    const newYear = ymd(year, 1, 1);
+    if (weekday(newYear) !== 6) holidays[observed(newYear)] = "New Year's Day";
+    holidays[nthWeekday(year, 1, 1, 3)] = 'Martin Luther King Jr. Day';
+    holidays[nthWeekday(year, 2, 1, 3)] = "Washington's Birthday";
+    holidays[addDays(easter(year), -2)] = 'Good Friday';
+    holidays[nthWeekday(year, 5, 1, -1)] = 'Memorial Day';
+    if (year >= 2022) holidays[observed(ymd(year, 6, 19))] = 'Juneteenth';
+    holidays[observed(ymd(year, 7, 4))] = 'Independence Day';
+    holidays[nthWeekday(year, 9, 1, 1)] = 'Labor Day';
+    const thanksgiving = nthWeekday(year, 11, 4, 4);
+    holidays[thanksgiving] = 'Thanksgiving Day';
+    holidays[observed(ymd(year, 12, 25))] = 'Christmas Day';
+    for (const day of this.extraClosures) {
+      if (day.startsWith(`${year}-`)) holidays[day] = 'Special closure';
+    }
+
+    // 1 PM closes: the day before Independence Day, the day after Thanksgiving, Christmas Eve
+    const earlyCloses = {};
+    const early = (day, name) => {
+      const dow = weekday(day);
+      if (dow !== 0 && dow !== 6 && !holidays[day]) earlyCloses[day] = name;
+    };
+    early(ymd(year, 7, 3), 'Independence Day eve');
+    early(addDays(thanksgiving, 1), 'Day after Thanksgiving');
+    early(ymd(year, 12, 24), 'Christmas Eve');
+
+    const result = { holidays, earlyCloses };
+    this.cache.set(year, result);
+    return result;
+  }
+
+  holiday(day) {
+    return this.year(Number(day.slice(0, 4))).holidays[day] || null;
+  }
+
+  earlyClose(day) {
+    return this.year(Number(day.slice(0, 4))).earlyCloses[day] || null;
+  }
+
+  isTradingDay(day) {
+    const dow = weekday(day);
+    return dow !== 0 && dow !== 6 && !this.holiday(day);
+  }
+
+  // { day, open, close } as epoch ms, or null when the exchange is shut all day
+  session(day) {
+    if (!this.isTradingDay(day)) return null;
+    return {
+      day,
+      open: nyTimeToEpoch(day, OPEN_MINUTES),
+      close: nyTimeToEpoch(day, this.earlyClose(day) ? EARLY_CLOSE_MINUTES : CLOSE_MINUTES),
+      earlyClose: this.earlyClose(day)
+    };
+  }
+
+  isOpen(time) {
+    const session = this.session(nyDate(time));
+    return !!session && time >= session.open && time < session.close;
+  }
+
+  // First session boundary strictly after `time`
+  nextOpen(time) {
+    for (let day = nyDate(time), i = 0; i < 14; day = addDays(day, 1), i++) {
+      const session = this.session(day);
+      if (session && session.open > time) return session.open;
+    }
+    throw new Error('No market open within two weeks');
+  }
+
+  nextClose(time) {
+    for (let day = nyDate(time), i = 0; i < 14; day = addDays(day, 1), i++) {
+      const session = this.session(day);
+      if (session && session.close > time) return session.close;
+    }
+    throw new Error('No market close within two weeks');
+  }
+
+  // Sessions that close after `from` and no later than `to`
+  tradingDaysBetween(from, to) {
+    let count = 0;
+    for (let day = nyDate(from); day <= nyDate(to); day = addDays(day, 1)) {
+      const session = this.session(day);
+      if (session && session.close > from && session.close <= to) count++;
+    }
+    return count;
+  }
+
+  // Sessions still to close after `from`, up to and including the day of `through` -
+  // a round ending some time on a trading day still has that day to play
+  tradingDaysThrough(from, through) {
+    let count = 0;
+    for (let day = nyDate(from); day <= nyDate(through); day = addDays(day, 1)) {
+      const session = this.session(day);
+      if (session && session.close > from) count++;
+    }
+    return count;
+  }
+}
+
+// MARKET_EXTRA_CLOSURES=2025-01-09,2026-03-02 for closures announced after the fact
+export const nyseCalendar = new MarketCalendar({
+  extraClosures: (process.env.MARKET_EXTRA_CLOSURES || '').split(',').map(s => s.trim()).filter(Boolean)
+});
@@ -1,108 +1,33 @@
-// StockRacer Market Data - Fortune 500+ universe with live scanning
+// StockRacer Market Data - live scanning over the symbol registry's active universe
 
-const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
-
-// Full stock universe - 219 stocks across all sectors
-export const TRADEABLE_STOCKS = [
-  // Tech (30)
-  'AAPL','MSFT','GOOGL','AMZN','META','NVDA','TSLA','AVGO','ORCL','CRM','AMD','INTC','CSCO','ADBE','NOW','INTU','IBM','QCOM','TXN','AMAT','MU','LRCX','ADI','KLAC','SNPS','CDNS','MRVL','FTNT','PANW','CRWD',
-  // Finance (20)
-  'JPM','V','MA','BAC','WFC','GS','MS','BLK','SCHW','AXP','C','USB','PNC','TFC','COF','BK','STT','FITB','RF','CFG',
-  // Healthcare (20)
-  'UNH','JNJ','LLY','PFE','ABBV','MRK','TMO','ABT','DHR','BMY','AMGN','MDT','ISRG','GILD','VRTX','REGN','BSX','ZTS','SYK','BDX',
-  // Consumer (20)
-  'WMT','PG','KO','PEP','COST','MCD','NKE','SBUX','TGT','LOW','HD','TJX','ROST','DG','DLTR','YUM','DPZ','CMG','ORLY','AZO',
-  // Industrial (20)
-  'CAT','BA','GE','HON','UNP','UPS','RTX','LMT','NOC','GD','DE','MMM','EMR','ITW','PH','ROK','ETN','CMI','PCAR','WM',
-  // Energy (20)
-  'XOM','CVX','COP','SLB','EOG','PXD','MPC','VLO','PSX','OXY','DVN','HAL','FANG','HES','BKR','CTRA','OVV','APA','MRO','AR',
-  // Communication (16)
-  'DIS','CMCSA','NFLX','T','VZ','TMUS','CHTR','EA','TTWO','WBD','PARA','LYV','MTCH','RBLX','SNAP','PINS',
-  // Real Estate (10)
-  'AMT','PLD','CCI','EQIX','PSA','O','WELL','DLR','SPG','VICI',
-  // Utilities (10)
-  'NEE','DUK','SO','D','AEP','SRE','EXC','XEL','ED','WEC',
-  // Materials (10)
-  'LIN','APD','SHW','ECL','NEM','FCX','CTVA','DD','DOW','PPG',
-  // ETFs (13)
-  'SPY','QQQ','IWM','DIA','VTI','VOO','ARKK','XLK','XLF','XLE','XLV','XLI','SOXX',
-  // Meme/Popular (10)
-  'GME','AMC','PLTR','RIVN','LCID','SOFI','HOOD','COIN','MSTR','AFRM',
-  // Growth (10)
-  'SHOP','NET','DDOG','SNOW','ZS','MDB','OKTA','BILL','HUBS','VEEV',
-  // International ADRs (10)
-  'TSM','BABA','NVO','ASML','SAP','TM','SNY','AZN','SHEL','BP'
-];
-
-// Stock sectors for agent preferences
-export const SECTORS = {
-  tech: TRADEABLE_STOCKS.slice(0, 30),
-  finance: TRADEABLE_STOCKS.slice(30, 50),
-  healthcare: TRADEABLE_STOCKS.slice(50, 70),
-  consumer: TRADEABLE_STOCKS.slice(70, 90),
-  industrial: TRADEABLE_STOCKS.slice(90, 110),
-  energy: TRADEABLE_STOCKS.slice(110, 130),
-  communication: TRADEABLE_STOCKS.slice(130, 146),
-  realestate: TRADEABLE_STOCKS.slice(146, 156),
-  utilities: TRADEABLE_STOCKS.slice(156, 166),
-  materials: TRADEABLE_STOCKS.slice(166, 176),
-  etfs: TRADEABLE_STOCKS.slice(176, 189),
-  meme: TRADEABLE_STOCKS.slice(189, 199),
-  growth: TRADEABLE_STOCKS.slice(199, 209),
-  international: TRADEABLE_STOCKS.slice(209, 219),
-};
-
-async function fetchYahooQuote(symbol) {
-  const url = `https://query2.finance.yahoo.com/v8/finance/chart/${symbol}?interval=1d&range=1d`;
-  const res = await fetch(url, {
-    headers: {
-      'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-      'Accept': 'application/json',
-    }
-  });
-  if (!res.ok) throw new Error(`API error: ${res.status}`);
-  const data = await res.json();
-  const result = data.chart?.result?.[0];
-  if (!result) throw new Error('No data');
-  const meta = result.meta;
-  const indicators = result.indicators?.quote?.[0];
-  
-  return {
-    symbol: meta.symbol,
-    price: meta.regularMarketPrice,
-    previousClose: meta.previousClose || meta.chartPreviousClose,
-    change: meta.regularMarketPrice - (meta.previousClose || meta.chartPreviousClose),
-    changePercent: ((meta.regularMarketPrice - (meta.previousClose || meta.chartPreviousClose)) / (meta.previousClose || meta.chartPreviousClose)) * 100,
-    volume: indicators?.volume?.[indicators.volume.length - 1] || 0,
-    high: indicators?.high?.[indicators.high.length - 1] || meta.regularMarketPrice,
-    low: indicators?.low?.[indicators.low.length - 1] || meta.regularMarketPrice,
-    open: indicators?.open?.[indicators.open.length - 1] || meta.regularMarketPrice,
-    fiftyTwoWeekHigh: meta.fiftyTwoWeekHigh,
-    fiftyTwoWeekLow: meta.fiftyTwoWeekLow,
-    name: meta.shortName || meta.longName || symbol
-  };
-}
-
-async function fetchYahooAnalysis(symbol) {
-  const url = `https://query2.finance.yahoo.com/v8/finance/chart/${symbol}?interval=1d&range=1mo`;
-  const res = await fetch(url, {
-    headers: {
-      'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-      'Accept': 'application/json',
-    }
-  });
-  if (!res.ok) throw new Error(`API error: ${res.status}`);
-  const data = await res.json();
-  const result = data.chart?.result?.[0];
-  if (!result) throw new Error('No data');
-
-  const closes = result.indicators?.quote?.[0]?.close?.filter(c => c != null) || [];
-  if (closes.length < 5) return null;
+import { EventEmitter } from 'events';
+import { systemClock, tradingDay } from './clock.js';
+import { createProvider } from './providers/index.js';
+import { nyseCalendar, nyDate, nyTimeToEpoch } from './market-calendar.js';
+import { computeIndicators, indicatorSeries, rsi as wilderRsi } from './indicators.js';
+import { RANGE_DAYS, rangeCovering } from './bar-store.js';
+import { SymbolRegistry } from './symbols.js';
 
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+const DAY_MS = 24 * 60 * 60 * 1000;
+const BAR_RESYNC_MS = 60 * 1000; // Don't re-download a symbol's bars more than once a minute
+
+// Daily bars of history behind each analysis - enough to warm up a 200-day SMA
+export const ANALYSIS_BARS = 252;
+const ANALYSIS_RANGES = ['3mo', '6mo', '1y', '2y'];
+
+// Daily-bar analysis (trend, RSI, volatility, composite signal) used by every agent,
+// plus the full indicator set (see indicators.js) under `indicators`.
+// Expects up to a year of bars, oldest first; returns null with fewer than 5.
+export function computeAnalysis(symbol, bars) {
+  bars = bars.filter(b => b.close != null);
+  const history = bars.map(b => b.close);
+  if (history.length < 5) return null;
+
+  const closes = history.slice(-22); // Week/month figures stay on the last month
   const current = closes[closes.length - 1];
   const prev = closes[closes.length - 2];
   const week = closes.slice(-5);
-  const twoWeek = closes.slice(-10);
   const month = closes;
 
   const weekAvg = week.reduce((a, b) => a + b, 0) / week.length;
@@ -120,15 +45,12 @@ async function fetchYahooAnalysis(symbol) {
   const aboveMonthAvg = current > monthAvg;
   const trend = aboveWeekAvg && aboveMonthAvg ? 'bullish' : !aboveWeekAvg && !aboveMonthAvg ? 'bearish' : 'neutral';
 
-  const gains = returns.slice(-14).filter(r => r > 0);
-  const losses = returns.slice(-14).filter(r => r < 0).map(r => Math.abs(r));
-  const avgGain = gains.length ? gains.reduce((a, b) => a + b, 0) / 14 : 0;
-  const avgLoss = losses.length ? losses.reduce((a, b) => a + b, 0) / 14 : 0;
-  const rs = avgLoss > 0 ? avgGain / avgLoss : 100;
-  const rsi = 100 - (100 / (1 + rs));
+  // Wilder's RSI over the whole history; shorter period while history is thin
+  const rsiSeries = wilderRsi(history, Math.min(14, history.length - 1));
+  const rsi = rsiSeries[rsiSeries.length - 1];
 
-  const recentHighs = result.indicators?.quote?.[0]?.high?.filter(h => h != null).slice(-10) || [];
-  const recentLows = result.indicators?.quote?.[0]?.low?.filter(l => l != null).slice(-10) || [];
+  const recentHighs = bars.map(b => b.high).filter(h => h != null).slice(-10);
+  const recentLows = bars.map(b => b.low).filter(l => l != null).slice(-10);
   const resistance = recentHighs.length ? Math.max(...recentHighs) : current * 1.05;
   const support = recentLows.length ? Math.min(...recentLows) : current * 0.95;
 
@@ -144,16 +66,45 @@ async function fetchYahooAnalysis(symbol) {
 
   return {
     symbol, price: current, dailyChange, weekChange, monthChange, volatility,
-    trend, rsi, signal, support, resistance, aboveWeekAvg, aboveMonthAvg, weekAvg, monthAvg
+    trend, rsi, signal, support, resistance, aboveWeekAvg, aboveMonthAvg, weekAvg, monthAvg,
+    indicators: computeIndicators(bars)
   };
 }
 
-export class MarketData {
-  constructor() {
+// Last-known quote from daily bars (warm start, before any live quote arrives)
+export function quoteFromBars(symbol, bars) {
+  const current = bars[bars.length - 1];
+  const previousClose = bars.length > 1 ? bars[bars.length - 2].close : current.open;
+  return {
+    symbol,
+    price: current.close,
+    previousClose,
+    change: current.close - previousClose,
+    changePercent: ((current.close - previousClose) / previousClose) * 100,
+    volume: current.volume,
+    high: current.high,
+    low: current.low,
+    open: current.open,
+    name: symbol
+  };
+}
+
+// Emits 'quote' with every quote the live rotation fetches (used to evaluate resting
+// orders) - not with on-demand lookups, so a request for a quote can't fill anything.
+// Where quotes and bars come from is up to the provider - see providers/index.js.
+export class MarketData extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.clock = options.clock || systemClock;
+    this.provider = options.provider || createProvider(options.providerConfig);
+    this.alwaysOpen = options.alwaysOpen || false; // Offline dev: trade around the clock
+    this.calendar = options.calendar || nyseCalendar; // Holidays and early closes
+    this.symbols = options.symbols || new SymbolRegistry(); // The universe (symbols.js); in-memory defaults without a database
+    this.barStore = options.barStore || null; // Local bar history (bar-store.js); without one every read hits the provider
     this.quoteCache = new Map();
     this.cacheTTL = 15000; // 15 second quote cache for near-live data
     this.lastRequestTime = 0;
-    this.minRequestInterval = 200; // 200ms between requests
+    this.minRequestInterval = this.provider.minRequestInterval ?? 200;
     
     // Rotating fetch system - fetch batches of stocks continuously
     this.fetchIndex = 0;
@@ -179,8 +130,8 @@ export class MarketData {
     for (let i = 0; i < retries; i++) {
       try {
         await this.throttle();
-        const data = await fetchYahooQuote(symbol);
-        this.quoteCache.set(symbol, { data, timestamp: Date.now() });
+        const data = await this.provider.getQuote(symbol);
+        this.cacheQuote(symbol, data);
         return data;
       } catch (error) {
         if (error.message.includes('429')) {
@@ -195,6 +146,10 @@ export class MarketData {
     throw new Error(`Failed to fetch ${symbol}`);
   }
 
+  cacheQuote(symbol, data) {
+    this.quoteCache.set(symbol, { data, timestamp: Date.now() });
+  }
+
   async getMultipleQuotes(symbols) {
     const quotes = {};
     for (const symbol of symbols) {
@@ -213,12 +168,13 @@ export class MarketData {
   startLiveScanning() {
     if (this.isRotating) return;
     this.isRotating = true;
-    console.log(`[MarketData] 🔴 LIVE scanning started for ${TRADEABLE_STOCKS.length} stocks`);
+    console.log(`[MarketData] 🔴 LIVE scanning started for ${this.getStockCount()} stocks`);
     
     this.rotationInterval = setInterval(async () => {
       if (!this.isMarketOpen()) return;
       
-      const batch = TRADEABLE_STOCKS.slice(this.fetchIndex, this.fetchIndex + this.batchSize);
+      const universe = this.getTradeableStocks(); // Re-read each batch - admins can edit it live
+      const batch = universe.slice(this.fetchIndex, this.fetchIndex + this.batchSize);
       if (batch.length === 0) {
         this.fetchIndex = 0;
         return;
@@ -227,15 +183,16 @@ export class MarketData {
       for (const symbol of batch) {
         try {
           await this.throttle();
-          const data = await fetchYahooQuote(symbol);
-          this.quoteCache.set(symbol, { data, timestamp: Date.now() });
+          const data = await this.provider.getQuote(symbol);
+          this.cacheQuote(symbol, data);
+          this.emit('quote', data);
         } catch (e) {
           // Skip failures silently
         }
       }
 
       this.fetchIndex += this.batchSize;
-      if (this.fetchIndex >= TRADEABLE_STOCKS.length) this.fetchIndex = 0;
+      if (this.fetchIndex >= universe.length) this.fetchIndex = 0;
     }, 3000); // Fetch a batch every 3 seconds = full rotation in ~66 seconds for 219 stocks
   }
 
@@ -249,7 +206,7 @@ export class MarketData {
 
   async getTopMovers() {
     const allQuotes = [];
-    for (const symbol of TRADEABLE_STOCKS) {
+    for (const symbol of this.getTradeableStocks()) {
       const cached = this.quoteCache.get(symbol);
       if (cached) allQuotes.push(cached.data);
     }
@@ -263,10 +220,148 @@ export class MarketData {
     };
   }
 
+  // Cached quotes by sector, for a heatmap: each sector's average move, how many
+  // are up and down, and its symbols biggest move first. Best sector first.
+  getSectorHeatmap() {
+    const sectors = {};
+    for (const record of this.symbols.list({ status: 'active' })) {
+      const quote = this.quoteCache.get(record.symbol)?.data;
+      if (!quote || quote.changePercent === undefined) continue;
+      (sectors[record.sector] ||= []).push({
+        symbol: record.symbol,
+        name: record.name,
+        price: quote.price,
+        changePercent: quote.changePercent,
+        volume: quote.volume
+      });
+    }
+    return Object.entries(sectors)
+      .map(([sector, symbols]) => ({
+        sector,
+        averageChange: symbols.reduce((sum, s) => sum + s.changePercent, 0) / symbols.length,
+        advancers: symbols.filter(s => s.changePercent > 0).length,
+        decliners: symbols.filter(s => s.changePercent < 0).length,
+        symbols: symbols.sort((a, b) => Math.abs(b.changePercent) - Math.abs(a.changePercent))
+      }))
+      .sort((a, b) => b.averageChange - a.averageChange);
+  }
+
+  async fetchAnalysis(symbol) {
+    const bars = await this.getBars(symbol, { range: '1y' });
+    return computeAnalysis(symbol, bars);
+  }
+
+  // Bars oldest first - from the bar store (topped up first) when there is one
+  // The last `range` of bars, or the window from..to (ms) when given
+  async getBars(symbol, { interval = '1d', range = '1y', from = null, to = null } = {}) {
+    const start = from ?? this.clock.now() - RANGE_DAYS[range] * DAY_MS;
+    let bars;
+    if (!this.barStore) {
+      await this.throttle();
+      bars = await this.provider.getBars(symbol, { interval, range: from != null ? rangeCovering(this.clock.now() - from) : range });
+    } else {
+      await this.syncBars(symbol, interval);
+      bars = this.barStore.getBars(symbol, interval, { from: start });
+    }
+    return from == null && to == null ? bars : bars.filter(b => b.time >= start && (to == null || b.time <= to));
+  }
+
+  // Download whatever the store is missing for one symbol: two years of daily
+  // (five days of intraday) the first time, then just the gap since the last bar.
+  // Returns the number of bars written - 0 when already up to date.
+  async syncBars(symbol, interval = '1d') {
+    const now = this.clock.now();
+    const latest = this.barStore.latest(symbol, interval);
+    if (latest && !this.barsStale(latest, now)) return 0;
+
+    const maxRange = interval === '1d' ? '2y' : '1mo'; // Intraday history only goes back so far
+    const range = latest ? rangeCovering(now - latest.time + DAY_MS, maxRange) : (interval === '1d' ? '2y' : '5d');
+    await this.throttle();
+    const bars = await this.provider.getBars(symbol, { interval, range });
+    return this.barStore.upsert(symbol, interval, bars, now);
+  }
+
+  // Stored bars go stale while a session is running, or once one has closed since they were fetched
+  barsStale({ fetchedAt }, now) {
+    if (now - fetchedAt < BAR_RESYNC_MS) return false;
+    return this.isMarketOpen() || this.calendar.tradingDaysBetween(fetchedAt, now) > 0;
+  }
+
+  // Top up the store for the whole universe. Run at startup and after every close.
+  async backfill({ interval = '1d', symbols = this.getTradeableStocks() } = {}) {
+    if (!this.barStore) return 0;
+    let written = 0;
+    let failed = 0;
+    for (const symbol of symbols) {
+      try {
+        written += await this.syncBars(symbol, interval);
+      } catch (e) {
+        failed++;
+      }
+    }
+    if (interval !== '1d') this.barStore.prune(this.clock.now());
+    console.log(`[Bars] ${interval} backfill: ${written} bars written for ${symbols.length} symbols${failed ? ` (${failed} failed)` : ''}`);
+    return written;
+  }
+
+  // A split on `exDate`: rescale stored history and forget cached pre-split prices
+  applySplit(symbol, ratio, exDate) {
+    const rescaled = this.barStore ? this.barStore.applySplit(symbol, ratio, nyTimeToEpoch(exDate, 0)) : 0;
+    for (const key of [symbol, 'analysis_' + symbol, 'daily_' + symbol]) this.quoteCache.delete(key);
+    return rescaled;
+  }
+
+  // Seed analyses and last-known quotes from stored bars, so agents have
+  // something to work with before the first rotation after a restart
+  warmStart() {
+    if (!this.barStore) return 0;
+    const universe = this.getTradeableStocks();
+    let warmed = 0;
+    for (const symbol of universe) {
+      const bars = this.barStore.getBars(symbol, '1d', { limit: ANALYSIS_BARS });
+      const analysis = computeAnalysis(symbol, bars);
+      if (!analysis) continue;
+
+      const { fetchedAt } = this.barStore.latest(symbol, '1d');
+      this.quoteCache.set('analysis_' + symbol, { data: analysis, timestamp: fetchedAt });
+      if (!this.quoteCache.has(symbol)) {
+        this.quoteCache.set(symbol, { data: quoteFromBars(symbol, bars), timestamp: fetchedAt });
+      }
+      warmed++;
+    }
+    console.log(`[Bars] Warm start: ${warmed}/${universe.length} symbols from the bar store`);
+    return warmed;
+  }
+
+  // { 'YYYY-MM-DD': close } for the last six months - the benchmark for beta/alpha
+  async getDailyCloses(symbol) {
+    const cacheKey = 'daily_' + symbol;
+    const cached = this.quoteCache.get(cacheKey);
+    if (cached && Date.now() - cached.timestamp < 60 * 60 * 1000) return cached.data; // 1 hour cache
+
+    try {
+      const bars = await this.getBars(symbol, { range: '6mo' });
+      const closes = Object.fromEntries(bars.map(b => [tradingDay(b.time), b.close]));
+      this.quoteCache.set(cacheKey, { data: closes, timestamp: Date.now() });
+      return closes;
+    } catch (error) {
+      return cached?.data || null;
+    }
+  }
+
+  // Analysis for one symbol, optionally with every indicator's full series for charting
+  async getAnalysis(symbol, { series = false, range = '1y' } = {}) {
+    if (!ANALYSIS_RANGES.includes(range)) throw new Error(`Unknown range: ${range} (expected one of: ${ANALYSIS_RANGES.join(', ')})`);
+    const bars = (await this.getBars(symbol, { range })).filter(b => b.close != null);
+    const analysis = computeAnalysis(symbol, bars);
+    if (!analysis) throw new Error(`Not enough history for ${symbol}`);
+    this.quoteCache.set('analysis_' + symbol, { data: analysis, timestamp: Date.now() });
+    return series ? { ...analysis, series: indicatorSeries(bars) } : analysis;
+  }
+
   async analyzeStock(symbol) {
     try {
-      await this.throttle();
-      return await fetchYahooAnalysis(symbol);
+      return await this.fetchAnalysis(symbol);
     } catch (error) {
       return null;
     }
@@ -294,7 +389,8 @@ export class MarketData {
   async analyzeNextBatch(batchSize = 15) {
     if (!this._analysisBatchIndex) this._analysisBatchIndex = 0;
     
-    const batch = TRADEABLE_STOCKS.slice(this._analysisBatchIndex, this._analysisBatchIndex + batchSize);
+    const universe = this.getTradeableStocks();
+    const batch = universe.slice(this._analysisBatchIndex, this._analysisBatchIndex + batchSize);
     if (batch.length === 0) {
       this._analysisBatchIndex = 0;
       return;
@@ -303,8 +399,7 @@ export class MarketData {
     for (const symbol of batch) {
       const cacheKey = 'analysis_' + symbol;
       try {
-        await this.throttle();
-        const analysis = await fetchYahooAnalysis(symbol);
+        const analysis = await this.fetchAnalysis(symbol);
         if (analysis) {
           this.quoteCache.set(cacheKey, { data: analysis, timestamp: Date.now() });
         }
@@ -312,25 +407,31 @@ export class MarketData {
     }
     
     this._analysisBatchIndex += batchSize;
-    if (this._analysisBatchIndex >= TRADEABLE_STOCKS.length) this._analysisBatchIndex = 0;
+    if (this._analysisBatchIndex >= universe.length) this._analysisBatchIndex = 0;
     
-    console.log(`[Analysis] Batch ${Math.ceil(this._analysisBatchIndex / batchSize)}/${Math.ceil(TRADEABLE_STOCKS.length / batchSize)} complete`);
+    console.log(`[Analysis] Batch ${Math.ceil(this._analysisBatchIndex / batchSize)}/${Math.ceil(universe.length / batchSize)} complete`);
   }
 
   // Get cached analysis for all stocks (for fast agent decisions)
   getCachedAnalyses() {
     const analyses = {};
-    for (const symbol of TRADEABLE_STOCKS) {
+    for (const symbol of this.getTradeableStocks()) {
       const cached = this.quoteCache.get('analysis_' + symbol);
       if (cached) analyses[symbol] = cached.data;
     }
     return analyses;
   }
 
+  // The analysis agents are trading on for one symbol, or null if none yet
+  getCachedAnalysis(symbol) {
+    const cached = this.quoteCache.get('analysis_' + symbol);
+    return cached ? { ...cached.data, cachedAt: new Date(cached.timestamp).toISOString() } : null;
+  }
+
   // Get all cached quotes
   getCachedQuotes() {
     const quotes = {};
-    for (const symbol of TRADEABLE_STOCKS) {
+    for (const symbol of this.getTradeableStocks()) {
       const cached = this.quoteCache.get(symbol);
       if (cached) quotes[symbol] = cached.data;
     }
@@ -338,46 +439,48 @@ export class MarketData {
   }
 
   isMarketOpen() {
-    const now = new Date();
-    const nyTime = new Date(now.toLocaleString('en-US', { timeZone: 'America/New_York' }));
-    const day = nyTime.getDay();
-    const time = nyTime.getHours() * 60 + nyTime.getMinutes();
-    if (day === 0 || day === 6) return false;
-    if (time < 570 || time >= 960) return false;
-    return true;
+    if (this.alwaysOpen) return true;
+    return this.calendar.isOpen(this.clock.now());
   }
 
   getNextMarketOpen() {
-    const now = new Date();
-    const nyTime = new Date(now.toLocaleString('en-US', { timeZone: 'America/New_York' }));
-    let nextOpen = new Date(nyTime);
-    nextOpen.setHours(9, 30, 0, 0);
-    if (nyTime >= nextOpen) nextOpen.setDate(nextOpen.getDate() + 1);
-    while (nextOpen.getDay() === 0 || nextOpen.getDay() === 6) nextOpen.setDate(nextOpen.getDate() + 1);
-    return nextOpen.toISOString();
+    return new Date(this.calendar.nextOpen(this.clock.now())).toISOString();
   }
 
   getNextMarketClose() {
-    const now = new Date();
-    const nyTime = new Date(now.toLocaleString('en-US', { timeZone: 'America/New_York' }));
-    let nextClose = new Date(nyTime);
-    nextClose.setHours(16, 0, 0, 0);
-    if (nyTime >= nextClose) nextClose.setDate(nextClose.getDate() + 1);
-    while (nextClose.getDay() === 0 || nextClose.getDay() === 6) nextClose.setDate(nextClose.getDate() + 1);
-    return nextClose.toISOString();
+    return new Date(this.calendar.nextClose(this.clock.now())).toISOString();
+  }
+
+  // Today's exchange status: { day, tradingDay, holiday, earlyClose }
+  getTodaySession() {
+    const day = nyDate(this.clock.now());
+    return {
+      day,
+      tradingDay: this.calendar.isTradingDay(day),
+      holiday: this.calendar.holiday(day),
+      earlyClose: this.calendar.earlyClose(day)
+    };
   }
 
   getTradeableStocks() {
-    return TRADEABLE_STOCKS;
+    return this.symbols.active();
   }
 
   getStockCount() {
-    return TRADEABLE_STOCKS.length;
+    return this.getTradeableStocks().length;
+  }
+
+  // Best price we have without a network call: cached quote, then the last stored bar
+  getLastPrice(symbol) {
+    const cached = this.quoteCache.get(symbol);
+    if (cached) return cached.data.price;
+    const bars = this.barStore?.getBars(symbol, '1d', { limit: 1 });
+    return bars?.length ? bars[0].close : null;
   }
 
   getCachedCount() {
     let count = 0;
-    for (const symbol of TRADEABLE_STOCKS) {
+    for (const symbol of this.getTradeableStocks()) {
       if (this.quoteCache.has(symbol)) count++;
     }
     return count;
@@ -0,0 +1,85 @@
+import { getDatabase } from './database.js';
+import { systemClock, tradingDay } from './clock.js';
+
+// The market as the main arena's agents saw it, scan by scan, so a day can be
+// replayed later (replay.js) - along with every quote the live rotation fetched
+// in between, which resting orders were checked against. Only what changed
+// since the last frame is kept: the cache hands out a new object whenever a
+// quote or analysis is refreshed, so comparing references is enough to tell.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const rowToFrame = (row) => ({
+  time: row.time,
+  scan: row.scan === 1,
+  quotes: JSON.parse(row.quotes),
+  analyses: JSON.parse(row.analyses)
+});
+
+// Schema lives in migrations.js (version 15)
+export class MarketTape {
+  constructor({ db = getDatabase(), clock = systemClock, retentionDays = 5 } = {}) {
+    this.db = db;
+    this.clock = clock;
+    this.retentionDays = retentionDays;
+    this.day = null;
+    this.seen = { quotes: new Map(), analyses: new Map() }; // symbol -> last object written
+  }
+
+  // Called with what a scan is about to act on. A day's first frame (and the
+  // first after a restart) is complete. Every scan gets a frame, even when
+  // nothing changed, so a replay runs exactly the scans that ran live.
+  record(quotes, analyses, { scan = true } = {}) {
+    const time = this.clock.now();
+    const day = tradingDay(time);
+    if (day !== this.day) {
+      this.day = day;
+      this.seen = { quotes: new Map(), analyses: new Map() };
+    }
+
+    const changed = (kind, snapshot) => {
+      const out = {};
+      for (const [symbol, value] of Object.entries(snapshot)) {
+        if (this.seen[kind].get(symbol) === value) continue;
+        this.seen[kind].set(symbol, value);
+        out[symbol] = value;
+      }
+      return out;
+    };
+    const frame = { quotes: changed('quotes', quotes), analyses: changed('analyses', analyses) };
+    if (!scan && Object.keys(frame.quotes).length === 0) return;
+
+    this.db.prepare('INSERT INTO market_tape (day, time, quotes, analyses, scan) VALUES (?, ?, ?, ?, ?)')
+      .run(day, time, JSON.stringify(frame.quotes), JSON.stringify(frame.analyses), scan ? 1 : 0);
+  }
+
+  // A quote the live rotation fetched between scans
+  recordQuote(quote) {
+    this.record({ [quote.symbol]: quote }, {}, { scan: false });
+  }
+
+  // Recorded days, newest first: [{ day, frames, start, end }]
+  days() {
+    return this.db.prepare(`
+      SELECT day, COUNT(*) AS frames, MIN(time) AS start, MAX(time) AS end
+      FROM market_tape GROUP BY day ORDER BY day DESC
+    `).all();
+  }
+
+  getDay(day) {
+    return this.days().find(d => d.day === day) || null;
+  }
+
+  // Frames of one day with after < time <= until, in order
+  frames(day, after = -1, until = Number.MAX_SAFE_INTEGER) {
+    return this.db.prepare('SELECT * FROM market_tape WHERE day = ? AND time > ? AND time <= ? ORDER BY time, id')
+      .all(day, after, until).map(rowToFrame);
+  }
+
+  prune() {
+    const cutoff = tradingDay(this.clock.now() - this.retentionDays * DAY_MS);
+    const { changes } = this.db.prepare('DELETE FROM market_tape WHERE day < ?').run(cutoff);
+    if (changes) console.log(`[Tape] Pruned ${changes} frames older than ${this.retentionDays} days`);
+    return changes;
+  }
+}
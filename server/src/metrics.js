@@ -0,0 +1,139 @@
+import { tradingDay } from './clock.js';
+
+// Risk-adjusted performance from daily-bucketed equity. Snapshots arrive every
+// few seconds during the session; only the last one of each trading day counts.
+
+export const TRADING_DAYS_PER_YEAR = 252;
+export const BENCHMARK_SYMBOL = 'SPY';
+
+const mean = (xs) => xs.reduce((sum, x) => sum + x, 0) / xs.length;
+
+function stdev(xs) {
+  if (xs.length < 2) return null;
+  const m = mean(xs);
+  return Math.sqrt(xs.reduce((sum, x) => sum + (x - m) ** 2, 0) / (xs.length - 1));
+}
+
+// [{ timestamp, value, exposure? }] -> last snapshot per trading day, oldest first
+export function dailyCloses(snapshots) {
+  const byDay = new Map();
+  for (const s of snapshots) byDay.set(tradingDay(s.timestamp), s);
+  return [...byDay.entries()]
+    .sort((a, b) => a[0].localeCompare(b[0]))
+    .map(([day, s]) => ({ day, value: s.value, exposure: s.exposure ?? null }));
+}
+
+// Fractional close-to-close returns, keyed by the day they end on
+export function dailyReturns(closes) {
+  const returns = [];
+  for (let i = 1; i < closes.length; i++) {
+    const prev = closes[i - 1].value;
+    if (prev > 0) returns.push({ day: closes[i].day, value: closes[i].value / prev - 1 });
+  }
+  return returns;
+}
+
+// Deepest peak-to-trough fall, and the longest stretch (in trading days) spent below a prior peak
+export function drawdown(closes) {
+  let peak = -Infinity;
+  let peakIndex = 0;
+  let maxDrawdown = 0;
+  let maxDuration = 0;
+  closes.forEach(({ value }, i) => {
+    if (value >= peak) {
+      peak = value;
+      peakIndex = i;
+    } else {
+      if (peak > 0) maxDrawdown = Math.max(maxDrawdown, (peak - value) / peak);
+      maxDuration = Math.max(maxDuration, i - peakIndex);
+    }
+  });
+  return { maxDrawdownPercent: maxDrawdown * 100, maxDrawdownDays: maxDuration };
+}
+
+// Beta and annualised alpha against a benchmark's { day: close } series
+export function benchmarkStats(returns, benchmark, riskFreeRate = 0) {
+  if (!benchmark) return { beta: null, alphaPercent: null };
+
+  const days = Object.keys(benchmark).sort();
+  const benchReturns = {};
+  for (let i = 1; i < days.length; i++) {
+    benchReturns[days[i]] = benchmark[days[i]] / benchmark[days[i - 1]] - 1;
+  }
+
+  const pairs = returns.filter(r => benchReturns[r.day] != null).map(r => [r.value, benchReturns[r.day]]);
+  if (pairs.length < 2) return { beta: null, alphaPercent: null };
+
+  const ra = pairs.map(p => p[0]);
+  const rb = pairs.map(p => p[1]);
+  const ma = mean(ra);
+  const mb = mean(rb);
+  const variance = rb.reduce((sum, x) => sum + (x - mb) ** 2, 0);
+  if (variance === 0) return { beta: null, alphaPercent: null };
+
+  const beta = pairs.reduce((sum, [a, b]) => sum + (a - ma) * (b - mb), 0) / variance;
+  const rf = riskFreeRate / TRADING_DAYS_PER_YEAR;
+  const alpha = (ma - rf) - beta * (mb - rf);
+  return { beta, alphaPercent: alpha * TRADING_DAYS_PER_YEAR * 100 };
+}
+
+// Closed-trade stats: anything with a realised pnl (sells and covers)
+export function tradeStats(trades) {
+  const closed = trades.filter(t => t.pnl != null);
+  const wins = closed.filter(t => t.pnl > 0).map(t => t.pnl);
+  const losses = closed.filter(t => t.pnl < 0).map(t => t.pnl);
+  const grossProfit = wins.reduce((sum, x) => sum + x, 0);
+  const grossLoss = -losses.reduce((sum, x) => sum + x, 0);
+  const avgWin = wins.length ? grossProfit / wins.length : null;
+  const avgLoss = losses.length ? grossLoss / losses.length : null;
+
+  return {
+    closedTrades: closed.length,
+    winRate: closed.length ? wins.length / closed.length : null,
+    avgWin,
+    avgLoss,
+    winLossRatio: avgWin != null && avgLoss ? avgWin / avgLoss : null,
+    profitFactor: grossLoss > 0 ? grossProfit / grossLoss : null
+  };
+}
+
+// Everything at once. riskFreeRate is annual, e.g. 0.04.
+export function computeMetrics({ snapshots, trades, startValue, benchmark = null, riskFreeRate = 0 }) {
+  const closes = dailyCloses(snapshots);
+  const returns = dailyReturns(closes);
+  const values = returns.map(r => r.value);
+  const rf = riskFreeRate / TRADING_DAYS_PER_YEAR;
+  const annualise = Math.sqrt(TRADING_DAYS_PER_YEAR);
+
+  const sd = stdev(values);
+  const excess = values.length ? mean(values) - rf : null;
+  const downside = values.length >= 2
+    ? Math.sqrt(values.reduce((sum, r) => sum + Math.min(0, r - rf) ** 2, 0) / values.length)
+    : null;
+
+  const endValue = closes.length ? closes[closes.length - 1].value : startValue;
+  const annualReturn = values.length
+    ? (endValue / startValue) ** (TRADING_DAYS_PER_YEAR / values.length) - 1
+    : null;
+  const { maxDrawdownPercent, maxDrawdownDays } = drawdown(closes);
+
+  const equity = closes.length ? mean(closes.map(c => c.value)) : startValue;
+  const traded = trades.reduce((sum, t) => sum + Math.abs(t.total), 0);
+  const exposures = closes.filter(c => c.exposure != null && c.value > 0).map(c => c.exposure / c.value);
+
+  return {
+    tradingDays: closes.length,
+    dailyReturns: values.map(r => r * 100),
+    volatilityPercent: sd != null ? sd * annualise * 100 : null,
+    sharpe: sd ? (excess / sd) * annualise : null,
+    sortino: downside ? (excess / downside) * annualise : null,
+    annualReturnPercent: annualReturn != null ? annualReturn * 100 : null,
+    maxDrawdownPercent,
+    maxDrawdownDays,
+    calmar: annualReturn != null && maxDrawdownPercent > 0 ? (annualReturn * 100) / maxDrawdownPercent : null,
+    ...tradeStats(trades),
+    turnover: equity > 0 ? traded / equity : null, // Dollars traded per dollar of average equity
+    exposurePercent: exposures.length ? mean(exposures) * 100 : null, // Average gross position value / equity
+    ...benchmarkStats(returns, benchmark, riskFreeRate)
+  };
+}
@@ -0,0 +1,422 @@
+// Versioned schema migrations. The applied version lives in PRAGMA user_version;
+// each migration runs in its own transaction. Never edit a shipped migration -
+// add a new one.
+
+export const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'agent memory',
+    up: `
+      -- Trade outcomes: what worked, what didn't
+      CREATE TABLE IF NOT EXISTS trade_outcomes (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        agent_id TEXT NOT NULL,
+        symbol TEXT NOT NULL,
+        action TEXT NOT NULL,
+        entry_price REAL,
+        exit_price REAL,
+        pnl REAL,
+        pnl_percent REAL,
+        hold_duration_hours REAL,
+        market_condition TEXT,
+        reason TEXT,
+        lesson TEXT,
+        created_at TEXT DEFAULT (datetime('now'))
+      );
+
+      -- Market observations: patterns agents noticed
+      CREATE TABLE IF NOT EXISTS market_observations (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        agent_id TEXT NOT NULL,
+        symbol TEXT,
+        observation TEXT NOT NULL,
+        confidence REAL DEFAULT 0.5,
+        validated INTEGER DEFAULT 0,
+        created_at TEXT DEFAULT (datetime('now'))
+      );
+
+      -- Agent beliefs: learned preferences and biases
+      CREATE TABLE IF NOT EXISTS agent_beliefs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        agent_id TEXT NOT NULL,
+        belief_type TEXT NOT NULL,
+        symbol TEXT,
+        value REAL,
+        note TEXT,
+        updated_at TEXT DEFAULT (datetime('now')),
+        UNIQUE(agent_id, belief_type, symbol)
+      );
+
+      -- Daily reflections: agent's end-of-day thoughts
+      CREATE TABLE IF NOT EXISTS daily_reflections (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        agent_id TEXT NOT NULL,
+        date TEXT NOT NULL,
+        portfolio_value REAL,
+        trades_made INTEGER,
+        reflection TEXT,
+        mood TEXT,
+        strategy_adjustment TEXT,
+        created_at TEXT DEFAULT (datetime('now')),
+        UNIQUE(agent_id, date)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_trade_outcomes_agent ON trade_outcomes(agent_id);
+      CREATE INDEX IF NOT EXISTS idx_trade_outcomes_symbol ON trade_outcomes(symbol);
+      CREATE INDEX IF NOT EXISTS idx_observations_agent ON market_observations(agent_id);
+      CREATE INDEX IF NOT EXISTS idx_beliefs_agent ON agent_beliefs(agent_id);
+    `
+  },
+  {
+    version: 2,
+    name: 'trading ledger',
+    up: `
+      CREATE TABLE meta (
+        key TEXT PRIMARY KEY,
+        value TEXT
+      );
+
+      CREATE TABLE portfolios (
+        agent_id TEXT PRIMARY KEY,
+        cash REAL NOT NULL,
+        starting_value REAL NOT NULL,
+        borrow_fees_paid REAL NOT NULL DEFAULT 0,
+        last_borrow_accrual TEXT,
+        created_at TEXT NOT NULL
+      );
+
+      -- Open holdings. Longs carry avg cost, shorts carry avg sale price.
+      CREATE TABLE positions (
+        agent_id TEXT NOT NULL,
+        symbol TEXT NOT NULL,
+        side TEXT NOT NULL CHECK (side IN ('long', 'short')),
+        shares REAL NOT NULL,
+        avg_price REAL NOT NULL,
+        last_price REAL,
+        borrow_fees REAL,
+        opened_at TEXT,
+        PRIMARY KEY (agent_id, symbol, side)
+      );
+
+      CREATE TABLE trades (
+        id TEXT PRIMARY KEY,
+        agent_id TEXT NOT NULL,
+        type TEXT NOT NULL,
+        symbol TEXT NOT NULL,
+        shares REAL NOT NULL,
+        price REAL NOT NULL,
+        total REAL NOT NULL,
+        pnl REAL,
+        order_id TEXT,
+        details TEXT, -- JSON: fees, slippage, forced-liquidation reason...
+        timestamp TEXT NOT NULL
+      );
+
+      -- Double-entry journal. Every journal_id sums to zero.
+      -- Debits are positive, credits negative.
+      CREATE TABLE ledger_entries (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        journal_id TEXT NOT NULL,
+        agent_id TEXT NOT NULL,
+        account TEXT NOT NULL,
+        symbol TEXT,
+        amount REAL NOT NULL,
+        memo TEXT,
+        created_at TEXT NOT NULL
+      );
+
+      CREATE TABLE snapshots (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        agent_id TEXT NOT NULL,
+        timestamp TEXT NOT NULL,
+        value REAL NOT NULL
+      );
+
+      CREATE TABLE orders (
+        id TEXT PRIMARY KEY,
+        agent_id TEXT NOT NULL,
+        symbol TEXT NOT NULL,
+        status TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        data TEXT NOT NULL
+      );
+
+      CREATE TABLE agents (
+        id TEXT PRIMARY KEY,
+        data TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+
+      CREATE TABLE graveyard (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        agent_id TEXT NOT NULL,
+        eliminated_at TEXT NOT NULL,
+        data TEXT NOT NULL
+      );
+
+      CREATE TABLE competition (
+        id INTEGER PRIMARY KEY CHECK (id = 1),
+        data TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+
+      CREATE INDEX idx_trades_agent_time ON trades(agent_id, timestamp);
+      CREATE INDEX idx_trades_time ON trades(timestamp);
+      CREATE INDEX idx_ledger_agent ON ledger_entries(agent_id, account);
+      CREATE INDEX idx_ledger_journal ON ledger_entries(journal_id);
+      CREATE INDEX idx_snapshots_agent_time ON snapshots(agent_id, timestamp);
+      CREATE INDEX idx_orders_symbol_status ON orders(symbol, status);
+      CREATE INDEX idx_orders_agent ON orders(agent_id, created_at);
+    `
+  },
+  {
+    version: 3,
+    name: 'snapshot exposure',
+    up: `
+      -- Gross long + short position value at snapshot time, for exposure stats
+      ALTER TABLE snapshots ADD COLUMN exposure REAL;
+    `
+  },
+  {
+    version: 4,
+    name: 'competition rounds',
+    up: `
+      -- One row per round: the elimination rules in force and, once judged, the final standings
+      CREATE TABLE rounds (
+        round INTEGER PRIMARY KEY,
+        started_at TEXT NOT NULL,
+        ended_at TEXT,
+        rules TEXT NOT NULL,
+        results TEXT
+      );
+    `
+  },
+  {
+    version: 5,
+    name: 'agent lineage',
+    up: `
+      -- Every agent that ever lived, keyed '<id>:<generation>', with the genome it
+      -- was born with and who it was bred from
+      CREATE TABLE lineage (
+        key TEXT PRIMARY KEY,
+        agent_id TEXT NOT NULL,
+        generation INTEGER NOT NULL,
+        name TEXT NOT NULL,
+        strategy TEXT NOT NULL,
+        round INTEGER,
+        parents TEXT NOT NULL, -- JSON [{ id, generation, name }]
+        genome TEXT NOT NULL,
+        mutations TEXT, -- JSON { gene: [from, to] }
+        created_at TEXT NOT NULL
+      );
+
+      CREATE INDEX idx_lineage_agent ON lineage(agent_id, generation);
+    `
+  },
+  {
+    version: 6,
+    name: 'price bars',
+    up: `
+      -- Local OHLCV history. Daily bars are keyed by trading day so today's
+      -- partial bar is overwritten as it fills in; intraday bars by timestamp.
+      CREATE TABLE bars (
+        symbol TEXT NOT NULL,
+        interval TEXT NOT NULL, -- '1d', '5m'
+        slot TEXT NOT NULL, -- 'YYYY-MM-DD' for daily, epoch ms for intraday
+        time INTEGER NOT NULL,
+        open REAL,
+        high REAL,
+        low REAL,
+        close REAL NOT NULL,
+        volume REAL,
+        fetched_at INTEGER NOT NULL, -- A bar fetched before its session closed is still partial
+        PRIMARY KEY (symbol, interval, slot)
+      );
+
+      CREATE INDEX idx_bars_time ON bars(symbol, interval, time);
+    `
+  },
+  {
+    version: 7,
+    name: 'symbol registry',
+    up: `
+      -- The trading universe, seeded from src/symbols.js and edited through the admin API
+      CREATE TABLE symbols (
+        symbol TEXT PRIMARY KEY,
+        name TEXT,
+        sector TEXT NOT NULL,
+        industry TEXT,
+        asset_type TEXT NOT NULL DEFAULT 'stock', -- stock | etf | adr
+        status TEXT NOT NULL DEFAULT 'active', -- active | delisted
+        delisted_at TEXT,
+        delist_reason TEXT,
+        updated_at TEXT NOT NULL
+      );
+    `
+  },
+  {
+    version: 8,
+    name: 'corporate actions',
+    up: `
+      -- Splits and dividends seen by the processor; applied_at is set once holders are adjusted
+      CREATE TABLE corporate_actions (
+        id TEXT PRIMARY KEY, -- SYMBOL:type:exDate
+        symbol TEXT NOT NULL,
+        type TEXT NOT NULL, -- split | dividend
+        ex_date TEXT NOT NULL,
+        ratio REAL,
+        amount REAL,
+        source TEXT,
+        holders INTEGER NOT NULL DEFAULT 0,
+        applied_at TEXT NOT NULL
+      );
+
+      CREATE INDEX idx_corporate_actions_symbol ON corporate_actions(symbol, ex_date);
+    `
+  },
+  {
+    version: 9,
+    name: 'audit log',
+    up: `
+      -- Every admin write, and every refused request, with who made it
+      CREATE TABLE audit_log (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        timestamp TEXT NOT NULL,
+        actor TEXT, -- API key name; null when the key was missing or wrong
+        role TEXT,
+        method TEXT NOT NULL,
+        path TEXT NOT NULL,
+        params TEXT, -- JSON { params, query, body }
+        status INTEGER NOT NULL,
+        ip TEXT
+      );
+
+      CREATE INDEX idx_audit_log_actor ON audit_log(actor, id);
+    `
+  },
+  {
+    version: 10,
+    name: 'decision journal',
+    up: `
+      -- One row per agent per decision cycle (see decision-journal.js)
+      CREATE TABLE decisions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        agent_id TEXT NOT NULL,
+        timestamp TEXT NOT NULL,
+        kind TEXT NOT NULL, -- scan, round
+        outcome TEXT NOT NULL, -- traded, held, skipped, paused, error
+        symbol TEXT, -- what the cycle was mainly about, if anything
+        reason TEXT NOT NULL,
+        data TEXT NOT NULL -- JSON { inputs, trigger, exits, rankings, excluded, actions, notes }
+      );
+
+      -- Every symbol a cycle traded, reviewed or ranked, for filtering
+      CREATE TABLE decision_symbols (
+        decision_id INTEGER NOT NULL REFERENCES decisions(id) ON DELETE CASCADE,
+        symbol TEXT NOT NULL,
+        PRIMARY KEY (decision_id, symbol)
+      );
+
+      CREATE INDEX idx_decisions_agent ON decisions(agent_id, timestamp);
+      CREATE INDEX idx_decisions_timestamp ON decisions(timestamp);
+      CREATE INDEX idx_decision_symbols_symbol ON decision_symbols(symbol, decision_id);
+    `
+  },
+  {
+    version: 11,
+    name: 'risk events',
+    up: `
+      -- Orders the risk manager refused or resized, and circuit breaker trips
+      CREATE TABLE risk_events (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        agent_id TEXT NOT NULL,
+        timestamp TEXT NOT NULL,
+        decision TEXT NOT NULL, -- rejected, resized, breaker, reset
+        action TEXT, -- BUY, SHORT
+        symbol TEXT,
+        requested_shares REAL,
+        approved_shares REAL,
+        reason TEXT NOT NULL
+      );
+
+      CREATE INDEX idx_risk_events_agent ON risk_events(agent_id, id);
+    `
+  },
+  {
+    version: 12,
+    name: 'player accounts',
+    up: `
+      -- Human players. The key itself is never stored, only its SHA-256 hash;
+      -- the competitor (book, generation, status) lives with the agents.
+      CREATE TABLE players (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        key_hash TEXT NOT NULL UNIQUE,
+        created_at TEXT NOT NULL,
+        last_seen_at TEXT
+      );
+    `
+  },
+  {
+    version: 13,
+    name: 'arenas',
+    up: `
+      -- Competitions running next to the main one. Each keeps its books and
+      -- state in its own database under data/arenas/; this is just the list.
+      CREATE TABLE arenas (
+        id TEXT PRIMARY KEY,
+        config TEXT NOT NULL, -- JSON: name, templates, startingCash, universe, rules, schedule
+        created_at TEXT NOT NULL
+      );
+    `
+  },
+  {
+    version: 14,
+    name: 'round seeds',
+    up: `
+      -- The seed every agent's dice were rolled from that round, so it can be replayed
+      ALTER TABLE rounds ADD COLUMN seed INTEGER;
+    `
+  },
+  {
+    version: 15,
+    name: 'market tape',
+    up: `
+      -- What the main arena's scans saw, for replaying a day. Each frame holds
+      -- only the quotes and analyses that changed since the one before; the
+      -- first frame of a day (or after a restart) holds everything.
+      CREATE TABLE market_tape (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        day TEXT NOT NULL, -- New York trading day, YYYY-MM-DD
+        time INTEGER NOT NULL, -- ms since epoch
+        quotes TEXT NOT NULL, -- JSON: symbol -> quote
+        analyses TEXT NOT NULL -- JSON: symbol -> analysis
+      );
+      CREATE INDEX idx_market_tape_day_time ON market_tape(day, time);
+    `
+  },
+  {
+    version: 16,
+    name: 'market tape quotes',
+    up: `
+      -- The tape also keeps every quote the live rotation fetched between scans,
+      -- as frames of their own, so a replay's resting orders see them too
+      ALTER TABLE market_tape ADD COLUMN scan INTEGER NOT NULL DEFAULT 1; -- 0 = a rotation quote, not a scan
+    `
+  }
+];
+
+export function runMigrations(db) {
+  const current = db.pragma('user_version', { simple: true });
+
+  for (const migration of MIGRATIONS) {
+    if (migration.version <= current) continue;
+
+    db.transaction(() => {
+      db.exec(migration.up);
+      db.pragma(`user_version = ${migration.version}`);
+    })();
+
+    console.log(`[DB] Applied migration ${migration.version}: ${migration.name}`);
+  }
+}
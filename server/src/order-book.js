@@ -0,0 +1,205 @@
+import { systemClock } from './clock.js';
+import { idGenerator } from './random.js';
+
+export const ORDER_TYPES = ['limit', 'stop', 'stop_limit', 'trailing_stop'];
+export const ORDER_SIDES = ['buy', 'sell'];
+export const TIME_IN_FORCE = ['day', 'gtc'];
+
+const isOpen = (order) => order.status === 'open' || order.status === 'triggered';
+
+// Resting orders per agent. The book only decides *when* an order should fill and
+// at what price - the TradingEngine does the actual buy/sell. Open orders stay in
+// memory; every order (open or closed) is written through to the orders table.
+export class OrderBook {
+  constructor(db, clock = systemClock, nextId = idGenerator(clock)) {
+    this.db = db;
+    this.clock = clock;
+    this.nextId = nextId;
+    this.orders = this.loadOrders();
+  }
+
+  loadOrders() {
+    return this.db.prepare("SELECT data FROM orders WHERE status IN ('open', 'triggered') ORDER BY created_at")
+      .all()
+      .map(row => JSON.parse(row.data));
+  }
+
+  saveOrder(order) {
+    this.db.prepare(`
+      INSERT INTO orders (id, agent_id, symbol, status, created_at, data) VALUES (?, ?, ?, ?, ?, ?)
+      ON CONFLICT(id) DO UPDATE SET status = excluded.status, data = excluded.data
+    `).run(order.id, order.agentId, order.symbol, order.status, order.createdAt, JSON.stringify(order));
+  }
+
+  // Persist a state change and drop the order from memory once it's closed
+  closeOrder(order) {
+    this.saveOrder(order);
+    this.orders = this.orders.filter(o => o.id !== order.id);
+  }
+
+  // Validate and normalize an order request. Throws with a readable message on bad input.
+  validate({ symbol, side, type, shares, limitPrice, stopPrice, trailPercent, trailAmount, timeInForce = 'day' }) {
+    if (!symbol || typeof symbol !== 'string') throw new Error('symbol is required');
+    if (!ORDER_SIDES.includes(side)) throw new Error(`side must be one of: ${ORDER_SIDES.join(', ')}`);
+    if (!ORDER_TYPES.includes(type)) throw new Error(`type must be one of: ${ORDER_TYPES.join(', ')}`);
+    if (!TIME_IN_FORCE.includes(timeInForce)) throw new Error(`timeInForce must be one of: ${TIME_IN_FORCE.join(', ')}`);
+
+    shares = Math.round(Number(shares) * 10000) / 10000;
+    if (!(shares > 0)) throw new Error('shares must be a positive number');
+
+    const positive = (value, name) => {
+      const n = Number(value);
+      if (!(n > 0)) throw new Error(`${name} must be a positive number`);
+      return n;
+    };
+
+    const order = { symbol: symbol.toUpperCase(), side, type, shares, timeInForce };
+
+    if (type === 'limit' || type === 'stop_limit') order.limitPrice = positive(limitPrice, 'limitPrice');
+    if (type === 'stop' || type === 'stop_limit') order.stopPrice = positive(stopPrice, 'stopPrice');
+    if (type === 'trailing_stop') {
+      if (trailPercent != null) order.trailPercent = positive(trailPercent, 'trailPercent');
+      else if (trailAmount != null) order.trailAmount = positive(trailAmount, 'trailAmount');
+      else throw new Error('trailing_stop requires trailPercent or trailAmount');
+    }
+
+    return order;
+  }
+
+  add(agentId, request) {
+    const order = {
+      id: this.nextId('ord_'),
+      agentId,
+      ...this.validate(request),
+      status: 'open',
+      createdAt: this.clock.iso()
+    };
+    this.orders.push(order);
+    this.saveOrder(order);
+    return order;
+  }
+
+  get(orderId) {
+    const open = this.orders.find(o => o.id === orderId);
+    if (open) return open;
+    const row = this.db.prepare('SELECT data FROM orders WHERE id = ?').get(orderId);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  getOpenOrders(symbol = null) {
+    return this.orders.filter(o => isOpen(o) && (!symbol || o.symbol === symbol));
+  }
+
+  getAgentOrders(agentId, status = null) {
+    return this.db.prepare('SELECT data FROM orders WHERE agent_id = ? ORDER BY created_at DESC')
+      .all(agentId)
+      .map(row => JSON.parse(row.data))
+      .filter(o => !status || (status === 'open' ? isOpen(o) : o.status === status));
+  }
+
+  cancel(orderId, reason = 'Cancelled') {
+    const order = this.get(orderId);
+    if (!order) return null;
+    if (!isOpen(order)) return order;
+    order.status = 'cancelled';
+    order.closedAt = this.clock.iso();
+    order.reason = reason;
+    this.closeOrder(order);
+    return order;
+  }
+
+  cancelAgentOrders(agentId, reason = 'Cancelled') {
+    for (const order of this.getOpenOrders()) {
+      if (order.agentId === agentId) this.cancel(order.id, reason);
+    }
+  }
+
+  // Put a cancelled order back on the book as it was
+  reopen(order) {
+    const { closedAt, reason, ...open } = order;
+    this.orders = this.orders.filter(o => o.id !== order.id);
+    this.orders.push(open);
+    this.saveOrder(open);
+    return open;
+  }
+
+  // Restate open orders placed before a split (`before`, ISO): more shares at proportionally lower prices
+  applySplit(symbol, ratio, before) {
+    const orders = this.getOpenOrders(symbol).filter(o => o.createdAt < before);
+    for (const order of orders) {
+      order.shares = Math.round(order.shares * ratio * 10000) / 10000;
+      for (const field of ['limitPrice', 'stopPrice', 'trailAmount', 'watermark']) {
+        if (order[field] != null) order[field] /= ratio;
+      }
+      order.splitAdjusted = [...(order.splitAdjusted || []), ratio];
+      this.saveOrder(order);
+    }
+    return orders.length;
+  }
+
+  // Day orders die at the closing bell
+  expireDayOrders() {
+    let expired = 0;
+    for (const order of this.getOpenOrders()) {
+      if (order.timeInForce !== 'day') continue;
+      order.status = 'expired';
+      order.closedAt = this.clock.iso();
+      this.closeOrder(order);
+      expired++;
+    }
+    return expired;
+  }
+
+  // Decide if an order should fill at this price. Returns the fill price or null.
+  // May mutate the order (trailing high/low-water marks, stop-limit triggering).
+  evaluate(order, price) {
+    const isBuy = order.side === 'buy';
+
+    switch (order.type) {
+      case 'limit':
+        return (isBuy ? price <= order.limitPrice : price >= order.limitPrice) ? price : null;
+
+      case 'stop':
+        return (isBuy ? price >= order.stopPrice : price <= order.stopPrice) ? price : null;
+
+      case 'stop_limit': {
+        if (order.status === 'open') {
+          const hit = isBuy ? price >= order.stopPrice : price <= order.stopPrice;
+          if (!hit) return null;
+          order.status = 'triggered';
+          order.triggeredAt = this.clock.iso();
+        }
+        return (isBuy ? price <= order.limitPrice : price >= order.limitPrice) ? price : null;
+      }
+
+      case 'trailing_stop': {
+        // Sell stops trail the high-water mark down, buy stops trail the low up
+        if (order.watermark == null) order.watermark = price;
+        order.watermark = isBuy ? Math.min(order.watermark, price) : Math.max(order.watermark, price);
+
+        const offset = order.trailPercent != null
+          ? order.watermark * (order.trailPercent / 100)
+          : order.trailAmount;
+        order.stopPrice = isBuy ? order.watermark + offset : order.watermark - offset;
+
+        return (isBuy ? price >= order.stopPrice : price <= order.stopPrice) ? price : null;
+      }
+    }
+    return null;
+  }
+
+  markFilled(order, trade) {
+    order.status = 'filled';
+    order.fillPrice = trade.price;
+    order.tradeId = trade.id;
+    order.closedAt = trade.timestamp;
+    this.closeOrder(order);
+  }
+
+  markRejected(order, reason) {
+    order.status = 'rejected';
+    order.reason = reason;
+    order.closedAt = this.clock.iso();
+    this.closeOrder(order);
+  }
+}
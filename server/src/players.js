@@ -0,0 +1,72 @@
+import { getDatabase } from './database.js';
+import { systemClock } from './clock.js';
+import { hashApiKey, generateApiKey, presentedKey } from './auth.js';
+
+// Accounts for human players. A player signs in with their own key - like the
+// admin keys, it is handed out once and only its hash is kept. Their book,
+// generation and place on the leaderboard live with the agents (see
+// AgentManager.addPlayer); this is just who they are and how they get in.
+
+const rowToPlayer = (row) => ({
+  id: row.id,
+  name: row.name,
+  createdAt: row.created_at,
+  lastSeenAt: row.last_seen_at
+});
+
+// Schema lives in migrations.js (version 12)
+export class PlayerAccounts {
+  constructor({ db = getDatabase(), clock = systemClock } = {}) {
+    this.db = db;
+    this.clock = clock;
+  }
+
+  // Returns { player, key } - the key is never available again
+  create(id, name) {
+    if (this.get(id)) throw new Error(`Player ${id} already exists`);
+    const key = generateApiKey();
+    this.db.prepare('INSERT INTO players (id, name, key_hash, created_at) VALUES (?, ?, ?, ?)')
+      .run(id, name, hashApiKey(key), this.clock.iso());
+    return { player: this.get(id), key };
+  }
+
+  // A new key for a player who lost theirs. The old one stops working at once.
+  rotateKey(id) {
+    const key = generateApiKey();
+    const { changes } = this.db.prepare('UPDATE players SET key_hash = ? WHERE id = ?').run(hashApiKey(key), id);
+    if (!changes) throw new Error(`Unknown player: ${id}`);
+    return { player: this.get(id), key };
+  }
+
+  get(id) {
+    const row = this.db.prepare('SELECT * FROM players WHERE id = ?').get(id);
+    return row ? rowToPlayer(row) : null;
+  }
+
+  list() {
+    return this.db.prepare('SELECT * FROM players ORDER BY created_at').all().map(rowToPlayer);
+  }
+
+  // The player a key belongs to, or null. Keys are looked up by hash, so
+  // nothing is compared against the key itself.
+  authenticate(key) {
+    if (!key) return null;
+    const row = this.db.prepare('SELECT * FROM players WHERE key_hash = ?').get(hashApiKey(key));
+    if (!row) return null;
+    this.db.prepare('UPDATE players SET last_seen_at = ? WHERE id = ?').run(this.clock.iso(), row.id);
+    return rowToPlayer(row);
+  }
+
+  // Middleware: sets req.player, or answers 401
+  middleware() {
+    return (req, res, next) => {
+      if (req.query.key !== undefined) {
+        return res.status(401).json({ error: 'Keys in the query string are not accepted - send Authorization: Bearer <key>' });
+      }
+      const player = this.authenticate(presentedKey(req));
+      if (!player) return res.status(401).json({ error: 'Unauthorized' });
+      req.player = player;
+      next();
+    };
+  }
+}
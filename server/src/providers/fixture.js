@@ -0,0 +1,62 @@
+import { loadBars, rollUpDaily, barsForRange } from '../bar-file.js';
+
+// Replays a recorded bar file (CSV or JSON, same formats as the backtester).
+// Each quote request steps that symbol one bar forward; the bar history handed
+// to analysis always ends at the current bar, so nothing peeks ahead.
+export class FixtureProvider {
+  constructor({ file, loop = true, warmup = 21 } = {}) {
+    if (!file) throw new Error('Fixture provider needs a bar file (MARKET_DATA_FIXTURE)');
+    this.name = 'fixture';
+    this.minRequestInterval = 0;
+    this.bars = loadBars(file);
+    this.loop = loop;
+    this.warmup = warmup;
+    this.cursors = {};
+  }
+
+  series(symbol) {
+    const bars = this.bars[symbol];
+    if (!bars || bars.length === 0) throw new Error(`No fixture data for ${symbol}`);
+    return bars;
+  }
+
+  // Start far enough in that a month of history is already behind us
+  cursor(symbol) {
+    const bars = this.series(symbol);
+    if (this.cursors[symbol] == null) this.cursors[symbol] = Math.min(this.warmup, bars.length - 1);
+    return this.cursors[symbol];
+  }
+
+  async getQuote(symbol) {
+    const bars = this.series(symbol);
+    const index = this.cursor(symbol);
+
+    const daily = rollUpDaily(bars.slice(0, index + 1));
+    const today = daily[daily.length - 1];
+    const previousClose = daily.length > 1 ? daily[daily.length - 2].close : today.open;
+    const price = bars[index].close;
+
+    // Advance for next time - wrap around or hold on the last bar
+    if (index < bars.length - 1) this.cursors[symbol] = index + 1;
+    else if (this.loop) this.cursors[symbol] = Math.min(this.warmup, bars.length - 1);
+
+    return {
+      symbol,
+      price,
+      previousClose,
+      change: price - previousClose,
+      changePercent: ((price - previousClose) / previousClose) * 100,
+      volume: today.volume,
+      high: today.high,
+      low: today.low,
+      open: today.open,
+      name: symbol
+    };
+  }
+
+  async getBars(symbol, { interval = '1d', range = '1mo' } = {}) {
+    const bars = this.series(symbol).slice(0, this.cursor(symbol) + 1);
+    const series = interval === '1d' ? rollUpDaily(bars) : bars;
+    return series.slice(-barsForRange(range));
+  }
+}
@@ -0,0 +1,36 @@
+import { YahooProvider } from './yahoo.js';
+import { FixtureProvider } from './fixture.js';
+import { SyntheticProvider } from './synthetic.js';
+
+// A market data provider has:
+//   name
+//   minRequestInterval        ms MarketData waits between calls
+//   getQuote(symbol)          -> { symbol, price, previousClose, change, changePercent, volume, high, low, open, name }
+//   getBars(symbol, { interval, range }) -> [{ time, open, high, low, close, volume }] oldest first
+const PROVIDERS = {
+  yahoo: YahooProvider,
+  fixture: FixtureProvider,
+  synthetic: SyntheticProvider
+};
+
+export function registerProvider(name, ProviderClass) {
+  PROVIDERS[name] = ProviderClass;
+}
+
+export function createProvider(config = {}) {
+  const name = config.provider || 'yahoo';
+  const ProviderClass = PROVIDERS[name];
+  if (!ProviderClass) throw new Error(`Unknown market data provider: ${name}`);
+  return new ProviderClass(config);
+}
+
+// MARKET_DATA_PROVIDER=yahoo|fixture|synthetic
+// MARKET_DATA_FIXTURE=path/to/bars.csv   (fixture)
+// MARKET_DATA_SEED=42                    (synthetic)
+export function providerConfigFromEnv(env = process.env) {
+  return {
+    provider: env.MARKET_DATA_PROVIDER || 'yahoo',
+    ...(env.MARKET_DATA_FIXTURE && { file: env.MARKET_DATA_FIXTURE }),
+    ...(env.MARKET_DATA_SEED && { seed: Number(env.MARKET_DATA_SEED) })
+  };
+}
@@ -0,0 +1,104 @@
+import { barsForRange } from '../bar-file.js';
+import { systemClock } from '../clock.js';
+import { mulberry32, hashString } from '../random.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TICKS_PER_DAY = 78; // 5-minute steps in a 6.5 hour session
+
+// Deterministic random walk per symbol. Every symbol gets its own stream seeded
+// from (seed, symbol), so the same seed always produces the same market no
+// matter which symbols get asked for first.
+export class SyntheticProvider {
+  constructor({ seed = 42, volatility = 0.02, historyDays = 260, clock = systemClock } = {}) {
+    this.name = 'synthetic';
+    this.minRequestInterval = 0;
+    this.seed = Number(seed);
+    this.volatility = Number(volatility); // Daily standard deviation of returns
+    this.historyDays = historyDays;
+    this.clock = clock;
+    this.symbols = {};
+  }
+
+  gaussian(rng) {
+    const u = Math.max(rng(), 1e-12);
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * rng());
+  }
+
+  state(symbol) {
+    if (this.symbols[symbol]) return this.symbols[symbol];
+
+    const rng = mulberry32(hashString(`${this.seed}:${symbol}`));
+    const drift = (rng() - 0.5) * 0.002;
+    const baseVolume = Math.round(1e6 + rng() * 4e7);
+    let price = 20 + rng() * 480;
+
+    // Backfill daily history ending yesterday
+    const history = [];
+    const today = Math.floor(this.clock.now() / DAY_MS) * DAY_MS;
+    for (let i = this.historyDays; i > 0; i--) {
+      const open = price;
+      price = Math.max(1, price * (1 + drift + this.gaussian(rng) * this.volatility));
+      const wiggle = Math.abs(this.gaussian(rng)) * this.volatility * 0.5;
+      history.push({
+        time: today - i * DAY_MS,
+        open,
+        high: Math.max(open, price) * (1 + wiggle),
+        low: Math.min(open, price) * (1 - wiggle),
+        close: price,
+        volume: Math.round(baseVolume * (0.5 + rng()))
+      });
+    }
+
+    this.symbols[symbol] = { rng, drift, baseVolume, history, today: null };
+    return this.symbols[symbol];
+  }
+
+  // One intraday step. A new calendar day closes yesterday's bar into history.
+  tick(symbol) {
+    const s = this.state(symbol);
+    const day = Math.floor(this.clock.now() / DAY_MS) * DAY_MS;
+
+    if (s.today && s.today.time !== day) {
+      s.history.push(s.today);
+      if (s.history.length > this.historyDays) s.history.shift();
+      s.today = null;
+    }
+    if (!s.today) {
+      const open = s.history[s.history.length - 1].close;
+      s.today = { time: day, open, high: open, low: open, close: open, volume: 0 };
+    }
+
+    const step = this.volatility / Math.sqrt(TICKS_PER_DAY);
+    const price = Math.max(1, s.today.close * (1 + s.drift / TICKS_PER_DAY + this.gaussian(s.rng) * step));
+    s.today.close = price;
+    s.today.high = Math.max(s.today.high, price);
+    s.today.low = Math.min(s.today.low, price);
+    s.today.volume += Math.round((s.baseVolume / TICKS_PER_DAY) * (0.5 + s.rng()));
+    return s;
+  }
+
+  async getQuote(symbol) {
+    const { history, today } = this.tick(symbol);
+    const previousClose = history[history.length - 1].close;
+    const price = Math.round(today.close * 100) / 100;
+
+    return {
+      symbol,
+      price,
+      previousClose,
+      change: price - previousClose,
+      changePercent: ((price - previousClose) / previousClose) * 100,
+      volume: today.volume,
+      high: today.high,
+      low: today.low,
+      open: today.open,
+      name: `${symbol} (synthetic)`
+    };
+  }
+
+  async getBars(symbol, { range = '1mo' } = {}) {
+    const s = this.state(symbol);
+    const bars = s.today ? [...s.history, { ...s.today }] : [...s.history];
+    return bars.slice(-barsForRange(range));
+  }
+}
@@ -0,0 +1,61 @@
+// Yahoo Finance v8 chart endpoint - the live default
+
+const HEADERS = {
+  'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+  'Accept': 'application/json',
+};
+
+// `events` ('div,splits') adds dividends and splits to the result
+export async function fetchChart(symbol, interval, range, events = null) {
+  const url = `https://query2.finance.yahoo.com/v8/finance/chart/${symbol}?interval=${interval}&range=${range}${events ? `&events=${events}` : ''}`;
+  const res = await fetch(url, { headers: HEADERS });
+  if (!res.ok) throw new Error(`API error: ${res.status}`);
+  const data = await res.json();
+  const result = data.chart?.result?.[0];
+  if (!result) throw new Error('No data');
+  return result;
+}
+
+export class YahooProvider {
+  constructor() {
+    this.name = 'yahoo';
+    this.minRequestInterval = 200; // Yahoo rate-limits aggressive callers
+  }
+
+  async getQuote(symbol) {
+    const result = await fetchChart(symbol, '1d', '1d');
+    const meta = result.meta;
+    const indicators = result.indicators?.quote?.[0];
+    const previousClose = meta.previousClose || meta.chartPreviousClose;
+
+    return {
+      symbol: meta.symbol,
+      price: meta.regularMarketPrice,
+      previousClose,
+      change: meta.regularMarketPrice - previousClose,
+      changePercent: ((meta.regularMarketPrice - previousClose) / previousClose) * 100,
+      volume: indicators?.volume?.[indicators.volume.length - 1] || 0,
+      high: indicators?.high?.[indicators.high.length - 1] || meta.regularMarketPrice,
+      low: indicators?.low?.[indicators.low.length - 1] || meta.regularMarketPrice,
+      open: indicators?.open?.[indicators.open.length - 1] || meta.regularMarketPrice,
+      fiftyTwoWeekHigh: meta.fiftyTwoWeekHigh,
+      fiftyTwoWeekLow: meta.fiftyTwoWeekLow,
+      name: meta.shortName || meta.longName || symbol
+    };
+  }
+
+  async getBars(symbol, { interval = '1d', range = '1mo' } = {}) {
+    const result = await fetchChart(symbol, interval, range);
+    const quote = result.indicators?.quote?.[0] || {};
+    return (result.timestamp || [])
+      .map((t, i) => ({
+        time: t * 1000,
+        open: quote.open?.[i],
+        high: quote.high?.[i],
+        low: quote.low?.[i],
+        close: quote.close?.[i],
+        volume: quote.volume?.[i]
+      }))
+      .filter(bar => bar.close != null);
+  }
+}
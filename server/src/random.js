@@ -0,0 +1,71 @@
+import crypto from 'crypto';
+import { tradingDay } from './clock.js';
+
+// Seeded randomness. Anything an agent decides by rolling dice draws from one
+// of these streams instead of Math.random(), so a run can be reproduced from
+// its seed: same seed and same quotes, same trades.
+
+// Small fast PRNG - same seed, same sequence
+export function mulberry32(seed) {
+  return function () {
+    seed |= 0;
+    seed = (seed + 0x6D2B79F5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+export function hashString(str) {
+  let h = 2166136261;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 16777619);
+  }
+  return h >>> 0;
+}
+
+// A fresh seed for a run that wasn't given one
+export function randomSeed() {
+  return crypto.randomInt(2 ** 32);
+}
+
+// An independent stream for (seed, ...labels), e.g. seededRandom(seed, 'breed', round)
+export function seededRandom(seed, ...labels) {
+  return mulberry32(hashString([seed, ...labels].join(':')));
+}
+
+// One stream per agent per trading day. Keying on the day means any single day
+// can be replayed on its own, and keying on the agent means adding or removing
+// someone doesn't change what everybody else rolls.
+export class AgentRandom {
+  constructor(seed, clock) {
+    this.seed = seed;
+    this.clock = clock;
+    this.day = null;
+    this.streams = new Map();
+  }
+
+  for(agentId) {
+    const day = tradingDay(this.clock.now());
+    if (day !== this.day) {
+      this.day = day;
+      this.streams.clear();
+    }
+    if (!this.streams.has(agentId)) this.streams.set(agentId, seededRandom(this.seed, day, agentId));
+    return this.streams.get(agentId);
+  }
+}
+
+// Trade and order ids from the clock plus a counter within the millisecond, so
+// a replay at the same times hands out the same ids
+export function idGenerator(clock) {
+  let last = null;
+  let seq = 0;
+  return (prefix = '') => {
+    const now = clock.now();
+    seq = now === last ? seq + 1 : 0;
+    last = now;
+    return prefix + now.toString(36) + seq.toString(36).padStart(5, '0');
+  };
+}
@@ -0,0 +1,187 @@
+import { MarketData } from './market-data.js';
+
+// Replays: a recorded day (market-tape.js) run again at 1-100x speed against a
+// fresh roster, for after-hours demos and what-ifs like "what if Gordon's stop
+// was -5% instead of -3%". A replay is an arena like any other (arenas.js) -
+// same scan loop, same routes, same dashboard - except that its clock is a
+// VirtualClock and its market plays back the tape instead of going live.
+//
+// Frames and scans are ordered by virtual time alone, so the speed changes how
+// long a replay takes but never what happens in it: the same day, roster and
+// seed replay to the same trades. Scans run where the tape recorded them, each
+// right after the frame its live counterpart saw, and resting orders get the
+// rotation quotes recorded in between - the market plays back as it was seen.
+
+const TICK_MS = 250; // Real time between steps; each step covers TICK_MS * speed of the day
+export const MAX_SPEED = 100;
+
+const REPLAY_KEYS = ['date', 'name', 'speed', 'templates', 'startingCash', 'overrides', 'seed'];
+
+// Check a replay request. Throws on the first problem.
+//   date          recorded day to replay (see GET /api/replays/days)
+//   speed         1-100x real time (default 10)
+//   templates     agent templates to seat (default: all of them)
+//   startingCash  default: the main arena's
+//   overrides     template id -> changes to its definition, e.g. { "gordon": { "exit": { "stopLoss": -5 } } }
+//   seed          random seed (default: the one the main arena rolled from that day)
+export function validateReplay(input, { days, templates, startingCash: defaultCash }) {
+  if (input === null || typeof input !== 'object' || Array.isArray(input)) throw new Error('replay must be an object');
+  for (const key of Object.keys(input)) {
+    if (!REPLAY_KEYS.includes(key)) throw new Error(`Unknown replay setting: ${key} (expected one of: ${REPLAY_KEYS.join(', ')})`);
+  }
+  const { date, name = `Replay ${date}`, speed = 10, startingCash = defaultCash, overrides = {}, seed = null } = input;
+
+  const day = days.find(d => d.day === date);
+  if (!day) throw new Error(`No recording for ${date}${days.length ? ` (recorded: ${days.map(d => d.day).join(', ')})` : ''}`);
+  if (typeof name !== 'string' || !name.trim()) throw new Error('name must be a non-empty string');
+  checkSpeed(speed);
+  if (typeof startingCash !== 'number' || !(startingCash > 0)) throw new Error('startingCash must be a positive number');
+  if (seed != null && !(Number.isInteger(seed) && seed >= 0 && seed < 2 ** 32)) throw new Error('seed must be an integer from 0 to 2^32 - 1');
+
+  const roster = input.templates ?? templates;
+  if (!Array.isArray(roster) || roster.length < 2) throw new Error('templates must list at least 2 agent templates');
+  for (const template of roster) {
+    if (!templates.includes(template)) throw new Error(`Unknown template: ${template} (expected one of: ${templates.join(', ')})`);
+  }
+  if (overrides === null || typeof overrides !== 'object' || Array.isArray(overrides)) throw new Error('overrides must be an object');
+  for (const id of Object.keys(overrides)) {
+    if (!roster.includes(id)) throw new Error(`overrides.${id}: not in this replay's roster`);
+  }
+
+  return { day, name: name.trim(), speed, templates: [...new Set(roster)], startingCash, overrides, seed };
+}
+
+function checkSpeed(speed) {
+  if (typeof speed !== 'number' || !(speed >= 1 && speed <= MAX_SPEED)) throw new Error(`speed must be a number from 1 to ${MAX_SPEED}`);
+}
+
+// MarketData that only knows what the tape has played so far - never reaches
+// out to the network for quotes or analyses
+export class ReplayMarketData extends MarketData {
+  constructor({ clock, live }) {
+    super({ clock, provider: live.provider, calendar: live.calendar, symbols: live.symbols, barStore: live.barStore });
+    this.open = false; // The replayed session, as far as the agents can tell
+  }
+
+  apply(frame) {
+    for (const [symbol, analysis] of Object.entries(frame.analyses)) {
+      this.quoteCache.set('analysis_' + symbol, { data: analysis, timestamp: frame.time });
+    }
+    for (const [symbol, quote] of Object.entries(frame.quotes)) {
+      this.quoteCache.set(symbol, { data: quote, timestamp: frame.time });
+    }
+  }
+
+  async getQuote(symbol) {
+    const cached = this.quoteCache.get(symbol);
+    if (!cached) throw new Error(`No quote for ${symbol} yet`);
+    return cached.data;
+  }
+
+  async analyzeMultiple(symbols) {
+    const analyses = {};
+    for (const symbol of symbols) {
+      const cached = this.quoteCache.get('analysis_' + symbol);
+      if (cached) analyses[symbol] = cached.data;
+    }
+    return analyses;
+  }
+
+  isMarketOpen() {
+    return this.open;
+  }
+}
+
+// Drives one replay: moves the virtual clock through the day in real-time
+// steps, feeding frames to the market (and resting orders) as their time comes
+export class Replay {
+  constructor({ tape, day, speed, clock, marketData, engine, events }) {
+    this.tape = tape;
+    this.day = day.day;
+    this.start = day.start;
+    this.end = day.end;
+    this.speed = speed;
+    this.clock = clock;
+    this.clock.hold(); // Scans run at scan frames (see step), not on their interval
+    this.marketData = marketData;
+    this.engine = engine;
+    this.events = events;
+    this.state = 'ready'; // ready -> running -> finished | stopped | failed
+    this.error = null;
+    this.lastFrame = -1; // Time of the last frame played
+    this.timer = null;
+    this.stepping = null; // The step under way, if any
+  }
+
+  progress() {
+    const time = this.clock.now();
+    return {
+      date: this.day,
+      state: this.state,
+      speed: this.speed,
+      time: new Date(time).toISOString(),
+      percent: Math.round(Math.min(1, (time - this.start) / (this.end - this.start || 1)) * 1000) / 10,
+      ...(this.error && { error: this.error })
+    };
+  }
+
+  begin() {
+    if (this.state !== 'ready') return;
+    this.state = 'running';
+    this.marketData.open = true;
+    this.events.publish('market', { isOpen: true, nextClose: new Date(this.end).toISOString() });
+    console.log(`[Replay] ▶️ ${this.day} at ${this.speed}x`);
+    this.run();
+  }
+
+  async run() {
+    try {
+      this.stepping = this.step();
+      await this.stepping;
+    } catch (error) {
+      this.state = 'failed';
+      this.error = error.message;
+      this.marketData.open = false;
+      console.error(`[Replay] ${this.day} failed:`, error.message);
+    }
+    this.stepping = null;
+    this.events.publish('replay', this.progress());
+    if (this.state === 'running') this.timer = setTimeout(() => this.run(), TICK_MS);
+  }
+
+  async step() {
+    const target = Math.min(this.clock.now() + TICK_MS * this.speed, this.end);
+    for (const frame of this.tape.frames(this.day, this.lastFrame, target)) {
+      if (this.state !== 'running') return; // Stopped mid-step
+      await this.clock.advanceTo(frame.time);
+      this.marketData.apply(frame);
+      for (const quote of Object.values(frame.quotes)) await this.engine.processQuote(quote);
+      this.lastFrame = frame.time;
+      if (frame.scan) await this.clock.fire();
+    }
+    await this.clock.advanceTo(target);
+    if (target >= this.end) this.finish();
+  }
+
+  finish() {
+    this.state = 'finished';
+    this.marketData.open = false;
+    const expired = this.engine.expireDayOrders();
+    this.events.publish('market', { isOpen: false });
+    console.log(`[Replay] 🏁 ${this.day} finished (${expired} day orders expired)`);
+  }
+
+  setSpeed(speed) {
+    checkSpeed(speed);
+    this.speed = speed;
+    return this.progress();
+  }
+
+  // Resolves once a step under way has wound down, so the arena can close its database
+  async stop() {
+    clearTimeout(this.timer);
+    if (this.state === 'running' || this.state === 'ready') this.state = 'stopped';
+    this.marketData.open = false;
+    await this.stepping?.catch(() => {}); // run() reports its errors
+  }
+}
@@ -0,0 +1,255 @@
+import { RISK_DEFAULTS } from './agent-definitions.js';
+import { nyDate, nyTimeToEpoch } from './market-calendar.js';
+
+// Portfolio-level risk checks between the strategies and the engine. Every
+// order that adds exposure (a buy or a short, from a strategy or a resting
+// order) is reviewed against the agent's `risk` limits and either passes,
+// shrinks to fit, or is refused. Sells and covers only ever reduce risk and
+// are never touched.
+//
+// Limits, in the order they apply (see RISK_DEFAULTS):
+//   circuit breaker   down dailyLossLimit since the last close -> no new positions today
+//   maxPositions      a new symbol needs a free slot
+//   maxPositionPct    the position after the order, as a share of portfolio value
+//   maxSectorPct      gross exposure to the symbol's sector after the order
+//   riskPerTrade      volatility sizing: position * ATR% stays under this share of value
+//
+// Refusals, resizes and breaker trips go to the risk_events table.
+
+const RESIZE_LABELS = {
+  maxPositionPct: 'position limit',
+  maxSectorPct: 'sector limit',
+  riskPerTrade: 'volatility sizing'
+};
+const REPEAT_MS = 10 * 60 * 1000; // The same refusal isn't logged again for this long
+
+const pct = (x) => `${(x * 100).toFixed(0)}%`;
+const floorShares = (shares) => Math.floor(shares * 10000) / 10000;
+
+const rowToEvent = (row) => ({
+  id: row.id,
+  agentId: row.agent_id,
+  timestamp: row.timestamp,
+  decision: row.decision,
+  action: row.action,
+  symbol: row.symbol,
+  ...(row.requested_shares != null && { requestedShares: row.requested_shares }),
+  ...(row.approved_shares != null && { approvedShares: row.approved_shares }),
+  reason: row.reason
+});
+
+// Schema lives in migrations.js (version 11)
+export class RiskManager {
+  constructor({ engine, marketData = null, db = engine.db, clock = engine.clock, limits = () => null }) {
+    this.engine = engine;
+    this.marketData = marketData; // Marks, volatility and sectors; without it, positions are marked at cost
+    this.db = db;
+    this.clock = clock;
+    this.limits = limits; // agentId -> that agent's `risk` section
+    this.breakers = new Map(); // agentId -> { day, at, startValue, value, lossPercent }
+    this.dayStart = new Map(); // agentId -> { day, value }
+    this.lastLogged = new Map(); // agentId -> { key, at }, to keep repeated refusals out of the log
+  }
+
+  limitsFor(agentId) {
+    return { ...RISK_DEFAULTS, ...this.limits(agentId) };
+  }
+
+  quotes() {
+    return this.marketData?.getCachedQuotes() ?? {};
+  }
+
+  sectorOf(symbol) {
+    return this.marketData?.symbols.get(symbol)?.sector ?? null;
+  }
+
+  // ATR as a % of price, falling back to the daily return volatility
+  volatilityOf(symbol) {
+    const analysis = this.marketData?.getCachedAnalyses()[symbol];
+    return analysis?.indicators?.atrPercent ?? analysis?.volatility ?? null;
+  }
+
+  // Portfolio value at the last close: the last snapshot before midnight New
+  // York time on this book, else the first one today, else the starting value
+  dayStartValue(agentId) {
+    const day = nyDate(this.clock.now());
+    const cached = this.dayStart.get(agentId);
+    if (cached?.day === day) return cached.value;
+
+    const midnight = new Date(nyTimeToEpoch(day, 0)).toISOString();
+    const row = this.db.prepare(`
+      SELECT s.value FROM snapshots s JOIN portfolios p ON p.agent_id = s.agent_id
+      WHERE s.agent_id = ? AND s.timestamp >= p.created_at AND s.timestamp < ? ORDER BY s.timestamp DESC LIMIT 1
+    `).get(agentId, midnight) || this.db.prepare(`
+      SELECT value FROM snapshots WHERE agent_id = ? AND timestamp >= ? ORDER BY timestamp LIMIT 1
+    `).get(agentId, midnight);
+
+    const value = row?.value ?? this.engine.getPortfolio(agentId)?.startingValue ?? null;
+    this.dayStart.set(agentId, { day, value });
+    return value;
+  }
+
+  // The breaker for today, if it has tripped. Checked against `equity` when given.
+  checkBreaker(agentId, equity = null, limits = this.limitsFor(agentId)) {
+    const day = nyDate(this.clock.now());
+    const breaker = this.breakers.get(agentId);
+    if (breaker?.day === day) return breaker;
+    if (breaker) this.breakers.delete(agentId);
+    if (equity == null || limits.dailyLossLimit == null) return null;
+
+    const startValue = this.dayStartValue(agentId);
+    if (!(startValue > 0)) return null;
+    const loss = (startValue - equity) / startValue;
+    if (loss < limits.dailyLossLimit) return null;
+
+    const tripped = { day, at: this.clock.iso(), startValue, value: equity, lossPercent: -loss * 100 };
+    this.breakers.set(agentId, tripped);
+    this.record(agentId, { decision: 'breaker', reason: `Down ${pct(loss)} today (limit ${pct(limits.dailyLossLimit)}) - no new positions until tomorrow` });
+    return tripped;
+  }
+
+  isTripped(agentId) {
+    const equity = this.engine.getMarginStatus(agentId, this.quotes())?.equity ?? null;
+    return !!this.checkBreaker(agentId, equity);
+  }
+
+  // Let a tripped agent trade again today, counting losses from here
+  resetBreaker(agentId) {
+    const breaker = this.breakers.get(agentId) || null;
+    this.forget(agentId);
+    if (breaker) {
+      this.dayStart.set(agentId, { day: breaker.day, value: this.engine.getMarginStatus(agentId, this.quotes()).equity });
+      this.record(agentId, { decision: 'reset', reason: 'Circuit breaker reset by admin' });
+    }
+    return breaker;
+  }
+
+  // A fresh book under the same id starts with a clean slate
+  forget(agentId) {
+    this.breakers.delete(agentId);
+    this.dayStart.delete(agentId);
+    this.lastLogged.delete(agentId);
+  }
+
+  // Gross exposure per sector at current marks
+  sectorExposure(portfolio, quotes) {
+    const exposure = {};
+    const add = (symbol, value) => {
+      const sector = this.sectorOf(symbol);
+      if (sector) exposure[sector] = (exposure[sector] || 0) + value;
+    };
+    for (const [symbol, pos] of Object.entries(portfolio.positions)) {
+      add(symbol, pos.shares * (quotes[symbol]?.price ?? pos.lastPrice ?? pos.avgCost));
+    }
+    for (const [symbol, short] of Object.entries(portfolio.shorts)) {
+      add(symbol, short.shares * (quotes[symbol]?.price ?? short.lastPrice ?? short.avgPrice));
+    }
+    return exposure;
+  }
+
+  // Review an order that adds exposure. `action` is BUY or SHORT.
+  // Returns { approved, shares, requestedShares, resized, reason }.
+  review(agentId, action, symbol, shares, price) {
+    const portfolio = this.engine.getPortfolio(agentId);
+    const limits = this.limitsFor(agentId);
+    const quotes = { ...this.quotes(), [symbol]: { price } };
+    const equity = this.engine.getMarginStatus(agentId, quotes).equity;
+    const requestedShares = shares;
+
+    const refuse = (reason) => {
+      this.record(agentId, { decision: 'rejected', action, symbol, requestedShares, reason });
+      return { approved: false, shares: 0, requestedShares, resized: false, reason };
+    };
+
+    if (!(equity > 0)) return refuse('No equity left');
+    const breaker = this.checkBreaker(agentId, equity, limits);
+    if (breaker) return refuse(`Circuit breaker tripped (${breaker.lossPercent.toFixed(1)}% today)`);
+
+    const side = action === 'SHORT' ? portfolio.shorts : portfolio.positions;
+    const held = side[symbol]?.shares ?? 0;
+    const open = Object.keys(portfolio.positions).length + Object.keys(portfolio.shorts).length;
+    if (!held && limits.maxPositions != null && open >= limits.maxPositions) {
+      return refuse(`Already holding ${open} positions (limit ${limits.maxPositions})`);
+    }
+
+    // Room left under each limit, in dollars of new exposure
+    const room = {};
+    if (limits.maxPositionPct != null) {
+      room.maxPositionPct = equity * limits.maxPositionPct - held * price;
+    }
+    const sector = this.sectorOf(symbol);
+    if (limits.maxSectorPct != null && sector) {
+      room.maxSectorPct = equity * limits.maxSectorPct - (this.sectorExposure(portfolio, quotes)[sector] || 0);
+    }
+    const volatility = this.volatilityOf(symbol);
+    if (limits.riskPerTrade != null && volatility > 0) {
+      room.riskPerTrade = equity * limits.riskPerTrade / (volatility / 100) - held * price;
+    }
+
+    let binding = null;
+    for (const [limit, dollars] of Object.entries(room)) {
+      if (dollars / price < shares) {
+        shares = floorShares(Math.max(0, dollars) / price);
+        binding = limit;
+      }
+    }
+    if (!binding) return { approved: true, shares, requestedShares, resized: false, reason: null };
+
+    const label = `${RESIZE_LABELS[binding]} (${pct(limits[binding])}${binding === 'maxSectorPct' ? ` in ${sector}` : ''}` +
+      `${binding === 'riskPerTrade' ? `, ATR ${volatility.toFixed(1)}%` : ''})`;
+    if (shares * price < (limits.minOrderValue ?? 0) || shares <= 0) {
+      return refuse(`No room under the ${label}`);
+    }
+
+    const reason = `Resized ${requestedShares} -> ${shares} shares by the ${label}`;
+    this.record(agentId, { decision: 'resized', action, symbol, requestedShares, approvedShares: shares, reason });
+    return { approved: true, shares, requestedShares, resized: true, reason };
+  }
+
+  record(agentId, { decision, action = null, symbol = null, requestedShares = null, approvedShares = null, reason }) {
+    // A strategy that keeps asking for the same refused order gets one line, not one per scan
+    const key = `${decision}:${action}:${symbol}:${reason}`;
+    const last = this.lastLogged.get(agentId);
+    const now = this.clock.now();
+    if (decision === 'rejected' && last?.key === key && now - last.at < REPEAT_MS) return;
+    this.lastLogged.set(agentId, { key, at: now });
+
+    const icon = { rejected: '⛔', resized: '✂️', breaker: '🛑', reset: '🔄' }[decision];
+    console.log(`[Risk] ${icon} ${agentId}${action ? ` ${action} ${symbol}` : ''}: ${reason}`);
+    this.db.prepare(`
+      INSERT INTO risk_events (agent_id, timestamp, decision, action, symbol, requested_shares, approved_shares, reason)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(agentId, this.clock.iso(), decision, action, symbol, requestedShares, approvedShares, reason);
+  }
+
+  // Newest first
+  getEvents(agentId, limit = 50) {
+    return this.db.prepare('SELECT * FROM risk_events WHERE agent_id = ? ORDER BY id DESC LIMIT ?')
+      .all(agentId, limit).map(rowToEvent);
+  }
+
+  // Limits, where the book stands against them, and recent events
+  getStatus(agentId, { limit = 50 } = {}) {
+    const portfolio = this.engine.getPortfolio(agentId);
+    if (!portfolio) return null;
+
+    const limits = this.limitsFor(agentId);
+    const quotes = this.quotes();
+    const equity = this.engine.getMarginStatus(agentId, quotes).equity;
+    const startValue = this.dayStartValue(agentId);
+    const share = (value) => (equity > 0 ? Math.round(value / equity * 10000) / 100 : null);
+
+    return {
+      limits,
+      equity,
+      dayStartValue: startValue,
+      dayChangePercent: startValue > 0 ? (equity / startValue - 1) * 100 : null,
+      breaker: this.checkBreaker(agentId, equity, limits),
+      positions: Object.keys(portfolio.positions).length + Object.keys(portfolio.shorts).length,
+      sectorExposurePercent: Object.fromEntries(
+        Object.entries(this.sectorExposure(portfolio, quotes)).map(([sector, value]) => [sector, share(value)])
+      ),
+      events: this.getEvents(agentId, limit)
+    };
+  }
+}
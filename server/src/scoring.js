@@ -0,0 +1,173 @@
+// Declarative scoring over the daily analysis fields. An agent's `scoring` is a
+// list of rules; a candidate's score is the sum of every rule's contribution.
+//
+//   - field: rsi                          # bands: first match wins
+//     bands: [{ lt: 40, add: 30 }, { lt: 50, add: 15 }, { add: -10 }]
+//   - field: trend                        # map: categorical lookup
+//     map: { bearish: 20, neutral: 10 }
+//     else: -5
+//   - field: signal                       # weight: value * weight
+//     weight: 0.3
+//   - when: { trend: bullish, rsi: { lt: 60 } }   # guard, then a flat add
+//     add: 15
+//     else: -5
+//
+// Indicator fields (macdHistogram, adx, bollingerPercentB...) read from the
+// analysis's `indicators` block - see indicators.js.
+
+import { INDICATOR_FIELDS } from './indicators.js';
+
+export const SCORING_FIELDS = [
+  'price', 'dailyChange', 'weekChange', 'monthChange', 'volatility', 'trend', 'rsi', 'signal',
+  'support', 'resistance', 'aboveWeekAvg', 'aboveMonthAvg', 'weekAvg', 'monthAvg',
+  // Derived
+  'absDailyChange', // |dailyChange|
+  'supportGap', // % above support
+  'resistanceGap', // % from resistance (negative = below)
+  'sentiment', // Agent's memory of the symbol, -1..1
+  'random', // 0..1, for agents with a chaos streak
+  ...INDICATOR_FIELDS
+];
+
+const OPERATORS = {
+  lt: (v, x) => v < x,
+  lte: (v, x) => v <= x,
+  gt: (v, x) => v > x,
+  gte: (v, x) => v >= x,
+  eq: (v, x) => v === x,
+  ne: (v, x) => v !== x,
+  in: (v, x) => x.includes(v)
+};
+
+export function fieldValue(candidate, field, rng = Math.random) {
+  switch (field) {
+    case 'absDailyChange': return Math.abs(candidate.dailyChange);
+    case 'supportGap': return candidate.support ? (candidate.price / candidate.support - 1) * 100 : null;
+    case 'resistanceGap': return candidate.resistance ? (candidate.price / candidate.resistance - 1) * 100 : null;
+    case 'sentiment': return candidate.sentiment ?? 0;
+    case 'random': return rng();
+    default: return candidate[field] ?? candidate.indicators?.[field] ?? null;
+  }
+}
+
+// A bare literal means equality, an object is a set of operator tests
+function test(value, spec) {
+  if (spec === null || typeof spec !== 'object' || Array.isArray(spec)) return value === spec;
+  return Object.entries(spec).every(([op, x]) => OPERATORS[op](value, x));
+}
+
+export function matches(candidate, when, rng = Math.random) {
+  return Object.entries(when).every(([field, spec]) => test(fieldValue(candidate, field, rng), spec));
+}
+
+function contribution(term, value) {
+  return term.weight != null ? value * term.weight : (term.add ?? 0);
+}
+
+// { value, points } - the field value the rule read (if any) and what it added
+function evaluateRule(rule, candidate, rng) {
+  if (rule.when && !matches(candidate, rule.when, rng)) return { points: rule.else ?? 0 };
+  if (!rule.field) return { points: rule.add ?? 0 };
+
+  const value = fieldValue(candidate, rule.field, rng);
+  if (value == null) return { value, points: 0 };
+
+  if (rule.bands) {
+    const band = rule.bands.find(b =>
+      Object.entries(b).every(([op, x]) => !(op in OPERATORS) || OPERATORS[op](value, x))
+    );
+    return { value, points: band ? contribution(band, value) : (rule.else ?? 0) };
+  }
+  if (rule.map) {
+    return { value, points: rule.map[String(value)] ?? rule.else ?? 0 };
+  }
+  return { value, points: contribution(rule, value) };
+}
+
+export function scoreRule(rule, candidate, rng = Math.random) {
+  return evaluateRule(rule, candidate, rng).points;
+}
+
+export function scoreCandidate(rules, candidate, rng = Math.random) {
+  return rules.reduce((sum, rule) => sum + scoreRule(rule, candidate, rng), 0);
+}
+
+// Per-rule contributions, for explaining a score: [{ rule, field|when, value, points }].
+// The points always sum to the score, even for rules that read `random`
+// (rolled with `rng` - pass the agent's seeded one to make it reproducible).
+export function scoreBreakdown(rules, candidate, rng = Math.random) {
+  return rules.map((rule, i) => {
+    const { value, points } = evaluateRule(rule, candidate, rng);
+    return {
+      rule: i,
+      ...(rule.field && { field: rule.field }),
+      ...(rule.when && { when: rule.when }),
+      ...(value !== undefined && { value }),
+      points
+    };
+  });
+}
+
+// Throws with a pointer to the offending rule, e.g. "scoring[2].bands[0]: unknown key 'below'"
+export function validateScoring(rules) {
+  if (!Array.isArray(rules)) throw new Error('scoring must be a list of rules');
+
+  const isNumber = (v) => typeof v === 'number' && Number.isFinite(v);
+  const checkField = (field, where) => {
+    if (!SCORING_FIELDS.includes(field)) {
+      throw new Error(`${where}: unknown field '${field}' (expected one of: ${SCORING_FIELDS.join(', ')})`);
+    }
+  };
+  const checkWhen = (when, where) => {
+    if (!when || typeof when !== 'object' || Array.isArray(when)) throw new Error(`${where}: when must be an object`);
+    for (const [field, spec] of Object.entries(when)) {
+      checkField(field, `${where}.when`);
+      if (spec && typeof spec === 'object' && !Array.isArray(spec)) {
+        for (const op of Object.keys(spec)) {
+          if (!(op in OPERATORS)) throw new Error(`${where}.when.${field}: unknown operator '${op}'`);
+        }
+      }
+    }
+  };
+
+  rules.forEach((rule, i) => {
+    const where = `scoring[${i}]`;
+    if (!rule || typeof rule !== 'object') throw new Error(`${where}: must be an object`);
+
+    const allowed = ['field', 'bands', 'map', 'weight', 'add', 'when', 'else'];
+    for (const key of Object.keys(rule)) {
+      if (!allowed.includes(key)) throw new Error(`${where}: unknown key '${key}'`);
+    }
+    if (rule.when) checkWhen(rule.when, where);
+    if (rule.else != null && !isNumber(rule.else)) throw new Error(`${where}: else must be a number`);
+
+    if (!rule.field) {
+      if (!rule.when || !isNumber(rule.add)) throw new Error(`${where}: a rule without a field needs when + add`);
+      return;
+    }
+    checkField(rule.field, where);
+
+    const kinds = ['bands', 'map', 'weight'].filter(k => rule[k] != null);
+    if (kinds.length !== 1) throw new Error(`${where}: needs exactly one of bands, map or weight`);
+
+    if (rule.weight != null && !isNumber(rule.weight)) throw new Error(`${where}: weight must be a number`);
+    if (rule.map != null) {
+      if (typeof rule.map !== 'object' || Array.isArray(rule.map)) throw new Error(`${where}: map must be an object`);
+      for (const [k, v] of Object.entries(rule.map)) {
+        if (!isNumber(v)) throw new Error(`${where}.map.${k}: must be a number`);
+      }
+    }
+    if (rule.bands != null) {
+      if (!Array.isArray(rule.bands) || rule.bands.length === 0) throw new Error(`${where}: bands must be a non-empty list`);
+      rule.bands.forEach((band, j) => {
+        for (const [key, v] of Object.entries(band)) {
+          if (key !== 'add' && key !== 'weight' && !(key in OPERATORS)) {
+            throw new Error(`${where}.bands[${j}]: unknown key '${key}'`);
+          }
+          if (!isNumber(v) && key !== 'in') throw new Error(`${where}.bands[${j}].${key}: must be a number`);
+        }
+        if (band.add == null && band.weight == null) throw new Error(`${where}.bands[${j}]: needs add or weight`);
+      });
+    }
+  });
+}
@@ -0,0 +1,40 @@
+import { candidates, rank, budget, sharesFor, meetsEntry, buy, riskNote } from './helpers.js';
+
+// Growth - buys innovation stocks in uptrends
+export default {
+  name: 'growth',
+  params: {
+    maxRsi: 65 // Bullish preferred names below this RSI are buyable
+  },
+
+  opportunity({ agent, portfolio, opportunities, params }) {
+    const picks = opportunities.filter(a =>
+      agent.preferredStocks.includes(a.symbol) && a.trend === 'bullish' && a.rsi < params.maxRsi
+    );
+    if (picks.length > 0 && portfolio.cash > 1) {
+      return `${agent.avatar} Growth signal: ${picks[0].symbol} (trend:bullish, RSI:${picks[0].rsi.toFixed(0)})`;
+    }
+    return null;
+  },
+
+  async enter(ctx) {
+    const { agent, portfolio, memory } = ctx;
+    const scored = rank(ctx, candidates(ctx, { sentiment: true }));
+    const pick = scored[0];
+
+    if (meetsEntry(ctx, pick) && portfolio.cash > 1) {
+      const shares = sharesFor(budget(ctx), pick.price);
+      if (shares > 0) {
+        const result = await buy(ctx, pick, shares);
+        if (result.success) {
+          memory.addObservation(agent.id, {
+            symbol: pick.symbol,
+            observation: `Innovation buy @ $${pick.price.toFixed(2)} | trend:${pick.trend} week:${pick.weekChange.toFixed(1)}% RSI:${pick.rsi.toFixed(0)}${riskNote(result)}`,
+            confidence: 0.7
+          });
+          console.log(`[${agent.name}] ${agent.avatar} Growth buy: ${result.trade.shares} ${pick.symbol} (trend:${pick.trend}, week:${pick.weekChange.toFixed(1)}%)`);
+        }
+      }
+    }
+  }
+};
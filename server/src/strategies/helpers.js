@@ -0,0 +1,75 @@
+import { scoreBreakdown } from '../scoring.js';
+
+// Shared building blocks for strategy modules. Every helper takes the strategy
+// context (see strategies/index.js), and notes what it did on ctx.trace when
+// the cycle is being journaled.
+
+// Analysed symbols the agent is willing to look at, with analysis fields spread in.
+//   all:          ignore preferredStocks and scan the whole market
+//   avoid:        drop avoidStocks
+//   requireQuote: only symbols with a live quote
+//   excludeWorst: skip the agent's N worst historical symbols
+//   sentiment:    attach the agent's remembered sentiment
+export function candidates(ctx, { all = false, avoid = true, requireQuote = true, excludeWorst = 0, sentiment = false } = {}) {
+  const { agent, quotes, analyses, memory, universe } = ctx;
+  const symbols = all || agent.preferredStocks.length === 0 ? universe : agent.preferredStocks.filter(s => universe.includes(s));
+  const worst = excludeWorst ? memory.getWorstStocks(agent.id, excludeWorst).map(s => s.symbol) : [];
+  ctx.trace?.exclude(worst.filter(s => symbols.includes(s)), 'Worst track record in memory');
+
+  return symbols
+    .filter(s => analyses[s] && (!requireQuote || quotes[s]))
+    .filter(s => !avoid || !agent.avoidStocks.includes(s))
+    .filter(s => !worst.includes(s))
+    .map(s => ({
+      symbol: s,
+      ...analyses[s],
+      ...(sentiment && { sentiment: memory.getStockSentiment(agent.id, s) })
+    }));
+}
+
+// Score with the agent's scoring rules, best first
+export function rank(ctx, list) {
+  const breakdowns = new Map();
+  const scored = list
+    .map(c => {
+      const breakdown = scoreBreakdown(ctx.agent.scoring, c, ctx.rng);
+      const candidate = { ...c, score: breakdown.reduce((sum, b) => sum + b.points, 0) };
+      breakdowns.set(candidate, breakdown);
+      return candidate;
+    })
+    .sort((a, b) => b.score - a.score);
+  ctx.trace?.ranked(scored, breakdowns);
+  return scored;
+}
+
+// Dollars for one new position, from the agent's sizing rules
+export function budget(ctx, fraction = null) {
+  const { agent, portfolio, engine } = ctx;
+  const sizing = agent.sizing;
+  const base = sizing.useBuyingPower ? engine.getBuyingPower(agent.id) : portfolio.cash;
+  const pct = fraction ?? sizing.cashFraction + (sizing.randomExtra ? ctx.rng() * sizing.randomExtra : 0);
+  return base * pct;
+}
+
+export function sharesFor(amount, price) {
+  return Math.round(amount / price * 10000) / 10000;
+}
+
+export function meetsEntry(ctx, pick) {
+  const minScore = ctx.agent.entry.minScore;
+  const ok = pick && (minScore == null || pick.score > minScore);
+  if (!pick) ctx.trace?.note('No candidates to rank');
+  else if (!ok) ctx.trace?.note(`Best pick ${pick.symbol} scored ${pick.score.toFixed(1)}, needs more than ${minScore}`);
+  return ok;
+}
+
+export async function buy(ctx, pick, shares) {
+  const result = await ctx.engine.executeBuy(ctx.agent.id, pick.symbol, shares, pick.price, { quote: ctx.quotes[pick.symbol] });
+  ctx.trace?.action('BUY', pick.symbol, shares, pick.price, result, pick.score != null ? `Score ${pick.score.toFixed(1)}` : null);
+  return result;
+}
+
+// The risk manager's word on a resized order, for the agent's memory - empty when it went through as asked
+export function riskNote(result) {
+  return result.trade?.risk ? ` | ${result.trade.risk}` : '';
+}
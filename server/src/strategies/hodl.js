@@ -0,0 +1,51 @@
+import { candidates, rank, budget, sharesFor, meetsEntry, buy, riskNote } from './helpers.js';
+
+// HODL - buy blue chips on dips, almost never sell
+export default {
+  name: 'hodl',
+  params: {
+    dipMove: -1.5, // A daily drop this big is a dip...
+    dipRsi: 30, // ...so is an oversold RSI
+    dipWeek: -3, // ...with a weekly drop this big
+    steadyCashRatio: 0.5, // No dips but cash above this share of starting value = steady buy
+    steadyMaxVolatility: 2.5,
+    steadyFraction: 0.3
+  },
+
+  opportunity({ agent, portfolio, opportunities, params }) {
+    const dips = opportunities.filter(a => a.dailyChange < params.dipMove || (a.rsi < params.dipRsi && a.weekChange < params.dipWeek));
+    if (dips.length > 0 && portfolio.cash > 1) {
+      return `${agent.avatar} Dip detected: ${dips[0].symbol} (${dips[0].dailyChange.toFixed(1)}% today, RSI:${dips[0].rsi.toFixed(0)})`;
+    }
+    return null;
+  },
+
+  async enter(ctx) {
+    const { agent, portfolio, params } = ctx;
+    const universe = candidates(ctx, { avoid: false });
+
+    // The more they drop, the more excited
+    const dips = rank(ctx, universe.filter(c => c.dailyChange < 0 || c.weekChange < 0));
+    const pick = dips[0];
+
+    if (meetsEntry(ctx, pick) && portfolio.cash > 1) {
+      const shares = sharesFor(budget(ctx), pick.price);
+      if (shares > 0) {
+        const result = await buy(ctx, pick, shares);
+        if (result.success) {
+          console.log(`[${agent.name}] ${agent.avatar}🙌 Buying the dip: ${result.trade.shares} ${pick.symbol} (daily:${pick.dailyChange.toFixed(1)}%, RSI:${pick.rsi.toFixed(0)})`);
+        }
+      }
+    } else if (portfolio.cash > portfolio.startingValue * params.steadyCashRatio) {
+      // No dips and sitting on lots of cash - buy something blue-chip
+      const safe = universe.filter(c => c.volatility < params.steadyMaxVolatility).sort((a, b) => a.rsi - b.rsi)[0];
+      if (safe) {
+        const shares = sharesFor(budget(ctx, params.steadyFraction), safe.price);
+        if (shares > 0) {
+          const result = await buy(ctx, safe, shares);
+          if (result.success) console.log(`[${agent.name}] ${agent.avatar} Steady buy: ${result.trade.shares} ${safe.symbol}`);
+        }
+      }
+    }
+  }
+};
@@ -0,0 +1,77 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import value from './value.js';
+import meme from './meme.js';
+import growth from './growth.js';
+import momentum from './momentum.js';
+import hodl from './hodl.js';
+import scalp from './scalp.js';
+import technical from './technical.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Default drop-in directory for third-party strategies: server/strategies/*.js
+export const PLUGINS_DIR = process.env.STRATEGY_PLUGINS_DIR || path.join(__dirname, '..', '..', 'strategies');
+
+// A strategy module has:
+//   name
+//   params                          default tunables, overridable per agent definition
+//   validate(definition)            optional, throw to reject a definition
+//   opportunity(ctx) -> reason|null should the agent trade right now?
+//   async enter(ctx)                open new positions (exits are handled by the manager)
+//
+// ctx = { agent, params, portfolio, portfolioValue, quotes, analyses, opportunities, movers, universe, engine, memory, rng, trace }
+//
+// ctx.rng() is the agent's seeded 0..1 random source - use it rather than
+// Math.random() so runs replay exactly from the round's seed.
+//
+// ctx.trace (decision-journal.js) is set during enter(). The helpers already
+// record rankings, entry misses and buys on it; a strategy that sends its own
+// orders should call trace?.action(...) so the journal shows them.
+const STRATEGIES = {};
+
+export function registerStrategy(strategy) {
+  if (!strategy?.name || typeof strategy.opportunity !== 'function' || typeof strategy.enter !== 'function') {
+    throw new Error('A strategy needs a name, opportunity(ctx) and enter(ctx)');
+  }
+  STRATEGIES[strategy.name] = { params: {}, ...strategy };
+}
+
+export function getStrategy(name) {
+  const strategy = STRATEGIES[name];
+  if (!strategy) throw new Error(`Unknown strategy: ${name}`);
+  return strategy;
+}
+
+export function hasStrategy(name) {
+  return name in STRATEGIES;
+}
+
+export function listStrategies() {
+  return Object.values(STRATEGIES).map(s => ({ name: s.name, params: s.params }));
+}
+
+[value, meme, growth, momentum, hodl, scalp, technical].forEach(registerStrategy);
+
+// Import every .js file in the plugin directory. Each exports a strategy
+// module as default (or several as named exports).
+export async function loadStrategyPlugins(dir = PLUGINS_DIR) {
+  if (!fs.existsSync(dir)) return [];
+
+  const loaded = [];
+  for (const file of fs.readdirSync(dir).filter(f => f.endsWith('.js')).sort()) {
+    const mod = await import(pathToFileURL(path.join(dir, file)).href);
+    const exported = mod.default ? [mod.default] : Object.values(mod);
+    for (const strategy of exported) {
+      try {
+        registerStrategy(strategy);
+        loaded.push(strategy.name);
+      } catch (error) {
+        throw new Error(`${file}: ${error.message}`);
+      }
+    }
+  }
+  if (loaded.length) console.log(`[Strategies] Loaded plugins: ${loaded.join(', ')}`);
+  return loaded;
+}
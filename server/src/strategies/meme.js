@@ -0,0 +1,44 @@
+import { candidates, rank, budget, sharesFor, meetsEntry, buy, riskNote } from './helpers.js';
+
+// Meme/YOLO - high risk, follows hype, buys volatile stocks
+export default {
+  name: 'meme',
+  params: {
+    wildVolatility: 3, // Volatility % that gets the juices flowing
+    wildMove: 2, // ...or a daily move this big either way
+    impulse: 0.7, // Chance of acting on wild action
+    yoloChance: 0.3 // Chance of trading on nothing at all
+  },
+
+  opportunity({ agent, portfolio, opportunities, params, rng }) {
+    const wild = opportunities.filter(a => a.volatility > params.wildVolatility || Math.abs(a.dailyChange) > params.wildMove);
+    if (wild.length > 0 && rng() < params.impulse) {
+      return `${agent.avatar} Volatility detected: ${wild[0].symbol} (vol:${wild[0].volatility.toFixed(1)}%, move:${wild[0].dailyChange.toFixed(1)}%)`;
+    }
+    if (rng() < params.yoloChance && portfolio.cash > 1) {
+      return `${agent.avatar} Feeling lucky...`;
+    }
+    return null;
+  },
+
+  async enter(ctx) {
+    const { agent, portfolio, memory } = ctx;
+    const scored = rank(ctx, candidates(ctx, { avoid: false }));
+    const pick = scored[0];
+
+    if (meetsEntry(ctx, pick) && portfolio.cash > 1) {
+      const shares = sharesFor(budget(ctx), pick.price);
+      if (shares > 0) {
+        const result = await buy(ctx, pick, shares);
+        if (result.success) {
+          memory.addObservation(agent.id, {
+            symbol: pick.symbol,
+            observation: `🚀 YOLO @ $${pick.price.toFixed(2)} | vol:${pick.volatility.toFixed(1)}% daily:${pick.dailyChange.toFixed(1)}% | CHAOS SCORE: ${pick.score.toFixed(0)}${riskNote(result)}`,
+            confidence: 0.4
+          });
+          console.log(`[${agent.name}] ${agent.avatar} YOLO ${result.trade.shares} ${pick.symbol} @ $${pick.price.toFixed(2)} (vol:${pick.volatility.toFixed(1)}%, chaos:${pick.score.toFixed(0)})`);
+        }
+      }
+    }
+  }
+};
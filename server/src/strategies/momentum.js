@@ -0,0 +1,39 @@
+import { candidates, rank, budget, sharesFor, meetsEntry, buy, riskNote } from './helpers.js';
+
+// Momentum - chase winners, dump losers fast
+export default {
+  name: 'momentum',
+  params: {
+    hotMove: 1.5 // Daily % gain on a bullish name that counts as "ripping"
+  },
+
+  opportunity({ agent, portfolio, opportunities, params }) {
+    const hot = opportunities.filter(a => a.dailyChange > params.hotMove && a.trend === 'bullish');
+    if (hot.length > 0 && portfolio.cash > 1) {
+      return `${agent.avatar} Momentum opportunity: ${hot[0].symbol} (+${hot[0].dailyChange.toFixed(1)}% today)`;
+    }
+    return null;
+  },
+
+  async enter(ctx) {
+    const { agent, portfolio, memory } = ctx;
+    // Chases whatever is hottest anywhere in the market
+    const scored = rank(ctx, candidates(ctx, { all: true, avoid: false, requireQuote: false }));
+    const pick = scored[0];
+
+    if (meetsEntry(ctx, pick) && portfolio.cash > 1) {
+      const shares = sharesFor(budget(ctx), pick.price);
+      if (shares > 0) {
+        const result = await buy(ctx, pick, shares);
+        if (result.success) {
+          memory.addObservation(agent.id, {
+            symbol: pick.symbol,
+            observation: `🦈 Chasing momentum @ $${pick.price.toFixed(2)} | daily:+${pick.dailyChange.toFixed(1)}% week:+${pick.weekChange.toFixed(1)}%${riskNote(result)}`,
+            confidence: 0.6
+          });
+          console.log(`[${agent.name}] ${agent.avatar} Momentum buy: ${result.trade.shares} ${pick.symbol} (daily:${pick.dailyChange.toFixed(1)}%, score:${pick.score.toFixed(0)})`);
+        }
+      }
+    }
+  }
+};
@@ -0,0 +1,45 @@
+import { candidates, rank, budget, sharesFor, meetsEntry, buy, riskNote } from './helpers.js';
+
+// Scalping - quick in-and-out, uses analysis for timing
+export default {
+  name: 'scalp',
+  params: {
+    minDip: -2, // Small red days between minDip and 0...
+    minRsi: 35, // ...with RSI in this band...
+    maxRsi: 50 // ...and a trend that isn't bearish
+  },
+
+  opportunity({ agent, portfolio, opportunities, params }) {
+    const quickPlays = opportunities.filter(a =>
+      a.dailyChange < 0 && a.dailyChange > params.minDip && a.rsi > params.minRsi && a.rsi < params.maxRsi && a.trend !== 'bearish'
+    );
+    if (quickPlays.length > 0 && portfolio.cash > 1) {
+      return `${agent.avatar} Quick play: ${quickPlays[0].symbol} (small dip, bounce potential)`;
+    }
+    return null;
+  },
+
+  async enter(ctx) {
+    const { agent, portfolio, memory } = ctx;
+    if (portfolio.cash <= 1) return;
+
+    const winRate = memory.getWinRate(agent.id);
+    const scored = rank(ctx, candidates(ctx, { all: true, sentiment: true }));
+    const pick = scored[0];
+
+    if (meetsEntry(ctx, pick)) {
+      const shares = sharesFor(budget(ctx), pick.price);
+      if (shares > 0) {
+        const result = await buy(ctx, pick, shares);
+        if (result.success) {
+          memory.addObservation(agent.id, {
+            symbol: pick.symbol,
+            observation: `Scalp entry @ $${pick.price.toFixed(2)} | RSI:${pick.rsi.toFixed(0)} vol:${pick.volatility.toFixed(1)}% WinRate:${winRate.winRate.toFixed(0)}%${riskNote(result)}`,
+            confidence: 0.5
+          });
+          console.log(`[${agent.name}] ${agent.avatar} Scalp entry: ${result.trade.shares} ${pick.symbol} (RSI:${pick.rsi.toFixed(0)}, score:${pick.score.toFixed(0)})`);
+        }
+      }
+    }
+  }
+};
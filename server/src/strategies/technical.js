@@ -0,0 +1,72 @@
+import { candidates, rank, budget, sharesFor, meetsEntry, buy, riskNote } from './helpers.js';
+
+// Technical analysis - pure data, RSI + trend + support/resistance. Also shorts.
+export default {
+  name: 'technical',
+  params: {
+    signalThreshold: 30, // |signal| that counts as strong
+    shortSignal: -30, // Short bearish names with a signal below this
+    shortFraction: 0.2 // Share of buying power per short
+  },
+
+  opportunity({ agent, portfolio, opportunities, params }) {
+    const strong = opportunities.filter(a => Math.abs(a.signal) > params.signalThreshold);
+    if (strong.length === 0) return null;
+
+    const best = strong.sort((a, b) => Math.abs(b.signal) - Math.abs(a.signal))[0];
+    if (best.signal > params.signalThreshold && portfolio.cash > 1) {
+      return `${agent.avatar} Strong buy signal: ${best.symbol} (signal:${best.signal.toFixed(0)}, RSI:${best.rsi.toFixed(0)})`;
+    }
+    if (best.signal < -params.signalThreshold && portfolio.cash > 1 && !portfolio.shorts?.[best.symbol]) {
+      return `${agent.avatar} Strong sell signal: ${best.symbol} (signal:${best.signal.toFixed(0)}, RSI:${best.rsi.toFixed(0)})`;
+    }
+    return null;
+  },
+
+  async enter(ctx) {
+    const { agent, portfolio, quotes, memory, engine, params } = ctx;
+    const universe = candidates(ctx, { all: true, avoid: false, requireQuote: false });
+    const scored = rank(ctx, universe);
+    const pick = scored[0];
+
+    if (meetsEntry(ctx, pick) && portfolio.cash > 1) {
+      const shares = sharesFor(budget(ctx), pick.price);
+      if (shares > 0) {
+        const result = await buy(ctx, pick, shares);
+        if (result.success) {
+          memory.addObservation(agent.id, {
+            symbol: pick.symbol,
+            observation: `Signal:${pick.signal.toFixed(0)} RSI:${pick.rsi.toFixed(0)} Trend:${pick.trend} Support:$${pick.support.toFixed(2)} Resistance:$${pick.resistance.toFixed(2)} SCORE:${pick.score.toFixed(0)}${riskNote(result)}`,
+            confidence: Math.min(0.9, pick.score / 80)
+          });
+          console.log(`[${agent.name}] ${agent.avatar} Technical buy: ${result.trade.shares} ${pick.symbol} (signal:${pick.score.toFixed(0)}, RSI:${pick.rsi.toFixed(0)}, trend:${pick.trend})`);
+        }
+      }
+    } else {
+      console.log(`[${agent.name}] ${agent.avatar} No strong signals. Top: ${pick?.symbol} (score:${pick?.score.toFixed(0) || 'N/A'})`);
+    }
+
+    // Bearish side: short the strongest sell signal we aren't already involved in
+    const short = universe
+      .filter(c => quotes[c.symbol] && c.signal < params.shortSignal && c.trend === 'bearish')
+      .filter(c => !portfolio.positions[c.symbol] && !portfolio.shorts?.[c.symbol])
+      .sort((a, b) => a.signal - b.signal)[0];
+
+    if (short && portfolio.cash > 1) {
+      const price = quotes[short.symbol].price;
+      const shares = sharesFor(engine.getBuyingPower(agent.id) * params.shortFraction, price);
+      if (shares > 0) {
+        const result = await engine.executeShort(agent.id, short.symbol, shares, price, { quote: quotes[short.symbol] });
+        ctx.trace?.action('SHORT', short.symbol, shares, price, result, `Signal ${short.signal.toFixed(0)}, ${short.trend}`);
+        if (result.success) {
+          memory.addObservation(agent.id, {
+            symbol: short.symbol,
+            observation: `Short @ $${price.toFixed(2)} | Signal:${short.signal.toFixed(0)} RSI:${short.rsi.toFixed(0)} Trend:${short.trend}${riskNote(result)}`,
+            confidence: Math.min(0.9, Math.abs(short.signal) / 80)
+          });
+          console.log(`[${agent.name}] ${agent.avatar} Technical short: ${result.trade.shares} ${short.symbol} (signal:${short.signal.toFixed(0)}, RSI:${short.rsi.toFixed(0)})`);
+        }
+      }
+    }
+  }
+};
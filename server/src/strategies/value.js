@@ -0,0 +1,46 @@
+import { candidates, rank, budget, sharesFor, meetsEntry, buy, riskNote } from './helpers.js';
+
+// Value investing - buys stable stocks with good fundamentals on dips
+export default {
+  name: 'value',
+  params: {
+    oversoldRsi: 35, // Any non-bullish stock below this is worth a look
+    maxCashRatio: 0.7, // Sitting on more cash than this...
+    deploySignal: 15, // ...and something scores above this = put it to work
+    excludeWorst: 5 // Skip the symbols that burned us most
+  },
+
+  opportunity({ agent, portfolio, opportunities, portfolioValue, params }) {
+    const oversold = opportunities.filter(a => a.rsi < params.oversoldRsi && a.trend !== 'bullish');
+    if (oversold.length > 0 && portfolio.cash > 1) {
+      return `${agent.avatar} Spotted oversold value: ${oversold[0].symbol} (RSI:${oversold[0].rsi.toFixed(0)})`;
+    }
+    if (portfolio.cash > portfolioValue * params.maxCashRatio && opportunities.some(a => a.signal > params.deploySignal)) {
+      return `${agent.avatar} Too much cash, deploying capital`;
+    }
+    return null;
+  },
+
+  async enter(ctx) {
+    const { agent, portfolio, memory, params } = ctx;
+    const scored = rank(ctx, candidates(ctx, { excludeWorst: params.excludeWorst, sentiment: true }));
+    const pick = scored[0];
+
+    if (meetsEntry(ctx, pick) && portfolio.cash > 1) {
+      const shares = sharesFor(budget(ctx), pick.price);
+      if (shares > 0) {
+        const result = await buy(ctx, pick, shares);
+        if (result.success) {
+          memory.addObservation(agent.id, {
+            symbol: pick.symbol,
+            observation: `Bought at $${pick.price.toFixed(2)} | RSI:${pick.rsi.toFixed(0)} trend:${pick.trend} signal:${pick.signal.toFixed(0)} | Score:${pick.score.toFixed(0)}${riskNote(result)}`,
+            confidence: Math.min(0.9, pick.score / 100)
+          });
+          console.log(`[${agent.name}] ${agent.avatar} Value buy: ${result.trade.shares} ${pick.symbol} @ $${pick.price.toFixed(2)} (RSI:${pick.rsi.toFixed(0)}, score:${pick.score.toFixed(0)})`);
+        }
+      }
+    } else if (pick) {
+      console.log(`[${agent.name}] ${agent.avatar} Waiting... best score: ${pick.symbol} (${pick.score.toFixed(0)}) - not compelling enough`);
+    }
+  }
+};
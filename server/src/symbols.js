@@ -0,0 +1,300 @@
+import { EventEmitter } from 'events';
+
+// The trading universe: every symbol with its sector, industry, asset type and
+// listing status. Persisted in the symbols table when given a database (seeded
+// from DEFAULT_SYMBOLS the first time); backtests use an in-memory copy.
+//
+// Sectors are the groups agents pick their universe from - mostly GICS-style,
+// plus a few style buckets (meme, growth, international, etfs).
+
+export const ASSET_TYPES = ['stock', 'etf', 'adr'];
+export const SYMBOL_STATUSES = ['active', 'delisted'];
+
+// What happens to positions in a delisted symbol: sold/covered at the last price
+// through the execution model, or settled at a given price with no trading costs
+export const DELISTING_MODES = ['liquidate', 'cashout'];
+
+// [symbol, name, industry] per sector
+const SEED = {
+  tech: [
+    ['AAPL', 'Apple', 'Consumer Electronics'], ['MSFT', 'Microsoft', 'Software'], ['GOOGL', 'Alphabet', 'Internet Services'],
+    ['AMZN', 'Amazon', 'Internet Retail'], ['META', 'Meta Platforms', 'Internet Services'], ['NVDA', 'NVIDIA', 'Semiconductors'],
+    ['TSLA', 'Tesla', 'Automobiles'], ['AVGO', 'Broadcom', 'Semiconductors'], ['ORCL', 'Oracle', 'Software'],
+    ['CRM', 'Salesforce', 'Software'], ['AMD', 'Advanced Micro Devices', 'Semiconductors'], ['INTC', 'Intel', 'Semiconductors'],
+    ['CSCO', 'Cisco Systems', 'Networking Equipment'], ['ADBE', 'Adobe', 'Software'], ['NOW', 'ServiceNow', 'Software'],
+    ['INTU', 'Intuit', 'Software'], ['IBM', 'IBM', 'IT Services'], ['QCOM', 'Qualcomm', 'Semiconductors'],
+    ['TXN', 'Texas Instruments', 'Semiconductors'], ['AMAT', 'Applied Materials', 'Semiconductor Equipment'], ['MU', 'Micron Technology', 'Semiconductors'],
+    ['LRCX', 'Lam Research', 'Semiconductor Equipment'], ['ADI', 'Analog Devices', 'Semiconductors'], ['KLAC', 'KLA', 'Semiconductor Equipment'],
+    ['SNPS', 'Synopsys', 'Software'], ['CDNS', 'Cadence Design Systems', 'Software'], ['MRVL', 'Marvell Technology', 'Semiconductors'],
+    ['FTNT', 'Fortinet', 'Cybersecurity'], ['PANW', 'Palo Alto Networks', 'Cybersecurity'], ['CRWD', 'CrowdStrike', 'Cybersecurity']
+  ],
+  finance: [
+    ['JPM', 'JPMorgan Chase', 'Banks'], ['V', 'Visa', 'Payments'], ['MA', 'Mastercard', 'Payments'],
+    ['BAC', 'Bank of America', 'Banks'], ['WFC', 'Wells Fargo', 'Banks'], ['GS', 'Goldman Sachs', 'Capital Markets'],
+    ['MS', 'Morgan Stanley', 'Capital Markets'], ['BLK', 'BlackRock', 'Asset Management'], ['SCHW', 'Charles Schwab', 'Capital Markets'],
+    ['AXP', 'American Express', 'Consumer Finance'], ['C', 'Citigroup', 'Banks'], ['USB', 'U.S. Bancorp', 'Banks'],
+    ['PNC', 'PNC Financial', 'Banks'], ['TFC', 'Truist Financial', 'Banks'], ['COF', 'Capital One', 'Consumer Finance'],
+    ['BK', 'BNY Mellon', 'Asset Management'], ['STT', 'State Street', 'Asset Management'], ['FITB', 'Fifth Third Bancorp', 'Banks'],
+    ['RF', 'Regions Financial', 'Banks'], ['CFG', 'Citizens Financial', 'Banks']
+  ],
+  healthcare: [
+    ['UNH', 'UnitedHealth', 'Managed Care'], ['JNJ', 'Johnson & Johnson', 'Pharmaceuticals'], ['LLY', 'Eli Lilly', 'Pharmaceuticals'],
+    ['PFE', 'Pfizer', 'Pharmaceuticals'], ['ABBV', 'AbbVie', 'Pharmaceuticals'], ['MRK', 'Merck', 'Pharmaceuticals'],
+    ['TMO', 'Thermo Fisher Scientific', 'Life Sciences Tools'], ['ABT', 'Abbott Laboratories', 'Medical Devices'], ['DHR', 'Danaher', 'Life Sciences Tools'],
+    ['BMY', 'Bristol-Myers Squibb', 'Pharmaceuticals'], ['AMGN', 'Amgen', 'Biotechnology'], ['MDT', 'Medtronic', 'Medical Devices'],
+    ['ISRG', 'Intuitive Surgical', 'Medical Devices'], ['GILD', 'Gilead Sciences', 'Biotechnology'], ['VRTX', 'Vertex Pharmaceuticals', 'Biotechnology'],
+    ['REGN', 'Regeneron', 'Biotechnology'], ['BSX', 'Boston Scientific', 'Medical Devices'], ['ZTS', 'Zoetis', 'Pharmaceuticals'],
+    ['SYK', 'Stryker', 'Medical Devices'], ['BDX', 'Becton Dickinson', 'Medical Devices']
+  ],
+  consumer: [
+    ['WMT', 'Walmart', 'Retail'], ['PG', 'Procter & Gamble', 'Household Products'], ['KO', 'Coca-Cola', 'Beverages'],
+    ['PEP', 'PepsiCo', 'Beverages'], ['COST', 'Costco', 'Retail'], ['MCD', "McDonald's", 'Restaurants'],
+    ['NKE', 'Nike', 'Apparel'], ['SBUX', 'Starbucks', 'Restaurants'], ['TGT', 'Target', 'Retail'],
+    ['LOW', "Lowe's", 'Home Improvement Retail'], ['HD', 'Home Depot', 'Home Improvement Retail'], ['TJX', 'TJX Companies', 'Apparel Retail'],
+    ['ROST', 'Ross Stores', 'Apparel Retail'], ['DG', 'Dollar General', 'Retail'], ['DLTR', 'Dollar Tree', 'Retail'],
+    ['YUM', 'Yum! Brands', 'Restaurants'], ['DPZ', "Domino's Pizza", 'Restaurants'], ['CMG', 'Chipotle', 'Restaurants'],
+    ['ORLY', "O'Reilly Automotive", 'Auto Parts Retail'], ['AZO', 'AutoZone', 'Auto Parts Retail']
+  ],
+  industrial: [
+    ['CAT', 'Caterpillar', 'Machinery'], ['BA', 'Boeing', 'Aerospace & Defense'], ['GE', 'GE Aerospace', 'Aerospace & Defense'],
+    ['HON', 'Honeywell', 'Conglomerates'], ['UNP', 'Union Pacific', 'Railroads'], ['UPS', 'United Parcel Service', 'Logistics'],
+    ['RTX', 'RTX', 'Aerospace & Defense'], ['LMT', 'Lockheed Martin', 'Aerospace & Defense'], ['NOC', 'Northrop Grumman', 'Aerospace & Defense'],
+    ['GD', 'General Dynamics', 'Aerospace & Defense'], ['DE', 'Deere', 'Machinery'], ['MMM', '3M', 'Conglomerates'],
+    ['EMR', 'Emerson Electric', 'Electrical Equipment'], ['ITW', 'Illinois Tool Works', 'Machinery'], ['PH', 'Parker-Hannifin', 'Machinery'],
+    ['ROK', 'Rockwell Automation', 'Electrical Equipment'], ['ETN', 'Eaton', 'Electrical Equipment'], ['CMI', 'Cummins', 'Machinery'],
+    ['PCAR', 'PACCAR', 'Machinery'], ['WM', 'Waste Management', 'Waste Management']
+  ],
+  energy: [
+    ['XOM', 'Exxon Mobil', 'Integrated Oil & Gas'], ['CVX', 'Chevron', 'Integrated Oil & Gas'], ['COP', 'ConocoPhillips', 'Oil & Gas E&P'],
+    ['SLB', 'SLB', 'Oilfield Services'], ['EOG', 'EOG Resources', 'Oil & Gas E&P'], ['PXD', 'Pioneer Natural Resources', 'Oil & Gas E&P'],
+    ['MPC', 'Marathon Petroleum', 'Refining'], ['VLO', 'Valero Energy', 'Refining'], ['PSX', 'Phillips 66', 'Refining'],
+    ['OXY', 'Occidental Petroleum', 'Oil & Gas E&P'], ['DVN', 'Devon Energy', 'Oil & Gas E&P'], ['HAL', 'Halliburton', 'Oilfield Services'],
+    ['FANG', 'Diamondback Energy', 'Oil & Gas E&P'], ['HES', 'Hess', 'Oil & Gas E&P'], ['BKR', 'Baker Hughes', 'Oilfield Services'],
+    ['CTRA', 'Coterra Energy', 'Oil & Gas E&P'], ['OVV', 'Ovintiv', 'Oil & Gas E&P'], ['APA', 'APA', 'Oil & Gas E&P'],
+    ['MRO', 'Marathon Oil', 'Oil & Gas E&P'], ['AR', 'Antero Resources', 'Oil & Gas E&P']
+  ],
+  communication: [
+    ['DIS', 'Walt Disney', 'Entertainment'], ['CMCSA', 'Comcast', 'Cable & Media'], ['NFLX', 'Netflix', 'Entertainment'],
+    ['T', 'AT&T', 'Telecom'], ['VZ', 'Verizon', 'Telecom'], ['TMUS', 'T-Mobile US', 'Telecom'],
+    ['CHTR', 'Charter Communications', 'Cable & Media'], ['EA', 'Electronic Arts', 'Video Games'], ['TTWO', 'Take-Two Interactive', 'Video Games'],
+    ['WBD', 'Warner Bros. Discovery', 'Entertainment'], ['PARA', 'Paramount Global', 'Entertainment'], ['LYV', 'Live Nation', 'Entertainment'],
+    ['MTCH', 'Match Group', 'Internet Services'], ['RBLX', 'Roblox', 'Video Games'], ['SNAP', 'Snap', 'Internet Services'],
+    ['PINS', 'Pinterest', 'Internet Services']
+  ],
+  realestate: [
+    ['AMT', 'American Tower', 'Specialty REITs'], ['PLD', 'Prologis', 'Industrial REITs'], ['CCI', 'Crown Castle', 'Specialty REITs'],
+    ['EQIX', 'Equinix', 'Data Center REITs'], ['PSA', 'Public Storage', 'Storage REITs'], ['O', 'Realty Income', 'Retail REITs'],
+    ['WELL', 'Welltower', 'Healthcare REITs'], ['DLR', 'Digital Realty', 'Data Center REITs'], ['SPG', 'Simon Property Group', 'Retail REITs'],
+    ['VICI', 'VICI Properties', 'Specialty REITs']
+  ],
+  utilities: [
+    ['NEE', 'NextEra Energy', 'Electric Utilities'], ['DUK', 'Duke Energy', 'Electric Utilities'], ['SO', 'Southern Company', 'Electric Utilities'],
+    ['D', 'Dominion Energy', 'Electric Utilities'], ['AEP', 'American Electric Power', 'Electric Utilities'], ['SRE', 'Sempra', 'Multi-Utilities'],
+    ['EXC', 'Exelon', 'Electric Utilities'], ['XEL', 'Xcel Energy', 'Electric Utilities'], ['ED', 'Consolidated Edison', 'Multi-Utilities'],
+    ['WEC', 'WEC Energy', 'Multi-Utilities']
+  ],
+  materials: [
+    ['LIN', 'Linde', 'Industrial Gases'], ['APD', 'Air Products', 'Industrial Gases'], ['SHW', 'Sherwin-Williams', 'Chemicals'],
+    ['ECL', 'Ecolab', 'Chemicals'], ['NEM', 'Newmont', 'Gold Mining'], ['FCX', 'Freeport-McMoRan', 'Copper Mining'],
+    ['CTVA', 'Corteva', 'Agricultural Chemicals'], ['DD', 'DuPont', 'Chemicals'], ['DOW', 'Dow', 'Chemicals'],
+    ['PPG', 'PPG Industries', 'Chemicals']
+  ],
+  etfs: [
+    ['SPY', 'SPDR S&P 500 ETF', 'Broad Market'], ['QQQ', 'Invesco QQQ', 'Broad Market'], ['IWM', 'iShares Russell 2000 ETF', 'Broad Market'],
+    ['DIA', 'SPDR Dow Jones Industrial Average ETF', 'Broad Market'], ['VTI', 'Vanguard Total Stock Market ETF', 'Broad Market'], ['VOO', 'Vanguard S&P 500 ETF', 'Broad Market'],
+    ['ARKK', 'ARK Innovation ETF', 'Thematic'], ['XLK', 'Technology Select Sector SPDR', 'Sector'], ['XLF', 'Financial Select Sector SPDR', 'Sector'],
+    ['XLE', 'Energy Select Sector SPDR', 'Sector'], ['XLV', 'Health Care Select Sector SPDR', 'Sector'], ['XLI', 'Industrial Select Sector SPDR', 'Sector'],
+    ['SOXX', 'iShares Semiconductor ETF', 'Sector']
+  ],
+  meme: [
+    ['GME', 'GameStop', 'Specialty Retail'], ['AMC', 'AMC Entertainment', 'Entertainment'], ['PLTR', 'Palantir', 'Software'],
+    ['RIVN', 'Rivian', 'Automobiles'], ['LCID', 'Lucid Group', 'Automobiles'], ['SOFI', 'SoFi Technologies', 'Consumer Finance'],
+    ['HOOD', 'Robinhood', 'Capital Markets'], ['COIN', 'Coinbase', 'Capital Markets'], ['MSTR', 'MicroStrategy', 'Software'],
+    ['AFRM', 'Affirm', 'Consumer Finance']
+  ],
+  growth: [
+    ['SHOP', 'Shopify', 'Software'], ['NET', 'Cloudflare', 'Software'], ['DDOG', 'Datadog', 'Software'],
+    ['SNOW', 'Snowflake', 'Software'], ['ZS', 'Zscaler', 'Cybersecurity'], ['MDB', 'MongoDB', 'Software'],
+    ['OKTA', 'Okta', 'Cybersecurity'], ['BILL', 'BILL Holdings', 'Software'], ['HUBS', 'HubSpot', 'Software'],
+    ['VEEV', 'Veeva Systems', 'Software']
+  ],
+  international: [
+    ['TSM', 'Taiwan Semiconductor', 'Semiconductors'], ['BABA', 'Alibaba', 'Internet Retail'], ['NVO', 'Novo Nordisk', 'Pharmaceuticals'],
+    ['ASML', 'ASML Holding', 'Semiconductor Equipment'], ['SAP', 'SAP', 'Software'], ['TM', 'Toyota Motor', 'Automobiles'],
+    ['SNY', 'Sanofi', 'Pharmaceuticals'], ['AZN', 'AstraZeneca', 'Pharmaceuticals'], ['SHEL', 'Shell', 'Integrated Oil & Gas'],
+    ['BP', 'BP', 'Integrated Oil & Gas']
+  ]
+};
+
+// Taken over since the universe was first drawn up
+const SEED_DELISTINGS = {
+  PXD: { delistedAt: '2024-05-03', reason: 'Acquired by Exxon Mobil' },
+  MRO: { delistedAt: '2024-11-22', reason: 'Acquired by ConocoPhillips' },
+  HES: { delistedAt: '2025-07-18', reason: 'Acquired by Chevron' }
+};
+
+export const DEFAULT_SYMBOLS = Object.entries(SEED).flatMap(([sector, rows]) => rows.map(([symbol, name, industry]) => ({
+  symbol,
+  name,
+  sector,
+  industry,
+  assetType: sector === 'etfs' ? 'etf' : sector === 'international' ? 'adr' : 'stock',
+  status: SEED_DELISTINGS[symbol] ? 'delisted' : 'active',
+  delistedAt: SEED_DELISTINGS[symbol]?.delistedAt || null,
+  delistReason: SEED_DELISTINGS[symbol]?.reason || null
+})));
+
+const rowToSymbol = (row) => ({
+  symbol: row.symbol,
+  name: row.name,
+  sector: row.sector,
+  industry: row.industry,
+  assetType: row.asset_type,
+  status: row.status,
+  delistedAt: row.delisted_at,
+  delistReason: row.delist_reason
+});
+
+// Emits 'change' with { action, symbol } after every edit
+export class SymbolRegistry extends EventEmitter {
+  constructor(db = null) {
+    super();
+    this.db = db;
+    this.symbols = new Map(); // Insertion order = universe order
+    this.load();
+  }
+
+  load() {
+    if (this.db && this.db.prepare('SELECT COUNT(*) AS n FROM symbols').get().n === 0) {
+      this.db.transaction(() => { for (const s of DEFAULT_SYMBOLS) this.write(s); })();
+      console.log(`[Symbols] Seeded ${DEFAULT_SYMBOLS.length} symbols`);
+    }
+    const records = this.db
+      ? this.db.prepare('SELECT * FROM symbols ORDER BY rowid').all().map(rowToSymbol)
+      : DEFAULT_SYMBOLS.map(s => ({ ...s }));
+    for (const record of records) this.symbols.set(record.symbol, record);
+  }
+
+  write(record) {
+    if (!this.db) return;
+    this.db.prepare(`
+      INSERT INTO symbols (symbol, name, sector, industry, asset_type, status, delisted_at, delist_reason, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(symbol) DO UPDATE SET
+        name = excluded.name, sector = excluded.sector, industry = excluded.industry, asset_type = excluded.asset_type,
+        status = excluded.status, delisted_at = excluded.delisted_at, delist_reason = excluded.delist_reason,
+        updated_at = excluded.updated_at
+    `).run(record.symbol, record.name, record.sector, record.industry, record.assetType, record.status,
+      record.delistedAt, record.delistReason, new Date().toISOString());
+  }
+
+  get(symbol) {
+    return this.symbols.get(symbol) || null;
+  }
+
+  has(symbol) {
+    return this.symbols.has(symbol);
+  }
+
+  isActive(symbol) {
+    return this.symbols.get(symbol)?.status === 'active';
+  }
+
+  list({ status = null, sector = null, assetType = null } = {}) {
+    return [...this.symbols.values()].filter(s =>
+      (!status || s.status === status) && (!sector || s.sector === sector) && (!assetType || s.assetType === assetType)
+    );
+  }
+
+  // Tickers the scanners and agents trade
+  active() {
+    return this.list({ status: 'active' }).map(s => s.symbol);
+  }
+
+  // Every sector ever used, active or not, so definitions naming one keep loading
+  sectorNames() {
+    return [...new Set([...this.symbols.values()].map(s => s.sector))];
+  }
+
+  // { sector: [active symbols] }
+  sectors() {
+    const sectors = Object.fromEntries(this.sectorNames().map(name => [name, []]));
+    for (const s of this.list({ status: 'active' })) sectors[s.sector].push(s.symbol);
+    return sectors;
+  }
+
+  // Normalize and check an add/update request. Throws with a readable message.
+  validate(fields, { partial = false } = {}) {
+    const allowed = ['name', 'sector', 'industry', 'assetType'];
+    for (const key of Object.keys(fields)) {
+      if (!allowed.includes(key)) throw new Error(`Unknown field: ${key} (expected one of: ${allowed.join(', ')})`);
+    }
+    const clean = {};
+    if (fields.name != null || !partial) clean.name = String(fields.name ?? '').trim() || null;
+    if (fields.sector != null || !partial) {
+      if (typeof fields.sector !== 'string' || !/^[a-z][a-z0-9_-]*$/.test(fields.sector)) {
+        throw new Error('sector must be lowercase letters, digits, - or _');
+      }
+      clean.sector = fields.sector;
+    }
+    if (fields.industry != null || !partial) clean.industry = String(fields.industry ?? '').trim() || null;
+    if (fields.assetType != null || !partial) {
+      const assetType = fields.assetType ?? 'stock';
+      if (!ASSET_TYPES.includes(assetType)) throw new Error(`assetType must be one of: ${ASSET_TYPES.join(', ')}`);
+      clean.assetType = assetType;
+    }
+    return clean;
+  }
+
+  add({ symbol, ...fields }) {
+    symbol = String(symbol || '').trim().toUpperCase();
+    if (!/^[A-Z][A-Z0-9.-]{0,9}$/.test(symbol)) throw new Error('symbol must be a ticker like AAPL or BRK.B');
+    if (this.symbols.has(symbol)) throw new Error(`${symbol} is already in the universe`);
+
+    const record = { symbol, ...this.validate(fields), status: 'active', delistedAt: null, delistReason: null };
+    this.write(record);
+    this.symbols.set(symbol, record);
+    this.emit('change', { action: 'add', symbol });
+    return record;
+  }
+
+  // Reclassify (sector, industry, asset type, name)
+  update(symbol, fields) {
+    const record = this.require(symbol);
+    Object.assign(record, this.validate(fields, { partial: true }));
+    this.write(record);
+    this.emit('change', { action: 'update', symbol });
+    return record;
+  }
+
+  delist(symbol, { reason = null, at = new Date().toISOString() } = {}) {
+    const record = this.require(symbol);
+    if (record.status === 'delisted') throw new Error(`${symbol} is already delisted`);
+    Object.assign(record, { status: 'delisted', delistedAt: at, delistReason: reason });
+    this.write(record);
+    this.emit('change', { action: 'delist', symbol });
+    return record;
+  }
+
+  relist(symbol) {
+    const record = this.require(symbol);
+    Object.assign(record, { status: 'active', delistedAt: null, delistReason: null });
+    this.write(record);
+    this.emit('change', { action: 'relist', symbol });
+    return record;
+  }
+
+  // Drop a symbol entirely. Callers check nobody holds it first.
+  remove(symbol) {
+    this.require(symbol);
+    this.db?.prepare('DELETE FROM symbols WHERE symbol = ?').run(symbol);
+    this.symbols.delete(symbol);
+    this.emit('change', { action: 'remove', symbol });
+  }
+
+  require(symbol) {
+    const record = this.symbols.get(symbol);
+    if (!record) throw new Error(`Unknown symbol: ${symbol}`);
+    return record;
+  }
+}
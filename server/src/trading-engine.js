@@ -1,55 +1,213 @@
-import fs from 'fs';
-import path from 'path';
-import { fileURLToPath } from 'url';
+import { OrderBook } from './order-book.js';
+import { createExecutionModel, InstantExecution } from './execution-model.js';
+import { getDatabase, insertRows } from './database.js';
+import { systemClock } from './clock.js';
+import { idGenerator } from './random.js';
+import { computeMetrics } from './metrics.js';
+
+// Reg T style margin for short selling
+export const DEFAULT_MARGIN = {
+  initialMargin: 0.5,      // Equity must cover 50% of short value when opening a short
+  maintenanceMargin: 0.3,  // Below 30% the engine force-covers
+  borrowRate: 0.03         // Annual stock borrow fee on short market value
+};
+
+// Ledger accounts. Debits are positive, credits negative; every journal sums to zero.
+export const ACCOUNTS = {
+  CASH: 'assets:cash',
+  LONG: 'assets:positions',
+  SHORT: 'liabilities:short',
+  CAPITAL: 'equity:capital',
+  PNL: 'equity:realized_pnl',
+  FEES: 'expenses:fees',
+  BORROW: 'expenses:borrow',
+  DIVIDENDS: 'income:dividends'
+};
+
+// Trade rows the agent didn't decide on - kept in history, left out of trade counts and turnover
+export const CORPORATE_ACTION_TYPES = ['SPLIT', 'DIVIDEND'];
+const NOT_CORPORATE_ACTION = `type NOT IN (${CORPORATE_ACTION_TYPES.map(t => `'${t}'`).join(', ')})`;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HISTORY_IN_MEMORY = 100;
+const BOOK_TABLES = ['portfolios', 'positions', 'snapshots', 'ledger_entries'];
+const SHARE_EPSILON = 1e-6; // What's left of a position below this is rounding, not shares
+
+// Settlements (delisting cash-outs) happen at an agreed price - no spread, slippage or fees
+const SETTLEMENT = new InstantExecution();
 
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const DATA_DIR = path.join(__dirname, '..', 'data');
+export class TradingEngine {
+  constructor(options = {}) {
+    this.db = options.db || getDatabase();
+    this.clock = options.clock || systemClock;
+    this.events = options.events || null; // EventBus for live viewers, if anyone is listening
+    this.margin = { ...DEFAULT_MARGIN, ...options.margin };
+    this.execution = createExecutionModel(options.execution);
+    this.portfolios = this.loadPortfolios();
+    this.nextId = idGenerator(this.clock); // Deterministic, so replays match trade for trade
+    this.orderBook = new OrderBook(this.db, this.clock, this.nextId);
+    this.halted = false; // Admin pause: resting orders stop filling for everyone...
+    this.haltedAgents = new Set(); // ...or for these agents
+    this.risk = null; // RiskManager reviewing every buy and short, if one is set
+    this.session = options.session || null; // Anything with isMarketOpen(); resting orders only fill while it's open
+  }
 
-// Ensure data directory exists
-if (!fs.existsSync(DATA_DIR)) fs.mkdirSync(DATA_DIR, { recursive: true });
+  // ============ PERSISTENCE ============
 
-const TRADES_FILE = path.join(DATA_DIR, 'trades.json');
-const PORTFOLIOS_FILE = path.join(DATA_DIR, 'portfolios.json');
+  loadPortfolios() {
+    const portfolios = {};
+    for (const { agent_id } of this.db.prepare('SELECT agent_id FROM portfolios').all()) {
+      portfolios[agent_id] = this.readPortfolio(agent_id);
+    }
+    return portfolios;
+  }
 
-export class TradingEngine {
-  constructor() {
-    this.trades = this.loadTrades();
-    this.portfolios = this.loadPortfolios();
+  readPortfolio(agentId) {
+    const row = this.db.prepare('SELECT * FROM portfolios WHERE agent_id = ?').get(agentId);
+    if (!row) return undefined;
+
+    const portfolio = {
+      cash: row.cash,
+      positions: {}, // { symbol: { shares: number, avgCost: number } }
+      shorts: {}, // { symbol: { shares: number, avgPrice: number, lastPrice: number, openedAt: string } }
+      borrowFeesPaid: row.borrow_fees_paid,
+      startingValue: row.starting_value,
+      history: this.db.prepare(`
+        SELECT timestamp, value FROM (
+          SELECT timestamp, value FROM snapshots WHERE agent_id = ? ORDER BY timestamp DESC LIMIT ?
+        ) ORDER BY timestamp ASC
+      `).all(agentId, HISTORY_IN_MEMORY),
+      ...(row.last_borrow_accrual && { lastBorrowAccrual: row.last_borrow_accrual })
+    };
+
+    for (const pos of this.db.prepare('SELECT * FROM positions WHERE agent_id = ?').all(agentId)) {
+      if (pos.side === 'long') {
+        portfolio.positions[pos.symbol] = { shares: pos.shares, avgCost: pos.avg_price };
+      } else {
+        portfolio.shorts[pos.symbol] = {
+          shares: pos.shares,
+          avgPrice: pos.avg_price,
+          lastPrice: pos.last_price,
+          openedAt: pos.opened_at,
+          ...(pos.borrow_fees != null && { borrowFees: pos.borrow_fees })
+        };
+      }
+    }
+
+    return portfolio;
   }
 
-  loadTrades() {
-    try {
-      return JSON.parse(fs.readFileSync(TRADES_FILE, 'utf8'));
-    } catch {
-      return [];
+  // Write the agent's cash and open positions. Call inside a transaction.
+  writePortfolio(agentId) {
+    const portfolio = this.portfolios[agentId];
+
+    this.db.prepare(`
+      INSERT INTO portfolios (agent_id, cash, starting_value, borrow_fees_paid, last_borrow_accrual, created_at)
+      VALUES (?, ?, ?, ?, ?, ?)
+      ON CONFLICT(agent_id) DO UPDATE SET
+        cash = excluded.cash,
+        starting_value = excluded.starting_value,
+        borrow_fees_paid = excluded.borrow_fees_paid,
+        last_borrow_accrual = excluded.last_borrow_accrual
+    `).run(agentId, portfolio.cash, portfolio.startingValue, portfolio.borrowFeesPaid,
+      portfolio.lastBorrowAccrual || null, this.clock.iso());
+
+    this.db.prepare('DELETE FROM positions WHERE agent_id = ?').run(agentId);
+    const insert = this.db.prepare(`
+      INSERT INTO positions (agent_id, symbol, side, shares, avg_price, last_price, borrow_fees, opened_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    for (const [symbol, pos] of Object.entries(portfolio.positions)) {
+      insert.run(agentId, symbol, 'long', pos.shares, pos.avgCost, null, null, null);
+    }
+    for (const [symbol, short] of Object.entries(portfolio.shorts)) {
+      insert.run(agentId, symbol, 'short', short.shares, short.avgPrice, short.lastPrice ?? null, short.borrowFees ?? null, short.openedAt ?? null);
     }
   }
 
-  saveTrades() {
-    fs.writeFileSync(TRADES_FILE, JSON.stringify(this.trades, null, 2));
+  savePortfolio(agentId) {
+    this.db.transaction(() => this.writePortfolio(agentId))();
   }
 
-  loadPortfolios() {
-    try {
-      return JSON.parse(fs.readFileSync(PORTFOLIOS_FILE, 'utf8'));
-    } catch {
-      return {};
+  insertTrade(trade) {
+    const { id, agentId, type, symbol, shares, price, total, pnl, orderId, timestamp, ...details } = trade;
+    this.db.prepare(`
+      INSERT INTO trades (id, agent_id, type, symbol, shares, price, total, pnl, order_id, details, timestamp)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(id, agentId, type, symbol, shares, price, total, pnl ?? null, orderId ?? null,
+      Object.keys(details).length ? JSON.stringify(details) : null, timestamp);
+  }
+
+  rowToTrade(row) {
+    return {
+      id: row.id,
+      agentId: row.agent_id,
+      type: row.type,
+      symbol: row.symbol,
+      shares: row.shares,
+      price: row.price,
+      total: row.total,
+      ...(row.pnl != null && { pnl: row.pnl }),
+      ...(row.details && JSON.parse(row.details)),
+      ...(row.order_id && { orderId: row.order_id }),
+      timestamp: row.timestamp
+    };
+  }
+
+  // Post a balanced set of ledger entries. Call inside a transaction.
+  postJournal(journalId, agentId, entries, timestamp = this.clock.iso()) {
+    const bad = entries.find(e => !Number.isFinite(e.amount));
+    if (bad) throw new Error(`Journal ${journalId}: ${bad.account} amount is ${bad.amount}`);
+    const balance = entries.reduce((sum, e) => sum + e.amount, 0);
+    if (Math.abs(balance) > 1e-6) {
+      throw new Error(`Unbalanced journal ${journalId}: off by ${balance}`);
+    }
+
+    const insert = this.db.prepare(`
+      INSERT INTO ledger_entries (journal_id, agent_id, account, symbol, amount, memo, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `);
+    for (const entry of entries) {
+      insert.run(journalId, agentId, entry.account, entry.symbol ?? null, entry.amount, entry.memo ?? null, timestamp);
     }
   }
 
-  savePortfolios() {
-    fs.writeFileSync(PORTFOLIOS_FILE, JSON.stringify(this.portfolios, null, 2));
+  // Trade row, journal and portfolio commit together or not at all. The in-memory
+  // portfolio was already mutated, so on failure it's reloaded from the last good state.
+  commitTrade(agentId, trade, entries) {
+    try {
+      this.db.transaction(() => {
+        this.insertTrade(trade);
+        this.postJournal(trade.id, agentId, entries, trade.timestamp);
+        this.writePortfolio(agentId);
+      })();
+    } catch (error) {
+      this.portfolios[agentId] = this.readPortfolio(agentId);
+      throw error;
+    }
+    this.events?.publish('trade', trade);
   }
 
   initializePortfolio(agentId, startingCash = 25) {
     if (!this.portfolios[agentId]) {
+      const timestamp = this.clock.iso();
       this.portfolios[agentId] = {
         cash: startingCash,
-        positions: {}, // { symbol: { shares: number, avgCost: number } }
+        positions: {},
+        shorts: {},
+        borrowFeesPaid: 0,
         startingValue: startingCash,
-        history: [{ timestamp: new Date().toISOString(), value: startingCash }]
+        history: [{ timestamp, value: startingCash }]
       };
-      this.savePortfolios();
+
+      this.db.transaction(() => {
+        this.writePortfolio(agentId);
+        this.postJournal(`capital_${agentId}_${this.nextId()}`, agentId, [
+          { account: ACCOUNTS.CASH, amount: startingCash, memo: 'Starting capital' },
+          { account: ACCOUNTS.CAPITAL, amount: -startingCash, memo: 'Starting capital' }
+        ], timestamp);
+        this.db.prepare('INSERT INTO snapshots (agent_id, timestamp, value) VALUES (?, ?, ?)').run(agentId, timestamp, startingCash);
+      })();
     }
     return this.portfolios[agentId];
   }
@@ -58,99 +216,598 @@ export class TradingEngine {
     return this.portfolios[agentId] || null;
   }
 
-  async executeBuy(agentId, symbol, shares, currentPrice) {
+  // Swap the execution model (spread, slippage, fees) - set per competition
+  setExecutionModel(config = {}) {
+    this.execution = createExecutionModel(config);
+  }
+
+  getExecutionConfig() {
+    return this.execution.config;
+  }
+
+  // Put a RiskManager (risk-manager.js) in front of every order that adds exposure
+  setRiskManager(risk) {
+    this.risk = risk;
+  }
+
+  // { shares } to go ahead with, or { error } when the risk manager refuses
+  reviewRisk(agentId, action, symbol, shares, price) {
+    if (!this.risk) return { shares, review: null };
+    const review = this.risk.review(agentId, action, symbol, shares, price);
+    return review.approved ? { shares: review.shares, review } : { error: `Risk: ${review.reason}`, review };
+  }
+
+  // What the risk manager changed, kept on the trade record
+  riskDetails(review) {
+    return review?.resized ? { requestedShares: review.requestedShares, risk: review.reason } : {};
+  }
+
+  // What a fill cost on top of the quoted price, kept on every trade record
+  fillDetails(fill) {
+    return {
+      quotedPrice: fill.quotedPrice,
+      spreadCost: fill.spreadCost,
+      slippage: fill.slippage,
+      fees: fill.fees,
+      feeBreakdown: fill.feeBreakdown
+    };
+  }
+
+  // Shares to take out of a holding, rounded to 4 places like every other order -
+  // unless they're the whole holding, which a split can leave off that grid
+  sharesOutOf(held, shares) {
+    return Math.abs(held - shares) < SHARE_EPSILON ? held : Math.round(shares * 10000) / 10000;
+  }
+
+  async executeBuy(agentId, symbol, shares, currentPrice, details = {}) {
     const portfolio = this.portfolios[agentId];
     if (!portfolio) throw new Error('Portfolio not found');
 
     // Allow fractional shares (round to 4 decimal places)
     shares = Math.round(shares * 10000) / 10000;
     if (shares <= 0) return { success: false, error: 'Invalid share amount' };
+    if (portfolio.shorts[symbol]) {
+      return { success: false, error: 'Symbol is held short - cover first' };
+    }
+
+    const risk = this.reviewRisk(agentId, 'BUY', symbol, shares, currentPrice);
+    if (risk.error) return { success: false, error: risk.error, risk: risk.review };
+    shares = risk.shares;
 
-    const cost = shares * currentPrice;
-    const commission = 0; // Free trades like Robinhood
+    const fill = this.execution.fill('buy', shares, currentPrice, details.quote, details);
+    const cost = shares * fill.price;
 
-    if (portfolio.cash < cost + commission) {
+    if (this.getBuyingPower(agentId) < cost + fill.fees) {
       return { success: false, error: 'Insufficient funds' };
     }
 
     // Update cash
-    portfolio.cash -= (cost + commission);
+    portfolio.cash -= (cost + fill.fees);
 
     // Update position
     if (!portfolio.positions[symbol]) {
       portfolio.positions[symbol] = { shares: 0, avgCost: 0 };
     }
 
+    // Fees are part of the cost basis
     const position = portfolio.positions[symbol];
     const totalShares = position.shares + shares;
-    const totalCost = (position.shares * position.avgCost) + cost;
+    const totalCost = (position.shares * position.avgCost) + cost + fill.fees;
     position.avgCost = totalCost / totalShares;
     position.shares = totalShares;
 
     // Record trade
     const trade = {
-      id: Date.now().toString(36) + Math.random().toString(36).slice(2, 7),
+      id: this.nextId(),
       agentId,
       type: 'BUY',
       symbol,
       shares,
-      price: currentPrice,
+      price: fill.price,
       total: cost,
-      timestamp: new Date().toISOString()
+      ...this.fillDetails(fill),
+      ...this.riskDetails(risk.review),
+      ...(details.orderId && { orderId: details.orderId }),
+      timestamp: this.clock.iso()
     };
-    this.trades.push(trade);
 
-    this.savePortfolios();
-    this.saveTrades();
+    this.commitTrade(agentId, trade, [
+      { account: ACCOUNTS.LONG, symbol, amount: cost + fill.fees },
+      { account: ACCOUNTS.CASH, symbol, amount: -(cost + fill.fees) }
+    ]);
 
     return { success: true, trade };
   }
 
-  async executeSell(agentId, symbol, shares, currentPrice) {
+  async executeSell(agentId, symbol, shares, currentPrice, details = {}) {
     const portfolio = this.portfolios[agentId];
     if (!portfolio) throw new Error('Portfolio not found');
 
     const position = portfolio.positions[symbol];
-    if (!position || position.shares < shares) {
+    if (!position) return { success: false, error: 'Insufficient shares' };
+    shares = this.sharesOutOf(position.shares, shares);
+    if (!(shares > 0)) return { success: false, error: 'Invalid share amount' };
+    if (position.shares < shares) {
       return { success: false, error: 'Insufficient shares' };
     }
 
-    const proceeds = shares * currentPrice;
-    const commission = 0;
+    const model = details.settlement ? SETTLEMENT : this.execution;
+    const fill = model.fill('sell', shares, currentPrice, details.quote, details);
+    const proceeds = shares * fill.price;
 
     // Update cash
-    portfolio.cash += (proceeds - commission);
+    portfolio.cash += (proceeds - fill.fees);
 
     // Update position
     position.shares -= shares;
-    if (position.shares === 0) {
+    if (position.shares < SHARE_EPSILON) {
       delete portfolio.positions[symbol];
     }
 
     // Calculate P&L
     const costBasis = shares * position.avgCost;
-    const pnl = proceeds - costBasis;
+    const pnl = proceeds - fill.fees - costBasis;
 
     // Record trade
     const trade = {
-      id: Date.now().toString(36) + Math.random().toString(36).slice(2, 7),
+      id: this.nextId(),
       agentId,
       type: 'SELL',
       symbol,
       shares,
-      price: currentPrice,
+      price: fill.price,
       total: proceeds,
       pnl,
-      timestamp: new Date().toISOString()
+      ...this.fillDetails(fill),
+      ...(details.orderId && { orderId: details.orderId }),
+      ...(details.forced && { forced: true, reason: details.reason }),
+      timestamp: this.clock.iso()
     };
-    this.trades.push(trade);
 
-    this.savePortfolios();
-    this.saveTrades();
+    this.commitTrade(agentId, trade, [
+      { account: ACCOUNTS.CASH, symbol, amount: proceeds - fill.fees },
+      { account: ACCOUNTS.FEES, symbol, amount: fill.fees },
+      { account: ACCOUNTS.LONG, symbol, amount: -costBasis },
+      { account: ACCOUNTS.PNL, symbol, amount: -(proceeds - costBasis) }
+    ]);
 
     return { success: true, trade, pnl };
   }
 
+  // ============ SHORT SELLING & MARGIN ============
+
+  // Sell borrowed shares. Proceeds land in cash but stay locked as collateral.
+  async executeShort(agentId, symbol, shares, currentPrice, details = {}) {
+    const portfolio = this.portfolios[agentId];
+    if (!portfolio) throw new Error('Portfolio not found');
+
+    shares = Math.round(shares * 10000) / 10000;
+    if (shares <= 0) return { success: false, error: 'Invalid share amount' };
+    if (portfolio.positions[symbol]) {
+      return { success: false, error: 'Cannot short a symbol held long' };
+    }
+
+    const risk = this.reviewRisk(agentId, 'SHORT', symbol, shares, currentPrice);
+    if (risk.error) return { success: false, error: risk.error, risk: risk.review };
+    shares = risk.shares;
+
+    const fill = this.execution.fill('sell', shares, currentPrice, details.quote, details);
+    const proceeds = shares * fill.price;
+
+    // Opening the short doesn't change equity, only the exposure it has to cover
+    const status = this.getMarginStatus(agentId, { [symbol]: { price: currentPrice } });
+    if (status.equity - fill.fees < (status.shortValue + proceeds) * this.margin.initialMargin) {
+      return { success: false, error: 'Insufficient margin' };
+    }
+
+    portfolio.cash += proceeds - fill.fees;
+
+    if (!portfolio.shorts[symbol]) {
+      portfolio.shorts[symbol] = { shares: 0, avgPrice: 0, lastPrice: currentPrice, openedAt: this.clock.iso() };
+    }
+
+    // Fees reduce the effective sale price
+    const short = portfolio.shorts[symbol];
+    const totalShares = short.shares + shares;
+    short.avgPrice = ((short.shares * short.avgPrice) + proceeds - fill.fees) / totalShares;
+    short.shares = totalShares;
+    short.lastPrice = currentPrice;
+
+    const trade = {
+      id: this.nextId(),
+      agentId,
+      type: 'SHORT',
+      symbol,
+      shares,
+      price: fill.price,
+      total: proceeds,
+      ...this.fillDetails(fill),
+      ...this.riskDetails(risk.review),
+      ...(details.orderId && { orderId: details.orderId }),
+      timestamp: this.clock.iso()
+    };
+
+    this.commitTrade(agentId, trade, [
+      { account: ACCOUNTS.CASH, symbol, amount: proceeds - fill.fees },
+      { account: ACCOUNTS.SHORT, symbol, amount: -(proceeds - fill.fees) }
+    ]);
+
+    return { success: true, trade };
+  }
+
+  // Buy back borrowed shares
+  async executeCover(agentId, symbol, shares, currentPrice, details = {}) {
+    const portfolio = this.portfolios[agentId];
+    if (!portfolio) throw new Error('Portfolio not found');
+
+    const short = portfolio.shorts[symbol];
+    if (!short) return { success: false, error: 'Insufficient short shares' };
+    shares = this.sharesOutOf(short.shares, shares);
+    if (!(shares > 0)) return { success: false, error: 'Invalid share amount' };
+    if (short.shares < shares) {
+      return { success: false, error: 'Insufficient short shares' };
+    }
+
+    const model = details.settlement ? SETTLEMENT : this.execution;
+    const fill = model.fill('buy', shares, currentPrice, details.quote, details);
+    const cost = shares * fill.price;
+
+    // Forced covers go through even if they drive cash negative
+    if (!details.forced && portfolio.cash < cost + fill.fees) {
+      return { success: false, error: 'Insufficient funds' };
+    }
+
+    portfolio.cash -= cost + fill.fees;
+
+    short.shares -= shares;
+    short.lastPrice = currentPrice;
+    if (short.shares < SHARE_EPSILON) {
+      delete portfolio.shorts[symbol];
+    }
+
+    const basis = shares * short.avgPrice;
+    const pnl = basis - cost - fill.fees;
+
+    const trade = {
+      id: this.nextId(),
+      agentId,
+      type: 'COVER',
+      symbol,
+      shares,
+      price: fill.price,
+      total: cost,
+      pnl,
+      ...this.fillDetails(fill),
+      ...(details.orderId && { orderId: details.orderId }),
+      ...(details.forced && { forced: true, reason: details.reason }),
+      timestamp: this.clock.iso()
+    };
+
+    this.commitTrade(agentId, trade, [
+      { account: ACCOUNTS.CASH, symbol, amount: -(cost + fill.fees) },
+      { account: ACCOUNTS.FEES, symbol, amount: fill.fees },
+      { account: ACCOUNTS.SHORT, symbol, amount: basis },
+      { account: ACCOUNTS.PNL, symbol, amount: -(basis - cost) }
+    ]);
+
+    return { success: true, trade, pnl };
+  }
+
+  // Equity and margin requirements. `quotes` is a { symbol: { price } } map;
+  // anything missing falls back to avg cost (longs) or last mark (shorts).
+  getMarginStatus(agentId, quotes = {}) {
+    const portfolio = this.portfolios[agentId];
+    if (!portfolio) return null;
+
+    let longValue = 0;
+    for (const [symbol, position] of Object.entries(portfolio.positions)) {
+      longValue += position.shares * (quotes[symbol]?.price ?? position.avgCost);
+    }
+
+    let shortValue = 0;
+    for (const [symbol, short] of Object.entries(portfolio.shorts)) {
+      shortValue += short.shares * (quotes[symbol]?.price ?? short.lastPrice ?? short.avgPrice);
+    }
+
+    const equity = portfolio.cash + longValue - shortValue;
+    const maintenanceRequirement = shortValue * this.margin.maintenanceMargin;
+
+    return {
+      equity,
+      longValue,
+      shortValue,
+      initialRequirement: shortValue * this.margin.initialMargin,
+      maintenanceRequirement,
+      excess: equity - maintenanceRequirement,
+      marginCall: shortValue > 0 && equity < maintenanceRequirement
+    };
+  }
+
+  // Cash that can go into new long positions - short proceeds plus the
+  // initial margin on open shorts stay locked up as collateral
+  getBuyingPower(agentId) {
+    const portfolio = this.portfolios[agentId];
+    if (!portfolio) return 0;
+
+    let shortValue = 0;
+    for (const short of Object.values(portfolio.shorts)) {
+      shortValue += short.shares * (short.lastPrice ?? short.avgPrice);
+    }
+    return Math.max(0, portfolio.cash - shortValue * (1 + this.margin.initialMargin));
+  }
+
+  // Charge borrow fees for the time since the last accrual
+  accrueBorrowFees(agentId) {
+    const portfolio = this.portfolios[agentId];
+    if (!portfolio) return 0;
+
+    const now = this.clock.now();
+    const last = portfolio.lastBorrowAccrual ? new Date(portfolio.lastBorrowAccrual).getTime() : now;
+    portfolio.lastBorrowAccrual = new Date(now).toISOString();
+
+    const shorts = Object.entries(portfolio.shorts);
+    if (shorts.length === 0 || now <= last) return 0;
+
+    const years = (now - last) / DAY_MS / 365;
+    const entries = [];
+    let fees = 0;
+    for (const [symbol, short] of shorts) {
+      const fee = short.shares * (short.lastPrice ?? short.avgPrice) * this.margin.borrowRate * years;
+      short.borrowFees = (short.borrowFees || 0) + fee;
+      fees += fee;
+      entries.push(
+        { account: ACCOUNTS.BORROW, symbol, amount: fee, memo: 'Stock borrow fee' },
+        { account: ACCOUNTS.CASH, symbol, amount: -fee, memo: 'Stock borrow fee' }
+      );
+    }
+
+    portfolio.cash -= fees;
+    portfolio.borrowFeesPaid += fees;
+
+    this.db.transaction(() => {
+      this.postJournal(`borrow_${agentId}_${now.toString(36)}`, agentId, entries, portfolio.lastBorrowAccrual);
+      this.writePortfolio(agentId);
+    })();
+    return fees;
+  }
+
+  // Mark shorts to market, charge borrow fees and force buy-to-cover
+  // (largest exposure first) until the account is back above maintenance
+  async checkMargin(agentId, quotes = {}) {
+    const portfolio = this.portfolios[agentId];
+    if (!portfolio || Object.keys(portfolio.shorts).length === 0) return [];
+
+    for (const [symbol, short] of Object.entries(portfolio.shorts)) {
+      if (quotes[symbol]?.price) short.lastPrice = quotes[symbol].price;
+    }
+    this.accrueBorrowFees(agentId);
+
+    const liquidations = [];
+    let status = this.getMarginStatus(agentId, quotes);
+
+    while (status.marginCall) {
+      const [symbol, short] = Object.entries(portfolio.shorts)
+        .sort(([, a], [, b]) => (b.shares * b.lastPrice) - (a.shares * a.lastPrice))[0];
+
+      const result = await this.executeCover(agentId, symbol, short.shares, short.lastPrice, {
+        forced: true,
+        reason: 'Margin call liquidation',
+        quote: quotes[symbol]
+      });
+      if (!result.success) break;
+
+      liquidations.push(result.trade);
+      console.log(`[Margin] ⚠️ ${agentId} force-covered ${result.trade.shares} ${symbol} @ $${result.trade.price.toFixed(2)}`);
+      status = this.getMarginStatus(agentId, quotes);
+    }
+
+    this.savePortfolio(agentId);
+    return liquidations;
+  }
+
+  // Admin cash adjustment. As capital (the default) it's money paid in or out, and
+  // the starting value moves with it so a top-up doesn't count as a return;
+  // otherwise it's booked straight to realized P&L.
+  adjustCash(agentId, amount, { reason = 'Cash adjustment', capital = true } = {}) {
+    const portfolio = this.portfolios[agentId];
+    if (!portfolio) throw new Error('Portfolio not found');
+    if (typeof amount !== 'number' || !Number.isFinite(amount) || amount === 0) throw new Error('amount must be a non-zero number');
+    if (portfolio.cash + amount < 0) throw new Error(`Cash would go negative ($${portfolio.cash.toFixed(2)} available)`);
+
+    portfolio.cash += amount;
+    if (capital) portfolio.startingValue += amount;
+
+    const timestamp = this.clock.iso();
+    this.db.transaction(() => {
+      this.postJournal(`adjust_${agentId}_${this.nextId()}`, agentId, [
+        { account: ACCOUNTS.CASH, amount, memo: reason },
+        { account: capital ? ACCOUNTS.CAPITAL : ACCOUNTS.PNL, amount: -amount, memo: reason }
+      ], timestamp);
+      this.writePortfolio(agentId);
+    })();
+    return portfolio;
+  }
+
+  // ============ CORPORATE ACTIONS ============
+
+  // Shares of `symbol` the agent held on `side` before `since` (ISO) - the
+  // current position with every trade since then unwound
+  sharesHeldSince(agentId, symbol, side, since) {
+    const portfolio = this.portfolios[agentId];
+    const held = (side === 'long' ? portfolio?.positions[symbol] : portfolio?.shorts[symbol])?.shares || 0;
+    const [opened, closed] = side === 'long' ? ['BUY', 'SELL'] : ['SHORT', 'COVER'];
+    const rows = this.db.prepare(`
+      SELECT type, SUM(shares) AS shares FROM trades
+      WHERE agent_id = ? AND symbol = ? AND timestamp >= ? AND type IN (?, ?) GROUP BY type
+    `).all(agentId, symbol, since, opened, closed);
+    const traded = Object.fromEntries(rows.map(r => [r.type, r.shares]));
+    return Math.max(0, Math.min(held, held - (traded[opened] || 0) + (traded[closed] || 0)));
+  }
+
+  // A split changes the share count, not the position's value: shares x ratio,
+  // cost basis spread over them. `shares` is how many were held on the ex-date
+  // (anything bought since was already bought at post-split prices).
+  applySplit(agentId, symbol, ratio, { shares = null, exDate = null } = {}) {
+    const portfolio = this.portfolios[agentId];
+    if (!portfolio) throw new Error('Portfolio not found');
+    if (!(ratio > 0)) throw new Error('Split ratio must be positive');
+
+    const trades = [];
+    for (const side of ['long', 'short']) {
+      const book = side === 'long' ? portfolio.positions : portfolio.shorts;
+      const position = book[symbol];
+      if (!position) continue;
+
+      const eligible = Math.min(shares ?? position.shares, position.shares);
+      if (!(eligible > 0)) continue;
+
+      const before = position.shares;
+      const added = Math.round(eligible * (ratio - 1) * 10000) / 10000;
+      position.shares = Math.round((before + added) * 10000) / 10000;
+      const basis = side === 'long' ? 'avgCost' : 'avgPrice';
+      position[basis] = (before * position[basis]) / position.shares;
+      if (position.lastPrice != null) position.lastPrice /= ratio;
+
+      const memo = `${ratio >= 1 ? `${ratio}:1` : `1:${Math.round(1 / ratio)}`} split: ${before} -> ${position.shares} shares`;
+      const trade = {
+        id: this.nextId(),
+        agentId,
+        type: 'SPLIT',
+        symbol,
+        shares: added,
+        price: position[basis],
+        total: 0,
+        side,
+        ratio,
+        sharesBefore: before,
+        sharesAfter: position.shares,
+        ...(exDate && { exDate }),
+        timestamp: this.clock.iso()
+      };
+
+      // No money moves - the journal just records the event against the position
+      const account = side === 'long' ? ACCOUNTS.LONG : ACCOUNTS.SHORT;
+      this.commitTrade(agentId, trade, [
+        { account, symbol, amount: 0, memo },
+        { account, symbol, amount: 0, memo }
+      ]);
+      trades.push(trade);
+    }
+    return trades;
+  }
+
+  // Cash dividend of `amount` per share: longs are paid, shorts owe it to the lender
+  creditDividend(agentId, symbol, amount, { shares = null, exDate = null } = {}) {
+    const portfolio = this.portfolios[agentId];
+    if (!portfolio) throw new Error('Portfolio not found');
+    if (!(amount > 0)) throw new Error('Dividend amount must be positive');
+
+    const trades = [];
+    for (const side of ['long', 'short']) {
+      const position = side === 'long' ? portfolio.positions[symbol] : portfolio.shorts[symbol];
+      if (!position) continue;
+
+      const eligible = Math.min(shares ?? position.shares, position.shares);
+      if (!(eligible > 0)) continue;
+
+      const cash = eligible * amount * (side === 'long' ? 1 : -1);
+      portfolio.cash += cash;
+
+      const memo = side === 'long' ? 'Dividend received' : 'Dividend paid on short';
+      const trade = {
+        id: this.nextId(),
+        agentId,
+        type: 'DIVIDEND',
+        symbol,
+        shares: eligible,
+        price: amount,
+        total: cash,
+        side,
+        ...(exDate && { exDate }),
+        timestamp: this.clock.iso()
+      };
+
+      this.commitTrade(agentId, trade, [
+        { account: ACCOUNTS.CASH, symbol, amount: cash, memo },
+        { account: ACCOUNTS.DIVIDENDS, symbol, amount: -cash, memo }
+      ]);
+      trades.push(trade);
+    }
+    return trades;
+  }
+
+  // ============ RESTING ORDERS ============
+
+  placeOrder(agentId, request) {
+    if (!this.portfolios[agentId]) throw new Error('Portfolio not found');
+    return this.orderBook.add(agentId, request);
+  }
+
+  cancelOrder(agentId, orderId) {
+    const order = this.orderBook.get(orderId);
+    if (!order || order.agentId !== agentId) return null;
+    return this.orderBook.cancel(orderId);
+  }
+
+  getOrders(agentId, status = null) {
+    return this.orderBook.getAgentOrders(agentId, status);
+  }
+
+  // Every book with a position in `symbol`: [{ agentId, side, shares, avgPrice }]
+  getHolders(symbol) {
+    const holders = [];
+    for (const [agentId, portfolio] of Object.entries(this.portfolios)) {
+      const long = portfolio.positions[symbol];
+      const short = portfolio.shorts[symbol];
+      if (long) holders.push({ agentId, side: 'long', shares: long.shares, avgPrice: long.avgCost });
+      if (short) holders.push({ agentId, side: 'short', shares: short.shares, avgPrice: short.avgPrice });
+    }
+    return holders;
+  }
+
+  expireDayOrders() {
+    return this.orderBook.expireDayOrders();
+  }
+
+  // The one session rule for every fill an agent or player asks for - resting
+  // orders and player market orders alike. Forced settlements don't check it.
+  isMarketOpen() {
+    return !this.session || this.session.isMarketOpen();
+  }
+
+  // Run every resting order for this symbol against a fresh quote
+  async processQuote(quote) {
+    if (!quote || !quote.symbol || !(quote.price > 0)) return [];
+    if (!this.isMarketOpen()) return [];
+
+    const fills = [];
+    for (const order of this.orderBook.getOpenOrders(quote.symbol)) {
+      if (this.halted || this.haltedAgents.has(order.agentId)) continue;
+      const { status, watermark } = order;
+      const fillPrice = this.orderBook.evaluate(order, quote.price);
+      if (fillPrice == null) {
+        // Trailing watermarks and stop-limit triggers move even without a fill
+        if (order.status !== status || order.watermark !== watermark) this.orderBook.saveOrder(order);
+        continue;
+      }
+
+      const result = order.side === 'buy'
+        ? await this.executeBuy(order.agentId, order.symbol, order.shares, fillPrice, { orderId: order.id, quote, limitPrice: order.limitPrice })
+        : await this.executeSell(order.agentId, order.symbol, order.shares, fillPrice, { orderId: order.id, quote, limitPrice: order.limitPrice });
+
+      if (result.success) {
+        this.orderBook.markFilled(order, result.trade);
+        fills.push({ order, trade: result.trade });
+        console.log(`[Orders] Filled ${order.type} ${order.side} ${order.shares} ${order.symbol} @ $${result.trade.price.toFixed(2)} for ${order.agentId}`);
+      } else {
+        this.orderBook.markRejected(order, result.error);
+        console.log(`[Orders] Rejected ${order.id} for ${order.agentId}: ${result.error}`);
+      }
+    }
+
+    return fills;
+  }
+
   async calculatePortfolioValue(agentId, marketData) {
     const portfolio = this.portfolios[agentId];
     if (!portfolio) return 0;
@@ -160,6 +817,7 @@ export class TradingEngine {
     for (const [symbol, position] of Object.entries(portfolio.positions)) {
       try {
         const quote = await marketData.getQuote(symbol);
+        position.lastPrice = quote.price;
         totalValue += position.shares * quote.price;
       } catch (error) {
         // Use last known price if quote fails
@@ -167,6 +825,17 @@ export class TradingEngine {
       }
     }
 
+    // Shorts are a liability: what it would cost to buy them back right now
+    for (const [symbol, short] of Object.entries(portfolio.shorts)) {
+      try {
+        const quote = await marketData.getQuote(symbol);
+        short.lastPrice = quote.price;
+        totalValue -= short.shares * quote.price;
+      } catch (error) {
+        totalValue -= short.shares * (short.lastPrice ?? short.avgPrice);
+      }
+    }
+
     return totalValue;
   }
 
@@ -174,33 +843,92 @@ export class TradingEngine {
     const portfolio = this.portfolios[agentId];
     if (!portfolio) return;
 
-    portfolio.history.push({
-      timestamp: new Date().toISOString(),
-      value
-    });
+    const snapshot = { timestamp: this.clock.iso(), value };
+    this.db.prepare('INSERT INTO snapshots (agent_id, timestamp, value, exposure) VALUES (?, ?, ?, ?)')
+      .run(agentId, snapshot.timestamp, snapshot.value, this.grossExposure(portfolio));
 
-    // Keep last 100 snapshots
-    if (portfolio.history.length > 100) {
-      portfolio.history = portfolio.history.slice(-100);
+    // Full history lives in the database; keep the last 100 handy
+    portfolio.history.push(snapshot);
+    if (portfolio.history.length > HISTORY_IN_MEMORY) {
+      portfolio.history = portfolio.history.slice(-HISTORY_IN_MEMORY);
     }
 
-    this.savePortfolios();
+    this.events?.publish('snapshot', { agentId, ...snapshot, startingValue: portfolio.startingValue });
   }
 
   getTradeHistory(agentId, limit = 50) {
-    return this.trades
-      .filter(t => t.agentId === agentId)
-      .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
-      .slice(0, limit);
+    return this.db.prepare('SELECT * FROM trades WHERE agent_id = ? ORDER BY timestamp DESC LIMIT ?')
+      .all(agentId, limit)
+      .map(row => this.rowToTrade(row));
   }
 
   getAllTrades(limit = 50) {
-    return this.trades
-      .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
-      .slice(0, limit);
+    return this.db.prepare('SELECT * FROM trades ORDER BY timestamp DESC LIMIT ?')
+      .all(limit)
+      .map(row => this.rowToTrade(row));
+  }
+
+  // Everyone's trades in one symbol, newest first
+  getSymbolTrades(symbol, limit = 50) {
+    return this.db.prepare('SELECT * FROM trades WHERE symbol = ? ORDER BY timestamp DESC LIMIT ?')
+      .all(symbol, limit)
+      .map(row => this.rowToTrade(row));
+  }
+
+  getTradeCount(agentId, since = null) {
+    if (since) {
+      return this.db.prepare(`SELECT COUNT(*) AS count FROM trades WHERE agent_id = ? AND timestamp >= ? AND ${NOT_CORPORATE_ACTION}`).get(agentId, since).count;
+    }
+    return this.db.prepare(`SELECT COUNT(*) AS count FROM trades WHERE agent_id = ? AND ${NOT_CORPORATE_ACTION}`).get(agentId).count;
+  }
+
+  // Journal lines for an agent, newest first
+  getLedger(agentId, limit = 100) {
+    return this.db.prepare(`
+      SELECT journal_id AS journalId, account, symbol, amount, memo, created_at AS createdAt
+      FROM ledger_entries WHERE agent_id = ? ORDER BY id DESC LIMIT ?
+    `).all(agentId, limit);
+  }
+
+  // Trial balance - sums to zero when the books are consistent
+  getAccountBalances(agentId) {
+    const balances = {};
+    for (const row of this.db.prepare(`
+      SELECT account, SUM(amount) AS balance FROM ledger_entries WHERE agent_id = ? GROUP BY account
+    `).all(agentId)) {
+      balances[row.account] = row.balance;
+    }
+    return balances;
   }
 
-  getPerformance(agentId) {
+  // Gross position value at last marked prices - longs plus the shorts we owe
+  grossExposure(portfolio) {
+    let exposure = 0;
+    for (const pos of Object.values(portfolio.positions)) exposure += pos.shares * (pos.lastPrice ?? pos.avgCost);
+    for (const short of Object.values(portfolio.shorts)) exposure += short.shares * (short.lastPrice ?? short.avgPrice);
+    return exposure;
+  }
+
+  // The last snapshot of every hour since the current book opened - plenty to
+  // bucket into trading days without dragging every 5-second row into memory
+  getDailySnapshots(agentId) {
+    return this.db.prepare(`
+      SELECT timestamp, value, exposure FROM snapshots WHERE id IN (
+        SELECT MAX(id) FROM snapshots WHERE agent_id = ? GROUP BY substr(timestamp, 1, 13)
+      ) ORDER BY timestamp
+    `).all(agentId);
+  }
+
+  // Trades on the current book (earlier generations keep their history under the same id)
+  getBookTrades(agentId) {
+    return this.db.prepare(`
+      SELECT t.* FROM trades t JOIN portfolios p ON p.agent_id = t.agent_id
+      WHERE t.agent_id = ? AND t.timestamp >= p.created_at ORDER BY t.timestamp
+    `).all(agentId).map(row => this.rowToTrade(row));
+  }
+
+  // benchmark: { 'YYYY-MM-DD': close } for beta/alpha, usually SPY
+  getPerformance(agentId, { benchmark = null, riskFreeRate = 0 } = {}) {
     const portfolio = this.portfolios[agentId];
     if (!portfolio) return null;
 
@@ -211,13 +939,13 @@ export class TradingEngine {
     const totalReturn = currentValue - startValue;
     const totalReturnPercent = ((currentValue - startValue) / startValue) * 100;
 
-    // Calculate daily returns
-    const dailyReturns = [];
-    for (let i = 1; i < history.length; i++) {
-      const prev = history[i - 1].value;
-      const curr = history[i].value;
-      dailyReturns.push(((curr - prev) / prev) * 100);
-    }
+    const { dailyReturns, ...metrics } = computeMetrics({
+      snapshots: this.getDailySnapshots(agentId),
+      trades: this.getBookTrades(agentId).filter(t => !CORPORATE_ACTION_TYPES.includes(t.type)),
+      startValue,
+      benchmark,
+      riskFreeRate
+    });
 
     return {
       startValue,
@@ -225,22 +953,52 @@ export class TradingEngine {
       totalReturn,
       totalReturnPercent,
       dailyReturns,
-      tradesCount: this.trades.filter(t => t.agentId === agentId).length
+      metrics,
+      shortPositions: Object.keys(portfolio.shorts).length,
+      borrowFeesPaid: portfolio.borrowFeesPaid,
+      tradesCount: this.getTradeCount(agentId)
     };
   }
 
+  // Drop the agent's book - positions, snapshots and journal. Trade history stays.
+  clearPortfolio(agentId) {
+    this.db.transaction(() => {
+      this.db.prepare('DELETE FROM portfolios WHERE agent_id = ?').run(agentId);
+      this.db.prepare('DELETE FROM positions WHERE agent_id = ?').run(agentId);
+      this.db.prepare('DELETE FROM snapshots WHERE agent_id = ?').run(agentId);
+      this.db.prepare('DELETE FROM ledger_entries WHERE agent_id = ?').run(agentId);
+    })();
+    delete this.portfolios[agentId];
+  }
+
   resetPortfolio(agentId, startingCash = 25) {
-    this.portfolios[agentId] = {
-      cash: startingCash,
-      positions: {},
-      startingValue: startingCash,
-      history: [{ timestamp: new Date().toISOString(), value: startingCash }]
-    };
-    this.savePortfolios();
+    this.orderBook.cancelAgentOrders(agentId, 'Portfolio reset');
+    this.clearPortfolio(agentId);
+    this.initializePortfolio(agentId, startingCash);
   }
 
   deletePortfolio(agentId) {
-    delete this.portfolios[agentId];
-    this.savePortfolios();
+    this.orderBook.cancelAgentOrders(agentId, 'Portfolio deleted');
+    this.clearPortfolio(agentId);
+  }
+
+  // The whole book - rows and open orders - so it can be put back later
+  exportBook(agentId) {
+    return {
+      rows: Object.fromEntries(BOOK_TABLES.map(table => [
+        table, this.db.prepare(`SELECT * FROM ${table} WHERE agent_id = ?`).all(agentId)
+      ])),
+      orders: this.orderBook.getOpenOrders().filter(o => o.agentId === agentId)
+    };
+  }
+
+  // Replace the agent's book with an exported one
+  importBook(agentId, { rows, orders = [] }) {
+    this.deletePortfolio(agentId);
+    this.db.transaction(() => {
+      for (const table of BOOK_TABLES) insertRows(this.db, table, rows[table] || []);
+      for (const order of orders) this.orderBook.reopen(order);
+    })();
+    this.portfolios[agentId] = this.readPortfolio(agentId);
   }
 }
@@ -0,0 +1,183 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  sma, ema, wilder, rsi, macd, bollinger, trueRange, atr, stochastic, obv, vwap, adx, computeIndicators
+} from '../src/indicators.js';
+
+// Compares the non-null tail of a series with reference values, within a tolerance
+function assertTail(series, expected, tolerance = 1e-4) {
+  const tail = series.filter(v => v != null).slice(-expected.length);
+  assert.equal(tail.length, expected.length, 'not enough values');
+  tail.forEach((v, i) => assert.ok(Math.abs(v - expected[i]) <= tolerance, `value ${i}: ${v} vs ${expected[i]}`));
+}
+
+const leadingNulls = (series) => {
+  const first = series.findIndex(v => v != null);
+  return first < 0 ? series.length : first;
+};
+
+// StockCharts ChartSchool, "Moving Averages - Simple and Exponential" (10-day, values to 2 places)
+const MA_CLOSES = [
+  22.27, 22.19, 22.08, 22.17, 22.18, 22.13, 22.23, 22.43, 22.24, 22.29, 22.15, 22.39, 22.38, 22.61, 23.36,
+  24.05, 23.75, 23.83, 23.95, 23.63, 23.82, 23.87, 23.65, 23.19, 23.10, 23.33, 22.68, 23.10, 22.40, 22.17
+];
+
+// StockCharts ChartSchool, "Relative Strength Index (RSI)" (14-day)
+const RSI_CLOSES = [
+  44.34, 44.09, 44.15, 43.61, 44.33, 44.83, 45.10, 45.42, 45.84, 46.08, 45.89, 46.03, 45.61, 46.28, 46.28,
+  46.00, 46.03, 46.41, 46.22, 45.64, 46.21, 46.25, 45.71, 46.45, 45.78, 45.35, 44.03, 44.18, 44.22, 44.57,
+  43.42, 42.66, 43.13
+];
+
+// The RSI closes carried on with a few more days, with highs, lows and volumes
+// spread around them so every bar-based indicator has a range to work with
+const CLOSES = [...RSI_CLOSES, 43.50, 44.10, 44.62, 44.20, 43.85, 44.40, 44.95];
+const BARS = CLOSES.map((close, i) => ({
+  time: i,
+  close,
+  high: Number((close + 0.2 + (i % 5) * 0.07).toFixed(2)),
+  low: Number((close - 0.25 - (i % 3) * 0.09).toFixed(2)),
+  volume: 1000 + (i * 137) % 900
+}));
+
+test('sma matches StockCharts and Technical Analysis from A to Z', () => {
+  const series = sma(MA_CLOSES, 10);
+  assert.equal(leadingNulls(series), 9);
+  assertTail(series, [
+    22.22, 22.21, 22.23, 22.26, 22.31, 22.42, 22.61, 22.77, 22.91, 23.08, 23.21,
+    23.38, 23.53, 23.65, 23.71, 23.69, 23.61, 23.51, 23.43, 23.28, 23.13
+  ], 0.01); // The published table rounds to the cent
+
+  // Achelis, p. 207
+  assertTail(sma([25, 24.875, 24.781, 24.594, 24.5, 24.625, 25.219, 27.25], 5), [24.75, 24.675, 24.744, 25.238], 1e-3);
+});
+
+test('ema matches StockCharts, seeded with the SMA', () => {
+  const series = ema(MA_CLOSES, 10);
+  assert.equal(leadingNulls(series), 9);
+  assertTail(series, [
+    22.22, 22.21, 22.24, 22.27, 22.33, 22.52, 22.80, 22.97, 23.13, 23.28, 23.34,
+    23.43, 23.51, 23.54, 23.47, 23.40, 23.39, 23.26, 23.23, 23.08, 22.92
+  ], 0.01);
+});
+
+test('wilder smoothing matches Technical Analysis from A to Z', () => {
+  // Achelis, p. 366
+  const values = [62.125, 61.125, 62.3438, 65.3125, 63.9688, 63.4375, 63, 63.7812, 63.4062, 63.4062, 62.4375, 61.8438];
+  const series = wilder(values, 5);
+  assert.equal(leadingNulls(series), 4);
+  assertTail(series, [62.975, 63.0675, 63.054, 63.1995, 63.2408, 63.2739, 63.1066, 62.8540], 1e-3);
+});
+
+test("rsi matches StockCharts' Wilder RSI", () => {
+  const series = rsi(RSI_CLOSES);
+  assert.equal(leadingNulls(series), 14);
+  assertTail(series, [
+    70.46, 66.25, 66.48, 69.35, 66.29, 57.92, 62.88, 63.21, 56.01, 62.34,
+    54.67, 50.39, 40.02, 41.49, 41.90, 45.50, 37.32, 33.09, 37.79
+  ], 0.01);
+});
+
+test('rsi is 50 on a flat series and 100 when it only rises', () => {
+  assertTail(rsi(new Array(20).fill(10)), [50, 50]);
+  assertTail(rsi(Array.from({ length: 20 }, (_, i) => 10 + i)), [100, 100]);
+});
+
+// Reference values for the rest were cross-checked against the technicalindicators
+// package (v3.1.0), computed over the same bars
+test('macd line, signal and histogram', () => {
+  const { macd: line, signal, histogram } = macd(CLOSES);
+  assert.equal(leadingNulls(line), 25);
+  assert.equal(leadingNulls(signal), 33);
+  assert.equal(leadingNulls(histogram), 33);
+  assertTail(line, [-0.398, -0.3705, -0.3727, -0.3263, -0.2424]);
+  assertTail(signal, [-0.2498, -0.2739, -0.2937, -0.3002, -0.2886]);
+  assertTail(histogram, [-0.1482, -0.0966, -0.079, -0.0261, 0.0462], 2e-4);
+});
+
+test('bollinger bands use the population standard deviation', () => {
+  const { upper, middle, lower, percentB } = bollinger(CLOSES);
+  assert.equal(leadingNulls(middle), 19);
+  assertTail(upper, [47.302, 47.1738, 46.9654, 46.767, 46.6873]);
+  assertTail(lower, [42.546, 42.4912, 42.4436, 42.46, 42.4707]);
+  const i = CLOSES.length - 1;
+  assert.ok(Math.abs(percentB[i] - (CLOSES[i] - lower[i]) / (upper[i] - lower[i])) < 1e-12);
+
+  // No spread, no width: the close sits mid-band
+  const flat = bollinger(new Array(20).fill(5));
+  assert.equal(flat.upper[19], 5);
+  assert.equal(flat.percentB[19], 0.5);
+});
+
+test("true range and atr follow Wilder: the first range is the bar's own, the first ATR their average", () => {
+  const tr = trueRange(BARS);
+  assert.equal(tr[0], BARS[0].high - BARS[0].low);
+  assertTail(tr.slice(0, 15), [0.45, 0.61, 0.77, 0.79, 1.2, 0.7, 0.54, 0.68, 0.84, 0.73, 0.54, 0.7, 0.67, 1.08, 0.91], 1e-9);
+
+  const series = atr(BARS);
+  assert.equal(leadingNulls(series), 13);
+  assert.ok(Math.abs(series[13] - 10.3 / 14) < 1e-9);
+  assert.ok(Math.abs(series[14] - (series[13] * 13 + 0.91) / 14) < 1e-9);
+});
+
+test('stochastic %K and %D', () => {
+  const { k, d } = stochastic(BARS);
+  assert.equal(leadingNulls(k), 13);
+  assert.equal(leadingNulls(d), 15);
+  assertTail(k, [50.6608, 41.4097, 38.8325, 64.3963, 84.5659]);
+  assertTail(d, [38.6197, 43.7592, 43.6343, 48.2128, 62.5982]);
+});
+
+test('obv adds volume on up closes and takes it away on down closes', () => {
+  const series = obv(BARS);
+  assert.equal(series[0], 0);
+  assertTail(series, [8828, 7396, 5827, 7533, 9376], 0);
+  assert.deepEqual(obv([{ close: 1, volume: 5 }, { close: 1, volume: 7 }]), [0, 0]);
+});
+
+test('vwap is the rolling volume-weighted typical price', () => {
+  const bars = [
+    { high: 10, low: 8, close: 9, volume: 100 },
+    { high: 12, low: 10, close: 11, volume: 200 },
+    { high: 11, low: 9, close: 10, volume: 100 }
+  ];
+  const series = vwap(bars, 2);
+  assert.equal(series[0], null);
+  assertTail(series, [(9 * 100 + 11 * 200) / 300, (11 * 200 + 10 * 100) / 300], 1e-9);
+});
+
+test('adx with +DI and -DI', () => {
+  const { adx: strength, plusDI, minusDI } = adx(BARS);
+  assert.equal(leadingNulls(plusDI), 14);
+  assert.equal(leadingNulls(strength), 27);
+  assertTail(strength, [21.8939, 20.3388, 19.3632, 18.2152, 17.781]);
+  assertTail(plusDI, [28.4583, 26.8829, 25.3279, 28.4588, 31.1366]);
+  assertTail(minusDI, [26.2892, 26.8169, 28.9543, 26.645, 24.3967]);
+});
+
+test('too little history gives nulls, not numbers', () => {
+  const few = BARS.slice(0, 5);
+  const closes = few.map(b => b.close);
+  assert.deepEqual(sma(closes, 10), new Array(5).fill(null));
+  assert.deepEqual(ema(closes, 10), new Array(5).fill(null));
+  assert.deepEqual(rsi(closes), new Array(5).fill(null));
+  assert.deepEqual(atr(few), new Array(5).fill(null));
+  assert.deepEqual(stochastic(few).k, new Array(5).fill(null));
+  assert.deepEqual(vwap(few), new Array(5).fill(null));
+  assert.deepEqual(adx(few).adx, new Array(5).fill(null));
+  assert.deepEqual(macd(CLOSES.slice(0, 25)).macd, new Array(25).fill(null));
+  assert.deepEqual(bollinger(CLOSES.slice(0, 19)).middle, new Array(19).fill(null));
+  assert.deepEqual(sma([], 3), []);
+  assert.deepEqual(obv([]), []);
+
+  // A gap in the data restarts the window
+  assert.deepEqual(sma([1, 2, null, 3, 4], 2), [null, 1.5, null, null, 3.5]);
+
+  // Latest values: what can't be computed yet is null
+  const latest = computeIndicators(BARS);
+  assert.equal(latest.sma200, null);
+  assert.equal(latest.sma50, null);
+  assert.ok(Math.abs(latest.rsi14 - rsi(CLOSES).at(-1)) < 1e-12);
+  assert.equal(latest.obvChange, (obv(BARS).at(-1) - obv(BARS).at(-21)) / sma(BARS.map(b => b.volume), 20).at(-1));
+  assert.equal(computeIndicators(BARS.slice(0, 10)).adx, null);
+});
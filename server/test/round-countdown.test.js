@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { nyseCalendar } from '../src/market-calendar.js';
+import { openDatabase } from '../src/database.js';
+import { MarketData } from '../src/market-data.js';
+import { createProvider } from '../src/providers/index.js';
+import { TradingEngine } from '../src/trading-engine.js';
+import { AgentManager } from '../src/agents.js';
+import { SimulatedClock } from '../src/clock.js';
+
+const at = (iso) => Date.parse(iso);
+
+test('the end date counts as a trading day until its session closes', () => {
+  const end = at('2025-03-14T14:00:00Z'); // Friday, 10:00 in New York
+  assert.equal(nyseCalendar.tradingDaysThrough(at('2025-03-13T20:30:00Z'), end), 1); // Thursday after the close
+  assert.equal(nyseCalendar.tradingDaysThrough(at('2025-03-14T19:59:00Z'), end), 1); // Friday, a minute before the bell
+  assert.equal(nyseCalendar.tradingDaysThrough(at('2025-03-14T20:00:00Z'), end), 0); // The bell
+  assert.equal(nyseCalendar.tradingDaysThrough(at('2025-03-15T12:00:00Z'), end), 0);
+});
+
+test('weekends and holidays at the end of a round add no days', () => {
+  // Ends on a Saturday: Friday's close is the last session
+  assert.equal(nyseCalendar.tradingDaysThrough(at('2025-03-14T20:30:00Z'), at('2025-03-15T15:00:00Z')), 0);
+  // Ends on Good Friday: Thursday's close is the last session
+  assert.equal(nyseCalendar.tradingDaysThrough(at('2025-04-17T20:30:00Z'), at('2025-04-18T15:00:00Z')), 0);
+  assert.equal(nyseCalendar.tradingDaysThrough(at('2025-04-17T15:00:00Z'), at('2025-04-18T15:00:00Z')), 1);
+});
+
+test("a round isn't over until the end date's session has closed", () => {
+  // A 14-day round starting Monday 10:00 ends the Monday two weeks on, at 10:00
+  const clock = new SimulatedClock(at('2025-03-03T15:00:00Z'));
+  const db = openDatabase(':memory:');
+  const marketData = new MarketData({ clock, provider: createProvider({ provider: 'synthetic' }) });
+  const manager = new AgentManager(new TradingEngine({ db, clock }), marketData, { db, clock });
+
+  const status = manager.getCompetitionStatus();
+  assert.equal(status.endDate, '2025-03-17T15:00:00.000Z');
+  assert.equal(status.daysRemaining, 11);
+
+  clock.set(at('2025-03-14T20:30:00Z')); // The Friday before: the last Monday is still to play
+  assert.equal(manager.getCompetitionStatus().daysRemaining, 1);
+
+  clock.set(at('2025-03-17T19:00:00Z')); // Past the end time, but the session is still open
+  assert.equal(manager.getCompetitionStatus().daysRemaining, 1);
+
+  clock.set(at('2025-03-17T20:30:00Z'));
+  assert.equal(manager.getCompetitionStatus().daysRemaining, 0);
+  manager.close();
+  db.close();
+});